@@ -17,6 +17,9 @@ export const env = {
   // API configuration
   API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3001',
   
+  // Sunset date of the unversioned /api/* paths (aliases of /api/v1), sent in the Sunset header
+  UNVERSIONED_API_SUNSET: process.env.UNVERSIONED_API_SUNSET || null, // ISO 8601 date, e.g. 2027-06-30
+  
   // Frontend configuration (for CORS)
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
   
@@ -28,9 +31,75 @@ export const env = {
   // Request body size limits (in bytes)
   MAX_REQUEST_BODY_SIZE: parseInt(process.env.MAX_REQUEST_BODY_SIZE || '52428800', 10), // 50MB
   
+  // Pricing configuration (ISO 4217 code used when a price has no currency)
+  DEFAULT_CURRENCY: (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase(),
+  
+  // Scheduling configuration
+  DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'America/New_York', // Used for schedules without a time zone
+  SLOT_INTERVAL_MINUTES: parseInt(process.env.SLOT_INTERVAL_MINUTES || '30', 10), // Distance between bookable start times
+  DEFAULT_APPOINTMENT_DURATION_MINUTES: parseInt(process.env.DEFAULT_APPOINTMENT_DURATION_MINUTES || '60', 10), // Used when no service duration is known
+  
+  // Storage configuration
+  STORAGE_DRIVER: (process.env.STORAGE_DRIVER || 'json').toLowerCase(), // 'json' (files in data/) or 'sqlite'
+  SQLITE_FILE: process.env.SQLITE_FILE || null, // Defaults to data/stylists-api.db
+  
   // JWT configuration
   JWT_SECRET: process.env.JWT_SECRET || ((process.env.NODE_ENV === 'production' ? null : 'dev-secret-key-change-in-production')),
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d', // 7 days default
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m', // Access token lifetime (renewed with a refresh token)
+  REFRESH_TOKEN_EXPIRES_IN_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS || '30', 10), // Refresh token lifetime
+  
+  PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES: parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES || '60', 10), // Password reset link lifetime
+  EMAIL_VERIFICATION_TOKEN_EXPIRES_IN_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN_HOURS || '48', 10), // Verification link lifetime
+  
+  // What accounts may not do until their email is verified (comma-separated, empty for no restrictions)
+  UNVERIFIED_USER_RESTRICTIONS: process.env.UNVERIFIED_USER_RESTRICTIONS ?? 'book-appointments',
+  UNVERIFIED_STYLIST_RESTRICTIONS: process.env.UNVERIFIED_STYLIST_RESTRICTIONS ?? 'listing,accept-appointments',
+  
+  // Password storage
+  BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS || '12', 10), // Cost of new hashes; weaker hashes are upgraded at login
+  ALLOW_PLAINTEXT_PASSWORDS: process.env.ALLOW_PLAINTEXT_PASSWORDS === 'true', // Accept legacy unhashed stored passwords (until migrated)
+  
+  // Per-account login lockout (on top of the per-IP rate limits)
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10), // Failed attempts before the account is locked
+  LOGIN_LOCKOUT_BASE_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '5', 10), // First lockout; doubles with each further failure
+  LOGIN_LOCKOUT_MAX_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10), // Longest lockout (24 hours)
+  LOGIN_FAILURE_RESET_HOURS: parseInt(process.env.LOGIN_FAILURE_RESET_HOURS || '24', 10), // Failures are forgotten after this long without another one
+  LOGIN_UNKNOWN_EMAIL_MAX_TRACKED: parseInt(process.env.LOGIN_UNKNOWN_EMAIL_MAX_TRACKED || '10000', 10), // Emails without an account whose failures are kept (in memory)
+  
+  // Request tracing: log a span (W3C traceparent-compatible IDs) for each request and repository call
+  TRACING_ENABLED: process.env.TRACING_ENABLED === 'true',
+  
+  // Token for GET /metrics (Authorization: Bearer); the endpoint is open when not set
+  METRICS_TOKEN: process.env.METRICS_TOKEN || null,
+  
+  // Graceful shutdown: longest wait for in-flight requests after SIGTERM/SIGINT (milliseconds)
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10),
+  
+  // Admin API (X-Admin-Key header); admin endpoints are disabled when not set
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || null,
+  
+  // Two-factor authentication (stylists)
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Stylists', // Name shown in authenticator apps
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m', // Time to enter the code after the password
+  
+  // Email configuration
+  MAIL_TRANSPORT: (process.env.MAIL_TRANSPORT || 'outbox').toLowerCase(), // 'outbox' (files in data/outbox) or 'smtp'
+  MAIL_FROM: process.env.MAIL_FROM || 'Stylists <no-reply@localhost>',
+  MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || null, // Defaults to data/outbox
+  SMTP_HOST: process.env.SMTP_HOST || null,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || '587', 10),
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true', // true for implicit TLS (port 465); STARTTLS is used otherwise when offered
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASS: process.env.SMTP_PASS || null,
+  
+  // Outbound webhooks (appointment events sent to stylists' endpoints)
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10), // Attempts before a delivery is marked failed
+  WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10), // First retry delay; doubles with each further attempt
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10), // Longest wait for an endpoint to respond
+  // Allow endpoints on loopback and private networks (e.g. a local receiver); off in production by default
+  WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+    ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+    : process.env.NODE_ENV !== 'production',
   
   // Helper functions
   isDevelopment: () => env.NODE_ENV === 'development',
@@ -51,6 +120,30 @@ if (env.isProduction()) {
   }
 }
 
+// SMTP needs a server to talk to
+if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_HOST) {
+  console.error('ERROR: MAIL_TRANSPORT=smtp requires SMTP_HOST to be set.');
+  process.exit(1);
+}
+
+// bcryptjs accepts costs from 4 to 31
+if (!Number.isInteger(env.BCRYPT_ROUNDS) || env.BCRYPT_ROUNDS < 4 || env.BCRYPT_ROUNDS > 31) {
+  console.error('ERROR: BCRYPT_ROUNDS must be a whole number from 4 to 31.');
+  process.exit(1);
+}
+
+// The Sunset header needs a real date
+if (env.UNVERSIONED_API_SUNSET && Number.isNaN(Date.parse(env.UNVERSIONED_API_SUNSET))) {
+  console.error('ERROR: UNVERSIONED_API_SUNSET must be an ISO 8601 date (e.g. 2027-06-30).');
+  process.exit(1);
+}
+
+// Webhook retries need at least one attempt and a positive delay
+if (!(env.WEBHOOK_MAX_ATTEMPTS >= 1) || !(env.WEBHOOK_RETRY_BASE_SECONDS >= 1) || !(env.WEBHOOK_TIMEOUT_MS >= 1)) {
+  console.error('ERROR: WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS and WEBHOOK_TIMEOUT_MS must be positive whole numbers.');
+  process.exit(1);
+}
+
 // Warn if using default JWT secret in production
 if (env.isProduction() && !process.env.JWT_SECRET) {
   console.error('ERROR: JWT_SECRET must be set in production!');
@@ -9,6 +9,7 @@ const dataDir = join(__dirname, '..', 'data');
 const uploadsDir = join(__dirname, '..', 'uploads');
 const profilesDir = join(uploadsDir, 'profiles');
 const portfolioDir = join(uploadsDir, 'portfolio');
+const docsDir = join(__dirname, '..', 'public', 'docs');
 
 // Ensure directories exist
 [dataDir, uploadsDir, profilesDir, portfolioDir].forEach(dir => {
@@ -21,10 +22,23 @@ export const paths = {
   dataDir,
   stylistsFile: join(dataDir, 'stylists.json'),
   usersFile: join(dataDir, 'users.json'),
+  adminsFile: join(dataDir, 'admins.json'),
   appointmentsFile: join(dataDir, 'appointments.json'),
   credentialsFile: join(dataDir, 'credentials.json'),
   recentlyViewedFile: join(dataDir, 'recentlyViewed.json'),
+  refreshTokensFile: join(dataDir, 'refreshTokens.json'),
+  revokedTokensFile: join(dataDir, 'revokedTokens.json'),
+  passwordResetTokensFile: join(dataDir, 'passwordResetTokens.json'),
+  loginAttemptsFile: join(dataDir, 'loginAttempts.json'),
+  auditLogFile: join(dataDir, 'auditLog.jsonl'),
+  legacyAuditLogFile: join(dataDir, 'auditLog.json'), // Converted to auditLogFile on first start
+  webhooksFile: join(dataDir, 'webhooks.json'),
+  webhookDeliveriesFile: join(dataDir, 'webhookDeliveries.json'),
+  sequencesFile: join(dataDir, 'sequences.json'),
+  outboxDir: join(dataDir, 'outbox'),
+  journalFile: join(dataDir, 'journal.log'),
   uploadsDir,
   profilesDir,
-  portfolioDir
+  portfolioDir,
+  docsDir
 };
@@ -0,0 +1,711 @@
+import {
+  userRepository,
+  stylistRepository,
+  adminRepository,
+  appointmentRepository,
+  credentialRepository,
+  refreshTokenRepository
+} from '../repositories/index.js';
+import { env } from '../config/env.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { verifyPassword, needsRehash, hashPassword } from '../utils/passwordUtils.js';
+import {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  lockedAccountResponse,
+  listLockedAccounts,
+  unlockAccount
+} from '../utils/loginLockout.js';
+import { startPasswordSetup, passwordSetupRequiredResponse, resetPasswordByAdmin } from '../utils/passwordReset.js';
+import { issueTokens } from '../utils/authTokens.js';
+import { isSuspended, suspendAccount, unsuspendAccount } from '../utils/accounts.js';
+import { isTwoFactorEnabled } from '../utils/twoFactor.js';
+import { paginate } from '../utils/stylistQuery.js';
+import { checkSlotAvailability } from '../utils/availability.js';
+import { getServicesDuration } from '../utils/services.js';
+import {
+  recordAudit,
+  recordLoginAttempt,
+  recordAppointmentTransition,
+  searchAuditLog,
+  verifyAuditChain
+} from '../utils/auditLog.js';
+import {
+  APPOINTMENT_STATUSES,
+  TERMINAL_STATUSES,
+  canTransition,
+  recordTransition,
+  recordReassignment,
+  illegalTransitionResponse
+} from '../utils/appointmentStateMachine.js';
+import { publishAppointmentEvent } from '../utils/webhooks.js';
+
+const ACCOUNT_REPOSITORIES = {
+  user: userRepository,
+  stylist: stylistRepository
+};
+
+const ACCOUNT_LABELS = {
+  user: 'User',
+  stylist: 'Stylist'
+};
+
+// Audit log page size when no limit is given (the log only grows)
+const AUDIT_LOG_PAGE_SIZE = 50;
+
+/**
+ * Log in as an admin
+ * Admin accounts are created with `npm run admin:create`
+ */
+export const loginAdmin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const emailLower = email.trim().toLowerCase();
+    const storedPassword = credentialRepository.get('admin', emailLower);
+
+    // Locked accounts are rejected before the password is checked
+    const lockout = getLockout('admin', emailLower);
+    if (lockout.locked) {
+      recordLoginAttempt(req, 'admin', emailLower, 'failure', 'locked');
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json(lockedAccountResponse(lockout));
+    }
+
+    // Accounts without a password yet are sent a link to set one
+    if (!storedPassword && await startPasswordSetup('admin', emailLower)) {
+      recordLoginAttempt(req, 'admin', emailLower, 'failure', 'password-setup-required');
+      return res.status(403).json(passwordSetupRequiredResponse);
+    }
+
+    // Unknown emails are checked against a dummy hash so they take as long as wrong passwords
+    const passwordMatch = await verifyPassword(password.trim(), storedPassword);
+    const admin = passwordMatch ? adminRepository.findByEmail(emailLower) : null;
+
+    if (!admin) {
+      // Unknown emails are counted too, so a lockout does not reveal whether the account exists
+      const failure = recordFailedLogin('admin', emailLower);
+      recordLoginAttempt(req, 'admin', emailLower, 'failure', 'invalid-credentials');
+      if (failure?.locked) {
+        res.set('Retry-After', String(failure.retryAfterSeconds));
+        return res.status(429).json(lockedAccountResponse(failure));
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (needsRehash(storedPassword)) {
+      credentialRepository.set('admin', emailLower, await hashPassword(password.trim()));
+    }
+
+    clearFailedLogins('admin', emailLower);
+    recordLoginAttempt(req, 'admin', emailLower, 'success');
+
+    const tokens = issueTokens({
+      id: admin.id,
+      email: admin.email,
+      type: 'admin'
+    });
+
+    logInfo('Admin logged in', { adminId: admin.id });
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: admin,
+      ...tokens
+    });
+  } catch (error) {
+    logError(error, 'loginAdmin');
+    res.status(500).json({
+      success: false,
+      message: 'Error during login. Please try again.'
+    });
+  }
+};
+
+/**
+ * Count an account's sessions that can still be refreshed
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {number} accountId - Account ID
+ * @returns {number}
+ */
+const countActiveSessions = (accountType, accountId) => {
+  const now = new Date();
+  return refreshTokenRepository.findByAccount(accountType, accountId)
+    .filter(record => !record.usedAt && !record.revokedAt && new Date(record.expiresAt) > now)
+    .length;
+};
+
+/**
+ * Load the account in req.params.id, or send a 404
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Object|null} - Account, or null after sending a 404
+ */
+const findAccountOr404 = (accountType, req, res) => {
+  const account = ACCOUNT_REPOSITORIES[accountType].findById(parseInt(req.params.id));
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: `${ACCOUNT_LABELS[accountType]} not found`
+    });
+    return null;
+  }
+  return account;
+};
+
+/**
+ * List or search users or stylists (q matches name and email; suspended=true|false)
+ * @param {string} accountType - 'user' or 'stylist'
+ */
+const listAccounts = (accountType) => (req, res) => {
+  try {
+    const search = (req.query.q || '').trim().toLowerCase();
+    const suspended = req.query.suspended === undefined ? null : req.query.suspended === 'true';
+
+    const accounts = ACCOUNT_REPOSITORIES[accountType].findWhere(account => (
+      (!search || `${account.name || ''}\n${account.email || ''}`.toLowerCase().includes(search)) &&
+      (suspended === null || isSuspended(account) === suspended)
+    )).sort((a, b) => a.id - b.id);
+    const { items, pagination } = paginate(accounts, req.query);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total: pagination.total,
+      pagination
+    });
+  } catch (error) {
+    logError(error, `listAccounts:${accountType}`);
+    res.status(500).json({
+      success: false,
+      message: `Error fetching ${accountType}s. Please try again.`
+    });
+  }
+};
+
+/**
+ * Get a user or stylist with a summary of its login state
+ * @param {string} accountType - 'user' or 'stylist'
+ */
+const getAccount = (accountType) => (req, res) => {
+  try {
+    const account = findAccountOr404(accountType, req, res);
+    if (!account) {
+      return;
+    }
+
+    const appointments = accountType === 'user'
+      ? appointmentRepository.findByUserId(account.id)
+      : appointmentRepository.findByStylistId(account.id);
+
+    res.json({
+      success: true,
+      data: account,
+      security: {
+        passwordSet: credentialRepository.has(accountType, account.email),
+        ...(accountType === 'stylist' && { twoFactorEnabled: isTwoFactorEnabled(account.email) }),
+        activeSessions: countActiveSessions(accountType, account.id),
+        lockout: getLockout(accountType, account.email)
+      },
+      appointmentCount: appointments.length
+    });
+  } catch (error) {
+    logError(error, `getAccount:${accountType}`);
+    res.status(500).json({
+      success: false,
+      message: `Error fetching ${accountType}. Please try again.`
+    });
+  }
+};
+
+/**
+ * Suspend a user or stylist: all sessions end and the account cannot log in
+ * @param {string} accountType - 'user' or 'stylist'
+ */
+const suspend = (accountType) => (req, res) => {
+  try {
+    const account = findAccountOr404(accountType, req, res);
+    if (!account) {
+      return;
+    }
+
+    if (isSuspended(account)) {
+      return res.status(409).json({
+        success: false,
+        message: `${ACCOUNT_LABELS[accountType]} is already suspended`,
+        data: account
+      });
+    }
+
+    const suspended = suspendAccount(accountType, account, {
+      reason: req.body?.reason || '',
+      suspendedBy: req.user.id
+    });
+
+    logInfo('Account suspended by admin', { accountType, accountId: account.id, adminId: req.user.id });
+    recordAudit(req, {
+      action: `${accountType}.suspend`,
+      target: { type: accountType, id: account.id },
+      before: account,
+      after: suspended
+    });
+    res.json({
+      success: true,
+      message: `${ACCOUNT_LABELS[accountType]} suspended`,
+      data: suspended
+    });
+  } catch (error) {
+    logError(error, `suspend:${accountType}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending account. Please try again.'
+    });
+  }
+};
+
+/**
+ * Lift a user's or stylist's suspension
+ * @param {string} accountType - 'user' or 'stylist'
+ */
+const unsuspend = (accountType) => (req, res) => {
+  try {
+    const account = findAccountOr404(accountType, req, res);
+    if (!account) {
+      return;
+    }
+
+    if (!isSuspended(account)) {
+      return res.status(409).json({
+        success: false,
+        message: `${ACCOUNT_LABELS[accountType]} is not suspended`
+      });
+    }
+
+    const restored = unsuspendAccount(accountType, account);
+
+    logInfo('Account suspension lifted by admin', { accountType, accountId: account.id, adminId: req.user.id });
+    recordAudit(req, {
+      action: `${accountType}.unsuspend`,
+      target: { type: accountType, id: account.id },
+      before: account,
+      after: restored
+    });
+    res.json({
+      success: true,
+      message: `${ACCOUNT_LABELS[accountType]} is no longer suspended`,
+      data: restored
+    });
+  } catch (error) {
+    logError(error, `unsuspend:${accountType}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error lifting suspension. Please try again.'
+    });
+  }
+};
+
+/**
+ * Reset a user's or stylist's password: the password is removed, all sessions end
+ * and the account holder is emailed a link to choose a new one
+ * @param {string} accountType - 'user' or 'stylist'
+ */
+const resetPassword = (accountType) => async (req, res) => {
+  try {
+    const account = findAccountOr404(accountType, req, res);
+    if (!account) {
+      return;
+    }
+
+    const emailSent = await resetPasswordByAdmin(accountType, account);
+
+    logInfo('Password reset by admin', { accountType, accountId: account.id, adminId: req.user.id, emailSent });
+    recordAudit(req, {
+      action: `${accountType}.password.admin-reset`,
+      target: { type: accountType, id: account.id },
+      metadata: { emailSent }
+    });
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Password reset. A link to choose a new password has been emailed to the account holder.'
+        : 'Password reset, but the email could not be sent. The account holder will get a new link when they try to log in.',
+      emailSent
+    });
+  } catch (error) {
+    logError(error, `resetPassword:${accountType}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password. Please try again.'
+    });
+  }
+};
+
+export const listUsers = listAccounts('user');
+export const listStylists = listAccounts('stylist');
+export const getUser = getAccount('user');
+export const getStylist = getAccount('stylist');
+export const suspendUser = suspend('user');
+export const suspendStylist = suspend('stylist');
+export const unsuspendUser = unsuspend('user');
+export const unsuspendStylist = unsuspend('stylist');
+export const resetUserPassword = resetPassword('user');
+export const resetStylistPassword = resetPassword('stylist');
+
+/**
+ * List appointments (filters: status, userId, stylistId, date), most recent first
+ */
+export const listAppointments = (req, res) => {
+  try {
+    const { status, userId, stylistId, date } = req.query;
+
+    const appointments = appointmentRepository.findWhere(appointment => (
+      (!status || appointment.status === status) &&
+      (!userId || appointment.userId === parseInt(userId)) &&
+      (!stylistId || appointment.stylistId === parseInt(stylistId)) &&
+      (!date || appointment.date === date)
+    )).sort((a, b) => `${b.date}T${b.time}`.localeCompare(`${a.date}T${a.time}`) || b.id - a.id);
+    const { items, pagination } = paginate(appointments, req.query);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total: pagination.total,
+      pagination
+    });
+  } catch (error) {
+    logError(error, 'listAppointments');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointments. Please try again.'
+    });
+  }
+};
+
+/**
+ * Load the appointment in req.params.id, or send a 404
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Object|null} - Appointment, or null after sending a 404
+ */
+const findAppointmentOr404 = (req, res) => {
+  const appointment = appointmentRepository.findById(parseInt(req.params.id));
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+  return appointment;
+};
+
+/**
+ * Get any appointment
+ */
+export const getAppointment = (req, res) => {
+  try {
+    const appointment = findAppointmentOr404(req, res);
+    if (!appointment) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    logError(error, 'getAppointment');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment. Please try again.'
+    });
+  }
+};
+
+/**
+ * Cancel an open appointment on behalf of both parties (no late cancellation fee applies)
+ */
+export const forceCancelAppointment = (req, res) => {
+  try {
+    const appointment = findAppointmentOr404(req, res);
+    if (!appointment) {
+      return;
+    }
+
+    if (!canTransition(appointment.status, 'cancelled-by-admin', 'admin')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'cancelled-by-admin', 'admin'));
+    }
+
+    recordTransition(appointment, 'cancelled-by-admin', { actor: req.user, reason: req.body?.reason });
+    appointmentRepository.update(appointment);
+
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.cancelled', appointment);
+
+    logInfo('Appointment cancelled by admin', { appointmentId: appointment.id, adminId: req.user.id });
+    res.json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: appointment
+    });
+  } catch (error) {
+    logError(error, 'forceCancelAppointment');
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling appointment. Please try again.'
+    });
+  }
+};
+
+/**
+ * Move an open appointment to another stylist at the same date and time
+ * The new stylist must be active and free at that time; the status is unchanged
+ */
+export const reassignAppointment = (req, res) => {
+  try {
+    const appointment = findAppointmentOr404(req, res);
+    if (!appointment) {
+      return;
+    }
+
+    if (TERMINAL_STATUSES.includes(appointment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reassign an appointment with status '${appointment.status}'`,
+        currentStatus: appointment.status
+      });
+    }
+
+    const stylistId = parseInt(req.body.stylistId);
+    if (stylistId === appointment.stylistId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The appointment is already assigned to this stylist',
+        field: 'stylistId'
+      });
+    }
+
+    const stylist = stylistRepository.findById(stylistId);
+    if (!stylist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+    if (isSuspended(stylist)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Appointments cannot be assigned to a suspended stylist'
+      });
+    }
+
+    const result = checkSlotAvailability({
+      stylist,
+      appointments: appointmentRepository.findByStylistId(stylist.id),
+      date: appointment.date,
+      time: appointment.time,
+      // Appointments booked before durations were stored get the same default as at booking
+      durationMinutes: appointment.durationMinutes || getServicesDuration()
+    });
+    if (!result.available) {
+      return res.status(409).json({
+        success: false,
+        message: result.reason === 'outside-hours'
+          ? 'The appointment is outside the stylist\'s working hours'
+          : 'The stylist already has an appointment at this time',
+        reason: result.reason,
+        conflictingAppointmentIds: result.conflicts.map(conflict => conflict.id)
+      });
+    }
+
+    const previousStylistId = appointment.stylistId;
+    recordReassignment(appointment, stylist.id, { actor: req.user, reason: req.body.reason });
+    appointmentRepository.update(appointment);
+    publishAppointmentEvent('appointment.reassigned', appointment, { previousStylistId });
+
+    logInfo('Appointment reassigned by admin', {
+      appointmentId: appointment.id,
+      fromStylistId: previousStylistId,
+      toStylistId: stylist.id,
+      adminId: req.user.id
+    });
+    recordAudit(req, {
+      action: 'appointment.reassign',
+      target: { type: 'appointment', id: appointment.id },
+      before: { stylistId: previousStylistId },
+      after: { stylistId: stylist.id },
+      metadata: { reason: req.body.reason || null }
+    });
+    res.json({
+      success: true,
+      message: `Appointment reassigned to ${stylist.name}`,
+      data: appointment
+    });
+  } catch (error) {
+    logError(error, 'reassignAppointment');
+    res.status(500).json({
+      success: false,
+      message: 'Error reassigning appointment. Please try again.'
+    });
+  }
+};
+
+/**
+ * Summarize users or stylists
+ * @param {Object[]} accounts - Accounts
+ * @returns {Object} - { total, unverified, suspended }
+ */
+const summarizeAccounts = (accounts) => ({
+  total: accounts.length,
+  unverified: accounts.filter(account => account.emailVerified === false).length,
+  suspended: accounts.filter(isSuspended).length
+});
+
+/**
+ * System statistics: accounts, appointments by status, sessions and lockouts
+ */
+export const getStats = (req, res) => {
+  try {
+    const now = new Date();
+    const appointments = appointmentRepository.findAll();
+    const appointmentsByStatus = Object.fromEntries(APPOINTMENT_STATUSES.map(status => [status, 0]));
+    appointments.forEach(appointment => {
+      appointmentsByStatus[appointment.status] = (appointmentsByStatus[appointment.status] || 0) + 1;
+    });
+
+    const activeSessions = refreshTokenRepository.findAll()
+      .filter(record => !record.usedAt && !record.revokedAt && new Date(record.expiresAt) > now);
+
+    res.json({
+      success: true,
+      data: {
+        users: summarizeAccounts(userRepository.findAll()),
+        stylists: summarizeAccounts(stylistRepository.findAll()),
+        admins: { total: adminRepository.count() },
+        appointments: {
+          total: appointments.length,
+          byStatus: appointmentsByStatus
+        },
+        activeSessions: {
+          total: activeSessions.length,
+          user: activeSessions.filter(record => record.accountType === 'user').length,
+          stylist: activeSessions.filter(record => record.accountType === 'stylist').length,
+          admin: activeSessions.filter(record => record.accountType === 'admin').length
+        },
+        lockedAccounts: listLockedAccounts(now).length,
+        storageDriver: env.STORAGE_DRIVER,
+        uptimeSeconds: Math.floor(process.uptime()),
+        generatedAt: now.toISOString()
+      }
+    });
+  } catch (error) {
+    logError(error, 'getStats');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching statistics. Please try again.'
+    });
+  }
+};
+
+/**
+ * List accounts that are locked after failed logins
+ */
+export const getLockedAccounts = (req, res) => {
+  try {
+    const lockedAccounts = listLockedAccounts();
+    res.json({
+      success: true,
+      data: lockedAccounts,
+      count: lockedAccounts.length
+    });
+  } catch (error) {
+    logError(error, 'getLockedAccounts');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching locked accounts. Please try again.'
+    });
+  }
+};
+
+/**
+ * Lift a login lockout and reset the account's failed attempts
+ */
+export const unlockLockedAccount = (req, res) => {
+  try {
+    const { accountType, email } = req.body;
+    const emailLower = email.trim().toLowerCase();
+
+    if (!unlockAccount(accountType, emailLower)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed logins on record for this account'
+      });
+    }
+
+    logInfo('Account unlocked by admin', { accountType });
+    recordAudit(req, { action: `${accountType}.unlock`, metadata: { accountType, email: emailLower } });
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    logError(error, 'unlockLockedAccount');
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account. Please try again.'
+    });
+  }
+};
+
+/**
+ * Search the audit log, newest first (filters: action, outcome, actorType, actorId,
+ * targetType, targetId, requestId, from, to)
+ */
+export const getAuditLog = (req, res) => {
+  try {
+    const entries = searchAuditLog(req.query);
+    const { items, pagination } = paginate(entries, { limit: String(AUDIT_LOG_PAGE_SIZE), ...req.query });
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total: pagination.total,
+      pagination
+    });
+  } catch (error) {
+    logError(error, 'getAuditLog');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching the audit log. Please try again.'
+    });
+  }
+};
+
+/**
+ * Check the audit log's hash chain for edited, removed or reordered entries
+ */
+export const verifyAuditLog = (req, res) => {
+  try {
+    const result = verifyAuditChain();
+    res.json({
+      success: true,
+      message: result.valid
+        ? 'The audit log is intact'
+        : `The audit log has been tampered with at entry ${result.brokenAt}`,
+      data: result
+    });
+  } catch (error) {
+    logError(error, 'verifyAuditLog');
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying the audit log. Please try again.'
+    });
+  }
+};
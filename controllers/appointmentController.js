@@ -1,5 +1,87 @@
-import { stylists, appointments, saveAppointments } from '../utils/dataStore.js';
+import { stylistRepository, appointmentRepository } from '../repositories/index.js';
 import { logError } from '../utils/logger.js';
+import { resolveRequestedServices, getServicesDuration } from '../utils/services.js';
+import { checkSlotAvailability, findAlternativeSlots } from '../utils/availability.js';
+import { minutesToTime, timeToMinutes, getZonedNow } from '../utils/schedule.js';
+import {
+  canTransition,
+  recordTransition,
+  initializeStatus,
+  illegalTransitionResponse,
+  getAllowedTransitions,
+  getActorRole
+} from '../utils/appointmentStateMachine.js';
+import {
+  snapshotCancellationPolicy,
+  calculateLateCancellationFee,
+  calculateNoShowFee
+} from '../utils/cancellationPolicy.js';
+import { isSuspended } from '../utils/accounts.js';
+import { recordAudit, recordAppointmentTransition } from '../utils/auditLog.js';
+import { appointmentsCreatedTotal } from '../utils/metrics.js';
+import { publishAppointmentEvent } from '../utils/webhooks.js';
+import { env } from '../config/env.js';
+
+/**
+ * Check that a stylist is free for a booking and build a 409 response body if not
+ * @param {Object} stylist - Stylist
+ * @param {string} date - "YYYY-MM-DD" date
+ * @param {string} time - "HH:MM" start time
+ * @param {number} durationMinutes - Length of the booking
+ * @param {number|null} excludeAppointmentId - Appointment being rescheduled (ignored when checking)
+ * @returns {Object|null} - Conflict response body, or null if the slot is free
+ */
+const getBookingConflict = (stylist, date, time, durationMinutes, excludeAppointmentId = null) => {
+  const appointments = appointmentRepository.findByStylistId(stylist.id);
+  const result = checkSlotAvailability({
+    stylist,
+    appointments,
+    date,
+    time,
+    durationMinutes,
+    excludeAppointmentId
+  });
+
+  if (result.available) {
+    return null;
+  }
+
+  return {
+    success: false,
+    message: result.reason === 'outside-hours'
+      ? 'The requested time is outside the stylist\'s working hours'
+      : 'The stylist already has an appointment at the requested time',
+    reason: result.reason,
+    alternatives: findAlternativeSlots({
+      stylist,
+      appointments,
+      date,
+      time,
+      durationMinutes,
+      excludeAppointmentId
+    })
+  };
+};
+
+/**
+ * Compute the "HH:MM" end time of a booking
+ * @param {string} time - "HH:MM" start time
+ * @param {number} durationMinutes - Length of the booking
+ * @returns {string} - End time
+ */
+const getEndTime = (time, durationMinutes) => minutesToTime(timeToMinutes(time) + durationMinutes);
+
+/**
+ * Check whether a date and start time have been reached in a time zone
+ * @param {string} date - "YYYY-MM-DD" date
+ * @param {string} time - "HH:MM" start time
+ * @param {string} timeZone - IANA time zone (the stylist's)
+ * @returns {boolean} - True if the time is now or in the past
+ */
+const hasTimePassed = (date, time, timeZone) => {
+  const now = getZonedNow(timeZone);
+  return date < now.date || (date === now.date && timeToMinutes(time) <= now.minutes);
+};
 
 /**
  * Create a new appointment
@@ -25,24 +107,55 @@ export const createAppointment = (req, res) => {
       });
     }
 
-    // Verify stylist exists
-    const stylist = stylists.find(s => s.id === parseInt(stylistId));
-    if (!stylist) {
+    // Verify stylist exists (suspended stylists cannot be booked)
+    const stylist = stylistRepository.findById(parseInt(stylistId));
+    if (!stylist || isSuspended(stylist)) {
       return res.status(404).json({
         success: false,
         message: 'Stylist not found'
       });
     }
 
+    // Stylists can only create bookings in their own calendar
+    if (req.user && req.user.type === 'stylist' && req.user.id !== stylist.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Stylists can only create appointments for themselves.'
+      });
+    }
+
     // Use authenticated user's ID if available (from JWT token)
     // This ensures the userId matches the authenticated user
     const finalUserId = req.user && req.user.type === 'user' 
       ? req.user.id 
       : (userId ? parseInt(userId) : null);
 
-    // Generate new appointment ID
-    const maxId = appointments.length > 0 ? Math.max(...appointments.map(a => a.id)) : 0;
-    const newId = maxId + 1;
+    // Resolve requested services (IDs, { id } or { name }) against the stylist's menu
+    const requestedServices = req.body.serviceIds || req.body.services || [];
+    const { services: bookedServices, unknown } = resolveRequestedServices(stylist, requestedServices);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more selected services are not offered by this stylist',
+        field: 'services'
+      });
+    }
+    const durationMinutes = getServicesDuration(bookedServices);
+
+    // Only future times can be booked (in the stylist's time zone)
+    if (hasTimePassed(date.trim(), time.trim(), stylist.schedule?.timeZone || env.DEFAULT_TIMEZONE)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointments cannot be booked in the past',
+        field: 'date'
+      });
+    }
+
+    // Reject bookings that overlap an existing pending/confirmed appointment
+    const conflict = getBookingConflict(stylist, date.trim(), time.trim(), durationMinutes);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
 
     // Validate and set conversation preference
     const validPreferences = ['quiet', 'chat', 'no-preference'];
@@ -51,19 +164,26 @@ export const createAppointment = (req, res) => {
       ? conversationPreference.trim() 
       : 'no-preference';
     
-    // Create new appointment
+    // Create new appointment (the repository assigns the ID)
     const newAppointment = {
-      id: newId,
       stylistId: parseInt(stylistId),
       userId: finalUserId,
       purpose: purpose.trim(),
       date: date.trim(),
       time: time.trim(),
+      endTime: getEndTime(time.trim(), durationMinutes),
+      durationMinutes,
       customerName: customerName ? customerName.trim() : '',
       customerEmail: customerEmail ? customerEmail.trim().toLowerCase() : '',
       customerPhone: customerPhone ? customerPhone.trim() : '',
-      services: req.body.services || [],
+      services: bookedServices.map(service => ({
+        id: service.id,
+        name: service.name,
+        durationMinutes: service.durationMinutes,
+        ...(service.price && { price: service.price })
+      })),
       conversationPreference: finalConversationPreference,
+      cancellationPolicy: snapshotCancellationPolicy(stylist),
       status: 'pending',
       suggestedDate: null,
       suggestedTime: null,
@@ -71,13 +191,25 @@ export const createAppointment = (req, res) => {
       updatedAt: new Date().toISOString()
     };
 
-    appointments.push(newAppointment);
-    saveAppointments();
+    initializeStatus(newAppointment, { actor: req.user });
+    const createdAppointment = appointmentRepository.create(newAppointment);
+    appointmentsCreatedTotal.inc({ status: createdAppointment.status });
+    recordAudit(req, {
+      action: 'appointment.create',
+      target: { type: 'appointment', id: createdAppointment.id },
+      metadata: {
+        stylistId: createdAppointment.stylistId,
+        date: createdAppointment.date,
+        time: createdAppointment.time,
+        status: createdAppointment.status
+      }
+    });
+    publishAppointmentEvent('appointment.created', createdAppointment);
 
     res.status(201).json({
       success: true,
       message: 'Appointment booked successfully',
-      data: newAppointment
+      data: createdAppointment
     });
   } catch (error) {
     logError(error, 'createAppointment');
@@ -89,13 +221,27 @@ export const createAppointment = (req, res) => {
 };
 
 /**
- * Get appointments (optionally filtered by userId or stylistId)
+ * Get the caller's appointments (optionally filtered by userId or stylistId)
+ * Customers only see appointments they booked; stylists only see their own bookings
  */
 export const getAppointments = (req, res) => {
   try {
     const { userId, stylistId } = req.query;
+    const isStylist = req.user.type === 'stylist';
     
-    let filteredAppointments = [...appointments];
+    // Asking for someone else's records is never allowed
+    if ((!isStylist && userId && parseInt(userId) !== req.user.id) ||
+        (isStylist && stylistId && parseInt(stylistId) !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own appointments.'
+      });
+    }
+    
+    // Scope to the caller's own appointments
+    let filteredAppointments = isStylist
+      ? appointmentRepository.findByStylistId(req.user.id)
+      : appointmentRepository.findByUserId(req.user.id);
     
     // Filter by userId if provided
     if (userId) {
@@ -130,28 +276,25 @@ export const getAppointments = (req, res) => {
 };
 
 /**
- * Accept an appointment
+ * Accept an appointment (stylist)
  */
 export const acceptAppointment = (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const appointmentIndex = appointments.findIndex(a => a.id === id);
+    const appointment = req.appointment;
     
-    if (appointmentIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Appointment not found'
-      });
+    if (!canTransition(appointment.status, 'confirmed', 'stylist')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'confirmed', 'stylist'));
     }
     
-    appointments[appointmentIndex].status = 'confirmed';
-    appointments[appointmentIndex].updatedAt = new Date().toISOString();
-    saveAppointments();
+    recordTransition(appointment, 'confirmed', { actor: req.user, reason: req.body?.reason });
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.accepted', appointment);
     
     res.json({
       success: true,
       message: 'Appointment accepted',
-      data: appointments[appointmentIndex]
+      data: appointment
     });
   } catch (error) {
     logError(error, 'acceptAppointment');
@@ -163,28 +306,29 @@ export const acceptAppointment = (req, res) => {
 };
 
 /**
- * Reject an appointment
+ * Reject an appointment (stylist)
+ * Declines a request that is not confirmed yet, or cancels a confirmed appointment
  */
 export const rejectAppointment = (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const appointmentIndex = appointments.findIndex(a => a.id === id);
+    const appointment = req.appointment;
+    const nextStatus = appointment.status === 'confirmed' ? 'cancelled-by-stylist' : 'declined';
     
-    if (appointmentIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Appointment not found'
-      });
+    if (!canTransition(appointment.status, nextStatus, 'stylist')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, nextStatus, 'stylist'));
     }
     
-    appointments[appointmentIndex].status = 'cancelled';
-    appointments[appointmentIndex].updatedAt = new Date().toISOString();
-    saveAppointments();
+    appointment.suggestedDate = null;
+    appointment.suggestedTime = null;
+    recordTransition(appointment, nextStatus, { actor: req.user, reason: req.body?.reason });
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.rejected', appointment);
     
     res.json({
       success: true,
       message: 'Appointment rejected',
-      data: appointments[appointmentIndex]
+      data: appointment
     });
   } catch (error) {
     logError(error, 'rejectAppointment');
@@ -196,11 +340,10 @@ export const rejectAppointment = (req, res) => {
 };
 
 /**
- * Suggest new date/time for an appointment
+ * Suggest new date/time for an appointment (stylist)
  */
 export const suggestAppointment = (req, res) => {
   try {
-    const id = parseInt(req.params.id);
     const { suggestedDate, suggestedTime } = req.body;
     
     if (!suggestedDate || !suggestedTime) {
@@ -210,25 +353,46 @@ export const suggestAppointment = (req, res) => {
       });
     }
     
-    const appointmentIndex = appointments.findIndex(a => a.id === id);
+    const appointment = req.appointment;
     
-    if (appointmentIndex === -1) {
-      return res.status(404).json({
+    if (!canTransition(appointment.status, 'awaiting-customer', 'stylist')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'awaiting-customer', 'stylist'));
+    }
+    
+    if (hasTimePassed(suggestedDate.trim(), suggestedTime.trim(), getAppointmentTimeZone(appointment))) {
+      return res.status(400).json({
         success: false,
-        message: 'Appointment not found'
+        message: 'The suggested time has already passed',
+        field: 'suggestedDate'
       });
     }
+
+    // The suggested time must be free (ignoring this appointment's current slot)
+    const stylist = stylistRepository.findById(appointment.stylistId);
+    if (stylist) {
+      const conflict = getBookingConflict(
+        stylist,
+        suggestedDate.trim(),
+        suggestedTime.trim(),
+        appointment.durationMinutes || getServicesDuration(),
+        appointment.id
+      );
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+    }
     
-    appointments[appointmentIndex].suggestedDate = suggestedDate.trim();
-    appointments[appointmentIndex].suggestedTime = suggestedTime.trim();
-    appointments[appointmentIndex].status = 'pending'; // Keep as pending until customer accepts
-    appointments[appointmentIndex].updatedAt = new Date().toISOString();
-    saveAppointments();
+    appointment.suggestedDate = suggestedDate.trim();
+    appointment.suggestedTime = suggestedTime.trim();
+    recordTransition(appointment, 'awaiting-customer', { actor: req.user, reason: req.body.reason });
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.reschedule-suggested', appointment);
     
     res.json({
       success: true,
       message: 'Date/time suggestion sent',
-      data: appointments[appointmentIndex]
+      data: appointment
     });
   } catch (error) {
     logError(error, 'suggestAppointment');
@@ -244,18 +408,12 @@ export const suggestAppointment = (req, res) => {
  */
 export const acceptSuggestion = (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const appointmentIndex = appointments.findIndex(a => a.id === id);
+    const appointment = req.appointment;
     
-    if (appointmentIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Appointment not found'
-      });
+    if (appointment.status !== 'awaiting-customer') {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'confirmed', 'customer'));
     }
     
-    const appointment = appointments[appointmentIndex];
-    
     if (!appointment.suggestedDate || !appointment.suggestedTime) {
       return res.status(400).json({
         success: false,
@@ -263,14 +421,33 @@ export const acceptSuggestion = (req, res) => {
       });
     }
     
+    // Re-check the suggested slot: it may have been booked since it was suggested
+    const stylist = stylistRepository.findById(appointment.stylistId);
+    const durationMinutes = appointment.durationMinutes || getServicesDuration();
+    if (stylist) {
+      const conflict = getBookingConflict(
+        stylist,
+        appointment.suggestedDate,
+        appointment.suggestedTime,
+        durationMinutes,
+        appointment.id
+      );
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+    }
+    
     // Update appointment with suggested date/time
     appointment.date = appointment.suggestedDate;
     appointment.time = appointment.suggestedTime;
+    appointment.endTime = getEndTime(appointment.suggestedTime, durationMinutes);
+    appointment.durationMinutes = durationMinutes;
     appointment.suggestedDate = null;
     appointment.suggestedTime = null;
-    appointment.status = 'confirmed'; // Confirm the appointment when customer accepts
-    appointment.updatedAt = new Date().toISOString();
-    saveAppointments();
+    recordTransition(appointment, 'confirmed', { actor: req.user, reason: req.body?.reason });
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.rescheduled', appointment);
     
     res.json({
       success: true,
@@ -288,27 +465,29 @@ export const acceptSuggestion = (req, res) => {
 
 /**
  * Customer rejects suggested date/time
+ * The appointment goes back to the status it had before the suggestion
+ * (pending or confirmed) at its original date/time
  */
 export const rejectSuggestion = (req, res) => {
   try {
-    const id = parseInt(req.params.id);
-    const appointmentIndex = appointments.findIndex(a => a.id === id);
+    const appointment = req.appointment;
     
-    if (appointmentIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Appointment not found'
-      });
+    if (appointment.status !== 'awaiting-customer') {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'pending', 'customer'));
     }
     
-    const appointment = appointments[appointmentIndex];
+    const suggestionEntry = [...(appointment.history || [])]
+      .reverse()
+      .find(entry => entry.to === 'awaiting-customer' && entry.from !== 'awaiting-customer');
+    const previousStatus = suggestionEntry?.from === 'confirmed' ? 'confirmed' : 'pending';
     
     // Clear the suggestion but keep original date/time
     appointment.suggestedDate = null;
     appointment.suggestedTime = null;
-    appointment.status = 'pending'; // Keep as pending since customer rejected suggestion
-    appointment.updatedAt = new Date().toISOString();
-    saveAppointments();
+    recordTransition(appointment, previousStatus, { actor: req.user, reason: req.body?.reason });
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.suggestion-rejected', appointment);
     
     res.json({
       success: true,
@@ -323,3 +502,150 @@ export const rejectSuggestion = (req, res) => {
     });
   }
 };
+
+/**
+ * Get the time zone an appointment's date/time are expressed in (the stylist's)
+ * @param {Object} appointment - Appointment
+ * @returns {string} - IANA time zone
+ */
+const getAppointmentTimeZone = (appointment) => {
+  const stylist = stylistRepository.findById(appointment.stylistId);
+  return stylist?.schedule?.timeZone || env.DEFAULT_TIMEZONE;
+};
+
+/**
+ * Check whether an appointment's start time has passed in the stylist's time zone
+ * @param {Object} appointment - Appointment
+ * @returns {boolean} - True if the appointment has started
+ */
+const hasAppointmentStarted = (appointment) => (
+  hasTimePassed(appointment.date, appointment.time, getAppointmentTimeZone(appointment))
+);
+
+/**
+ * Mark a confirmed appointment as completed or as a no-show (stylist)
+ * @param {string} nextStatus - 'completed' or 'no-show'
+ * @param {string} successMessage - Message returned on success
+ */
+const closeAppointment = (nextStatus, successMessage) => (req, res) => {
+  try {
+    const appointment = req.appointment;
+    
+    if (!canTransition(appointment.status, nextStatus, 'stylist')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, nextStatus, 'stylist'));
+    }
+    
+    if (!hasAppointmentStarted(appointment)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This appointment has not started yet'
+      });
+    }
+    
+    recordTransition(appointment, nextStatus, { actor: req.user, reason: req.body?.reason });
+    if (nextStatus === 'no-show') {
+      appointment.noShowFee = calculateNoShowFee(appointment);
+    }
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    
+    res.json({
+      success: true,
+      message: successMessage,
+      data: appointment
+    });
+  } catch (error) {
+    logError(error, `closeAppointment:${nextStatus}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating appointment. Please try again.'
+    });
+  }
+};
+
+/**
+ * Mark an appointment as completed (stylist)
+ */
+export const completeAppointment = closeAppointment('completed', 'Appointment marked as completed');
+
+/**
+ * Mark an appointment as a no-show (stylist)
+ */
+export const markNoShow = closeAppointment('no-show', 'Appointment marked as no-show');
+
+/**
+ * Cancel an appointment (customer)
+ * Cancelling a confirmed appointment inside the notice window of the policy
+ * in force at booking time records a late-cancellation fee
+ */
+export const cancelAppointment = (req, res) => {
+  try {
+    const appointment = req.appointment;
+    
+    if (!canTransition(appointment.status, 'cancelled-by-customer', 'customer')) {
+      return res.status(409).json(illegalTransitionResponse(appointment, 'cancelled-by-customer', 'customer'));
+    }
+    
+    const fee = calculateLateCancellationFee(appointment, { timeZone: getAppointmentTimeZone(appointment) });
+    // Requests the stylist has not accepted yet can be withdrawn without a fee
+    const lateFee = appointment.status === 'confirmed'
+      ? fee
+      : { ...fee, applies: false, percent: 0, amount: null };
+    
+    recordTransition(appointment, 'cancelled-by-customer', { actor: req.user, reason: req.body?.reason });
+    appointment.suggestedDate = null;
+    appointment.suggestedTime = null;
+    appointment.cancellation = {
+      cancelledAt: appointment.updatedAt,
+      hoursBeforeStart: lateFee.hoursBeforeStart,
+      lateFee: {
+        applies: lateFee.applies,
+        noticeHours: lateFee.noticeHours,
+        percent: lateFee.percent,
+        amount: lateFee.amount
+      }
+    };
+    appointmentRepository.update(appointment);
+    recordAppointmentTransition(req, appointment);
+    publishAppointmentEvent('appointment.cancelled', appointment);
+    
+    res.json({
+      success: true,
+      message: lateFee.applies
+        ? `Appointment cancelled. A ${lateFee.percent}% late-cancellation fee applies under the stylist's ${lateFee.noticeHours}-hour cancellation policy.`
+        : 'Appointment cancelled',
+      data: appointment
+    });
+  } catch (error) {
+    logError(error, 'cancelAppointment');
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling appointment. Please try again.'
+    });
+  }
+};
+
+/**
+ * Get an appointment's status history (stylist or customer of the appointment)
+ */
+export const getAppointmentHistory = (req, res) => {
+  try {
+    const appointment = req.appointment;
+    
+    res.json({
+      success: true,
+      data: {
+        appointmentId: appointment.id,
+        status: appointment.status,
+        allowedTransitions: getAllowedTransitions(appointment.status, getActorRole(req.user)),
+        history: appointment.history || []
+      }
+    });
+  } catch (error) {
+    logError(error, 'getAppointmentHistory');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment history. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,259 @@
+import { env } from '../config/env.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { hashPassword } from '../utils/passwordUtils.js';
+import { sendMail } from '../utils/mailer.js';
+import { passwordResetEmail, passwordChangedEmail } from '../utils/emailTemplates.js';
+import { findAccountByEmail, createPasswordResetToken, resetPasswordWithToken } from '../utils/passwordReset.js';
+import { verifyEmailWithToken, sendVerificationEmail, findAuthenticatedAccount } from '../utils/emailVerification.js';
+import {
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeAccessToken,
+  findSessionId
+} from '../utils/authTokens.js';
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ */
+export const refreshTokens = (req, res) => {
+  try {
+    const { tokens, error } = rotateRefreshToken(req.body.refreshToken);
+
+    if (error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        message: 'This refresh token has already been used. For your security, this session has been logged out. Please log in again.'
+      });
+    }
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please log in again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    logError(error, 'refreshTokens');
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session. Please try again.'
+    });
+  }
+};
+
+/**
+ * Log out the current session
+ * Revokes the access token used for the request and the session's refresh tokens
+ * (the session of `refreshToken` if one is sent, otherwise the access token's session)
+ */
+export const logout = (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const sessionId = refreshToken
+      ? findSessionId(refreshToken, req.user)
+      : req.auth.sessionId;
+
+    revokeAccessToken(req.auth.tokenId, req.auth.expiresAt);
+    if (sessionId) {
+      revokeSession(sessionId);
+    }
+
+    logInfo('Logged out', { accountType: req.user.type, accountId: req.user.id });
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logError(error, 'logout');
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out. Please try again.'
+    });
+  }
+};
+
+/**
+ * Log out all devices: revoke every session of the caller's account
+ */
+export const logoutAll = (req, res) => {
+  try {
+    const sessions = revokeAllSessions(req.user.type, req.user.id);
+    revokeAccessToken(req.auth.tokenId, req.auth.expiresAt);
+
+    logInfo('Logged out all sessions', { accountType: req.user.type, accountId: req.user.id, sessions });
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked: sessions }
+    });
+  } catch (error) {
+    logError(error, 'logoutAll');
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices. Please try again.'
+    });
+  }
+};
+
+/**
+ * Request a password reset email
+ * Always answers the same way so the response does not reveal whether an account exists
+ */
+export const forgotPassword = (req, res) => {
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email, accountType = 'user' } = req.body;
+    const account = findAccountByEmail(accountType, email.trim().toLowerCase());
+
+    if (!account) {
+      logInfo('Password reset requested for unknown account', { accountType });
+      return res.json(response);
+    }
+
+    const { token } = createPasswordResetToken(accountType, account);
+    // Not awaited: the response must not take longer (or fail) only when the account exists
+    sendMail({
+      to: account.email,
+      ...passwordResetEmail({
+        name: account.name,
+        token,
+        expiresInMinutes: env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES
+      })
+    }).catch(error => logError(error, 'forgotPassword (reset email)'));
+
+    logInfo('Password reset requested', { accountType, accountId: account.id });
+    recordAudit(req, { action: `${accountType}.password.reset-request`, target: { type: accountType, id: account.id } });
+    res.json(response);
+  } catch (error) {
+    // Same answer as for unknown accounts, so a failure does not reveal that the account exists
+    logError(error, 'forgotPassword');
+    res.json(response);
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * Logs the account out everywhere, since the old password may have been compromised
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const passwordHash = await hashPassword(password.trim());
+    const result = resetPasswordWithToken(token, passwordHash);
+
+    if (!result) {
+      recordAudit(req, { action: 'password.reset', outcome: 'failure', metadata: { reason: 'invalid-or-expired-token' } });
+      return res.status(400).json({
+        success: false,
+        message: 'This password reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const { accountType, account } = result;
+    logInfo('Password reset', { accountType, accountId: account.id });
+    recordAudit(req, {
+      action: `${accountType}.password.reset`,
+      actor: { type: accountType, id: account.id },
+      target: { type: accountType, id: account.id }
+    });
+
+    // The password is already changed; a failed notification should not undo that
+    try {
+      await sendMail({ to: account.email, ...passwordChangedEmail({ name: account.name }) });
+    } catch (mailError) {
+      logError(mailError, 'resetPassword (confirmation email)');
+    }
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    logError(error, 'resetPassword');
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password. Please try again.'
+    });
+  }
+};
+
+/**
+ * Verify an email address with the token from a verification link
+ */
+export const verifyEmail = (req, res) => {
+  try {
+    const result = verifyEmailWithToken(req.body.token);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please log in and request a new one.'
+      });
+    }
+
+    const { accountType, account, alreadyVerified } = result;
+    if (!alreadyVerified) {
+      logInfo('Email verified', { accountType, accountId: account.id });
+    }
+
+    res.json({
+      success: true,
+      message: alreadyVerified ? 'Your email address is already verified.' : 'Your email address has been verified.',
+      data: { accountType, id: account.id, email: account.email, emailVerified: true }
+    });
+  } catch (error) {
+    logError(error, 'verifyEmail');
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email address. Please try again.'
+    });
+  }
+};
+
+/**
+ * Send a new verification link to the caller's email address
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const account = findAuthenticatedAccount(req.user);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified.'
+      });
+    }
+
+    await sendVerificationEmail(req.user.type, account);
+
+    res.json({
+      success: true,
+      message: `A new verification link has been sent to ${account.email}.`
+    });
+  } catch (error) {
+    logError(error, 'resendVerificationEmail');
+    res.status(500).json({
+      success: false,
+      message: 'Error sending the verification email. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,22 @@
+import { documentedMounts } from '../routes/index.js';
+import { buildOpenApiSpec } from '../utils/openapi.js';
+import { logError } from '../utils/logger.js';
+
+// Routes do not change while the server runs, so the document is built once
+let openApiSpec = null;
+
+/**
+ * OpenAPI 3.1 document describing the API
+ */
+export const getOpenApiSpec = (req, res) => {
+  try {
+    openApiSpec ??= buildOpenApiSpec(documentedMounts);
+    res.json(openApiSpec);
+  } catch (error) {
+    logError(error, 'getOpenApiSpec');
+    res.status(500).json({
+      success: false,
+      message: 'Error building the API description'
+    });
+  }
+};
@@ -0,0 +1,51 @@
+import { logError, logWarn } from '../utils/logger.js';
+import { checkReadiness } from '../utils/health.js';
+
+/**
+ * Basic health check (kept for existing monitors; same as liveness)
+ */
+export const getHealth = (req, res) => {
+  res.json({
+    status: 'OK',
+    message: 'Server is running',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Liveness probe: the process is running and answering requests
+ * Stays OK during a graceful shutdown so the process is not killed while draining
+ */
+export const getLiveness = (req, res) => {
+  res.json({
+    status: 'OK',
+    uptimeSeconds: Math.floor(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Readiness probe: the data store, uploads directory and log transports work and
+ * the server is not shutting down (503 otherwise, so load balancers stop sending traffic)
+ */
+export const getReadiness = (req, res) => {
+  try {
+    const { ready, shuttingDown, checks } = checkReadiness();
+    if (!ready && !shuttingDown) {
+      logWarn('Readiness check failed', { checks });
+    }
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'READY' : 'NOT_READY',
+      shuttingDown,
+      checks,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(error, 'getReadiness');
+    res.status(503).json({
+      status: 'NOT_READY',
+      message: 'Readiness check failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,27 @@
+import { appointmentRepository } from '../repositories/index.js';
+import { logError } from '../utils/logger.js';
+import { APPOINTMENT_STATUSES } from '../utils/appointmentStateMachine.js';
+import { appointmentsByStatus, renderMetrics, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+
+/**
+ * Metrics in the Prometheus text format
+ */
+export const getMetrics = (req, res) => {
+  try {
+    const counts = Object.fromEntries(APPOINTMENT_STATUSES.map(status => [status, 0]));
+    appointmentRepository.findAll().forEach(appointment => {
+      counts[appointment.status] = (counts[appointment.status] || 0) + 1;
+    });
+    appointmentsByStatus.reset();
+    Object.entries(counts).forEach(([status, count]) => appointmentsByStatus.set({ status }, count));
+
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics());
+  } catch (error) {
+    logError(error, 'getMetrics');
+    res.status(500).json({
+      success: false,
+      message: 'Error collecting metrics'
+    });
+  }
+};
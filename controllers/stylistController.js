@@ -1,18 +1,77 @@
-import { stylists, stylistCredentials, saveStylists, saveCredentials } from '../utils/dataStore.js';
-import { hashPassword, comparePassword, isPasswordHashed } from '../utils/passwordUtils.js';
+import { stylistRepository, appointmentRepository, credentialRepository, withTransaction } from '../repositories/index.js';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/passwordUtils.js';
+import { getLockout, recordFailedLogin, clearFailedLogins, lockedAccountResponse } from '../utils/loginLockout.js';
+import { startPasswordSetup, passwordSetupRequiredResponse } from '../utils/passwordReset.js';
 import { logError, logInfo, logDebug } from '../utils/logger.js';
+import {
+  isCurrentPassword,
+  changePassword,
+  deleteAccount,
+  isSuspended,
+  suspendedAccountResponse
+} from '../utils/accounts.js';
+import { buildPersonalDataExport } from '../utils/dataExport.js';
+import { recordAudit, recordLoginAttempt, recordAppointmentTransition } from '../utils/auditLog.js';
+import { sendMail } from '../utils/mailer.js';
+import { passwordChangedEmail } from '../utils/emailTemplates.js';
 import { env } from '../config/env.js';
-import { generateToken } from '../utils/jwtUtils.js';
+import { issueTokens } from '../utils/authTokens.js';
+import { filterStylists, sortStylists, paginate } from '../utils/stylistQuery.js';
+import { normalizePriceInput, withFormattedPrices } from '../utils/pricing.js';
+import { normalizeSchedule, parseHoursString, formatSchedule, addDays, getZonedNow } from '../utils/schedule.js';
+import { assignServiceIds, findServicesByIds, getServicesDuration } from '../utils/services.js';
+import { computeAvailableSlots } from '../utils/availability.js';
+import { normalizeCancellationTerms, parseCancellationPolicy } from '../utils/cancellationPolicy.js';
+import { isRestrictedUntilVerified, unverifiedEmailFields, sendVerificationEmail } from '../utils/emailVerification.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../utils/twoFactor.js';
+
+/**
+ * Normalize service entries from a request body
+ * (prices become structured prices, every service gets an ID and parsed duration)
+ * @param {Object[]} services - Raw services array
+ * @returns {Object[]} - Normalized services
+ */
+const normalizeServices = (services) => {
+  if (!Array.isArray(services) || services.length === 0) {
+    return [];
+  }
+  return assignServiceIds(services.filter(s => s.name && s.name.trim()).map(service => {
+    const serviceObj = {
+      id: service.id,
+      name: service.name.trim(),
+      duration: service.duration ? service.duration.trim() : ''
+    };
+    const price = normalizePriceInput(service.price);
+    if (price) {
+      serviceObj.price = price;
+    }
+    return serviceObj;
+  }));
+};
 
 /**
  * Get all stylists
+ * Supports filtering (specialty, hairTextureType, paymentType, availableNow,
+ * willingToTravel, lastMinuteBookings), sorting (sortBy, order) and
+ * pagination (page/limit or cursor/limit)
  */
 export const getAllStylists = (req, res) => {
   try {
+    const { sortBy, order } = req.query;
+
+    // Suspended stylists are never listed; stylists who have not verified their email may be hidden
+    const listedStylists = stylistRepository.findAll()
+      .filter(stylist => !isSuspended(stylist) && !isRestrictedUntilVerified('stylist', stylist, 'listing'));
+    const filteredStylists = filterStylists(listedStylists, req.query);
+    const sortedStylists = sortStylists(filteredStylists, sortBy, order);
+    const { items, pagination } = paginate(sortedStylists, req.query);
+
     res.json({
       success: true,
-      data: stylists,
-      count: stylists.length
+      data: items.map(withFormattedPrices),
+      count: items.length,
+      total: pagination.total,
+      pagination
     });
   } catch (error) {
     logError(error, 'getAllStylists');
@@ -29,9 +88,10 @@ export const getAllStylists = (req, res) => {
 export const getStylistById = (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const stylist = stylists.find(s => s.id === id);
+    const stylist = stylistRepository.findById(id);
     
-    if (!stylist) {
+    // Suspended stylists are hidden from customers
+    if (!stylist || isSuspended(stylist)) {
       return res.status(404).json({
         success: false,
         message: 'Stylist not found'
@@ -40,7 +100,7 @@ export const getStylistById = (req, res) => {
     
     res.json({
       success: true,
-      data: stylist
+      data: withFormattedPrices(stylist)
     });
   } catch (error) {
     logError(error, 'getStylistById');
@@ -75,8 +135,10 @@ export const registerStylist = async (req, res) => {
       lastMinuteBookingsAllowed,
       streetParkingAvailable,
       cancellationPolicy,
+      cancellationTerms,
       acceptedPaymentTypes,
       services,
+      schedule,
       about,
       products
     } = req.body;
@@ -137,17 +199,13 @@ export const registerStylist = async (req, res) => {
 
     // Check if email already exists
     const emailLower = email.trim().toLowerCase();
-    if (stylistCredentials.has(emailLower)) {
+    if (credentialRepository.has('stylist', emailLower)) {
       return res.status(400).json({
         success: false,
         message: 'Email already registered. Please use a different email or log in.'
       });
     }
 
-    // Generate new ID (find max ID and add 1)
-    const maxId = stylists.length > 0 ? Math.max(...stylists.map(s => s.id)) : 0;
-    const newId = maxId + 1;
-
     // Parse services if it's a JSON string
     let parsedServices = [];
     if (services) {
@@ -166,6 +224,31 @@ export const registerStylist = async (req, res) => {
         : (Array.isArray(hairTextureTypes) ? hairTextureTypes.join(', ') : '');
     }
 
+    // Parse rate into a structured price
+    const parsedRate = normalizePriceInput(rate);
+    if (!parsedRate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a price such as "$85/hour"',
+        field: 'rate'
+      });
+    }
+
+    // Use the structured schedule if provided, otherwise parse the hours text
+    const parsedSchedule = schedule ? normalizeSchedule(schedule) : parseHoursString(hours);
+    if (!parsedSchedule) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business hours must look like "Mon-Fri: 9:00 AM - 6:00 PM, Sat: 10:00 AM - 4:00 PM"',
+        field: schedule ? 'schedule' : 'hours'
+      });
+    }
+
+    // Structured cancellation terms take precedence; otherwise parse the policy text
+    const parsedCancellationTerms = cancellationTerms
+      ? normalizeCancellationTerms(cancellationTerms)
+      : parseCancellationPolicy(cancellationPolicy);
+
     // Parse accepted payment types
     let parsedAcceptedPaymentTypes = '';
     if (acceptedPaymentTypes) {
@@ -176,14 +259,15 @@ export const registerStylist = async (req, res) => {
 
     // Create new stylist object matching the data structure
     const newStylist = {
-      id: newId,
       name: name ? name.trim() : '',
-      profilePicture: profilePictureUrl || `https://i.pravatar.cc/200?img=${newId}`,
+      profilePicture: profilePictureUrl || null,
       address: address.trim(),
       email: email.trim().toLowerCase(),
+      ...unverifiedEmailFields(),
       phone: phone.trim(),
-      rate: rate.trim(),
+      rate: parsedRate,
       hours: hours.trim(),
+      schedule: parsedSchedule,
       currentAvailability: currentAvailability.trim(),
       availableNow: availableNow === true || availableNow === 'true' || false,
       willingToTravel: willingToTravel.trim(),
@@ -194,42 +278,49 @@ export const registerStylist = async (req, res) => {
       lastMinuteBookingsAllowed: lastMinuteBookingsAllowed || '',
       streetParkingAvailable: streetParkingAvailable || '',
       cancellationPolicy: cancellationPolicy || '',
+      cancellationTerms: parsedCancellationTerms,
       acceptedPaymentTypes: parsedAcceptedPaymentTypes,
-      services: Array.isArray(parsedServices) && parsedServices.length > 0
-        ? parsedServices.filter(s => s.name && s.name.trim()).map(service => {
-            const serviceObj = {
-              name: service.name.trim(),
-              duration: service.duration ? service.duration.trim() : ''
-            };
-            if (service.price && service.price.trim()) {
-              serviceObj.price = service.price.trim();
-            }
-            return serviceObj;
-          })
-        : [],
+      services: normalizeServices(parsedServices),
       about: about ? about.trim() : '',
       portfolio: portfolioUrls.length > 0
         ? portfolioUrls
         : [],
       products: Array.isArray(products) && products.length > 0
         ? products
-        : []
+        : [],
+      createdAt: new Date().toISOString()
     };
 
-    // Hash and store password in credentials map
+    // Hash the password and store it with the new account
     const hashedPassword = await hashPassword(password.trim());
-    stylistCredentials.set(emailLower, hashedPassword);
-    saveCredentials();
+    const stylist = withTransaction(() => {
+      credentialRepository.set('stylist', emailLower, hashedPassword);
+      const created = stylistRepository.create(newStylist);
+      // The default profile picture is picked by ID, which the repository assigns
+      return created.profilePicture
+        ? created
+        : stylistRepository.update({ ...created, profilePicture: `https://i.pravatar.cc/200?img=${created.id}` });
+    });
 
-    // Add to stylists array
-    stylists.push(newStylist);
-    saveStylists();
+    recordAudit(req, {
+      action: 'stylist.register',
+      actor: { type: 'stylist', id: stylist.id },
+      target: { type: 'stylist', id: stylist.id },
+      metadata: { email: stylist.email }
+    });
+
+    // The account exists either way; a failed email can be re-sent after logging in
+    try {
+      await sendVerificationEmail('stylist', stylist);
+    } catch (mailError) {
+      logError(mailError, 'registerStylist (verification email)');
+    }
 
     // Note: password is stored in stylistCredentials map, not in stylist object
     res.status(201).json({
       success: true,
-      message: 'Stylist registered successfully',
-      data: newStylist // Password is not included in stylist object
+      message: 'Stylist registered successfully. Please check your email to verify your address.',
+      data: withFormattedPrices(stylist) // Password is not included in stylist object
     });
   } catch (error) {
     logError(error, 'registerStylist');
@@ -256,35 +347,48 @@ export const loginStylist = async (req, res) => {
     }
 
     const emailLower = email.trim().toLowerCase();
-    const storedPassword = stylistCredentials.get(emailLower);
+    const storedPassword = credentialRepository.get('stylist', emailLower);
 
-    // Check if email exists
-    if (!storedPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // Locked accounts are rejected before the password is checked
+    const lockout = getLockout('stylist', emailLower);
+    if (lockout.locked) {
+      recordLoginAttempt(req, 'stylist', emailLower, 'failure', 'locked');
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json(lockedAccountResponse(lockout));
     }
 
-    // Compare password (handles both hashed and plain text for backward compatibility)
-    const passwordMatch = await comparePassword(password.trim(), storedPassword);
+    // Accounts without a password yet are sent a link to set one
+    if (!storedPassword && await startPasswordSetup('stylist', emailLower)) {
+      recordLoginAttempt(req, 'stylist', emailLower, 'failure', 'password-setup-required');
+      return res.status(403).json(passwordSetupRequiredResponse);
+    }
+
+    // Compare password; unknown emails are checked against a dummy hash
+    // so they take as long as wrong passwords
+    const passwordMatch = await verifyPassword(password.trim(), storedPassword);
     
     if (!passwordMatch) {
+      // Unknown emails are counted too, so a lockout does not reveal whether the account exists
+      const failure = recordFailedLogin('stylist', emailLower);
+      recordLoginAttempt(req, 'stylist', emailLower, 'failure', 'invalid-credentials');
+      if (failure?.locked) {
+        res.set('Retry-After', String(failure.retryAfterSeconds));
+        return res.status(429).json(lockedAccountResponse(failure));
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // If password was plain text, hash it now for future logins (migration)
-    if (!isPasswordHashed(storedPassword)) {
+    // Replace plain text passwords and hashes weaker than BCRYPT_ROUNDS
+    if (needsRehash(storedPassword)) {
       const hashedPassword = await hashPassword(password.trim());
-      stylistCredentials.set(emailLower, hashedPassword);
-      saveCredentials();
+      credentialRepository.set('stylist', emailLower, hashedPassword);
     }
 
     // Find the stylist by email
-    const stylist = stylists.find(s => s.email.toLowerCase() === emailLower);
+    const stylist = stylistRepository.findByEmail(emailLower);
 
     if (!stylist) {
       return res.status(404).json({
@@ -293,19 +397,37 @@ export const loginStylist = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
+    if (isSuspended(stylist)) {
+      recordLoginAttempt(req, 'stylist', emailLower, 'failure', 'suspended');
+      return res.status(403).json(suspendedAccountResponse);
+    }
+
+    // With 2FA on, the password only earns a challenge for POST /api/stylists/login/2fa
+    if (isTwoFactorEnabled(emailLower)) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in',
+        twoFactorRequired: true,
+        ...createLoginChallenge(stylist)
+      });
+    }
+
+    clearFailedLogins('stylist', emailLower);
+    recordLoginAttempt(req, 'stylist', emailLower, 'success');
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = issueTokens({
       id: stylist.id,
       email: stylist.email,
       type: 'stylist'
     });
 
-    // Return stylist data with token (without password)
+    // Return stylist data with tokens (without password)
     res.json({
       success: true,
       message: 'Login successful',
-      data: stylist,
-      token: token
+      data: withFormattedPrices(stylist),
+      ...tokens
     });
   } catch (error) {
     logError(error, 'loginStylist');
@@ -319,14 +441,14 @@ export const loginStylist = async (req, res) => {
 /**
  * Update a stylist's profile
  */
-export const updateStylist = (req, res) => {
+export const updateStylist = async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     logDebug(`PUT /api/stylists/${id} - Updating stylist profile`, { body: req.body });
     
-    const stylistIndex = stylists.findIndex(s => s.id === id);
+    const existingStylist = stylistRepository.findById(id);
     
-    if (stylistIndex === -1) {
+    if (!existingStylist) {
       logDebug(`Stylist with ID ${id} not found`);
       return res.status(404).json({
         success: false,
@@ -334,7 +456,7 @@ export const updateStylist = (req, res) => {
       });
     }
     
-    logDebug(`Found stylist at index ${stylistIndex}`, { name: stylists[stylistIndex].name });
+    logDebug(`Found stylist ${id}`, { name: existingStylist.name });
 
     const {
       name,
@@ -354,21 +476,56 @@ export const updateStylist = (req, res) => {
       lastMinuteBookingsAllowed,
       streetParkingAvailable,
       cancellationPolicy,
+      cancellationTerms,
       acceptedPaymentTypes,
       services,
+      schedule,
       about,
       portfolio,
       products
     } = req.body;
 
-    // Get existing stylist
-    const existingStylist = stylists[stylistIndex];
+    // A structured schedule takes precedence; otherwise re-parse changed hours text,
+    // keeping the stylist's time zone and breaks
+    let updatedSchedule;
+    if (schedule !== undefined) {
+      updatedSchedule = normalizeSchedule(schedule);
+    } else if (hours) {
+      const parsed = parseHoursString(hours, existingStylist.schedule?.timeZone);
+      updatedSchedule = parsed && { ...parsed, breaks: existingStylist.schedule?.breaks || {} };
+    }
+
+    // Structured cancellation terms take precedence (null removes them);
+    // otherwise re-parse changed policy text
+    let updatedCancellationTerms;
+    if (cancellationTerms !== undefined) {
+      updatedCancellationTerms = cancellationTerms === null ? null : normalizeCancellationTerms(cancellationTerms);
+    } else if (cancellationPolicy !== undefined) {
+      updatedCancellationTerms = parseCancellationPolicy(cancellationPolicy);
+    }
+    
+    // A new email address has to be verified again
+    const emailChanged = Boolean(email) && email.trim().toLowerCase() !== existingStylist.email.toLowerCase();
+
+    // Taking another account's email would also take over its credentials
+    if (emailChanged) {
+      const newEmail = email.trim().toLowerCase();
+      const owner = stylistRepository.findByEmail(newEmail);
+      if ((owner && owner.id !== existingStylist.id) || credentialRepository.has('stylist', newEmail)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered. Please use a different email or log in.',
+          field: 'email'
+        });
+      }
+    }
     
     // Update only provided fields (allow partial updates)
     const updatedStylist = {
       ...existingStylist,
       ...(name && { name: name.trim() }),
       ...(email && { email: email.trim().toLowerCase() }),
+      ...(emailChanged && unverifiedEmailFields()),
       ...(phone && { phone: phone.trim() }),
       ...(address && { address: address.trim() }),
       ...(profilePicture && { profilePicture }),
@@ -379,8 +536,10 @@ export const updateStylist = (req, res) => {
           : (Array.isArray(hairTextureTypes) ? hairTextureTypes.join(', ') : existingStylist.hairTextureTypes)
       }),
       ...(yearsOfExperience && { yearsOfExperience: yearsOfExperience.trim() }),
-      ...(rate && { rate: rate.trim() }),
+      ...(rate && { rate: normalizePriceInput(rate) }),
       ...(hours && { hours: hours.trim() }),
+      ...(updatedSchedule && { schedule: updatedSchedule }),
+      ...(schedule !== undefined && !hours && updatedSchedule && { hours: formatSchedule(updatedSchedule) }),
       ...(currentAvailability && { currentAvailability: currentAvailability.trim() }),
       ...(availableNow !== undefined && { availableNow: availableNow === true || availableNow === 'true' }),
       ...(willingToTravel && { willingToTravel: willingToTravel.trim() }),
@@ -388,24 +547,14 @@ export const updateStylist = (req, res) => {
       ...(lastMinuteBookingsAllowed !== undefined && { lastMinuteBookingsAllowed: lastMinuteBookingsAllowed || '' }),
       ...(streetParkingAvailable !== undefined && { streetParkingAvailable: streetParkingAvailable || '' }),
       ...(cancellationPolicy !== undefined && { cancellationPolicy: cancellationPolicy || '' }),
+      ...(updatedCancellationTerms !== undefined && { cancellationTerms: updatedCancellationTerms }),
       ...(acceptedPaymentTypes !== undefined && {
         acceptedPaymentTypes: typeof acceptedPaymentTypes === 'string'
           ? acceptedPaymentTypes.trim()
           : (Array.isArray(acceptedPaymentTypes) ? acceptedPaymentTypes.join(', ') : existingStylist.acceptedPaymentTypes)
       }),
       ...(services !== undefined && {
-        services: Array.isArray(services) && services.length > 0
-          ? services.filter(s => s.name && s.name.trim()).map(service => {
-              const serviceObj = {
-                name: service.name.trim(),
-                duration: service.duration ? service.duration.trim() : ''
-              };
-              if (service.price && service.price.trim()) {
-                serviceObj.price = service.price.trim();
-              }
-              return serviceObj;
-            })
-          : []
+        services: normalizeServices(services)
       }),
       ...(about !== undefined && { about: about ? about.trim() : '' }),
       ...(portfolio !== undefined && {
@@ -416,26 +565,47 @@ export const updateStylist = (req, res) => {
       })
     };
 
-    // Update the stylist in the array
-    stylists[stylistIndex] = updatedStylist;
-    saveStylists();
+    withTransaction(() => {
+      stylistRepository.update(updatedStylist);
 
-    // If email changed, update credentials map key (but keep same password hash)
-    if (email && email.trim().toLowerCase() !== existingStylist.email.toLowerCase()) {
-      const oldEmail = existingStylist.email.toLowerCase();
-      const newEmail = email.trim().toLowerCase();
-      if (stylistCredentials.has(oldEmail)) {
-        const passwordHash = stylistCredentials.get(oldEmail);
-        stylistCredentials.delete(oldEmail);
-        stylistCredentials.set(newEmail, passwordHash);
-        saveCredentials();
+      // If email changed, move the credentials to the new email (same password hash and 2FA settings)
+      if (emailChanged) {
+        const oldEmail = existingStylist.email.toLowerCase();
+        const newEmail = email.trim().toLowerCase();
+        const passwordHash = credentialRepository.get('stylist', oldEmail);
+        if (passwordHash) {
+          credentialRepository.delete('stylist', oldEmail);
+          credentialRepository.set('stylist', newEmail, passwordHash);
+        }
+        const twoFactor = credentialRepository.getTwoFactor('stylist', oldEmail);
+        if (twoFactor) {
+          credentialRepository.deleteTwoFactor('stylist', oldEmail);
+          credentialRepository.setTwoFactor('stylist', newEmail, twoFactor);
+        }
+      }
+    });
+
+    recordAudit(req, {
+      action: 'stylist.update',
+      target: { type: 'stylist', id },
+      before: existingStylist,
+      after: updatedStylist
+    });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail('stylist', updatedStylist);
+      } catch (mailError) {
+        logError(mailError, 'updateStylist (verification email)');
       }
     }
 
     res.json({
       success: true,
-      message: 'Stylist profile updated successfully',
-      data: updatedStylist
+      message: emailChanged
+        ? 'Stylist profile updated successfully. Please check your email to verify your new address.'
+        : 'Stylist profile updated successfully',
+      data: withFormattedPrices(updatedStylist)
     });
   } catch (error) {
     logError(error, 'updateStylist');
@@ -445,3 +615,215 @@ export const updateStylist = (req, res) => {
     });
   }
 };
+
+/**
+ * Change a stylist's password (requires the current password)
+ * Other sessions are logged out; the current one stays logged in
+ */
+export const changeStylistPassword = async (req, res) => {
+  try {
+    const stylist = stylistRepository.findById(parseInt(req.params.id));
+    if (!stylist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    if (!(await isCurrentPassword('stylist', stylist, currentPassword))) {
+      recordAudit(req, {
+        action: 'stylist.password.change',
+        outcome: 'failure',
+        target: { type: 'stylist', id: stylist.id },
+        metadata: { reason: 'incorrect-current-password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    if (newPassword.trim() === String(currentPassword).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new password must be different from the current one'
+      });
+    }
+
+    const passwordHash = await hashPassword(newPassword.trim());
+    const sessionsRevoked = changePassword('stylist', stylist, passwordHash, req.auth?.sessionId);
+    logInfo('Password changed', { accountType: 'stylist', accountId: stylist.id, sessionsRevoked });
+    recordAudit(req, {
+      action: 'stylist.password.change',
+      target: { type: 'stylist', id: stylist.id },
+      metadata: { sessionsRevoked }
+    });
+
+    // The password is already changed; a failed notification should not undo that
+    try {
+      await sendMail({ to: stylist.email, ...passwordChangedEmail({ name: stylist.name }) });
+    } catch (mailError) {
+      logError(mailError, 'changeStylistPassword (confirmation email)');
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.'
+    });
+  } catch (error) {
+    logError(error, 'changeStylistPassword');
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password. Please try again.'
+    });
+  }
+};
+
+/**
+ * Delete a stylist's account (requires the current password)
+ */
+export const deleteStylist = async (req, res) => {
+  try {
+    const stylist = stylistRepository.findById(parseInt(req.params.id));
+    if (!stylist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+
+    if (!(await isCurrentPassword('stylist', stylist, req.body.password))) {
+      recordAudit(req, {
+        action: 'stylist.delete',
+        outcome: 'failure',
+        target: { type: 'stylist', id: stylist.id },
+        metadata: { reason: 'incorrect-password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const { closedAppointments, ...result } = await deleteAccount('stylist', stylist);
+    logInfo('Account deleted', { accountType: 'stylist', accountId: stylist.id, ...result });
+    closedAppointments.forEach(appointment => recordAppointmentTransition(req, appointment));
+    recordAudit(req, {
+      action: 'stylist.delete',
+      target: { type: 'stylist', id: stylist.id },
+      metadata: result
+    });
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    logError(error, 'deleteStylist');
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account. Please try again.'
+    });
+  }
+};
+
+/**
+ * Download everything stored about a stylist (ZIP archive with data.json and uploaded images)
+ */
+export const exportStylistData = async (req, res) => {
+  try {
+    const stylist = stylistRepository.findById(parseInt(req.params.id));
+    if (!stylist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+
+    const { filename, archive } = await buildPersonalDataExport('stylist', stylist);
+    logInfo('Personal data exported', { accountType: 'stylist', accountId: stylist.id });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    logError(error, 'exportStylistData');
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting your data. Please try again.'
+    });
+  }
+};
+
+/**
+ * Get bookable slots for a stylist
+ * Slots come from the stylist's weekly schedule minus breaks and existing
+ * pending/confirmed appointments. Query: from, to (YYYY-MM-DD), serviceIds (comma separated)
+ */
+export const getStylistAvailability = (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const stylist = stylistRepository.findById(id);
+
+    if (!stylist || isSuspended(stylist)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+
+    if (!stylist.schedule) {
+      return res.status(409).json({
+        success: false,
+        message: 'This stylist has not set up their working hours yet'
+      });
+    }
+
+    const serviceIds = req.query.serviceIds
+      ? String(req.query.serviceIds).split(',').map(value => parseInt(value, 10))
+      : [];
+    const { services, missingIds } = findServicesByIds(stylist, serviceIds);
+    if (missingIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown service ID(s) for this stylist: ${missingIds.join(', ')}`,
+        field: 'serviceIds'
+      });
+    }
+
+    const from = req.query.from || getZonedNow(stylist.schedule.timeZone).date;
+    const to = req.query.to || addDays(from, 6);
+    const durationMinutes = getServicesDuration(services);
+
+    const slots = computeAvailableSlots({
+      stylist,
+      appointments: appointmentRepository.findByStylistId(stylist.id),
+      from,
+      to,
+      durationMinutes
+    });
+
+    res.json({
+      success: true,
+      data: {
+        stylistId: stylist.id,
+        timeZone: stylist.schedule.timeZone,
+        from,
+        to,
+        serviceIds,
+        durationMinutes,
+        slots
+      },
+      count: slots.length
+    });
+  } catch (error) {
+    logError(error, 'getStylistAvailability');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching availability. Please try again.'
+    });
+  }
+};
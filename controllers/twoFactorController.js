@@ -0,0 +1,308 @@
+import { stylistRepository } from '../repositories/index.js';
+import { isCurrentPassword, isSuspended, suspendedAccountResponse } from '../utils/accounts.js';
+import { logError, logInfo, logWarn } from '../utils/logger.js';
+import { issueTokens } from '../utils/authTokens.js';
+import { recordAudit, recordLoginAttempt } from '../utils/auditLog.js';
+import { getLockout, recordFailedLogin, clearFailedLogins, lockedAccountResponse } from '../utils/loginLockout.js';
+import { withFormattedPrices } from '../utils/pricing.js';
+import {
+  getTwoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifyLoginChallenge,
+  consumeLoginChallenge
+} from '../utils/twoFactor.js';
+
+// Response for changing 2FA settings that are not turned on
+const notEnabledResponse = {
+  success: false,
+  message: 'Two-factor authentication is not enabled'
+};
+
+/**
+ * Load the stylist in req.params.id (ownership is checked by the route)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Object|null} - Stylist, or null after sending a 404
+ */
+const findStylistOr404 = (req, res) => {
+  const stylist = stylistRepository.findById(parseInt(req.params.id));
+  if (!stylist) {
+    res.status(404).json({
+      success: false,
+      message: 'Stylist not found'
+    });
+    return null;
+  }
+  return stylist;
+};
+
+/**
+ * Second login step: exchange a challenge token and a code for a session
+ */
+export const loginStylistTwoFactor = (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = verifyLoginChallenge(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in with your email and password again.'
+      });
+    }
+
+    const stylist = stylistRepository.findById(challenge.id);
+    if (!stylist || stylist.email.toLowerCase() !== challenge.email) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please log in with your email and password again.'
+      });
+    }
+
+    // The account may have been suspended since the password step
+    if (isSuspended(stylist)) {
+      recordLoginAttempt(req, 'stylist', challenge.email, 'failure', 'suspended', 'stylist.login.2fa');
+      return res.status(403).json(suspendedAccountResponse);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockout = getLockout('stylist', stylist.email);
+    if (lockout.locked) {
+      recordLoginAttempt(req, 'stylist', challenge.email, 'failure', 'locked', 'stylist.login.2fa');
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json(lockedAccountResponse(lockout));
+    }
+
+    const result = verifySecondFactor(stylist.email, { code, recoveryCode });
+    if (!result) {
+      logWarn('Failed two-factor login', { stylistId: stylist.id });
+      const failure = recordFailedLogin('stylist', stylist.email);
+      recordLoginAttempt(req, 'stylist', challenge.email, 'failure', 'invalid-code', 'stylist.login.2fa');
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfterSeconds));
+        return res.status(429).json(lockedAccountResponse(failure));
+      }
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    consumeLoginChallenge(challenge);
+    clearFailedLogins('stylist', stylist.email);
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = issueTokens({
+      id: stylist.id,
+      email: stylist.email,
+      type: 'stylist'
+    });
+
+    logInfo('Two-factor login', { stylistId: stylist.id, method: result.method });
+    recordLoginAttempt(req, 'stylist', challenge.email, 'success', null, 'stylist.login.2fa');
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: withFormattedPrices(stylist),
+      ...tokens,
+      ...(result.method === 'recovery-code' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
+    });
+  } catch (error) {
+    logError(error, 'loginStylistTwoFactor');
+    res.status(500).json({
+      success: false,
+      message: 'Error during login. Please try again.'
+    });
+  }
+};
+
+/**
+ * Get a stylist's two-factor status
+ */
+export const getStylistTwoFactor = (req, res) => {
+  try {
+    const stylist = findStylistOr404(req, res);
+    if (!stylist) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: getTwoFactorStatus(stylist.email)
+    });
+  } catch (error) {
+    logError(error, 'getStylistTwoFactor');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching two-factor settings. Please try again.'
+    });
+  }
+};
+
+/**
+ * Start two-factor enrollment: returns the secret and the otpauth:// URI for a QR code
+ */
+export const setupStylistTwoFactor = async (req, res) => {
+  try {
+    const stylist = findStylistOr404(req, res);
+    if (!stylist) {
+      return;
+    }
+
+    if (!(await isCurrentPassword('stylist', stylist, req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const enrollment = startTwoFactorEnrollment(stylist);
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled. Disable it first to set up a new authenticator.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app.',
+      data: enrollment
+    });
+  } catch (error) {
+    logError(error, 'setupStylistTwoFactor');
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication. Please try again.'
+    });
+  }
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app; returns the recovery codes once
+ */
+export const enableStylistTwoFactor = (req, res) => {
+  try {
+    const stylist = findStylistOr404(req, res);
+    if (!stylist) {
+      return;
+    }
+
+    const { recoveryCodes, error } = confirmTwoFactorEnrollment(stylist, req.body.code);
+    if (error === 'not-started') {
+      return res.status(409).json({
+        success: false,
+        message: 'Start two-factor setup first.'
+      });
+    }
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code. Check that your device clock is correct and try again.'
+      });
+    }
+
+    logInfo('Two-factor authentication enabled', { stylistId: stylist.id });
+    recordAudit(req, { action: 'stylist.2fa.enable', target: { type: 'stylist', id: stylist.id } });
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Store these recovery codes somewhere safe; each works once and they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logError(error, 'enableStylistTwoFactor');
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication. Please try again.'
+    });
+  }
+};
+
+/**
+ * Turn two-factor authentication off (password plus a code or recovery code)
+ */
+export const disableStylistTwoFactor = async (req, res) => {
+  try {
+    const stylist = findStylistOr404(req, res);
+    if (!stylist) {
+      return;
+    }
+
+    if (!getTwoFactorStatus(stylist.email).enabled) {
+      return res.status(409).json(notEnabledResponse);
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    if (!(await isCurrentPassword('stylist', stylist, password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!verifySecondFactor(stylist.email, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    disableTwoFactor(stylist.email);
+
+    logInfo('Two-factor authentication disabled', { stylistId: stylist.id });
+    recordAudit(req, { action: 'stylist.2fa.disable', target: { type: 'stylist', id: stylist.id } });
+    res.json({
+      success: true,
+      message: 'Two-factor authentication has been turned off'
+    });
+  } catch (error) {
+    logError(error, 'disableStylistTwoFactor');
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication. Please try again.'
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a current authenticator code)
+ */
+export const regenerateStylistRecoveryCodes = (req, res) => {
+  try {
+    const stylist = findStylistOr404(req, res);
+    if (!stylist) {
+      return;
+    }
+
+    if (!getTwoFactorStatus(stylist.email).enabled) {
+      return res.status(409).json(notEnabledResponse);
+    }
+
+    if (!verifySecondFactor(stylist.email, { code: req.body.code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(stylist.email);
+
+    logInfo('Two-factor recovery codes regenerated', { stylistId: stylist.id });
+    recordAudit(req, { action: 'stylist.2fa.recovery-codes', target: { type: 'stylist', id: stylist.id } });
+    res.json({
+      success: true,
+      message: 'New recovery codes created; the old ones no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logError(error, 'regenerateStylistRecoveryCodes');
+    res.status(500).json({
+      success: false,
+      message: 'Error creating recovery codes. Please try again.'
+    });
+  }
+};
@@ -1,7 +1,29 @@
-import { users, userCredentials, saveUsers, saveCredentials, recentlyViewed, saveRecentlyViewed, stylists } from '../utils/dataStore.js';
-import { hashPassword, comparePassword, isPasswordHashed } from '../utils/passwordUtils.js';
-import { logError } from '../utils/logger.js';
-import { generateToken } from '../utils/jwtUtils.js';
+import {
+  userRepository,
+  credentialRepository,
+  recentlyViewedRepository,
+  stylistRepository,
+  withTransaction
+} from '../repositories/index.js';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/passwordUtils.js';
+import { getLockout, recordFailedLogin, clearFailedLogins, lockedAccountResponse } from '../utils/loginLockout.js';
+import { startPasswordSetup, passwordSetupRequiredResponse } from '../utils/passwordReset.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { issueTokens } from '../utils/authTokens.js';
+import {
+  isCurrentPassword,
+  changePassword,
+  deleteAccount,
+  isSuspended,
+  suspendedAccountResponse
+} from '../utils/accounts.js';
+import { buildPersonalDataExport } from '../utils/dataExport.js';
+import { recordAudit, recordLoginAttempt, recordAppointmentTransition } from '../utils/auditLog.js';
+import { publishAppointmentEvent } from '../utils/webhooks.js';
+import { sendMail } from '../utils/mailer.js';
+import { passwordChangedEmail } from '../utils/emailTemplates.js';
+import { withFormattedPrices } from '../utils/pricing.js';
+import { unverifiedEmailFields, sendVerificationEmail } from '../utils/emailVerification.js';
 
 /**
  * Register a new user/customer
@@ -73,7 +95,7 @@ export const registerUser = async (req, res) => {
 
     // Check if email already exists
     const emailLower = email.trim().toLowerCase();
-    if (userCredentials.has(emailLower)) {
+    if (credentialRepository.has('user', emailLower)) {
       return res.status(400).json({
         success: false,
         message: 'This email address is already registered. Please use a different email or try logging in instead.',
@@ -82,34 +104,43 @@ export const registerUser = async (req, res) => {
       });
     }
 
-    // Generate new user ID
-    const maxId = users.length > 0 ? Math.max(...users.map(u => u.id || 0)) : 0;
-    const newId = maxId + 1;
-
-    // Create new user object
-    const newUser = {
-      id: newId,
+    // Create new user object (the repository assigns the ID)
+    const userData = {
       name: name.trim(),
       email: emailLower,
+      ...unverifiedEmailFields(),
       phone: phone.trim(),
       address: address ? address.trim() : '',
       preferences: preferences || '',
-      preferencesArray: preferences ? preferences.split(',').map(p => p.trim()).filter(p => p) : []
+      preferencesArray: preferences ? preferences.split(',').map(p => p.trim()).filter(p => p) : [],
+      createdAt: new Date().toISOString()
     };
 
-    // Hash and store password in credentials map
+    // Hash the password and store it with the new account
     const hashedPassword = await hashPassword(password.trim());
-    userCredentials.set(emailLower, hashedPassword);
-    saveCredentials();
+    const newUser = withTransaction(() => {
+      credentialRepository.set('user', emailLower, hashedPassword);
+      return userRepository.create(userData);
+    });
 
-    // Add to users array
-    users.push(newUser);
-    saveUsers();
+    recordAudit(req, {
+      action: 'user.register',
+      actor: { type: 'user', id: newUser.id },
+      target: { type: 'user', id: newUser.id },
+      metadata: { email: newUser.email }
+    });
+
+    // The account exists either way; a failed email can be re-sent after logging in
+    try {
+      await sendVerificationEmail('user', newUser);
+    } catch (mailError) {
+      logError(mailError, 'registerUser (verification email)');
+    }
 
     // Return user data without password
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: newUser
     });
   } catch (error) {
@@ -157,35 +188,48 @@ export const loginUser = async (req, res) => {
     }
 
     const emailLower = email.trim().toLowerCase();
-    const storedPassword = userCredentials.get(emailLower);
+    const storedPassword = credentialRepository.get('user', emailLower);
+
+    // Locked accounts are rejected before the password is checked
+    const lockout = getLockout('user', emailLower);
+    if (lockout.locked) {
+      recordLoginAttempt(req, 'user', emailLower, 'failure', 'locked');
+      res.set('Retry-After', String(lockout.retryAfterSeconds));
+      return res.status(429).json(lockedAccountResponse(lockout));
+    }
 
-    // Check if email exists
-    if (!storedPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // Accounts without a password yet are sent a link to set one
+    if (!storedPassword && await startPasswordSetup('user', emailLower)) {
+      recordLoginAttempt(req, 'user', emailLower, 'failure', 'password-setup-required');
+      return res.status(403).json(passwordSetupRequiredResponse);
     }
 
-    // Compare password (handles both hashed and plain text for backward compatibility)
-    const passwordMatch = await comparePassword(password.trim(), storedPassword);
+    // Compare password; unknown emails are checked against a dummy hash
+    // so they take as long as wrong passwords
+    const passwordMatch = await verifyPassword(password.trim(), storedPassword);
     
     if (!passwordMatch) {
+      // Unknown emails are counted too, so a lockout does not reveal whether the account exists
+      const failure = recordFailedLogin('user', emailLower);
+      recordLoginAttempt(req, 'user', emailLower, 'failure', 'invalid-credentials');
+      if (failure?.locked) {
+        res.set('Retry-After', String(failure.retryAfterSeconds));
+        return res.status(429).json(lockedAccountResponse(failure));
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // If password was plain text, hash it now for future logins (migration)
-    if (!isPasswordHashed(storedPassword)) {
+    // Replace plain text passwords and hashes weaker than BCRYPT_ROUNDS
+    if (needsRehash(storedPassword)) {
       const hashedPassword = await hashPassword(password.trim());
-      userCredentials.set(emailLower, hashedPassword);
-      saveCredentials();
+      credentialRepository.set('user', emailLower, hashedPassword);
     }
 
     // Find the user by email
-    const user = users.find(u => u.email.toLowerCase() === emailLower);
+    const user = userRepository.findByEmail(emailLower);
 
     if (!user) {
       return res.status(404).json({
@@ -194,19 +238,27 @@ export const loginUser = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
+    if (isSuspended(user)) {
+      recordLoginAttempt(req, 'user', emailLower, 'failure', 'suspended');
+      return res.status(403).json(suspendedAccountResponse);
+    }
+
+    clearFailedLogins('user', emailLower);
+    recordLoginAttempt(req, 'user', emailLower, 'success');
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = issueTokens({
       id: user.id,
       email: user.email,
       type: 'user'
     });
 
-    // Return user data with token (without password)
+    // Return user data with tokens (without password)
     res.json({
       success: true,
       message: 'Login successful',
       data: user,
-      token: token
+      ...tokens
     });
   } catch (error) {
     logError(error, 'loginUser');
@@ -220,12 +272,12 @@ export const loginUser = async (req, res) => {
 /**
  * Update a user's profile
  */
-export const updateUser = (req, res) => {
+export const updateUser = async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const userIndex = users.findIndex(u => u.id === id);
+    const existingUser = userRepository.findById(id);
     
-    if (userIndex === -1) {
+    if (!existingUser) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -240,14 +292,28 @@ export const updateUser = (req, res) => {
       preferences
     } = req.body;
 
-    // Get existing user
-    const existingUser = users[userIndex];
-    
+    // A new email address has to be verified again
+    const emailChanged = Boolean(email) && email.trim().toLowerCase() !== existingUser.email.toLowerCase();
+
+    // Taking another account's email would also take over its credentials
+    if (emailChanged) {
+      const newEmail = email.trim().toLowerCase();
+      const owner = userRepository.findByEmail(newEmail);
+      if ((owner && owner.id !== existingUser.id) || credentialRepository.has('user', newEmail)) {
+        return res.status(409).json({
+          success: false,
+          message: 'This email address is already registered. Please use a different email or try logging in instead.',
+          field: 'email'
+        });
+      }
+    }
+
     // Update only provided fields (allow partial updates)
     const updatedUser = {
       ...existingUser,
       ...(name && { name: name.trim() }),
       ...(email && { email: email.trim().toLowerCase() }),
+      ...(emailChanged && unverifiedEmailFields()),
       ...(phone && { phone: phone.trim() }),
       ...(address !== undefined && { address: address ? address.trim() : '' }),
       ...(preferences !== undefined && { 
@@ -256,25 +322,41 @@ export const updateUser = (req, res) => {
       })
     };
 
-    // Update the user in the array
-    users[userIndex] = updatedUser;
-    saveUsers();
+    withTransaction(() => {
+      userRepository.update(updatedUser);
+
+      // If email changed, move the credentials to the new email (same password hash)
+      if (emailChanged) {
+        const oldEmail = existingUser.email.toLowerCase();
+        const newEmail = email.trim().toLowerCase();
+        const passwordHash = credentialRepository.get('user', oldEmail);
+        if (passwordHash) {
+          credentialRepository.delete('user', oldEmail);
+          credentialRepository.set('user', newEmail, passwordHash);
+        }
+      }
+    });
 
-    // If email changed, update credentials map key (but keep same password hash)
-    if (email && email.trim().toLowerCase() !== existingUser.email.toLowerCase()) {
-      const oldEmail = existingUser.email.toLowerCase();
-      const newEmail = email.trim().toLowerCase();
-      if (userCredentials.has(oldEmail)) {
-        const passwordHash = userCredentials.get(oldEmail);
-        userCredentials.delete(oldEmail);
-        userCredentials.set(newEmail, passwordHash);
-        saveCredentials();
+    recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'user', id },
+      before: existingUser,
+      after: updatedUser
+    });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail('user', updatedUser);
+      } catch (mailError) {
+        logError(mailError, 'updateUser (verification email)');
       }
     }
 
     res.json({
       success: true,
-      message: 'User profile updated successfully',
+      message: emailChanged
+        ? 'User profile updated successfully. Please check your email to verify your new address.'
+        : 'User profile updated successfully',
       data: updatedUser
     });
   } catch (error) {
@@ -286,6 +368,151 @@ export const updateUser = (req, res) => {
   }
 };
 
+/**
+ * Change a user's password (requires the current password)
+ * Other sessions are logged out; the current one stays logged in
+ */
+export const changeUserPassword = async (req, res) => {
+  try {
+    const user = userRepository.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    if (!(await isCurrentPassword('user', user, currentPassword))) {
+      recordAudit(req, {
+        action: 'user.password.change',
+        outcome: 'failure',
+        target: { type: 'user', id: user.id },
+        metadata: { reason: 'incorrect-current-password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    if (newPassword.trim() === String(currentPassword).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new password must be different from the current one'
+      });
+    }
+
+    const passwordHash = await hashPassword(newPassword.trim());
+    const sessionsRevoked = changePassword('user', user, passwordHash, req.auth?.sessionId);
+    logInfo('Password changed', { accountType: 'user', accountId: user.id, sessionsRevoked });
+    recordAudit(req, {
+      action: 'user.password.change',
+      target: { type: 'user', id: user.id },
+      metadata: { sessionsRevoked }
+    });
+
+    // The password is already changed; a failed notification should not undo that
+    try {
+      await sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) });
+    } catch (mailError) {
+      logError(mailError, 'changeUserPassword (confirmation email)');
+    }
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been logged out.'
+    });
+  } catch (error) {
+    logError(error, 'changeUserPassword');
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password. Please try again.'
+    });
+  }
+};
+
+/**
+ * Delete a user's account (requires the current password)
+ */
+export const deleteUser = async (req, res) => {
+  try {
+    const user = userRepository.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await isCurrentPassword('user', user, req.body.password))) {
+      recordAudit(req, {
+        action: 'user.delete',
+        outcome: 'failure',
+        target: { type: 'user', id: user.id },
+        metadata: { reason: 'incorrect-password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    const { closedAppointments, ...result } = await deleteAccount('user', user);
+    logInfo('Account deleted', { accountType: 'user', accountId: user.id, ...result });
+    closedAppointments.forEach(appointment => {
+      recordAppointmentTransition(req, appointment);
+      publishAppointmentEvent('appointment.cancelled', appointment);
+    });
+    recordAudit(req, {
+      action: 'user.delete',
+      target: { type: 'user', id: user.id },
+      metadata: result
+    });
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    logError(error, 'deleteUser');
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account. Please try again.'
+    });
+  }
+};
+
+/**
+ * Download everything stored about a user (ZIP archive with data.json and uploaded images)
+ */
+export const exportUserData = async (req, res) => {
+  try {
+    const user = userRepository.findById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { filename, archive } = await buildPersonalDataExport('user', user);
+    logInfo('Personal data exported', { accountType: 'user', accountId: user.id });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    logError(error, 'exportUserData');
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting your data. Please try again.'
+    });
+  }
+};
+
 /**
  * Add a stylist to user's recently viewed list
  */
@@ -311,7 +538,7 @@ export const addToRecentlyViewed = (req, res) => {
     }
 
     // Check if user exists
-    const user = users.find(u => u.id === userId);
+    const user = userRepository.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -319,9 +546,9 @@ export const addToRecentlyViewed = (req, res) => {
       });
     }
 
-    // Check if stylist exists
-    const stylist = stylists.find(s => s.id === stylistId);
-    if (!stylist) {
+    // Check if stylist exists (suspended stylists are hidden)
+    const stylist = stylistRepository.findById(stylistId);
+    if (!stylist || isSuspended(stylist)) {
       return res.status(404).json({
         success: false,
         message: 'Stylist not found'
@@ -329,7 +556,7 @@ export const addToRecentlyViewed = (req, res) => {
     }
 
     // Get user's recently viewed list
-    const userRecentlyViewed = recentlyViewed[userId] || [];
+    const userRecentlyViewed = recentlyViewedRepository.get(userId);
 
     // Remove if already in list (to move to front)
     const filtered = userRecentlyViewed.filter(id => id !== stylistId);
@@ -338,8 +565,7 @@ export const addToRecentlyViewed = (req, res) => {
     const updated = [stylistId, ...filtered].slice(0, 20);
 
     // Update recently viewed
-    recentlyViewed[userId] = updated;
-    saveRecentlyViewed();
+    recentlyViewedRepository.set(userId, updated);
 
     res.json({
       success: true,
@@ -371,7 +597,7 @@ export const getRecentlyViewed = (req, res) => {
     }
 
     // Check if user exists
-    const user = users.find(u => u.id === userId);
+    const user = userRepository.findById(userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -380,12 +606,13 @@ export const getRecentlyViewed = (req, res) => {
     }
 
     // Get user's recently viewed list
-    const viewedIds = recentlyViewed[userId] || [];
+    const viewedIds = recentlyViewedRepository.get(userId);
 
     // Get full stylist objects
     const viewedStylists = viewedIds
-      .map(id => stylists.find(s => s.id === id))
-      .filter(Boolean); // Remove any undefined (stylists that no longer exist)
+      .map(id => stylistRepository.findById(id))
+      .filter(stylist => stylist && !isSuspended(stylist)) // Remove stylists that no longer exist or are suspended
+      .map(withFormattedPrices);
 
     res.json({
       success: true,
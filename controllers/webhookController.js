@@ -0,0 +1,351 @@
+import { stylistRepository, webhookRepository, webhookDeliveryRepository, withTransaction } from '../repositories/index.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { paginate } from '../utils/stylistQuery.js';
+import {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_STYLIST,
+  generateWebhookSecret,
+  toPublicWebhook,
+  redeliverWebhookDelivery as queueRedelivery
+} from '../utils/webhooks.js';
+
+const DELIVERY_PAGE_SIZE = 20;
+
+/**
+ * Load the webhook in req.params.webhookId if it belongs to the stylist in req.params.id
+ * (ownership of the stylist is checked by the route)
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Object|null} - Webhook, or null after sending a 404
+ */
+const findWebhookOr404 = (req, res) => {
+  const stylistId = parseInt(req.params.id);
+  const webhook = stylistRepository.findById(stylistId)
+    ? webhookRepository.findById(parseInt(req.params.webhookId))
+    : null;
+  if (!webhook || webhook.stylistId !== stylistId) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+  return webhook;
+};
+
+/**
+ * List the stylist's webhooks (secrets are not included)
+ */
+export const listWebhooks = (req, res) => {
+  try {
+    const webhooks = webhookRepository.findByStylistId(parseInt(req.params.id))
+      .sort((a, b) => a.id - b.id)
+      .map(toPublicWebhook);
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length
+    });
+  } catch (error) {
+    logError(error, 'listWebhooks');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks. Please try again.'
+    });
+  }
+};
+
+/**
+ * Register a webhook; its signing secret is returned only in this response
+ * (and when it is rotated)
+ */
+export const createWebhook = (req, res) => {
+  try {
+    const stylistId = parseInt(req.params.id);
+    if (!stylistRepository.findById(stylistId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stylist not found'
+      });
+    }
+
+    if (webhookRepository.findByStylistId(stylistId).length >= MAX_WEBHOOKS_PER_STYLIST) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_WEBHOOKS_PER_STYLIST} webhooks`
+      });
+    }
+
+    const { url, events, description } = req.body;
+    const now = new Date().toISOString();
+    const webhook = webhookRepository.create({
+      stylistId,
+      url,
+      description: description || null,
+      events: events ? [...new Set(events)] : [...WEBHOOK_EVENTS],
+      active: true,
+      secret: generateWebhookSecret(),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    logInfo('Webhook registered', { stylistId, webhookId: webhook.id });
+    recordAudit(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: webhook.id },
+      after: toPublicWebhook(webhook)
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the signing secret somewhere safe; it will not be shown again.',
+      data: webhook
+    });
+  } catch (error) {
+    logError(error, 'createWebhook');
+    res.status(500).json({
+      success: false,
+      message: 'Error registering webhook. Please try again.'
+    });
+  }
+};
+
+/**
+ * Get a webhook (without its secret)
+ */
+export const getWebhook = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: toPublicWebhook(webhook)
+    });
+  } catch (error) {
+    logError(error, 'getWebhook');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook. Please try again.'
+    });
+  }
+};
+
+/**
+ * Change a webhook's URL, events or description, or turn it off or on (active)
+ * Deliveries still queued for a webhook that is turned off are not sent
+ */
+export const updateWebhook = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const { url, events, description, active } = req.body;
+    const updated = webhookRepository.update({
+      ...webhook,
+      ...(url !== undefined && { url }),
+      ...(events !== undefined && { events: [...new Set(events)] }),
+      ...(description !== undefined && { description: description || null }),
+      ...(active !== undefined && { active }),
+      updatedAt: new Date().toISOString()
+    });
+
+    recordAudit(req, {
+      action: 'webhook.update',
+      target: { type: 'webhook', id: webhook.id },
+      before: toPublicWebhook(webhook),
+      after: toPublicWebhook(updated)
+    });
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: toPublicWebhook(updated)
+    });
+  } catch (error) {
+    logError(error, 'updateWebhook');
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook. Please try again.'
+    });
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log (queued deliveries are not sent)
+ */
+export const deleteWebhook = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    withTransaction(() => {
+      webhookDeliveryRepository.deleteByWebhookId(webhook.id);
+      webhookRepository.delete(webhook.id);
+    });
+
+    logInfo('Webhook deleted', { stylistId: webhook.stylistId, webhookId: webhook.id });
+    recordAudit(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: webhook.id },
+      before: toPublicWebhook(webhook)
+    });
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    logError(error, 'deleteWebhook');
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook. Please try again.'
+    });
+  }
+};
+
+/**
+ * Replace a webhook's signing secret; the new one is returned only in this response
+ * Deliveries sent from now on (retries included) are signed with the new secret
+ */
+export const rotateWebhookSecret = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const updated = webhookRepository.update({
+      ...webhook,
+      secret: generateWebhookSecret(),
+      updatedAt: new Date().toISOString()
+    });
+
+    recordAudit(req, { action: 'webhook.rotate-secret', target: { type: 'webhook', id: webhook.id } });
+    res.json({
+      success: true,
+      message: 'Signing secret replaced; the old one no longer signs deliveries. Store the new one somewhere safe; it will not be shown again.',
+      data: updated
+    });
+  } catch (error) {
+    logError(error, 'rotateWebhookSecret');
+    res.status(500).json({
+      success: false,
+      message: 'Error replacing the signing secret. Please try again.'
+    });
+  }
+};
+
+/**
+ * A webhook's delivery log, newest first (filters: status, event)
+ */
+export const listWebhookDeliveries = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const { status, event } = req.query;
+    const deliveries = webhookDeliveryRepository.findByWebhookId(webhook.id)
+      .filter(delivery => (!status || delivery.status === status) && (!event || delivery.event === event))
+      .sort((a, b) => b.id - a.id);
+    const { items, pagination } = paginate(deliveries, { limit: String(DELIVERY_PAGE_SIZE), ...req.query });
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      total: pagination.total,
+      pagination
+    });
+  } catch (error) {
+    logError(error, 'listWebhookDeliveries');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deliveries. Please try again.'
+    });
+  }
+};
+
+/**
+ * Get a delivery with its payload and every attempt made
+ */
+export const getWebhookDelivery = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const delivery = webhookDeliveryRepository.findById(parseInt(req.params.deliveryId));
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logError(error, 'getWebhookDelivery');
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery. Please try again.'
+    });
+  }
+};
+
+/**
+ * Send a delivery's event again, as a new delivery with the same payload and event ID
+ */
+export const redeliverWebhookDelivery = (req, res) => {
+  try {
+    const webhook = findWebhookOr404(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const delivery = webhookDeliveryRepository.findById(parseInt(req.params.deliveryId));
+    if (!delivery || delivery.webhookId !== webhook.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        success: false,
+        message: 'The webhook is turned off. Turn it on before sending events again.'
+      });
+    }
+
+    const redelivery = queueRedelivery(webhook, delivery);
+
+    recordAudit(req, {
+      action: 'webhook.redeliver',
+      target: { type: 'webhook', id: webhook.id },
+      metadata: { deliveryId: delivery.id, redeliveryId: redelivery.id, event: delivery.event }
+    });
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      data: redelivery
+    });
+  } catch (error) {
+    logError(error, 'redeliverWebhookDelivery');
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing delivery. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,62 @@
+import { resolveVersionRoute, deprecationHeaders, UNVERSIONED_ALIAS } from '../utils/apiVersions.js';
+import { recordDeprecatedRequest } from '../utils/metrics.js';
+
+// Paths starting with a version segment ('/v1/...', '/v9/...')
+const VERSION_SEGMENT = /^\/v\d+(\/|$)/;
+
+/**
+ * Combine the route's deprecation with the unversioned alias's: the earlier date wins
+ * @param {Object|null} route - Deprecation declared for the route
+ * @param {Object|null} alias - Deprecation of the unversioned path
+ * @returns {Object|null}
+ */
+const mergeDeprecations = (route, alias) => {
+  if (!route || !alias) {
+    return route || alias;
+  }
+  const earlier = (a, b) => (!a || (b && new Date(b) < new Date(a)) ? b : a);
+  return {
+    ...alias,
+    ...route,
+    deprecatedAt: earlier(route.deprecatedAt, alias.deprecatedAt),
+    sunset: earlier(route.sunset, alias.sunset),
+    successor: alias.successor
+  };
+};
+
+/**
+ * Middleware for the router of an API version
+ * Sets req.apiVersion and the API-Version header, sends Deprecation/Sunset/Link
+ * headers for deprecated routes and applies the version's response transformer
+ * to res.json
+ * @param {string} version - API version (see utils/apiVersions.js)
+ * @param {Object} options
+ * @param {boolean} options.unversioned - Router mounted at the unversioned /api paths
+ * @returns {Function} - Express middleware
+ */
+export const apiVersion = (version, { unversioned = false } = {}) => (req, res, next) => {
+  // Versioned paths not matched by their own router (e.g. an unknown version) are not aliases
+  if (unversioned && VERSION_SEGMENT.test(req.path)) {
+    return next('router');
+  }
+
+  const { deprecation, transform } = resolveVersionRoute(version, req.method, req.path);
+  req.apiVersion = version;
+  res.set('API-Version', version);
+
+  const effectiveDeprecation = mergeDeprecations(
+    deprecation,
+    unversioned ? { ...UNVERSIONED_ALIAS.deprecation, successor: `/api/${version}${req.path}` } : null
+  );
+  if (effectiveDeprecation) {
+    res.set(deprecationHeaders(effectiveDeprecation));
+    res.on('finish', () => recordDeprecatedRequest(req, unversioned ? 'unversioned' : version));
+  }
+
+  if (transform) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(transform(body, req));
+  }
+
+  next();
+};
@@ -1,9 +1,15 @@
+import { timingSafeEqual, createHash } from 'crypto';
+import { env } from '../config/env.js';
 import { verifyToken, extractTokenFromHeader } from '../utils/jwtUtils.js';
 import { logError, logWarn } from '../utils/logger.js';
+import { appointmentRepository } from '../repositories/index.js';
+import { isRestrictedUntilVerified, findAuthenticatedAccount } from '../utils/emailVerification.js';
+import { isSuspended, suspendedAccountResponse } from '../utils/accounts.js';
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user/stylist info to request
+ * Verifies JWT token and attaches user/stylist/admin info to request
+ * Tokens of accounts that no longer exist or are suspended are rejected
  */
 export const authenticate = (req, res, next) => {
   try {
@@ -40,7 +46,26 @@ export const authenticate = (req, res, next) => {
     req.user = {
       id: decoded.id,
       email: decoded.email,
-      type: decoded.type // 'user' or 'stylist'
+      type: decoded.type // 'user', 'stylist' or 'admin'
+    };
+
+    // Checked on every request so a suspension takes effect immediately
+    const account = findAuthenticatedAccount(req.user);
+    if (!account) {
+      return res.status(401).json({
+        success: false,
+        message: 'This account no longer exists. Please log in again.'
+      });
+    }
+    if (isSuspended(account)) {
+      return res.status(403).json(suspendedAccountResponse);
+    }
+
+    // Attach token details (used to revoke it on logout)
+    req.auth = {
+      tokenId: decoded.jti,
+      sessionId: decoded.sid || null,
+      expiresAt: decoded.exp
     };
 
     next();
@@ -65,7 +90,7 @@ export const optionalAuthenticate = (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      if (decoded) {
+      if (decoded && !isSuspended(findAuthenticatedAccount(decoded))) {
         req.user = {
           id: decoded.id,
           email: decoded.email,
@@ -134,3 +159,147 @@ export const requireOwnership = (req, res, next) => {
 
   next();
 };
+
+/**
+ * Authorization middleware - requires the caller to be a party to the appointment in req.params.id
+ * 'stylist' means the appointment's stylist, 'customer' means the customer who booked it
+ * Attaches the appointment to req.appointment
+ * @param {string|string[]} allowedRoles - 'stylist', 'customer', or ['stylist', 'customer']
+ */
+export const requireAppointmentRole = (allowedRoles) => {
+  const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please log in.'
+      });
+    }
+
+    const appointmentId = parseInt(req.params.id);
+    const appointment = appointmentRepository.findById(appointmentId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const isStylist = req.user.type === 'stylist' && appointment.stylistId === req.user.id;
+    const isCustomer = req.user.type === 'user' && appointment.userId === req.user.id;
+
+    if ((roles.includes('stylist') && isStylist) || (roles.includes('customer') && isCustomer)) {
+      req.appointment = appointment;
+      return next();
+    }
+
+    logWarn('Appointment access denied', {
+      appointmentId,
+      userId: req.user.id,
+      userType: req.user.type,
+      path: req.originalUrl
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only manage your own appointments.'
+    });
+  };
+};
+
+// What each email verification restriction blocks, for error messages
+const RESTRICTED_ACTIONS = {
+  'accept-appointments': 'accept appointments',
+  'book-appointments': 'book appointments'
+};
+
+/**
+ * Authorization middleware - blocks an action for accounts that have not verified their email
+ * (only when the restriction is enabled for the caller's account type)
+ * @param {string} restriction - 'accept-appointments' or 'book-appointments'
+ */
+export const requireVerifiedEmail = (restriction) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please log in.'
+      });
+    }
+
+    const account = findAuthenticatedAccount(req.user);
+    if (account && isRestrictedUntilVerified(req.user.type, account, restriction)) {
+      return res.status(403).json({
+        success: false,
+        message: `Please verify your email address before you ${RESTRICTED_ACTIONS[restriction] || 'do this'}. Check your inbox for the verification link, or request a new one.`,
+        emailVerified: false
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Admin authentication middleware - requires the X-Admin-Key header to match ADMIN_API_KEY
+ * Used for automation; the key acts as an admin without an account (req.user.id is null)
+ */
+export const requireAdminKey = (req, res, next) => {
+  if (!env.ADMIN_API_KEY) {
+    logWarn('Rejected admin API key (ADMIN_API_KEY is not set)', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Admin authentication required'
+    });
+  }
+
+  // Compare digests so the check takes the same time whatever the key length
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  const providedKey = req.get('x-admin-key');
+  if (!providedKey || !timingSafeEqual(digest(providedKey), digest(env.ADMIN_API_KEY))) {
+    logWarn('Rejected admin API request', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Admin authentication required'
+    });
+  }
+
+  req.user = { id: null, email: null, type: 'admin' };
+  next();
+};
+
+/**
+ * Admin authorization middleware
+ * Accepts an admin account's access token, or the X-Admin-Key header when it is sent
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.get('x-admin-key') !== undefined) {
+    return requireAdminKey(req, res, next);
+  }
+  return authenticate(req, res, () => requireUserType('admin')(req, res, next));
+};
+
+/**
+ * Protect GET /metrics with METRICS_TOKEN (Authorization: Bearer <token>) when it is set
+ * Without METRICS_TOKEN the endpoint is open, for scrapers on a private network
+ */
+export const requireMetricsToken = (req, res, next) => {
+  if (!env.METRICS_TOKEN) {
+    return next();
+  }
+
+  // Compare digests so the check takes the same time whatever the token length
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  const providedToken = extractTokenFromHeader(req.get('authorization'));
+  if (!providedToken || !timingSafeEqual(digest(providedToken), digest(env.METRICS_TOKEN))) {
+    logWarn('Rejected metrics request', { ip: req.ip });
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({
+      success: false,
+      message: 'Metrics authentication required'
+    });
+  }
+  next();
+};
@@ -22,10 +22,11 @@ export const errorHandler = (err, req, res, next) => {
   // Get safe error message (never expose sensitive info)
   const safeMessage = getSafeErrorMessage(err, 'An unexpected error occurred');
   
-  // Prepare response
+  // Prepare response (the request ID lets a reported error be found in the logs)
   const response = {
     success: false,
-    message: safeMessage
+    message: safeMessage,
+    requestId: req.id
   };
   
   // Only include stack trace in development mode (still sanitized)
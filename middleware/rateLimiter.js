@@ -1,5 +1,6 @@
 import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import { env } from '../config/env.js';
+import { rateLimitRejectionsTotal } from '../utils/metrics.js';
 
 /**
  * Rate limiter for login endpoints
@@ -24,6 +25,7 @@ export const loginRateLimiter = rateLimit({
   },
   // Custom handler for when limit is exceeded
   handler: (req, res) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'login' });
     const retryAfter = Math.ceil(parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS || '900000', 10) / 60000);
     res.status(429).json({
       success: false,
@@ -54,6 +56,7 @@ export const registrationRateLimiter = rateLimit({
     return ip === 'unknown' ? 'unknown' : ipKeyGenerator(ip);
   },
   handler: (req, res) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'registration' });
     const retryAfter = Math.ceil(parseInt(process.env.REGISTRATION_RATE_LIMIT_WINDOW_MS || '3600000', 10) / 60000);
     res.status(429).json({
       success: false,
@@ -64,6 +67,55 @@ export const registrationRateLimiter = rateLimit({
   skip: () => env.isTest(),
 });
 
+/**
+ * Rate limiter for password reset endpoints
+ * Limits reset emails sent on behalf of one IP
+ */
+export const passwordResetRateLimiter = rateLimit({
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS || '3600000', 10), // 1 hour default
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX || '5', 10), // 5 requests per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+    return ip === 'unknown' ? 'unknown' : ipKeyGenerator(ip);
+  },
+  handler: (req, res) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'password-reset' });
+    const retryAfter = Math.ceil(parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS || '3600000', 10) / 60000);
+    res.status(429).json({
+      success: false,
+      message: `Too many password reset requests from this IP. Please try again after ${retryAfter} minutes.`,
+      retryAfter: `${retryAfter} minutes`
+    });
+  },
+  skip: () => env.isTest(),
+});
+
+/**
+ * Rate limiter for re-sending verification emails
+ */
+export const verificationEmailRateLimiter = rateLimit({
+  windowMs: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_WINDOW_MS || '3600000', 10), // 1 hour default
+  max: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_MAX || '3', 10), // 3 emails per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+    return ip === 'unknown' ? 'unknown' : ipKeyGenerator(ip);
+  },
+  handler: (req, res) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'verification-email' });
+    const retryAfter = Math.ceil(parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_WINDOW_MS || '3600000', 10) / 60000);
+    res.status(429).json({
+      success: false,
+      message: `Too many verification emails requested. Please try again after ${retryAfter} minutes.`,
+      retryAfter: `${retryAfter} minutes`
+    });
+  },
+  skip: () => env.isTest(),
+});
+
 /**
  * General API rate limiter for all endpoints
  * Provides a baseline protection against abuse
@@ -78,6 +130,7 @@ export const generalRateLimiter = rateLimit({
     return ip === 'unknown' ? 'unknown' : ipKeyGenerator(ip);
   },
   handler: (req, res) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'general' });
     res.status(429).json({
       success: false,
       message: 'Too many requests from this IP. Please slow down.',
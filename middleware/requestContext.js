@@ -0,0 +1,36 @@
+import { randomUUID } from 'crypto';
+import { env } from '../config/env.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { parseTraceparent, startSpan, endSpan } from '../utils/tracing.js';
+
+// Incoming IDs are reused only if they are short and safe to log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware to give every request an ID (and a trace span with TRACING_ENABLED)
+ * Reuses a valid incoming X-Request-Id (e.g. from a proxy or the app) or generates
+ * one, returns it in the X-Request-Id response header and makes it available to all
+ * logging for the request. Should be the first middleware
+ */
+export const requestContext = (req, res, next) => {
+  const incomingId = req.get('x-request-id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  let span = null;
+  if (env.TRACING_ENABLED) {
+    span = startSpan(`${req.method} ${req.path}`, {
+      parent: parseTraceparent(req.get('traceparent')),
+      attributes: { requestId, method: req.method, url: req.originalUrl || req.url }
+    });
+    res.on('finish', () => {
+      endSpan(span, {
+        status: res.statusCode >= 500 ? 'error' : 'ok',
+        attributes: { statusCode: res.statusCode }
+      });
+    });
+  }
+
+  runWithRequestContext({ requestId, span }, next);
+};
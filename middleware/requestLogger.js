@@ -1,19 +1,21 @@
 import { logRequest } from '../utils/logger.js';
+import { recordHttpRequest } from '../utils/metrics.js';
 
 /**
- * Middleware to log HTTP requests
+ * Middleware to log HTTP requests and record request metrics
  * Should be placed after body parsing middleware but before routes
  */
 export const requestLogger = (req, res, next) => {
-  const startTime = Date.now();
+  const startTime = process.hrtime.bigint();
 
   // Override res.end to capture response time
   const originalEnd = res.end;
   res.end = function (chunk, encoding) {
-    const responseTime = Date.now() - startTime;
+    const durationSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
     
     // Log the request
-    logRequest(req, res, responseTime);
+    logRequest(req, res, Math.round(durationSeconds * 1000));
+    recordHttpRequest(req, res, durationSeconds);
     
     // Call original end
     originalEnd.call(this, chunk, encoding);
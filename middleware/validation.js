@@ -1,5 +1,12 @@
 import { body, validationResult, param, query } from 'express-validator';
 import { isValidEmail, isValidPhone, validatePassword, isValidLength } from '../utils/inputSanitizer.js';
+import { normalizePriceInput } from '../utils/pricing.js';
+import { normalizeSchedule, parseHoursString, addDays } from '../utils/schedule.js';
+import { normalizeCancellationTerms } from '../utils/cancellationPolicy.js';
+import { MAX_AVAILABILITY_DAYS } from '../utils/availability.js';
+import { APPOINTMENT_STATUSES } from '../utils/appointmentStateMachine.js';
+import { STYLIST_SORT_FIELDS, MAX_PAGE_SIZE, decodeCursor } from '../utils/stylistQuery.js';
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUSES, checkWebhookUrl } from '../utils/webhooks.js';
 
 /**
  * Middleware to handle validation errors
@@ -39,7 +46,12 @@ export const handleValidationErrors = (req, res, next) => {
         'cancellationPolicy': 'Cancellation Policy',
         'acceptedPaymentTypes': 'Accepted Payment Types',
         'services': 'Services',
-        'products': 'Products'
+        'products': 'Products',
+        'code': 'Authentication Code',
+        'currentPassword': 'Current Password',
+        'newPassword': 'New Password',
+        'url': 'Endpoint URL',
+        'events': 'Events'
       };
       
       const friendlyFieldName = fieldNameMap[field] || field;
@@ -106,6 +118,29 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Check that a value is a free-text price ("$85/hour") or a structured price
+ * ({ amount, currency, unit }) that can be normalized
+ */
+const isValidPrice = (value) => {
+  if (typeof value === 'string' && value.length > 50) {
+    return false;
+  }
+  return normalizePriceInput(value) !== null;
+};
+
+/**
+ * Check that free-text hours can be parsed into a schedule
+ * (skipped when a structured schedule is sent alongside)
+ */
+const isValidHours = (value, { req }) => {
+  return req.body.schedule !== undefined || parseHoursString(value) !== null;
+};
+
+const HOURS_FORMAT_MESSAGE = 'Business hours must look like "Mon-Fri: 9:00 AM - 6:00 PM, Sat: 10:00 AM - 4:00 PM"';
+const CANCELLATION_TERMS_MESSAGE = 'Cancellation terms must be { "noticeHours": 0-720, "lateCancellationFeePercent": 0-100, "noShowFeePercent": 0-100 } with whole numbers';
+const SCHEDULE_FORMAT_MESSAGE = 'Schedule must have a valid timeZone and weekly/breaks intervals like { "mon": [{ "start": "09:00", "end": "18:00" }] }';
+
 // ==================== User Validation Rules ====================
 
 export const validateUserRegistration = [
@@ -267,14 +302,18 @@ export const validateStylistRegistration = [
     .isLength({ max: 50 }).withMessage('Years of experience must be less than 50 characters'),
   
   body('rate')
-    .trim()
     .notEmpty().withMessage('Rate is required')
-    .isLength({ max: 50 }).withMessage('Rate must be less than 50 characters'),
+    .custom(isValidPrice).withMessage('Rate must be a price such as "$85/hour"'),
   
   body('hours')
     .trim()
     .notEmpty().withMessage('Business hours are required')
-    .isLength({ max: 500 }).withMessage('Business hours must be less than 500 characters'),
+    .isLength({ max: 500 }).withMessage('Business hours must be less than 500 characters')
+    .custom(isValidHours).withMessage(HOURS_FORMAT_MESSAGE),
+  
+  body('schedule')
+    .optional()
+    .custom((value) => normalizeSchedule(value) !== null).withMessage(SCHEDULE_FORMAT_MESSAGE),
   
   body('currentAvailability')
     .trim()
@@ -309,6 +348,10 @@ export const validateStylistRegistration = [
     .trim()
     .isLength({ max: 1000 }).withMessage('Cancellation policy must be less than 1000 characters'),
   
+  body('cancellationTerms')
+    .optional({ values: 'null' })
+    .custom((value) => normalizeCancellationTerms(value) !== null).withMessage(CANCELLATION_TERMS_MESSAGE),
+  
   body('acceptedPaymentTypes')
     .optional(),
   
@@ -334,8 +377,8 @@ export const validateStylistRegistration = [
           if (service.duration && service.duration.length > 50) {
             throw new Error('Service duration must be less than 50 characters');
           }
-          if (service.price && service.price.length > 50) {
-            throw new Error('Service price must be less than 50 characters');
+          if (service.price && !isValidPrice(service.price)) {
+            throw new Error('Service price must be a price such as "$30"');
           }
         }
         return true;
@@ -428,13 +471,17 @@ export const validateStylistUpdate = [
   
   body('rate')
     .optional()
-    .trim()
-    .isLength({ max: 50 }).withMessage('Rate must be less than 50 characters'),
+    .custom(isValidPrice).withMessage('Rate must be a price such as "$85/hour"'),
   
   body('hours')
     .optional()
     .trim()
-    .isLength({ max: 500 }).withMessage('Business hours must be less than 500 characters'),
+    .isLength({ max: 500 }).withMessage('Business hours must be less than 500 characters')
+    .custom(isValidHours).withMessage(HOURS_FORMAT_MESSAGE),
+  
+  body('schedule')
+    .optional()
+    .custom((value) => normalizeSchedule(value) !== null).withMessage(SCHEDULE_FORMAT_MESSAGE),
   
   body('currentAvailability')
     .optional()
@@ -456,6 +503,10 @@ export const validateStylistUpdate = [
     .trim()
     .isLength({ max: 1000 }).withMessage('Cancellation policy must be less than 1000 characters'),
   
+  body('cancellationTerms')
+    .optional({ values: 'null' })
+    .custom((value) => normalizeCancellationTerms(value) !== null).withMessage(CANCELLATION_TERMS_MESSAGE),
+  
   body('services')
     .optional()
     .custom((value) => {
@@ -468,6 +519,11 @@ export const validateStylistUpdate = [
         if (services.length > 50) {
           throw new Error('Maximum 50 services allowed');
         }
+        for (const service of services) {
+          if (service.price && !isValidPrice(service.price)) {
+            throw new Error('Service price must be a price such as "$30"');
+          }
+        }
         return true;
       } catch (error) {
         throw new Error(error.message || 'Invalid services format');
@@ -477,6 +533,113 @@ export const validateStylistUpdate = [
   handleValidationErrors
 ];
 
+// page/limit or cursor/limit (see paginate in utils/stylistQuery.js)
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.query.page !== undefined) {
+        throw new Error('Use either cursor or page, not both');
+      }
+      if (decodeCursor(value) === null) {
+        throw new Error('Invalid cursor');
+      }
+      return true;
+    })
+];
+
+export const validateGetStylists = [
+  query('specialty')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Specialty must be less than 200 characters'),
+  
+  query('hairTextureType')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Hair texture type must be less than 200 characters'),
+  
+  query('paymentType')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Payment type must be less than 200 characters'),
+  
+  query('availableNow')
+    .optional()
+    .isBoolean().withMessage('availableNow must be true or false'),
+  
+  query('willingToTravel')
+    .optional()
+    .isBoolean().withMessage('willingToTravel must be true or false'),
+  
+  query('lastMinuteBookings')
+    .optional()
+    .isBoolean().withMessage('lastMinuteBookings must be true or false'),
+  
+  query('minRate')
+    .optional()
+    .isInt({ min: 0 }).withMessage('minRate must be a non-negative integer (minor units, e.g. cents)'),
+  
+  query('maxRate')
+    .optional()
+    .isInt({ min: 0 }).withMessage('maxRate must be a non-negative integer (minor units, e.g. cents)'),
+  
+  query('sortBy')
+    .optional()
+    .isIn(STYLIST_SORT_FIELDS).withMessage(`sortBy must be one of: ${STYLIST_SORT_FIELDS.join(', ')}`),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  
+  ...paginationRules,
+  
+  handleValidationErrors
+];
+
+export const validateGetAvailability = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  query('from')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid calendar date'),
+  
+  query('to')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid calendar date')
+    .bail()
+    .custom((value, { req }) => {
+      // Without `from` the stylist's current date is used; UTC is close enough for the range check
+      const from = req.query.from || new Date().toISOString().slice(0, 10);
+      if (req.query.from && value < from) {
+        throw new Error('to must be on or after from');
+      }
+      if (value > addDays(from, MAX_AVAILABILITY_DAYS - 1)) {
+        throw new Error(`Availability can be requested for at most ${MAX_AVAILABILITY_DAYS} days at a time`);
+      }
+      return true;
+    }),
+  
+  query('serviceIds')
+    .optional()
+    .matches(/^\d+(,\d+)*$/).withMessage('serviceIds must be a comma separated list of service IDs'),
+  
+  handleValidationErrors
+];
+
 // ==================== Appointment Validation Rules ====================
 
 export const validateAppointmentCreation = [
@@ -496,12 +659,14 @@ export const validateAppointmentCreation = [
   body('date')
     .trim()
     .notEmpty().withMessage('Date is required')
-    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid calendar date'),
   
   body('time')
     .trim()
     .notEmpty().withMessage('Time is required')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format (24-hour)'),
+    .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format (24-hour)'),
   
   body('customerName')
     .optional()
@@ -540,6 +705,13 @@ export const validateAppointmentCreation = [
       return true;
     }),
   
+  body('serviceIds')
+    .optional()
+    .isArray({ max: 20 }).withMessage('serviceIds must be an array of at most 20 service IDs'),
+  
+  body('serviceIds.*')
+    .isInt({ min: 1 }).withMessage('Invalid service ID'),
+  
   handleValidationErrors
 ];
 
@@ -550,6 +722,18 @@ export const validateAppointmentId = [
   handleValidationErrors
 ];
 
+export const validateAppointmentTransition = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid appointment ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
 export const validateAppointmentSuggestion = [
   param('id')
     .isInt({ min: 1 }).withMessage('Invalid appointment ID'),
@@ -557,12 +741,19 @@ export const validateAppointmentSuggestion = [
   body('suggestedDate')
     .trim()
     .notEmpty().withMessage('Suggested date is required')
-    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid calendar date'),
   
   body('suggestedTime')
     .trim()
     .notEmpty().withMessage('Suggested time is required')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format (24-hour)'),
+    .matches(/^([01][0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format (24-hour)'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
   
   handleValidationErrors
 ];
@@ -598,3 +789,454 @@ export const validateGetRecentlyViewed = [
   
   handleValidationErrors
 ];
+
+// ==================== Auth Session Validation Rules ====================
+
+export const validateRefreshToken = [
+  body('refreshToken')
+    .exists({ values: 'falsy' }).withMessage('Refresh token is required')
+    .bail()
+    .isString().withMessage('Refresh token must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+export const validateLogout = [
+  body('refreshToken')
+    .optional()
+    .isString().withMessage('Refresh token must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+// ==================== Password Reset Validation Rules ====================
+
+export const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail(),
+  
+  body('accountType')
+    .optional()
+    .isIn(['user', 'stylist', 'admin']).withMessage('Account type must be "user", "stylist" or "admin"'),
+  
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  body('token')
+    .exists({ values: 'falsy' }).withMessage('Reset token is required')
+    .bail()
+    .isString().withMessage('Reset token must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Invalid reset token'),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6, max: 128 }).withMessage('Password must be between 6 and 128 characters'),
+  
+  handleValidationErrors
+];
+
+// ==================== Email Verification Validation Rules ====================
+
+export const validateVerifyEmail = [
+  body('token')
+    .exists({ values: 'falsy' }).withMessage('Verification token is required')
+    .bail()
+    .isString().withMessage('Verification token must be a string')
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Invalid verification token'),
+  
+  handleValidationErrors
+];
+
+// ==================== Two-Factor Authentication Validation Rules ====================
+
+const TOTP_CODE_MESSAGE = 'Authentication code must be the 6 digits shown in your authenticator app';
+
+/**
+ * Require either an authenticator `code` or a `recoveryCode` (not both)
+ */
+const requireSecondFactor = body('code').custom((code, { req }) => {
+  const { recoveryCode } = req.body;
+  if (!code && !recoveryCode) {
+    throw new Error('Authentication code or recovery code is required');
+  }
+  if (code && recoveryCode) {
+    throw new Error('Send either an authentication code or a recovery code, not both');
+  }
+  return true;
+});
+
+const optionalTotpCode = body('code')
+  .optional({ values: 'falsy' })
+  .isString().withMessage(TOTP_CODE_MESSAGE)
+  .trim()
+  .matches(/^\d{6}$/).withMessage(TOTP_CODE_MESSAGE);
+
+const optionalRecoveryCode = body('recoveryCode')
+  .optional({ values: 'falsy' })
+  .isString().withMessage('Invalid recovery code')
+  .trim()
+  .isLength({ max: 50 }).withMessage('Invalid recovery code');
+
+export const validateStylistTwoFactorLogin = [
+  body('challengeToken')
+    .exists({ values: 'falsy' }).withMessage('Challenge token is required')
+    .bail()
+    .isString().withMessage('Challenge token must be a string')
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Invalid challenge token'),
+  
+  requireSecondFactor,
+  optionalTotpCode,
+  optionalRecoveryCode,
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorSetup = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  body('code')
+    .exists({ values: 'falsy' }).withMessage('Authentication code is required')
+    .bail()
+    .isString().withMessage(TOTP_CODE_MESSAGE)
+    .trim()
+    .matches(/^\d{6}$/).withMessage(TOTP_CODE_MESSAGE),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorDisable = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+  
+  requireSecondFactor,
+  optionalTotpCode,
+  optionalRecoveryCode,
+  
+  handleValidationErrors
+];
+
+export const validateStylistId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  handleValidationErrors
+];
+
+// ==================== Account Validation Rules ====================
+
+const currentPasswordRule = body('currentPassword')
+  .notEmpty().withMessage('Current password is required');
+
+const newPasswordRule = body('newPassword')
+  .notEmpty().withMessage('New password is required')
+  .bail()
+  .isString().withMessage('New password must be a string')
+  .isLength({ min: 6, max: 128 }).withMessage('Password must be between 6 and 128 characters');
+
+const deletionPasswordRule = body('password')
+  .notEmpty().withMessage('Password is required');
+
+export const validateUserPasswordChange = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid user ID'),
+  
+  currentPasswordRule,
+  newPasswordRule,
+  
+  handleValidationErrors
+];
+
+export const validateStylistPasswordChange = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  currentPasswordRule,
+  newPasswordRule,
+  
+  handleValidationErrors
+];
+
+export const validateUserDeletion = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid user ID'),
+  
+  deletionPasswordRule,
+  
+  handleValidationErrors
+];
+
+export const validateStylistDeletion = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  deletionPasswordRule,
+  
+  handleValidationErrors
+];
+
+export const validateUserId = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid user ID'),
+  
+  handleValidationErrors
+];
+
+// ==================== Admin Validation Rules ====================
+
+export const validateUnlockAccount = [
+  body('accountType')
+    .notEmpty().withMessage('Account type is required')
+    .isIn(['user', 'stylist', 'admin']).withMessage('Account type must be "user", "stylist" or "admin"'),
+  
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+export const validateAdminLogin = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail(),
+  
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+export const validateAdminAccountSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Search text must be less than 100 characters'),
+  
+  query('suspended')
+    .optional()
+    .isBoolean().withMessage('suspended must be true or false'),
+  
+  ...paginationRules,
+  
+  handleValidationErrors
+];
+
+export const validateAccountSuspension = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid account ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateAdminAppointmentSearch = [
+  query('status')
+    .optional()
+    .isIn(APPOINTMENT_STATUSES).withMessage(`status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+  
+  query('userId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid user ID'),
+  
+  query('stylistId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  
+  ...paginationRules,
+  
+  handleValidationErrors
+];
+
+export const validateAppointmentReassignment = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid appointment ID'),
+  
+  body('stylistId')
+    .notEmpty().withMessage('Stylist ID is required')
+    .bail()
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID')
+    .toInt(),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateAuditLogSearch = [
+  query('action')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9.-]+\*?$/i).withMessage('action must be an action name, optionally ending in *'),
+  
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure']).withMessage('outcome must be "success" or "failure"'),
+  
+  query('actorType')
+    .optional()
+    .isIn(['user', 'stylist', 'admin']).withMessage('actorType must be "user", "stylist" or "admin"'),
+  
+  query('actorId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid actor ID'),
+  
+  query('targetType')
+    .optional()
+    .isIn(['user', 'stylist', 'admin', 'appointment', 'webhook']).withMessage('targetType must be "user", "stylist", "admin", "appointment" or "webhook"'),
+  
+  query('targetId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid target ID'),
+  
+  query('requestId')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('requestId must be less than 200 characters'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('from and to must be ISO 8601 dates or timestamps'),
+  
+  ...paginationRules,
+  
+  handleValidationErrors
+];
+
+// ==================== Webhook Validation Rules ====================
+
+const EVENTS_MESSAGE = `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`;
+
+const webhookIdRules = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  param('webhookId')
+    .isInt({ min: 1 }).withMessage('Invalid webhook ID')
+];
+
+/**
+ * Webhook fields (`url` is required when registering, optional when updating)
+ * @param {boolean} urlRequired - Whether `url` must be sent
+ * @returns {Array} - Validation chains
+ */
+const webhookFieldRules = (urlRequired) => [
+  (urlRequired ? body('url') : body('url').optional())
+    .exists({ values: 'falsy' }).withMessage('URL is required')
+    .bail()
+    .isString().withMessage('URL must be a string')
+    .trim()
+    .isLength({ max: 2000 }).withMessage('URL must be at most 2000 characters')
+    .bail()
+    .custom(value => {
+      const problem = checkWebhookUrl(value);
+      if (problem) {
+        throw new Error(problem);
+      }
+      return true;
+    }),
+  
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length }).withMessage(EVENTS_MESSAGE),
+  
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS).withMessage(EVENTS_MESSAGE),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description must be at most 200 characters')
+];
+
+export const validateWebhookCreation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('Invalid stylist ID'),
+  
+  ...webhookFieldRules(true),
+  
+  handleValidationErrors
+];
+
+export const validateWebhookUpdate = [
+  ...webhookIdRules,
+  
+  ...webhookFieldRules(false),
+  
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('active must be true or false'),
+  
+  handleValidationErrors
+];
+
+export const validateWebhookId = [
+  ...webhookIdRules,
+  
+  handleValidationErrors
+];
+
+export const validateWebhookDeliverySearch = [
+  ...webhookIdRules,
+  
+  query('status')
+    .optional()
+    .isIn(WEBHOOK_DELIVERY_STATUSES).withMessage(`status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`),
+  
+  query('event')
+    .optional()
+    .isIn(WEBHOOK_EVENTS).withMessage(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  
+  ...paginationRules,
+  
+  handleValidationErrors
+];
+
+export const validateWebhookDeliveryId = [
+  ...webhookIdRules,
+  
+  param('deliveryId')
+    .isInt({ min: 1 }).withMessage('Invalid delivery ID'),
+  
+  handleValidationErrors
+];
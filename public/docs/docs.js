@@ -0,0 +1,382 @@
+/**
+ * API docs page: renders the OpenAPI document served at /api/openapi.json and
+ * lets developers send requests from the browser
+ * (a separate file because the Content-Security-Policy does not allow inline scripts)
+ */
+(() => {
+  const SPEC_URL = new URL('../openapi.json', window.location.href);
+
+  let spec = null;
+
+  /**
+   * Create an element
+   * @param {string} tag - Tag name
+   * @param {Object} attributes - Attributes, plus `text` for the text content
+   * @param {Array} children - Child nodes or strings
+   * @returns {HTMLElement}
+   */
+  const el = (tag, attributes = {}, children = []) => {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (name === 'text') {
+        element.textContent = value;
+      } else if (value !== undefined && value !== null && value !== false) {
+        element.setAttribute(name, value);
+      }
+    });
+    children.filter(child => child !== null && child !== undefined).forEach(child => {
+      element.append(child);
+    });
+    return element;
+  };
+
+  /**
+   * Resolve a local $ref ('#/components/schemas/Stylist')
+   * @param {Object} schema - Schema
+   * @returns {Object}
+   */
+  const resolve = (schema) => {
+    if (!schema || !schema.$ref) {
+      return schema || {};
+    }
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+    return { ...target, ...schema, $ref: undefined, refName: schema.$ref.split('/').pop() };
+  };
+
+  /**
+   * Short type label for a schema ('string', 'Stylist[]', 'integer | null')
+   * @param {Object} schema - Schema
+   * @returns {string}
+   */
+  const typeLabel = (schema) => {
+    if (schema.$ref) {
+      return schema.$ref.split('/').pop();
+    }
+    if (schema.anyOf || schema.oneOf) {
+      return (schema.anyOf || schema.oneOf).map(typeLabel).join(' | ');
+    }
+    if (schema.allOf) {
+      return schema.allOf.map(typeLabel).join(' & ');
+    }
+    if (schema.const !== undefined) {
+      return JSON.stringify(schema.const);
+    }
+    if (schema.type === 'array') {
+      return `${typeLabel(schema.items || {})}[]`;
+    }
+    return schema.type || 'any';
+  };
+
+  /**
+   * Constraints of a schema as text ('2-100 chars, pattern ...')
+   * @param {Object} schema - Schema
+   * @returns {string}
+   */
+  const constraintsLabel = (schema) => {
+    const parts = [];
+    if (schema.format) parts.push(schema.format);
+    if (schema.enum) parts.push(`one of: ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+    if (schema.minimum !== undefined) parts.push(`min ${schema.minimum}`);
+    if (schema.maximum !== undefined) parts.push(`max ${schema.maximum}`);
+    if (schema.minLength !== undefined) parts.push(`min length ${schema.minLength}`);
+    if (schema.maxLength !== undefined) parts.push(`max length ${schema.maxLength}`);
+    if (schema.maxItems !== undefined) parts.push(`max ${schema.maxItems} items`);
+    if (schema.pattern) parts.push(`pattern ${schema.pattern}`);
+    return parts.join(', ');
+  };
+
+  /**
+   * Properties of a schema, merging allOf parts and following $refs
+   * @param {Object} schema - Schema
+   * @returns {Object} - { properties, required }
+   */
+  const collectProperties = (schema) => {
+    const resolved = resolve(schema);
+    let properties = { ...(resolved.properties || {}) };
+    let required = [...(resolved.required || [])];
+    (resolved.allOf || []).forEach(part => {
+      const nested = collectProperties(part);
+      properties = { ...nested.properties, ...properties };
+      required = [...required, ...nested.required];
+    });
+    return { properties, required };
+  };
+
+  /**
+   * Render a schema as a nested list
+   * @param {Object} schema - Schema
+   * @param {Set} seen - Component names already open (stops recursion)
+   * @returns {HTMLElement|null}
+   */
+  const renderSchema = (schema, seen = new Set()) => {
+    const resolved = resolve(schema);
+    if (resolved.refName && seen.has(resolved.refName)) {
+      return null;
+    }
+    const nextSeen = resolved.refName ? new Set([...seen, resolved.refName]) : seen;
+
+    const variants = resolved.anyOf || resolved.oneOf;
+    if (variants) {
+      const objectVariants = variants.filter(variant => variant.type !== 'null');
+      if (objectVariants.length === 1) {
+        return renderSchema(objectVariants[0], nextSeen);
+      }
+      return el('ul', { class: 'schema' }, objectVariants.map((variant, index) => el('li', {}, [
+        el('span', { class: 'constraints', text: `Variant ${index + 1}: ` }),
+        el('span', { class: 'type', text: typeLabel(variant) }),
+        renderSchema(variant, nextSeen)
+      ])));
+    }
+    if (resolved.type === 'array') {
+      return renderSchema(resolved.items || {}, nextSeen);
+    }
+
+    const { properties, required } = collectProperties(resolved);
+    const entries = Object.entries(properties);
+    if (entries.length === 0) {
+      return null;
+    }
+    return el('ul', { class: 'schema' }, entries.map(([name, property]) => {
+      const propertySchema = resolve(property);
+      return el('li', {}, [
+        el('span', { class: 'name', text: name }), ' ',
+        el('span', { class: 'type', text: typeLabel(property) }), ' ',
+        required.includes(name) ? el('span', { class: 'required', text: 'required' }) : null, ' ',
+        el('span', { class: 'constraints', text: constraintsLabel(propertySchema) }),
+        propertySchema.description ? el('div', { class: 'description', text: propertySchema.description }) : null,
+        renderSchema(property, nextSeen)
+      ]);
+    }));
+  };
+
+  /**
+   * Example value for a schema (used to prefill request bodies)
+   * @param {Object} schema - Schema
+   * @param {number} depth - Nesting depth
+   * @returns {any}
+   */
+  const exampleFor = (schema, depth = 0) => {
+    const resolved = resolve(schema);
+    if (depth > 4) return null;
+    if (resolved.examples) return resolved.examples[0];
+    if (resolved.enum) return resolved.enum[0];
+    if (resolved.const !== undefined) return resolved.const;
+    if (resolved.anyOf || resolved.oneOf) return exampleFor((resolved.anyOf || resolved.oneOf)[0], depth + 1);
+    switch (resolved.type) {
+      case 'integer':
+      case 'number':
+        return resolved.minimum ?? 1;
+      case 'boolean':
+        return true;
+      case 'array':
+        return [exampleFor(resolved.items || {}, depth + 1)];
+      case 'string':
+        if (resolved.format === 'email') return 'name@example.com';
+        return '';
+      default: {
+        // Fields of unknown type (checked by custom validators) are left out of the example
+        const entries = Object.entries(collectProperties(resolved).properties);
+        if (entries.length === 0) return undefined;
+        return Object.fromEntries(entries.map(([name, property]) => [name, exampleFor(property, depth + 1)]));
+      }
+    }
+  };
+
+  /**
+   * Request body example with the required fields first
+   * @param {Object} schema - Request body schema
+   * @returns {Object}
+   */
+  const bodyExample = (schema) => {
+    const { properties, required } = collectProperties(schema);
+    const names = [...required, ...Object.keys(properties).filter(name => !required.includes(name))];
+    return Object.fromEntries(names.map(name => [name, exampleFor(properties[name])]));
+  };
+
+  /**
+   * "Try it" form: send the request with the token from the header
+   * @param {string} path - Path template
+   * @param {string} method - HTTP method
+   * @param {Object} operation - Operation object
+   * @returns {HTMLElement}
+   */
+  const renderTryIt = (path, method, operation) => {
+    const inputs = {};
+    const parameters = operation.parameters || [];
+    const jsonBody = operation.requestBody?.content?.['application/json'];
+    const bodyInput = jsonBody
+      ? el('textarea', { spellcheck: 'false' }, [JSON.stringify(bodyExample(jsonBody.schema), null, 2)])
+      : null;
+    const output = el('div');
+    const button = el('button', { type: 'button', text: 'Send request' });
+
+    button.addEventListener('click', async () => {
+      const url = new URL(
+        path.replace(/\{([^}]+)\}/g, (match, name) => encodeURIComponent(inputs[name].value)),
+        window.location.origin
+      );
+      parameters.filter(parameter => parameter.in === 'query' && inputs[parameter.name].value !== '')
+        .forEach(parameter => url.searchParams.set(parameter.name, inputs[parameter.name].value));
+
+      const headers = {};
+      const token = document.getElementById('token').value.trim();
+      const adminKey = document.getElementById('admin-key').value.trim();
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (adminKey) headers['X-Admin-Key'] = adminKey;
+      let body;
+      if (bodyInput) {
+        try {
+          body = JSON.stringify(JSON.parse(bodyInput.value));
+        } catch {
+          output.replaceChildren(el('p', { class: 'error', text: 'The request body is not valid JSON' }));
+          return;
+        }
+        headers['Content-Type'] = 'application/json';
+      }
+
+      output.replaceChildren(el('p', { text: 'Sending...' }));
+      try {
+        const response = await fetch(url, { method: method.toUpperCase(), headers, body });
+        const status = el('p', {}, [
+          el('strong', { text: `${response.status} ${response.statusText}` }),
+          el('span', { class: 'constraints', text: `  X-Request-Id: ${response.headers.get('x-request-id') || '-'}` })
+        ]);
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('application/json')) {
+          output.replaceChildren(status, el('pre', { text: JSON.stringify(await response.json(), null, 2) }));
+        } else if (contentType.startsWith('text/')) {
+          output.replaceChildren(status, el('pre', { text: await response.text() }));
+        } else {
+          const link = el('a', { href: URL.createObjectURL(await response.blob()), download: 'download', text: 'Download the response' });
+          output.replaceChildren(status, link);
+        }
+      } catch (error) {
+        output.replaceChildren(el('p', { class: 'error', text: `Request failed: ${error.message}` }));
+      }
+    });
+
+    return el('div', { class: 'try' }, [
+      el('strong', { text: 'Try it' }),
+      ...parameters.map(parameter => {
+        inputs[parameter.name] = el('input', { placeholder: parameter.required ? 'required' : '' });
+        return el('div', {}, [el('label', { text: `${parameter.name} (${parameter.in})` }), inputs[parameter.name]]);
+      }),
+      bodyInput ? el('label', { text: 'JSON body' }) : null,
+      bodyInput,
+      button,
+      output
+    ]);
+  };
+
+  /**
+   * Render one operation
+   * @param {string} path - Path template
+   * @param {string} method - HTTP method
+   * @param {Object} operation - Operation object
+   * @returns {HTMLElement}
+   */
+  const renderOperation = (path, method, operation) => {
+    const id = operation.operationId;
+    const security = (operation.security || []).map(requirement => Object.keys(requirement)[0]);
+    const parameters = operation.parameters || [];
+    const jsonBody = operation.requestBody?.content?.['application/json'];
+    const multipart = operation.requestBody?.content?.['multipart/form-data'];
+
+    return el('details', { class: 'operation', id }, [
+      el('summary', {}, [
+        el('span', { class: `method ${method}`, text: method }),
+        el('span', { class: 'path', text: path }),
+        el('span', { class: 'summary', text: operation.summary }),
+        operation.deprecated ? el('span', { class: 'deprecated', text: 'deprecated' }) : null,
+        security.length > 0 ? el('span', { class: 'lock', text: `requires ${security.join(' or ')}` }) : null
+      ]),
+      el('div', {}, [
+        operation.description ? el('p', { text: operation.description }) : null,
+        parameters.length > 0 ? el('h4', { text: 'Parameters' }) : null,
+        parameters.length > 0 ? el('table', {}, [
+          el('tr', {}, ['Name', 'In', 'Type', 'Constraints'].map(text => el('th', { text }))),
+          ...parameters.map(parameter => el('tr', {}, [
+            el('td', {}, [el('span', { class: 'name', text: parameter.name }), parameter.required ? el('span', { class: 'required', text: ' required' }) : null]),
+            el('td', { text: parameter.in }),
+            el('td', { class: 'type', text: typeLabel(parameter.schema) }),
+            el('td', { class: 'constraints', text: [constraintsLabel(parameter.schema), parameter.schema.description].filter(Boolean).join(' - ') })
+          ]))
+        ]) : null,
+        jsonBody ? el('h4', { text: multipart ? 'Request body (JSON, or a multipart form with image uploads)' : 'Request body' }) : null,
+        jsonBody ? renderSchema(multipart ? multipart.schema : jsonBody.schema) : null,
+        el('h4', { text: 'Responses' }),
+        ...Object.entries(operation.responses).map(([status, response]) => {
+          const [contentType, content] = Object.entries(response.content || {})[0] || [];
+          return el('div', {}, [
+            el('strong', { text: status }), ` ${response.description}`,
+            contentType && contentType !== 'application/json' ? el('span', { class: 'constraints', text: ` (${contentType})` }) : null,
+            status.startsWith('2') && content ? renderSchema(content.schema) : null
+          ]);
+        }),
+        renderTryIt(path, method, operation)
+      ])
+    ]);
+  };
+
+  /**
+   * Render the whole document
+   */
+  const render = () => {
+    document.title = spec.info.title;
+    document.getElementById('title').textContent = spec.info.title;
+    document.getElementById('version').textContent = `Version ${spec.info.version} - OpenAPI ${spec.openapi}`;
+
+    const byTag = {};
+    Object.entries(spec.paths).forEach(([path, methods]) => {
+      Object.entries(methods).forEach(([method, operation]) => {
+        const tag = operation.tags?.[0] || 'Other';
+        (byTag[tag] ||= []).push({ path, method, operation });
+      });
+    });
+
+    const nav = document.getElementById('nav');
+    const main = document.getElementById('main');
+    nav.replaceChildren();
+    main.replaceChildren(el('p', { text: spec.info.description || '' }));
+
+    Object.entries(byTag).forEach(([tag, operations]) => {
+      nav.append(el('h2', { text: tag }));
+      operations.forEach(({ path, method, operation }) => {
+        const link = el('a', { href: `#${operation.operationId}`, text: `${method.toUpperCase()} ${path}`, title: operation.summary });
+        link.addEventListener('click', () => {
+          document.getElementById(operation.operationId).open = true;
+        });
+        nav.append(link);
+      });
+      main.append(el('section', {}, [
+        el('h2', { text: tag }),
+        ...operations.map(({ path, method, operation }) => renderOperation(path, method, operation))
+      ]));
+    });
+
+    if (window.location.hash) {
+      const target = document.getElementById(window.location.hash.slice(1));
+      if (target) {
+        target.open = true;
+        target.scrollIntoView();
+      }
+    }
+  };
+
+  fetch(SPEC_URL)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.json();
+    })
+    .then(openApiSpec => {
+      spec = openApiSpec;
+      render();
+    })
+    .catch(error => {
+      document.getElementById('main').replaceChildren(
+        el('p', { class: 'error', text: `Could not load the API description: ${error.message}` })
+      );
+    });
+})();
@@ -0,0 +1,50 @@
+import { join } from 'path';
+import { env } from '../config/env.js';
+import { paths } from '../config/paths.js';
+import { stylists as initialStylists } from '../data/stylists.js';
+import { createJsonRepositories } from './jsonRepositories.js';
+import { createSqliteRepositories } from './sqliteRepositories.js';
+
+/**
+ * Storage adapter selection
+ * Kept separate from index.js so tools (e.g. the JSON-to-SQLite importer) can
+ * open a specific backend without starting the app's own repositories
+ */
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+/**
+ * Create repositories for a storage driver
+ * @param {string} driver - 'json' or 'sqlite'
+ * @param {Object} options - { sqliteFile } overrides
+ * @returns {Object} - Repositories plus transaction() and close()
+ */
+export const createRepositories = (driver = env.STORAGE_DRIVER, options = {}) => {
+  if (driver === 'sqlite') {
+    return createSqliteRepositories({ file: options.sqliteFile || env.SQLITE_FILE || join(paths.dataDir, 'stylists-api.db') });
+  }
+  if (driver === 'json') {
+    return createJsonRepositories({
+      files: {
+        stylists: paths.stylistsFile,
+        users: paths.usersFile,
+        admins: paths.adminsFile,
+        appointments: paths.appointmentsFile,
+        credentials: paths.credentialsFile,
+        recentlyViewed: paths.recentlyViewedFile,
+        refreshTokens: paths.refreshTokensFile,
+        revokedTokens: paths.revokedTokensFile,
+        passwordResetTokens: paths.passwordResetTokensFile,
+        loginAttempts: paths.loginAttemptsFile,
+        auditLog: paths.auditLogFile,
+        legacyAuditLog: paths.legacyAuditLogFile,
+        webhooks: paths.webhooksFile,
+        webhookDeliveries: paths.webhookDeliveriesFile,
+        sequences: paths.sequencesFile,
+        journal: paths.journalFile
+      },
+      initialStylists
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+};
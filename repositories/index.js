@@ -0,0 +1,155 @@
+import { stylists as initialStylists } from '../data/stylists.js';
+import { createRepositories } from './factory.js';
+import { migrateStylistPricing } from '../utils/pricing.js';
+import { migrateStylistSchedule } from '../utils/schedule.js';
+import { migrateStylistServices } from '../utils/services.js';
+import { migrateStylistCancellationPolicy } from '../utils/cancellationPolicy.js';
+import { migrateAppointmentStatus } from '../utils/appointmentStateMachine.js';
+import { migrateEmailVerification } from '../utils/emailVerification.js';
+import { isPasswordHashed } from '../utils/passwordUtils.js';
+import { logWarn } from '../utils/logger.js';
+import { env } from '../config/env.js';
+import { traceRepositories } from '../utils/tracing.js';
+
+/**
+ * Data access layer
+ * Controllers use these repositories instead of touching storage directly:
+ *   stylistRepository / userRepository / adminRepository - findAll, findById, findByEmail, findWhere, count, create, update, delete
+ *   appointmentRepository - findAll, findById, findByStylistId, findByUserId, findWhere, count, create, update, delete
+ *   credentialRepository - get, has, set, delete, entries (by account type 'stylist', 'user' or 'admin' and email),
+ *     plus getTwoFactor, setTwoFactor, deleteTwoFactor, twoFactorEntries for two-factor settings
+ *   recentlyViewedRepository - get, set, delete, entries (by user ID)
+ *   refreshTokenRepository - findAll, findByTokenHash, findByFamilyId, findByAccount, create, update, delete, deleteExpired
+ *   revokedTokenRepository - add, has, entries, deleteExpired (access token IDs revoked before they expire)
+ *   passwordResetTokenRepository - findAll, findByTokenHash, findByAccount, create, update, delete, deleteExpired
+ *   loginAttemptRepository - get, set, delete, entries, deleteExpired (failed login tracking by account type and email;
+ *     deleteExpired drops records last failed before a cutoff that are not locked)
+ *   auditLogRepository - append, erase, last, findAll, findWhere, count (append-only audit log; entries
+ *     can only be replaced by their erased version)
+ *   webhookRepository - findAll, findById, findByStylistId, findWhere, count, create, update, delete
+ *   webhookDeliveryRepository - findAll, findById, findByWebhookId, findPending, findWhere, count, create, update,
+ *     delete, deleteByWebhookId (webhook delivery queue and log)
+ * Repositories with numeric IDs also have lastId and advanceLastId; IDs are never reused, even after a delete
+ * Records returned are copies: change them, then pass them to update()
+ * The backend is chosen with STORAGE_DRIVER ('json' or 'sqlite'); with TRACING_ENABLED every
+ * call is recorded as a span of the request making it
+ */
+
+// Refuse to start on unreadable data rather than silently starting empty
+let repositories;
+try {
+  repositories = createRepositories();
+  if (env.TRACING_ENABLED) {
+    repositories = traceRepositories(repositories);
+  }
+} catch (error) {
+  console.error('ERROR: Could not open the data store:');
+  console.error(`  ${error.message}`);
+  process.exit(1);
+}
+
+export const {
+  stylistRepository,
+  userRepository,
+  adminRepository,
+  appointmentRepository,
+  credentialRepository,
+  recentlyViewedRepository,
+  refreshTokenRepository,
+  revokedTokenRepository,
+  passwordResetTokenRepository,
+  loginAttemptRepository,
+  auditLogRepository,
+  webhookRepository,
+  webhookDeliveryRepository
+} = repositories;
+
+/**
+ * Run several repository changes together
+ * (one SQLite transaction, or one write per JSON file)
+ * @param {Function} fn - Work to run
+ * @returns {any} - fn's return value
+ */
+export const withTransaction = (fn) => repositories.transaction(fn);
+
+/**
+ * Close the underlying storage (used on shutdown)
+ */
+export const closeRepositories = () => repositories.close();
+
+// Seed an empty store with the initial stylists (without passwords, see below)
+if (stylistRepository.count() === 0 && initialStylists.length > 0) {
+  withTransaction(() => {
+    initialStylists.forEach(stylist => stylistRepository.create(stylist));
+  });
+}
+
+// Plain text passwords left from older versions only work with ALLOW_PLAINTEXT_PASSWORDS
+if (!env.ALLOW_PLAINTEXT_PASSWORDS) {
+  const plainTextCount = ['stylist', 'user'].reduce((count, accountType) => (
+    count + credentialRepository.entries(accountType).filter(([, password]) => !isPasswordHashed(password)).length
+  ), 0);
+  if (plainTextCount > 0) {
+    logWarn('Stored passwords are not hashed and cannot be used to log in; run npm run migrate:passwords', {
+      count: plainTextCount
+    });
+  }
+}
+
+// Migrate legacy stylist fields: free-text prices to structured prices,
+// free-text hours to a weekly schedule, services to IDs with parsed durations,
+// and free-text cancellation policies to structured terms
+const stylistMigrations = [
+  migrateStylistPricing,
+  migrateStylistSchedule,
+  migrateStylistServices,
+  migrateStylistCancellationPolicy
+];
+withTransaction(() => {
+  stylistRepository.findAll().forEach(stylist => {
+    let stylistChanged = false;
+    const migrated = stylistMigrations.reduce((current, migrate) => {
+      const { stylist: next, changed } = migrate(current);
+      stylistChanged = stylistChanged || changed;
+      return next;
+    }, stylist);
+    if (stylistChanged) {
+      stylistRepository.update(migrated);
+    }
+  });
+
+  // Migrate legacy appointment statuses to the appointment state machine
+  appointmentRepository.findAll().forEach(appointment => {
+    const { appointment: migrated, changed } = migrateAppointmentStatus(appointment);
+    if (changed) {
+      appointmentRepository.update(migrated);
+    }
+  });
+
+  // Accounts created before email verification count as verified
+  [stylistRepository, userRepository].forEach(repository => {
+    repository.findAll().forEach(account => {
+      const { account: migrated, changed } = migrateEmailVerification(account);
+      if (changed) {
+        repository.update(migrated);
+      }
+    });
+  });
+
+  // Accounts without a password (seeded stylists) are emailed a link to set one at their first login
+  [['stylist', stylistRepository], ['user', userRepository]].forEach(([accountType, repository]) => {
+    repository.findAll().forEach(account => {
+      if (account.passwordSetupRequired === undefined && !credentialRepository.has(accountType, account.email)) {
+        repository.update({ ...account, passwordSetupRequired: true });
+      }
+    });
+  });
+});
+
+// Drop refresh tokens, revocation entries, password reset tokens and failed login records that have expired anyway
+withTransaction(() => {
+  refreshTokenRepository.deleteExpired();
+  revokedTokenRepository.deleteExpired();
+  passwordResetTokenRepository.deleteExpired();
+  loginAttemptRepository.deleteExpired(new Date(Date.now() - env.LOGIN_FAILURE_RESET_HOURS * 60 * 60 * 1000));
+});
@@ -0,0 +1,424 @@
+import { readJSONFile, createJournal, createAppendOnlyFile, convertJSONFileToLines } from '../utils/dataPersistence.js';
+
+/**
+ * JSON-file storage adapter
+ * Each collection is kept in memory and rewritten to its JSON file after a change
+ * (or once at the end of a transaction). Writes go through a journal, so the files
+ * touched by one transaction are replayed together after a crash. Records are copied
+ * on the way in and out so callers never hold a reference into the store, as with
+ * the SQLite adapter. The last ID handed out per collection is kept in the sequences
+ * file, so the ID of a deleted record is never given to a new one. The audit log is an
+ * append-only file instead: new entries are appended to it rather than rewriting it
+ */
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+/**
+ * Create the JSON-file repositories
+ * @param {Object} options
+ * @param {Object} options.files - { stylists, users, admins, appointments, credentials, recentlyViewed,
+ *   refreshTokens, revokedTokens, passwordResetTokens, loginAttempts, auditLog, webhooks, webhookDeliveries,
+ *   sequences, journal } file paths; auditLog is newline-delimited JSON, and legacyAuditLog (the
+ *   JSON file used before) is converted into it on first start
+ * @param {Object[]} options.initialStylists - Stylists used when the stylists file does not exist
+ * @returns {Object} - Repositories plus transaction() and close()
+ */
+export const createJsonRepositories = ({ files, initialStylists = [] }) => {
+  // Finish writes interrupted by a crash before loading anything
+  const journal = createJournal(files.journal);
+  journal.replay();
+  convertJSONFileToLines(files.legacyAuditLog, files.auditLog);
+  const auditLogFile = createAppendOnlyFile(files.auditLog);
+
+  // Contents used for a collection whose file does not exist yet
+  const defaults = {
+    stylists: initialStylists,
+    users: [],
+    admins: [],
+    appointments: [],
+    credentials: { stylists: {}, users: {} },
+    recentlyViewed: {},
+    refreshTokens: [],
+    revokedTokens: {},
+    passwordResetTokens: [],
+    loginAttempts: {},
+    webhooks: [],
+    webhookDeliveries: [],
+    sequences: {}
+  };
+
+  /**
+   * Read a collection from its file
+   * @param {string} name - Collection name (key of `defaults` and `files`)
+   * @returns {Object|Object[]} - Collection contents
+   */
+  const readCollection = (name) => {
+    const contents = readJSONFile(files[name], clone(defaults[name]));
+    if (name === 'credentials') {
+      contents.stylists = contents.stylists || {};
+      contents.users = contents.users || {};
+      contents.admins = contents.admins || {};
+      contents.twoFactor = contents.twoFactor || {};
+      contents.twoFactor.stylists = contents.twoFactor.stylists || {};
+      contents.twoFactor.users = contents.twoFactor.users || {};
+      contents.twoFactor.admins = contents.twoFactor.admins || {};
+    }
+    return contents;
+  };
+
+  const data = {
+    ...Object.fromEntries(Object.keys(defaults).map(name => [name, readCollection(name)])),
+    auditLog: auditLogFile.read()
+  };
+
+  // Files changed inside the current transaction (written when it ends)
+  let transactionDepth = 0;
+  const dirty = new Set();
+
+  const persist = (...names) => {
+    if (transactionDepth > 0) {
+      names.forEach(name => dirty.add(name));
+      return;
+    }
+    journal.write(names.map(name => ({ file: files[name], data: data[name] })));
+  };
+
+  // Erasures rewrite the audit log file (inside a transaction, once when it ends)
+  let auditLogChanged = false;
+  // Audit log entries before the current transaction (appends go to the file straight away)
+  let auditLogLengthBefore = 0;
+  const rewriteAuditLog = () => {
+    if (transactionDepth > 0) {
+      auditLogChanged = true;
+      return;
+    }
+    auditLogFile.rewrite(data.auditLog);
+  };
+
+  /**
+   * Build a repository for an array of records with numeric IDs
+   * @param {string} name - Collection name (key of `data` and `files`)
+   * @returns {Object} - Basic CRUD repository
+   */
+  const createCollection = (name) => {
+    const indexOf = (id) => data[name].findIndex(record => record.id === id);
+    // Records from before the sequences file existed count too
+    const lastId = () => Math.max(data.sequences[name] || 0, ...data[name].map(record => record.id || 0));
+
+    return {
+      findAll: () => clone(data[name]),
+      findById: (id) => clone(data[name].find(record => record.id === id)) || null,
+      findWhere: (predicate) => clone(data[name].filter(predicate)),
+      count: () => data[name].length,
+      create: (record) => {
+        const previousId = lastId();
+        const created = { ...clone(record), id: record.id ?? previousId + 1 };
+        data[name].push(created);
+        data.sequences[name] = Math.max(previousId, created.id);
+        persist(name, 'sequences');
+        return clone(created);
+      },
+      update: (record) => {
+        const index = indexOf(record.id);
+        if (index === -1) {
+          return null;
+        }
+        data[name][index] = clone(record);
+        persist(name);
+        return clone(record);
+      },
+      delete: (id) => {
+        const index = indexOf(id);
+        if (index === -1) {
+          return false;
+        }
+        data[name].splice(index, 1);
+        persist(name);
+        return true;
+      },
+      lastId,
+      // Make sure IDs up to `id` are never handed out (used when importing)
+      advanceLastId: (id) => {
+        if (id > (data.sequences[name] || 0)) {
+          data.sequences[name] = id;
+          persist('sequences');
+        }
+      }
+    };
+  };
+
+  const stylistCollection = createCollection('stylists');
+  const userCollection = createCollection('users');
+  const adminCollection = createCollection('admins');
+  const appointmentCollection = createCollection('appointments');
+  const refreshTokenCollection = createCollection('refreshTokens');
+  const passwordResetTokenCollection = createCollection('passwordResetTokens');
+  const webhookCollection = createCollection('webhooks');
+  const webhookDeliveryCollection = createCollection('webhookDeliveries');
+
+  const findByEmail = (collection) => (email) => {
+    const emailLower = String(email).toLowerCase();
+    return collection.findWhere(record => (record.email || '').toLowerCase() === emailLower)[0] || null;
+  };
+
+  // Credential scopes in credentials.json
+  const CREDENTIAL_SCOPES = { stylist: 'stylists', user: 'users', admin: 'admins' };
+  const credentialScope = (accountType) => {
+    const scope = CREDENTIAL_SCOPES[accountType];
+    if (!scope) {
+      throw new Error(`Unknown account type: ${accountType}`);
+    }
+    return data.credentials[scope];
+  };
+  // Two-factor settings sit next to the password hashes, under credentials.twoFactor
+  const twoFactorScope = (accountType) => {
+    credentialScope(accountType);
+    return data.credentials.twoFactor[CREDENTIAL_SCOPES[accountType]];
+  };
+
+  return {
+    stylistRepository: {
+      ...stylistCollection,
+      findByEmail: findByEmail(stylistCollection)
+    },
+
+    userRepository: {
+      ...userCollection,
+      findByEmail: findByEmail(userCollection)
+    },
+
+    adminRepository: {
+      ...adminCollection,
+      findByEmail: findByEmail(adminCollection)
+    },
+
+    appointmentRepository: {
+      ...appointmentCollection,
+      findByStylistId: (stylistId) => appointmentCollection.findWhere(a => a.stylistId === stylistId),
+      findByUserId: (userId) => appointmentCollection.findWhere(a => a.userId === userId)
+    },
+
+    credentialRepository: {
+      get: (accountType, email) => credentialScope(accountType)[email.toLowerCase()] || null,
+      has: (accountType, email) => Object.hasOwn(credentialScope(accountType), email.toLowerCase()),
+      set: (accountType, email, passwordHash) => {
+        credentialScope(accountType)[email.toLowerCase()] = passwordHash;
+        persist('credentials');
+      },
+      delete: (accountType, email) => {
+        const scope = credentialScope(accountType);
+        const existed = Object.hasOwn(scope, email.toLowerCase());
+        delete scope[email.toLowerCase()];
+        if (existed) {
+          persist('credentials');
+        }
+        return existed;
+      },
+      entries: (accountType) => Object.entries(credentialScope(accountType)),
+      getTwoFactor: (accountType, email) => clone(twoFactorScope(accountType)[email.toLowerCase()]) || null,
+      setTwoFactor: (accountType, email, settings) => {
+        twoFactorScope(accountType)[email.toLowerCase()] = clone(settings);
+        persist('credentials');
+      },
+      deleteTwoFactor: (accountType, email) => {
+        const scope = twoFactorScope(accountType);
+        const existed = Object.hasOwn(scope, email.toLowerCase());
+        delete scope[email.toLowerCase()];
+        if (existed) {
+          persist('credentials');
+        }
+        return existed;
+      },
+      twoFactorEntries: (accountType) => Object.entries(clone(twoFactorScope(accountType)))
+    },
+
+    recentlyViewedRepository: {
+      get: (userId) => clone(data.recentlyViewed[userId]) || [],
+      set: (userId, stylistIds) => {
+        data.recentlyViewed[userId] = [...stylistIds];
+        persist('recentlyViewed');
+      },
+      delete: (userId) => {
+        delete data.recentlyViewed[userId];
+        persist('recentlyViewed');
+      },
+      entries: () => Object.entries(clone(data.recentlyViewed)).map(([userId, ids]) => [parseInt(userId, 10), ids])
+    },
+
+    refreshTokenRepository: {
+      ...refreshTokenCollection,
+      findByTokenHash: (tokenHash) => refreshTokenCollection.findWhere(t => t.tokenHash === tokenHash)[0] || null,
+      findByFamilyId: (familyId) => refreshTokenCollection.findWhere(t => t.familyId === familyId),
+      findByAccount: (accountType, accountId) => refreshTokenCollection.findWhere(t => (
+        t.accountType === accountType && t.accountId === accountId
+      )),
+      deleteExpired: (now = new Date()) => {
+        const before = data.refreshTokens.length;
+        data.refreshTokens = data.refreshTokens.filter(t => new Date(t.expiresAt) > now);
+        if (data.refreshTokens.length !== before) {
+          persist('refreshTokens');
+        }
+        return before - data.refreshTokens.length;
+      }
+    },
+
+    revokedTokenRepository: {
+      add: (jti, expiresAt) => {
+        data.revokedTokens[jti] = expiresAt;
+        persist('revokedTokens');
+      },
+      has: (jti) => Object.hasOwn(data.revokedTokens, jti),
+      entries: () => Object.entries(data.revokedTokens),
+      deleteExpired: (now = new Date()) => {
+        const expired = Object.keys(data.revokedTokens).filter(jti => new Date(data.revokedTokens[jti]) <= now);
+        expired.forEach(jti => delete data.revokedTokens[jti]);
+        if (expired.length > 0) {
+          persist('revokedTokens');
+        }
+        return expired.length;
+      }
+    },
+
+    passwordResetTokenRepository: {
+      ...passwordResetTokenCollection,
+      findByTokenHash: (tokenHash) => passwordResetTokenCollection.findWhere(t => t.tokenHash === tokenHash)[0] || null,
+      findByAccount: (accountType, accountId) => passwordResetTokenCollection.findWhere(t => (
+        t.accountType === accountType && t.accountId === accountId
+      )),
+      deleteExpired: (now = new Date()) => {
+        const before = data.passwordResetTokens.length;
+        data.passwordResetTokens = data.passwordResetTokens.filter(t => new Date(t.expiresAt) > now);
+        if (data.passwordResetTokens.length !== before) {
+          persist('passwordResetTokens');
+        }
+        return before - data.passwordResetTokens.length;
+      }
+    },
+
+    // Failed login tracking, keyed by "<accountType>:<email>"
+    loginAttemptRepository: {
+      get: (accountType, email) => {
+        credentialScope(accountType);
+        return clone(data.loginAttempts[`${accountType}:${email.toLowerCase()}`]) || null;
+      },
+      set: (accountType, email, record) => {
+        credentialScope(accountType);
+        data.loginAttempts[`${accountType}:${email.toLowerCase()}`] = clone(record);
+        persist('loginAttempts');
+      },
+      delete: (accountType, email) => {
+        const key = `${accountType}:${email.toLowerCase()}`;
+        const existed = Object.hasOwn(data.loginAttempts, key);
+        delete data.loginAttempts[key];
+        if (existed) {
+          persist('loginAttempts');
+        }
+        return existed;
+      },
+      entries: () => Object.entries(clone(data.loginAttempts)).map(([key, record]) => {
+        const separator = key.indexOf(':');
+        return [key.slice(0, separator), key.slice(separator + 1), record];
+      }),
+      deleteExpired: (forgetBefore, now = new Date()) => {
+        const expired = Object.keys(data.loginAttempts).filter(key => {
+          const record = data.loginAttempts[key];
+          return new Date(record.lastFailedAt) < forgetBefore && !(record.lockedUntil && new Date(record.lockedUntil) > now);
+        });
+        expired.forEach(key => delete data.loginAttempts[key]);
+        if (expired.length > 0) {
+          persist('loginAttempts');
+        }
+        return expired.length;
+      }
+    },
+
+    // Append-only: entries are never removed, only replaced by their erased version
+    auditLogRepository: {
+      append: (entry) => {
+        const created = { ...clone(entry), id: entry.id ?? (data.auditLog.at(-1)?.id || 0) + 1 };
+        auditLogFile.append(created);
+        data.auditLog.push(created);
+        return clone(created);
+      },
+      // Replace an entry with its erased version (see eraseAccountAuditEntries)
+      erase: (entry) => {
+        const index = data.auditLog.findIndex(existing => existing.id === entry.id);
+        if (index === -1) {
+          return null;
+        }
+        data.auditLog[index] = clone(entry);
+        rewriteAuditLog();
+        return clone(entry);
+      },
+      last: () => clone(data.auditLog.at(-1)) || null,
+      findAll: () => clone(data.auditLog),
+      findWhere: (predicate) => clone(data.auditLog.filter(predicate)),
+      count: () => data.auditLog.length
+    },
+
+    webhookRepository: {
+      ...webhookCollection,
+      findByStylistId: (stylistId) => webhookCollection.findWhere(w => w.stylistId === stylistId)
+    },
+
+    webhookDeliveryRepository: {
+      ...webhookDeliveryCollection,
+      findByWebhookId: (webhookId) => webhookDeliveryCollection.findWhere(d => d.webhookId === webhookId),
+      // Deliveries waiting for an attempt, the one due first first
+      findPending: () => webhookDeliveryCollection.findWhere(d => d.status === 'pending')
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt) || a.id - b.id),
+      deleteByWebhookId: (webhookId) => {
+        const before = data.webhookDeliveries.length;
+        data.webhookDeliveries = data.webhookDeliveries.filter(d => d.webhookId !== webhookId);
+        if (data.webhookDeliveries.length !== before) {
+          persist('webhookDeliveries');
+        }
+        return before - data.webhookDeliveries.length;
+      }
+    },
+
+    /**
+     * Run several changes and write the touched files together (one journal entry) at the end
+     * If fn throws, nothing is written: the touched collections are read back from their files
+     * and audit entries appended meanwhile are removed again, as a SQLite rollback would
+     * @param {Function} fn - Work to run
+     * @returns {any} - fn's return value
+     */
+    transaction: (fn) => {
+      if (transactionDepth === 0) {
+        auditLogLengthBefore = data.auditLog.length;
+      }
+      transactionDepth += 1;
+      let completed = false;
+      try {
+        const result = fn();
+        completed = true;
+        return result;
+      } finally {
+        transactionDepth -= 1;
+        if (transactionDepth === 0 && completed) {
+          const writes = [...dirty].map(name => ({ file: files[name], data: data[name] }));
+          dirty.clear();
+          journal.write(writes);
+          if (auditLogChanged) {
+            auditLogChanged = false;
+            auditLogFile.rewrite(data.auditLog);
+          }
+        } else if (transactionDepth === 0) {
+          dirty.forEach(name => { data[name] = readCollection(name); });
+          dirty.clear();
+          if (auditLogChanged || data.auditLog.length !== auditLogLengthBefore) {
+            auditLogChanged = false;
+            data.auditLog = auditLogFile.read().slice(0, auditLogLengthBefore);
+            auditLogFile.rewrite(data.auditLog);
+          }
+        }
+      }
+    },
+
+    // Every write is already on disk; finish any that failed half-way so the journal is left empty
+    close: () => {
+      journal.replay();
+    }
+  };
+};
@@ -0,0 +1,529 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite storage adapter (single local database file)
+ * Records are stored as JSON documents next to the columns used for lookups,
+ * so the record shape stays the same as with the JSON-file adapter. Tables of records
+ * with numeric IDs use AUTOINCREMENT, so the ID of a deleted record is never reused
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS stylists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS stylists_email ON stylists (email);
+
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS users_email ON users (email);
+
+  CREATE TABLE IF NOT EXISTS admins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS admins_email ON admins (email);
+
+  CREATE TABLE IF NOT EXISTS appointments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stylist_id INTEGER,
+    user_id INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS appointments_stylist ON appointments (stylist_id);
+  CREATE INDEX IF NOT EXISTS appointments_user ON appointments (user_id);
+
+  CREATE TABLE IF NOT EXISTS credentials (
+    account_type TEXT NOT NULL,
+    email TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    PRIMARY KEY (account_type, email)
+  );
+
+  CREATE TABLE IF NOT EXISTS two_factor (
+    account_type TEXT NOT NULL,
+    email TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (account_type, email)
+  );
+
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    account_type TEXT NOT NULL,
+    email TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (account_type, email)
+  );
+
+  CREATE TABLE IF NOT EXISTS recently_viewed (
+    user_id INTEGER PRIMARY KEY,
+    stylist_ids TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT NOT NULL UNIQUE,
+    family_id TEXT NOT NULL,
+    account_type TEXT NOT NULL,
+    account_id INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS refresh_tokens_family ON refresh_tokens (family_id);
+  CREATE INDEX IF NOT EXISTS refresh_tokens_account ON refresh_tokens (account_type, account_id);
+
+  CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT NOT NULL UNIQUE,
+    account_type TEXT NOT NULL,
+    account_id INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS password_reset_tokens_account ON password_reset_tokens (account_type, account_id);
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY,
+    action TEXT NOT NULL,
+    actor_type TEXT,
+    actor_id INTEGER,
+    target_type TEXT,
+    target_id INTEGER,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_actor ON audit_log (actor_type, actor_id);
+  CREATE INDEX IF NOT EXISTS audit_log_target ON audit_log (target_type, target_id);
+  DROP TRIGGER IF EXISTS audit_log_no_update;
+  CREATE TRIGGER IF NOT EXISTS audit_log_erase_only BEFORE UPDATE ON audit_log
+    WHEN NEW.id IS NOT OLD.id OR NEW.action IS NOT OLD.action
+      OR NEW.actor_type IS NOT OLD.actor_type OR NEW.actor_id IS NOT OLD.actor_id
+      OR NEW.target_type IS NOT OLD.target_type OR NEW.target_id IS NOT OLD.target_id
+      OR NEW.timestamp IS NOT OLD.timestamp
+      OR json_extract(OLD.data, '$.erasedAt') IS NOT NULL OR json_extract(NEW.data, '$.erasedAt') IS NULL
+      OR json_extract(NEW.data, '$.hash') IS NOT json_extract(OLD.data, '$.hash')
+      OR json_extract(NEW.data, '$.previousHash') IS NOT json_extract(OLD.data, '$.previousHash')
+    BEGIN SELECT RAISE(ABORT, 'The audit log is append-only (entries can only be erased)'); END;
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stylist_id INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhooks_stylist ON webhooks (stylist_id);
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    next_attempt_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook ON webhook_deliveries (webhook_id);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_pending ON webhook_deliveries (status, next_attempt_at);
+`;
+
+// Tables whose IDs come from AUTOINCREMENT (see migrateToAutoincrement)
+const ID_TABLES = [
+  'stylists', 'users', 'admins', 'appointments', 'refresh_tokens',
+  'password_reset_tokens', 'webhooks', 'webhook_deliveries'
+];
+
+/**
+ * Rebuild tables created before they used AUTOINCREMENT (their IDs could be reused
+ * after a delete). Rows are copied unchanged; the sequence starts after the highest
+ * remaining ID
+ * @param {Database} db - Open database (SCHEMA already applied)
+ */
+const migrateToAutoincrement = (db) => {
+  const legacy = ID_TABLES.filter(table => !/AUTOINCREMENT/i.test(
+    db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table).sql
+  ));
+  if (legacy.length === 0) {
+    return;
+  }
+  db.transaction(() => {
+    legacy.forEach(table => db.exec(`ALTER TABLE ${table} RENAME TO ${table}_legacy`));
+    // Creates the new tables; their indexes still belong to the renamed ones
+    db.exec(SCHEMA);
+    legacy.forEach(table => db.exec(`INSERT INTO ${table} SELECT * FROM ${table}_legacy; DROP TABLE ${table}_legacy;`));
+    db.exec(SCHEMA);
+  })();
+};
+
+const ACCOUNT_TYPES = ['stylist', 'user', 'admin'];
+
+const checkAccountType = (accountType) => {
+  if (!ACCOUNT_TYPES.includes(accountType)) {
+    throw new Error(`Unknown account type: ${accountType}`);
+  }
+};
+
+const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+
+/**
+ * Build a repository for a table of JSON documents with numeric IDs
+ * @param {Database} db - Open database
+ * @param {string} table - Table name
+ * @param {Object} columns - Lookup columns: { column: record => value }
+ * @returns {Object} - Basic CRUD repository
+ */
+const createCollection = (db, table, columns = {}) => {
+  const columnNames = Object.keys(columns);
+  const columnValues = (record) => columnNames.map(column => columns[column](record) ?? null);
+
+  const statements = {
+    all: db.prepare(`SELECT data FROM ${table} ORDER BY id`),
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+    count: db.prepare(`SELECT COUNT(*) AS count FROM ${table}`),
+    // Highest ID ever used (sqlite_sequence is updated by every insert, explicit IDs included)
+    lastId: db.prepare(`SELECT MAX(
+      COALESCE((SELECT seq FROM sqlite_sequence WHERE name = '${table}'), 0),
+      COALESCE((SELECT MAX(id) FROM ${table}), 0)
+    ) AS lastId`),
+    // sqlite_sequence has a row for the table once something has been inserted into it
+    advanceSequence: db.prepare(`UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = '${table}'`),
+    insertSequence: db.prepare(`INSERT INTO sqlite_sequence (name, seq) VALUES ('${table}', ?)`),
+    insert: db.prepare(`INSERT INTO ${table} (id, ${[...columnNames, 'data'].join(', ')}) VALUES (${['?', ...columnNames.map(() => '?'), '?'].join(', ')})`),
+    update: db.prepare(`UPDATE ${table} SET ${[...columnNames, 'data'].map(column => `${column} = ?`).join(', ')} WHERE id = ?`),
+    delete: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+  };
+
+  return {
+    findAll: () => statements.all.all().map(parseRow),
+    findById: (id) => parseRow(statements.get.get(id)),
+    findWhere: (predicate) => statements.all.all().map(parseRow).filter(predicate),
+    count: () => statements.count.get().count,
+    create: (record) => {
+      const created = { ...record, id: record.id ?? statements.lastId.get().lastId + 1 };
+      statements.insert.run(created.id, ...columnValues(created), JSON.stringify(created));
+      return created;
+    },
+    update: (record) => {
+      const result = statements.update.run(...columnValues(record), JSON.stringify(record), record.id);
+      return result.changes > 0 ? record : null;
+    },
+    delete: (id) => statements.delete.run(id).changes > 0,
+    lastId: () => statements.lastId.get().lastId,
+    // Make sure IDs up to `id` are never handed out (used when importing)
+    advanceLastId: (id) => {
+      if (statements.advanceSequence.run(id).changes === 0) {
+        statements.insertSequence.run(id);
+      }
+    }
+  };
+};
+
+/**
+ * Build a lookup on one of a table's columns
+ * @param {Database} db - Open database
+ * @param {string} table - Table name
+ * @param {string} column - Column to match
+ * @returns {Function} - value => matching records
+ */
+const createLookup = (db, table, column) => {
+  const statement = db.prepare(`SELECT data FROM ${table} WHERE ${column} = ? ORDER BY id`);
+  return (value) => statement.all(value).map(parseRow);
+};
+
+/**
+ * Create the SQLite repositories
+ * @param {Object} options
+ * @param {string} options.file - Database file path (":memory:" for an in-memory database)
+ * @returns {Object} - Repositories plus transaction() and close()
+ */
+export const createSqliteRepositories = ({ file }) => {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrateToAutoincrement(db);
+
+  const lowerEmail = (record) => (record.email ? record.email.toLowerCase() : null);
+
+  const stylistCollection = createCollection(db, 'stylists', { email: lowerEmail });
+  const userCollection = createCollection(db, 'users', { email: lowerEmail });
+  const adminCollection = createCollection(db, 'admins', { email: lowerEmail });
+  const appointmentCollection = createCollection(db, 'appointments', {
+    stylist_id: (appointment) => appointment.stylistId,
+    user_id: (appointment) => appointment.userId
+  });
+
+  const refreshTokenCollection = createCollection(db, 'refresh_tokens', {
+    token_hash: (token) => token.tokenHash,
+    family_id: (token) => token.familyId,
+    account_type: (token) => token.accountType,
+    account_id: (token) => token.accountId,
+    expires_at: (token) => token.expiresAt
+  });
+
+  const passwordResetTokenCollection = createCollection(db, 'password_reset_tokens', {
+    token_hash: (token) => token.tokenHash,
+    account_type: (token) => token.accountType,
+    account_id: (token) => token.accountId,
+    expires_at: (token) => token.expiresAt
+  });
+
+  const webhookCollection = createCollection(db, 'webhooks', {
+    stylist_id: (webhook) => webhook.stylistId
+  });
+
+  const webhookDeliveryCollection = createCollection(db, 'webhook_deliveries', {
+    webhook_id: (delivery) => delivery.webhookId,
+    status: (delivery) => delivery.status,
+    next_attempt_at: (delivery) => delivery.nextAttemptAt
+  });
+
+  const findStylistsByEmail = createLookup(db, 'stylists', 'email');
+  const findUsersByEmail = createLookup(db, 'users', 'email');
+  const findAdminsByEmail = createLookup(db, 'admins', 'email');
+  const findAppointmentsByStylist = createLookup(db, 'appointments', 'stylist_id');
+  const findAppointmentsByUser = createLookup(db, 'appointments', 'user_id');
+
+  const findRefreshTokensByHash = createLookup(db, 'refresh_tokens', 'token_hash');
+  const findRefreshTokensByFamily = createLookup(db, 'refresh_tokens', 'family_id');
+  const refreshTokenStatements = {
+    byAccount: db.prepare('SELECT data FROM refresh_tokens WHERE account_type = ? AND account_id = ? ORDER BY id'),
+    deleteExpired: db.prepare('DELETE FROM refresh_tokens WHERE expires_at <= ?')
+  };
+
+  const findPasswordResetTokensByHash = createLookup(db, 'password_reset_tokens', 'token_hash');
+  const passwordResetTokenStatements = {
+    byAccount: db.prepare('SELECT data FROM password_reset_tokens WHERE account_type = ? AND account_id = ? ORDER BY id'),
+    deleteExpired: db.prepare('DELETE FROM password_reset_tokens WHERE expires_at <= ?')
+  };
+
+  const revokedTokenStatements = {
+    add: db.prepare(`INSERT INTO revoked_tokens (jti, expires_at) VALUES (?, ?)
+      ON CONFLICT (jti) DO UPDATE SET expires_at = excluded.expires_at`),
+    has: db.prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?'),
+    entries: db.prepare('SELECT jti, expires_at FROM revoked_tokens ORDER BY jti'),
+    deleteExpired: db.prepare('DELETE FROM revoked_tokens WHERE expires_at <= ?')
+  };
+
+  const credentialStatements = {
+    get: db.prepare('SELECT password_hash FROM credentials WHERE account_type = ? AND email = ?'),
+    set: db.prepare(`INSERT INTO credentials (account_type, email, password_hash) VALUES (?, ?, ?)
+      ON CONFLICT (account_type, email) DO UPDATE SET password_hash = excluded.password_hash`),
+    delete: db.prepare('DELETE FROM credentials WHERE account_type = ? AND email = ?'),
+    entries: db.prepare('SELECT email, password_hash FROM credentials WHERE account_type = ? ORDER BY email')
+  };
+
+  const twoFactorStatements = {
+    get: db.prepare('SELECT data FROM two_factor WHERE account_type = ? AND email = ?'),
+    set: db.prepare(`INSERT INTO two_factor (account_type, email, data) VALUES (?, ?, ?)
+      ON CONFLICT (account_type, email) DO UPDATE SET data = excluded.data`),
+    delete: db.prepare('DELETE FROM two_factor WHERE account_type = ? AND email = ?'),
+    entries: db.prepare('SELECT email, data FROM two_factor WHERE account_type = ? ORDER BY email')
+  };
+
+  const findWebhooksByStylist = createLookup(db, 'webhooks', 'stylist_id');
+  const findWebhookDeliveriesByWebhook = createLookup(db, 'webhook_deliveries', 'webhook_id');
+  const webhookDeliveryStatements = {
+    pending: db.prepare("SELECT data FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at, id"),
+    deleteByWebhook: db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?')
+  };
+
+  const auditLogStatements = {
+    insert: db.prepare(`INSERT INTO audit_log (id, action, actor_type, actor_id, target_type, target_id, timestamp, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+    last: db.prepare('SELECT data FROM audit_log ORDER BY id DESC LIMIT 1'),
+    maxId: db.prepare('SELECT COALESCE(MAX(id), 0) AS maxId FROM audit_log'),
+    // Allowed by the audit_log_erase_only trigger only for erasures
+    erase: db.prepare('UPDATE audit_log SET data = ? WHERE id = ?'),
+    all: db.prepare('SELECT data FROM audit_log ORDER BY id'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM audit_log')
+  };
+
+  const loginAttemptStatements = {
+    get: db.prepare('SELECT data FROM login_attempts WHERE account_type = ? AND email = ?'),
+    set: db.prepare(`INSERT INTO login_attempts (account_type, email, data) VALUES (?, ?, ?)
+      ON CONFLICT (account_type, email) DO UPDATE SET data = excluded.data`),
+    delete: db.prepare('DELETE FROM login_attempts WHERE account_type = ? AND email = ?'),
+    entries: db.prepare('SELECT account_type, email, data FROM login_attempts ORDER BY account_type, email'),
+    deleteExpired: db.prepare(`DELETE FROM login_attempts
+      WHERE json_extract(data, '$.lastFailedAt') < ? AND COALESCE(json_extract(data, '$.lockedUntil'), '') <= ?`)
+  };
+
+  const recentlyViewedStatements = {
+    get: db.prepare('SELECT stylist_ids FROM recently_viewed WHERE user_id = ?'),
+    set: db.prepare(`INSERT INTO recently_viewed (user_id, stylist_ids) VALUES (?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET stylist_ids = excluded.stylist_ids`),
+    delete: db.prepare('DELETE FROM recently_viewed WHERE user_id = ?'),
+    entries: db.prepare('SELECT user_id, stylist_ids FROM recently_viewed ORDER BY user_id')
+  };
+
+  return {
+    stylistRepository: {
+      ...stylistCollection,
+      findByEmail: (email) => findStylistsByEmail(String(email).toLowerCase())[0] || null
+    },
+
+    userRepository: {
+      ...userCollection,
+      findByEmail: (email) => findUsersByEmail(String(email).toLowerCase())[0] || null
+    },
+
+    adminRepository: {
+      ...adminCollection,
+      findByEmail: (email) => findAdminsByEmail(String(email).toLowerCase())[0] || null
+    },
+
+    appointmentRepository: {
+      ...appointmentCollection,
+      findByStylistId: (stylistId) => findAppointmentsByStylist(stylistId),
+      findByUserId: (userId) => findAppointmentsByUser(userId)
+    },
+
+    credentialRepository: {
+      get: (accountType, email) => {
+        checkAccountType(accountType);
+        return credentialStatements.get.get(accountType, email.toLowerCase())?.password_hash || null;
+      },
+      has: (accountType, email) => {
+        checkAccountType(accountType);
+        return Boolean(credentialStatements.get.get(accountType, email.toLowerCase()));
+      },
+      set: (accountType, email, passwordHash) => {
+        checkAccountType(accountType);
+        credentialStatements.set.run(accountType, email.toLowerCase(), passwordHash);
+      },
+      delete: (accountType, email) => {
+        checkAccountType(accountType);
+        return credentialStatements.delete.run(accountType, email.toLowerCase()).changes > 0;
+      },
+      entries: (accountType) => {
+        checkAccountType(accountType);
+        return credentialStatements.entries.all(accountType).map(row => [row.email, row.password_hash]);
+      },
+      getTwoFactor: (accountType, email) => {
+        checkAccountType(accountType);
+        return parseRow(twoFactorStatements.get.get(accountType, email.toLowerCase()));
+      },
+      setTwoFactor: (accountType, email, settings) => {
+        checkAccountType(accountType);
+        twoFactorStatements.set.run(accountType, email.toLowerCase(), JSON.stringify(settings));
+      },
+      deleteTwoFactor: (accountType, email) => {
+        checkAccountType(accountType);
+        return twoFactorStatements.delete.run(accountType, email.toLowerCase()).changes > 0;
+      },
+      twoFactorEntries: (accountType) => {
+        checkAccountType(accountType);
+        return twoFactorStatements.entries.all(accountType).map(row => [row.email, JSON.parse(row.data)]);
+      }
+    },
+
+    recentlyViewedRepository: {
+      get: (userId) => {
+        const row = recentlyViewedStatements.get.get(userId);
+        return row ? JSON.parse(row.stylist_ids) : [];
+      },
+      set: (userId, stylistIds) => {
+        recentlyViewedStatements.set.run(userId, JSON.stringify(stylistIds));
+      },
+      delete: (userId) => {
+        recentlyViewedStatements.delete.run(userId);
+      },
+      entries: () => recentlyViewedStatements.entries.all()
+        .map(row => [row.user_id, JSON.parse(row.stylist_ids)])
+    },
+
+    refreshTokenRepository: {
+      ...refreshTokenCollection,
+      findByTokenHash: (tokenHash) => findRefreshTokensByHash(tokenHash)[0] || null,
+      findByFamilyId: (familyId) => findRefreshTokensByFamily(familyId),
+      findByAccount: (accountType, accountId) => refreshTokenStatements.byAccount
+        .all(accountType, accountId).map(parseRow),
+      deleteExpired: (now = new Date()) => refreshTokenStatements.deleteExpired.run(now.toISOString()).changes
+    },
+
+    revokedTokenRepository: {
+      add: (jti, expiresAt) => {
+        revokedTokenStatements.add.run(jti, expiresAt);
+      },
+      has: (jti) => Boolean(revokedTokenStatements.has.get(jti)),
+      entries: () => revokedTokenStatements.entries.all().map(row => [row.jti, row.expires_at]),
+      deleteExpired: (now = new Date()) => revokedTokenStatements.deleteExpired.run(now.toISOString()).changes
+    },
+
+    passwordResetTokenRepository: {
+      ...passwordResetTokenCollection,
+      findByTokenHash: (tokenHash) => findPasswordResetTokensByHash(tokenHash)[0] || null,
+      findByAccount: (accountType, accountId) => passwordResetTokenStatements.byAccount
+        .all(accountType, accountId).map(parseRow),
+      deleteExpired: (now = new Date()) => passwordResetTokenStatements.deleteExpired.run(now.toISOString()).changes
+    },
+
+    loginAttemptRepository: {
+      get: (accountType, email) => {
+        checkAccountType(accountType);
+        return parseRow(loginAttemptStatements.get.get(accountType, email.toLowerCase()));
+      },
+      set: (accountType, email, record) => {
+        checkAccountType(accountType);
+        loginAttemptStatements.set.run(accountType, email.toLowerCase(), JSON.stringify(record));
+      },
+      delete: (accountType, email) => loginAttemptStatements.delete.run(accountType, email.toLowerCase()).changes > 0,
+      entries: () => loginAttemptStatements.entries.all()
+        .map(row => [row.account_type, row.email, JSON.parse(row.data)]),
+      deleteExpired: (forgetBefore, now = new Date()) => loginAttemptStatements.deleteExpired
+        .run(forgetBefore.toISOString(), now.toISOString()).changes
+    },
+
+    // Append-only (enforced by triggers): entries are never changed or removed
+    auditLogRepository: {
+      append: (entry) => {
+        const created = { ...entry, id: entry.id ?? auditLogStatements.maxId.get().maxId + 1 };
+        auditLogStatements.insert.run(
+          created.id,
+          created.action,
+          created.actor?.type ?? null,
+          created.actor?.id ?? null,
+          created.target?.type ?? null,
+          created.target?.id ?? null,
+          created.timestamp,
+          JSON.stringify(created)
+        );
+        return created;
+      },
+      // Replace an entry with its erased version (see eraseAccountAuditEntries)
+      erase: (entry) => (auditLogStatements.erase.run(JSON.stringify(entry), entry.id).changes > 0 ? entry : null),
+      last: () => parseRow(auditLogStatements.last.get()),
+      findAll: () => auditLogStatements.all.all().map(parseRow),
+      findWhere: (predicate) => auditLogStatements.all.all().map(parseRow).filter(predicate),
+      count: () => auditLogStatements.count.get().count
+    },
+
+    webhookRepository: {
+      ...webhookCollection,
+      findByStylistId: (stylistId) => findWebhooksByStylist(stylistId)
+    },
+
+    webhookDeliveryRepository: {
+      ...webhookDeliveryCollection,
+      findByWebhookId: (webhookId) => findWebhookDeliveriesByWebhook(webhookId),
+      findPending: () => webhookDeliveryStatements.pending.all().map(parseRow),
+      deleteByWebhookId: (webhookId) => webhookDeliveryStatements.deleteByWebhook.run(webhookId).changes
+    },
+
+    /**
+     * Run several changes in one SQLite transaction (rolled back if fn throws)
+     * @param {Function} fn - Work to run
+     * @returns {any} - fn's return value
+     */
+    transaction: (fn) => db.transaction(fn)(),
+
+    close: () => db.close()
+  };
+};
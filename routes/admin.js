@@ -0,0 +1,107 @@
+import express from 'express';
+import {
+  loginAdmin,
+  getStats,
+  listUsers,
+  getUser,
+  suspendUser,
+  unsuspendUser,
+  resetUserPassword,
+  listStylists,
+  getStylist,
+  suspendStylist,
+  unsuspendStylist,
+  resetStylistPassword,
+  listAppointments,
+  getAppointment,
+  forceCancelAppointment,
+  reassignAppointment,
+  getLockedAccounts,
+  unlockLockedAccount,
+  getAuditLog,
+  verifyAuditLog
+} from '../controllers/adminController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateAdminLogin,
+  validateAdminAccountSearch,
+  validateAccountSuspension,
+  validateUserId,
+  validateStylistId,
+  validateAdminAppointmentSearch,
+  validateAppointmentId,
+  validateAppointmentTransition,
+  validateAppointmentReassignment,
+  validateUnlockAccount,
+  validateAuditLogSearch
+} from '../middleware/validation.js';
+import { sanitizeRequestBody, sanitizeQueryParams } from '../middleware/sanitization.js';
+import { loginRateLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /api/admin/login - Log in with an admin account
+router.post('/login', loginRateLimiter, validateAdminLogin, sanitizeRequestBody, asyncHandler(loginAdmin));
+
+// All other admin routes require an admin access token (or the X-Admin-Key header)
+router.use(requireAdmin);
+
+// GET /api/admin/stats - System statistics
+router.get('/stats', asyncHandler(getStats));
+
+// GET /api/admin/users - List/search users
+router.get('/users', validateAdminAccountSearch, sanitizeQueryParams, asyncHandler(listUsers));
+
+// GET /api/admin/users/:id - Get a user
+router.get('/users/:id', validateUserId, asyncHandler(getUser));
+
+// POST /api/admin/users/:id/suspend - Suspend a user
+router.post('/users/:id/suspend', validateAccountSuspension, sanitizeRequestBody, asyncHandler(suspendUser));
+
+// POST /api/admin/users/:id/unsuspend - Lift a user's suspension
+router.post('/users/:id/unsuspend', validateUserId, asyncHandler(unsuspendUser));
+
+// POST /api/admin/users/:id/reset-password - Reset a user's password
+router.post('/users/:id/reset-password', validateUserId, asyncHandler(resetUserPassword));
+
+// GET /api/admin/stylists - List/search stylists
+router.get('/stylists', validateAdminAccountSearch, sanitizeQueryParams, asyncHandler(listStylists));
+
+// GET /api/admin/stylists/:id - Get a stylist
+router.get('/stylists/:id', validateStylistId, asyncHandler(getStylist));
+
+// POST /api/admin/stylists/:id/suspend - Suspend a stylist
+router.post('/stylists/:id/suspend', validateAccountSuspension, sanitizeRequestBody, asyncHandler(suspendStylist));
+
+// POST /api/admin/stylists/:id/unsuspend - Lift a stylist's suspension
+router.post('/stylists/:id/unsuspend', validateStylistId, asyncHandler(unsuspendStylist));
+
+// POST /api/admin/stylists/:id/reset-password - Reset a stylist's password
+router.post('/stylists/:id/reset-password', validateStylistId, asyncHandler(resetStylistPassword));
+
+// GET /api/admin/appointments - List/filter all appointments
+router.get('/appointments', validateAdminAppointmentSearch, sanitizeQueryParams, asyncHandler(listAppointments));
+
+// GET /api/admin/appointments/:id - Get any appointment
+router.get('/appointments/:id', validateAppointmentId, asyncHandler(getAppointment));
+
+// PUT /api/admin/appointments/:id/cancel - Force-cancel an open appointment
+router.put('/appointments/:id/cancel', validateAppointmentTransition, sanitizeRequestBody, asyncHandler(forceCancelAppointment));
+
+// PUT /api/admin/appointments/:id/reassign - Move an open appointment to another stylist
+router.put('/appointments/:id/reassign', validateAppointmentReassignment, sanitizeRequestBody, asyncHandler(reassignAppointment));
+
+// GET /api/admin/lockouts - List accounts locked after failed logins
+router.get('/lockouts', asyncHandler(getLockedAccounts));
+
+// POST /api/admin/lockouts/unlock - Unlock an account
+router.post('/lockouts/unlock', validateUnlockAccount, asyncHandler(unlockLockedAccount));
+
+// GET /api/admin/audit-log - Search the audit log
+router.get('/audit-log', validateAuditLogSearch, sanitizeQueryParams, asyncHandler(getAuditLog));
+
+// GET /api/admin/audit-log/verify - Check the audit log's hash chain
+router.get('/audit-log/verify', asyncHandler(verifyAuditLog));
+
+export default router;
@@ -6,17 +6,22 @@ import {
   rejectAppointment,
   suggestAppointment,
   acceptSuggestion,
-  rejectSuggestion
+  rejectSuggestion,
+  completeAppointment,
+  markNoShow,
+  getAppointmentHistory,
+  cancelAppointment
 } from '../controllers/appointmentController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import {
   validateAppointmentCreation,
   validateAppointmentId,
   validateAppointmentSuggestion,
+  validateAppointmentTransition,
   validateGetAppointments
 } from '../middleware/validation.js';
 import { sanitizeRequestBody, sanitizeQueryParams } from '../middleware/sanitization.js';
-import { authenticate, requireUserType } from '../middleware/auth.js';
+import { authenticate, requireUserType, requireAppointmentRole, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -24,12 +29,13 @@ const router = express.Router();
 router.post('/', 
   authenticate, 
   requireUserType(['user', 'stylist']), 
+  requireVerifiedEmail('book-appointments'), 
   validateAppointmentCreation, 
   sanitizeRequestBody, 
   asyncHandler(createAppointment)
 );
 
-// GET /api/appointments - Get appointments (requires authentication)
+// GET /api/appointments - Get the caller's own appointments (requires authentication)
 router.get('/', 
   authenticate, 
   requireUserType(['user', 'stylist']), 
@@ -38,45 +44,95 @@ router.get('/',
   asyncHandler(getAppointments)
 );
 
-// PUT /api/appointments/:id/accept - Accept an appointment (requires authentication)
+// PUT /api/appointments/:id/accept - Accept an appointment (appointment's stylist only)
 router.put('/:id/accept', 
   authenticate, 
-  requireUserType(['user', 'stylist']), 
-  validateAppointmentId, 
+  requireUserType('stylist'), 
+  requireVerifiedEmail('accept-appointments'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('stylist'), 
+  sanitizeRequestBody, 
   asyncHandler(acceptAppointment)
 );
 
-// PUT /api/appointments/:id/reject - Reject an appointment (requires authentication)
+// PUT /api/appointments/:id/reject - Reject an appointment (appointment's stylist only)
 router.put('/:id/reject', 
   authenticate, 
-  requireUserType(['user', 'stylist']), 
-  validateAppointmentId, 
+  requireUserType('stylist'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('stylist'), 
+  sanitizeRequestBody, 
   asyncHandler(rejectAppointment)
 );
 
-// PUT /api/appointments/:id/suggest - Suggest new date/time for an appointment (requires authentication)
+// PUT /api/appointments/:id/suggest - Suggest new date/time for an appointment (appointment's stylist only)
 router.put('/:id/suggest', 
   authenticate, 
-  requireUserType(['user', 'stylist']), 
+  requireUserType('stylist'), 
+  requireVerifiedEmail('accept-appointments'), 
   validateAppointmentSuggestion, 
+  requireAppointmentRole('stylist'), 
   sanitizeRequestBody, 
   asyncHandler(suggestAppointment)
 );
 
-// PUT /api/appointments/:id/accept-suggestion - Customer accepts suggested date/time (requires authentication)
+// PUT /api/appointments/:id/accept-suggestion - Customer accepts suggested date/time (appointment's customer only)
 router.put('/:id/accept-suggestion', 
   authenticate, 
-  requireUserType(['user', 'stylist']), 
-  validateAppointmentId, 
+  requireUserType('user'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('customer'), 
+  sanitizeRequestBody, 
   asyncHandler(acceptSuggestion)
 );
 
-// PUT /api/appointments/:id/reject-suggestion - Customer rejects suggested date/time (requires authentication)
+// PUT /api/appointments/:id/reject-suggestion - Customer rejects suggested date/time (appointment's customer only)
 router.put('/:id/reject-suggestion', 
+  authenticate, 
+  requireUserType('user'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('customer'), 
+  sanitizeRequestBody, 
+  asyncHandler(rejectSuggestion)
+);
+
+// PUT /api/appointments/:id/cancel - Cancel an appointment (customer who booked it only)
+router.put('/:id/cancel', 
+  authenticate, 
+  requireUserType('user'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('customer'), 
+  sanitizeRequestBody, 
+  asyncHandler(cancelAppointment)
+);
+
+// PUT /api/appointments/:id/complete - Mark a confirmed appointment as completed (appointment's stylist only)
+router.put('/:id/complete', 
+  authenticate, 
+  requireUserType('stylist'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('stylist'), 
+  sanitizeRequestBody, 
+  asyncHandler(completeAppointment)
+);
+
+// PUT /api/appointments/:id/no-show - Mark a confirmed appointment as a no-show (appointment's stylist only)
+router.put('/:id/no-show', 
+  authenticate, 
+  requireUserType('stylist'), 
+  validateAppointmentTransition, 
+  requireAppointmentRole('stylist'), 
+  sanitizeRequestBody, 
+  asyncHandler(markNoShow)
+);
+
+// GET /api/appointments/:id/history - Get an appointment's status history (appointment's stylist or customer)
+router.get('/:id/history', 
   authenticate, 
   requireUserType(['user', 'stylist']), 
   validateAppointmentId, 
-  asyncHandler(rejectSuggestion)
+  requireAppointmentRole(['stylist', 'customer']), 
+  asyncHandler(getAppointmentHistory)
 );
 
 export default router;
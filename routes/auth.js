@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  refreshTokens,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+} from '../controllers/authController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail
+} from '../middleware/validation.js';
+import { passwordResetRateLimiter, verificationEmailRateLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', validateRefreshToken, asyncHandler(refreshTokens));
+
+// POST /api/auth/logout - Log out the current session
+router.post('/logout', authenticate, validateLogout, asyncHandler(logout));
+
+// POST /api/auth/logout-all - Log out all devices
+router.post('/logout-all', authenticate, asyncHandler(logoutAll));
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', passwordResetRateLimiter, validateForgotPassword, asyncHandler(forgotPassword));
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', passwordResetRateLimiter, validateResetPassword, asyncHandler(resetPassword));
+
+// POST /api/auth/verify-email - Verify an email address with a verification token
+router.post('/verify-email', validateVerifyEmail, asyncHandler(verifyEmail));
+
+// POST /api/auth/resend-verification - Send a new verification link to the caller
+router.post('/resend-verification', authenticate, verificationEmailRateLimiter, asyncHandler(resendVerificationEmail));
+
+export default router;
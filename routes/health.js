@@ -0,0 +1,15 @@
+import express from 'express';
+import { getHealth, getLiveness, getReadiness } from '../controllers/healthController.js';
+
+const router = express.Router();
+
+// GET /health - Basic health check
+router.get('/', getHealth);
+
+// GET /health/live - Liveness probe
+router.get('/live', getLiveness);
+
+// GET /health/ready - Readiness probe (data store, uploads, logging)
+router.get('/ready', getReadiness);
+
+export default router;
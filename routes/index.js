@@ -0,0 +1,45 @@
+import express from 'express';
+import stylistsRoutes from './stylists.js';
+import usersRoutes from './users.js';
+import appointmentsRoutes from './appointments.js';
+import authRoutes from './auth.js';
+import adminRoutes from './admin.js';
+import healthRoutes from './health.js';
+import { apiVersion } from '../middleware/apiVersion.js';
+import { LATEST_API_VERSION } from '../utils/apiVersions.js';
+
+// Health probes (mounted before rate limiting in server.js)
+export const healthMount = { path: '/health', router: healthRoutes, tag: 'Health' };
+
+// API routers in mount order, relative to the root of an API version
+export const apiMounts = [
+  { path: '/stylists', router: stylistsRoutes, tag: 'Stylists' },
+  { path: '/users', router: usersRoutes, tag: 'Users' },
+  { path: '/appointments', router: appointmentsRoutes, tag: 'Appointments' },
+  { path: '/auth', router: authRoutes, tag: 'Auth' },
+  { path: '/admin', router: adminRoutes, tag: 'Admin' }
+];
+
+/**
+ * Router serving every API router as one version (see utils/apiVersions.js)
+ * @param {string} version - API version
+ * @param {Object} options
+ * @param {boolean} options.unversioned - Mounted at the unversioned /api paths
+ * @returns {express.Router}
+ */
+export const createApiRouter = (version, { unversioned = false } = {}) => {
+  const router = express.Router();
+  router.use(apiVersion(version, { unversioned }));
+  apiMounts.forEach(({ path, router: mountRouter }) => router.use(path, mountRouter));
+  return router;
+};
+
+/**
+ * API mounts at their paths in a version ('/api/v1/stylists', ...)
+ * @param {string} version - API version
+ * @returns {Object[]}
+ */
+export const versionMounts = (version) => apiMounts.map(mount => ({ ...mount, path: `/api/${version}${mount.path}` }));
+
+// Every router described by the OpenAPI document (see utils/openapi.js)
+export const documentedMounts = [healthMount, ...versionMounts(LATEST_API_VERSION)];
@@ -5,24 +5,61 @@ import {
   getStylistById,
   registerStylist,
   loginStylist,
-  updateStylist
+  updateStylist,
+  changeStylistPassword,
+  deleteStylist,
+  exportStylistData,
+  getStylistAvailability
 } from '../controllers/stylistController.js';
+import {
+  loginStylistTwoFactor,
+  getStylistTwoFactor,
+  setupStylistTwoFactor,
+  enableStylistTwoFactor,
+  disableStylistTwoFactor,
+  regenerateStylistRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery
+} from '../controllers/webhookController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import {
   validateStylistRegistration,
   validateStylistLogin,
-  validateStylistUpdate
+  validateStylistUpdate,
+  validateStylistPasswordChange,
+  validateStylistDeletion,
+  validateGetStylists,
+  validateGetAvailability,
+  validateStylistTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateStylistId,
+  validateWebhookCreation,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateWebhookDeliverySearch,
+  validateWebhookDeliveryId
 } from '../middleware/validation.js';
 import { param } from 'express-validator';
 import { handleValidationErrors } from '../middleware/validation.js';
-import { sanitizeRequestBody } from '../middleware/sanitization.js';
+import { sanitizeRequestBody, sanitizeQueryParams } from '../middleware/sanitization.js';
 import { loginRateLimiter, registrationRateLimiter } from '../middleware/rateLimiter.js';
 import { authenticate, requireOwnership, requireUserType } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// GET /api/stylists - Get all stylists
-router.get('/', getAllStylists);
+// GET /api/stylists - Get all stylists (supports filtering, sorting and pagination)
+router.get('/', validateGetStylists, sanitizeQueryParams, getAllStylists);
 
 // GET /api/stylists/:id - Get a single stylist by ID
 router.get('/:id', [
@@ -30,6 +67,9 @@ router.get('/:id', [
   handleValidationErrors
 ], getStylistById);
 
+// GET /api/stylists/:id/availability - Get bookable slots for a stylist
+router.get('/:id/availability', validateGetAvailability, sanitizeQueryParams, getStylistAvailability);
+
 // POST /api/stylists - Register a new stylist
 router.post('/', registrationRateLimiter, upload.fields([
   { name: 'profilePicture', maxCount: 1 },
@@ -39,6 +79,9 @@ router.post('/', registrationRateLimiter, upload.fields([
 // POST /api/stylists/login - Login for registered stylists
 router.post('/login', loginRateLimiter, validateStylistLogin, sanitizeRequestBody, asyncHandler(loginStylist));
 
+// POST /api/stylists/login/2fa - Finish a login with an authenticator or recovery code
+router.post('/login/2fa', loginRateLimiter, validateStylistTwoFactorLogin, asyncHandler(loginStylistTwoFactor));
+
 // PUT /api/stylists/:id - Update a stylist profile (requires authentication and ownership)
 router.put('/:id', 
   authenticate, 
@@ -49,4 +92,157 @@ router.put('/:id',
   asyncHandler(updateStylist)
 );
 
+// PUT /api/stylists/:id/password - Change password (requires the current password)
+router.put('/:id/password',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateStylistPasswordChange,
+  asyncHandler(changeStylistPassword)
+);
+
+// DELETE /api/stylists/:id - Delete the account, its personal data and uploaded images (requires the current password)
+router.delete('/:id',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateStylistDeletion,
+  asyncHandler(deleteStylist)
+);
+
+// GET /api/stylists/:id/export - Download all personal data held about the stylist (ZIP archive with images)
+router.get('/:id/export',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateStylistId,
+  asyncHandler(exportStylistData)
+);
+
+// GET /api/stylists/:id/2fa - Two-factor authentication status (requires authentication and ownership)
+router.get('/:id/2fa',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateStylistId,
+  asyncHandler(getStylistTwoFactor)
+);
+
+// POST /api/stylists/:id/2fa/setup - Start two-factor enrollment (requires the current password)
+router.post('/:id/2fa/setup',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateTwoFactorSetup,
+  asyncHandler(setupStylistTwoFactor)
+);
+
+// POST /api/stylists/:id/2fa/enable - Confirm enrollment with a code and get recovery codes
+router.post('/:id/2fa/enable',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateTwoFactorCode,
+  asyncHandler(enableStylistTwoFactor)
+);
+
+// POST /api/stylists/:id/2fa/disable - Turn two-factor authentication off (password plus a code)
+router.post('/:id/2fa/disable',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateTwoFactorDisable,
+  asyncHandler(disableStylistTwoFactor)
+);
+
+// POST /api/stylists/:id/2fa/recovery-codes - Replace the recovery codes (requires a code)
+router.post('/:id/2fa/recovery-codes',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateTwoFactorCode,
+  asyncHandler(regenerateStylistRecoveryCodes)
+);
+
+// GET /api/stylists/:id/webhooks - List the stylist's webhooks (secrets are not included)
+router.get('/:id/webhooks',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateStylistId,
+  asyncHandler(listWebhooks)
+);
+
+// POST /api/stylists/:id/webhooks - Register a webhook for appointment events (returns its signing secret once)
+router.post('/:id/webhooks',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookCreation,
+  asyncHandler(createWebhook)
+);
+
+// GET /api/stylists/:id/webhooks/:webhookId - Get a webhook
+router.get('/:id/webhooks/:webhookId',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookId,
+  asyncHandler(getWebhook)
+);
+
+// PUT /api/stylists/:id/webhooks/:webhookId - Change a webhook's URL, events or description, or turn it off or on
+router.put('/:id/webhooks/:webhookId',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookUpdate,
+  asyncHandler(updateWebhook)
+);
+
+// DELETE /api/stylists/:id/webhooks/:webhookId - Delete a webhook and its delivery log
+router.delete('/:id/webhooks/:webhookId',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookId,
+  asyncHandler(deleteWebhook)
+);
+
+// POST /api/stylists/:id/webhooks/:webhookId/rotate-secret - Replace the signing secret (returns the new one once)
+router.post('/:id/webhooks/:webhookId/rotate-secret',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookId,
+  asyncHandler(rotateWebhookSecret)
+);
+
+// GET /api/stylists/:id/webhooks/:webhookId/deliveries - Delivery log, newest first (filter by status or event)
+router.get('/:id/webhooks/:webhookId/deliveries',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookDeliverySearch,
+  asyncHandler(listWebhookDeliveries)
+);
+
+// GET /api/stylists/:id/webhooks/:webhookId/deliveries/:deliveryId - Get a delivery with its payload and attempts
+router.get('/:id/webhooks/:webhookId/deliveries/:deliveryId',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookDeliveryId,
+  asyncHandler(getWebhookDelivery)
+);
+
+// POST /api/stylists/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver - Send a delivery's event again
+router.post('/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver',
+  authenticate,
+  requireUserType('stylist'),
+  requireOwnership,
+  validateWebhookDeliveryId,
+  asyncHandler(redeliverWebhookDelivery)
+);
+
 export default router;
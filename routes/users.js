@@ -3,6 +3,9 @@ import {
   registerUser,
   loginUser,
   updateUser,
+  changeUserPassword,
+  deleteUser,
+  exportUserData,
   addToRecentlyViewed,
   getRecentlyViewed
 } from '../controllers/userController.js';
@@ -11,6 +14,9 @@ import {
   validateUserRegistration,
   validateUserLogin,
   validateUserUpdate,
+  validateUserPasswordChange,
+  validateUserDeletion,
+  validateUserId,
   validateRecentlyViewed,
   validateGetRecentlyViewed
 } from '../middleware/validation.js';
@@ -36,6 +42,33 @@ router.put('/:id',
   asyncHandler(updateUser)
 );
 
+// PUT /api/users/:id/password - Change password (requires the current password)
+router.put('/:id/password',
+  authenticate,
+  requireUserType('user'),
+  requireOwnership,
+  validateUserPasswordChange,
+  asyncHandler(changeUserPassword)
+);
+
+// DELETE /api/users/:id - Delete the account and its personal data (requires the current password)
+router.delete('/:id',
+  authenticate,
+  requireUserType('user'),
+  requireOwnership,
+  validateUserDeletion,
+  asyncHandler(deleteUser)
+);
+
+// GET /api/users/:id/export - Download all personal data held about the user (ZIP archive)
+router.get('/:id/export',
+  authenticate,
+  requireUserType('user'),
+  requireOwnership,
+  validateUserId,
+  asyncHandler(exportUserData)
+);
+
 // POST /api/users/:id/recently-viewed - Add a stylist to user's recently viewed list
 router.post('/:id/recently-viewed',
   authenticate,
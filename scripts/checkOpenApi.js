@@ -0,0 +1,51 @@
+import { writeFileSync } from 'fs';
+import { documentedMounts } from '../routes/index.js';
+import { buildOpenApiSpec, checkOpenApiCoverage } from '../utils/openapi.js';
+
+/**
+ * Check that every route is described in the OpenAPI document
+ *
+ * Usage: npm run openapi:check [-- --output path/to/openapi.json]
+ * Fails (exit code 1) when a route has no entry in utils/openapiDocs.js, an entry has no
+ * operationId, summary or response schema, an entry matches no route, two routes share
+ * an operationId, or an API version (utils/apiVersions.js) has settings for a route that
+ * does not exist. With --output the document is also written to a file
+ */
+
+const outputArgIndex = process.argv.indexOf('--output');
+const outputFile = outputArgIndex !== -1 ? process.argv[outputArgIndex + 1] : null;
+
+const problems = {
+  undocumented: 'Routes without an entry in utils/openapiDocs.js',
+  incomplete: 'Entries missing an operationId, summary or response schema',
+  stale: 'Entries that match no route',
+  duplicateIds: 'Routes sharing an operationId',
+  unknownVersionRoutes: 'API version deprecations or transformers for routes that do not exist'
+};
+
+try {
+  const coverage = checkOpenApiCoverage(documentedMounts);
+  const failures = Object.keys(problems).filter(problem => coverage[problem].length > 0);
+
+  failures.forEach(problem => {
+    console.error(`${problems[problem]}:`);
+    coverage[problem].forEach(route => console.error(`  ${route}`));
+  });
+
+  const spec = buildOpenApiSpec(documentedMounts);
+  const operationCount = Object.values(spec.paths).reduce((total, methods) => total + Object.keys(methods).length, 0);
+
+  if (outputFile) {
+    writeFileSync(outputFile, `${JSON.stringify(spec, null, 2)}\n`);
+    console.log(`OpenAPI document written to ${outputFile}`);
+  }
+
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  } else {
+    console.log(`OpenAPI document covers all ${operationCount} operations`);
+  }
+} catch (error) {
+  console.error('Could not check the OpenAPI document:', error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,88 @@
+import { randomBytes } from 'crypto';
+import { createRepositories } from '../repositories/factory.js';
+import { hashPassword } from '../utils/passwordUtils.js';
+
+/**
+ * Create an admin account (or give an existing one a new password)
+ *
+ * Usage: npm run admin:create -- --email admin@example.com --name "Jane Doe" [--reset-password]
+ * A random password is generated and printed once (--reset-password also logs the admin out); the admin can change it by resetting it
+ * through POST /api/auth/forgot-password with accountType "admin". Uses the store selected by
+ * STORAGE_DRIVER; stop the server before running it
+ */
+
+/**
+ * Read the value following a command line flag
+ * @param {string} name - Flag name without the dashes
+ * @returns {string|null} - Value, or null if the flag is missing
+ */
+const argument = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : (process.argv[index + 1] ?? null);
+};
+
+const email = (argument('email') || '').trim().toLowerCase();
+const name = (argument('name') || '').trim();
+const resetPassword = process.argv.includes('--reset-password');
+
+if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+  console.error('Usage: npm run admin:create -- --email <email> --name <name> [--reset-password]');
+  process.exit(1);
+}
+
+const repositories = createRepositories();
+const {
+  adminRepository,
+  credentialRepository,
+  loginAttemptRepository,
+  refreshTokenRepository,
+  revokedTokenRepository
+} = repositories;
+
+/**
+ * End every session of an admin (after its password is replaced)
+ * @param {number} adminId - Admin ID
+ */
+const revokeSessions = (adminId) => {
+  const now = new Date();
+  refreshTokenRepository.findByAccount('admin', adminId)
+    .filter(record => !record.revokedAt)
+    .forEach(record => {
+      refreshTokenRepository.update({ ...record, revokedAt: now.toISOString() });
+      if (new Date(record.accessTokenExpiresAt) > now) {
+        revokedTokenRepository.add(record.accessTokenId, record.accessTokenExpiresAt);
+      }
+    });
+};
+
+try {
+  const existing = adminRepository.findByEmail(email);
+  if (existing && !resetPassword) {
+    throw new Error(`An admin with the email ${email} already exists (use --reset-password to give it a new password)`);
+  }
+  if (!existing && !name) {
+    throw new Error('--name is required for a new admin');
+  }
+
+  const password = randomBytes(18).toString('base64url');
+  const passwordHash = await hashPassword(password);
+
+  const admin = repositories.transaction(() => {
+    credentialRepository.set('admin', email, passwordHash);
+    loginAttemptRepository.delete('admin', email);
+    if (existing) {
+      revokeSessions(existing.id);
+      return adminRepository.update({ ...existing, ...(name && { name }), passwordSetupRequired: false });
+    }
+    return adminRepository.create({ name, email, createdAt: new Date().toISOString() });
+  });
+
+  console.log(existing ? 'Admin password reset:' : 'Admin created:', { id: admin.id, name: admin.name, email: admin.email });
+  console.log(`  Password: ${password}`);
+  console.log('  Store it somewhere safe; it is not shown again.');
+} catch (error) {
+  console.error('Could not create admin:', error.message);
+  process.exitCode = 1;
+} finally {
+  repositories.close();
+}
@@ -0,0 +1,97 @@
+import { createRepositories } from '../repositories/factory.js';
+import { env } from '../config/env.js';
+
+/**
+ * One-shot import of the JSON data files (data/*.json) into the SQLite database
+ *
+ * Usage: npm run import:sqlite [-- --file path/to/database.db]
+ * The target database must be empty; IDs, credentials (with two-factor settings), recently viewed lists,
+ * login sessions, the audit log (with its hash chain) and webhooks with their delivery log are kept as-is,
+ * and the IDs of records deleted before the import are not handed out again
+ */
+
+const fileArgIndex = process.argv.indexOf('--file');
+const sqliteFile = fileArgIndex !== -1 ? process.argv[fileArgIndex + 1] : env.SQLITE_FILE;
+
+const source = createRepositories('json');
+const target = createRepositories('sqlite', { sqliteFile });
+
+try {
+  const existing = target.stylistRepository.count() + target.userRepository.count() +
+    target.adminRepository.count() + target.appointmentRepository.count() + target.auditLogRepository.count();
+  if (existing > 0) {
+    console.error('The SQLite database already contains data. Remove it (or pass --file with a new path) and run the import again.');
+    process.exitCode = 1;
+  } else {
+    const counts = target.transaction(() => {
+      const stylists = source.stylistRepository.findAll();
+      const users = source.userRepository.findAll();
+      const admins = source.adminRepository.findAll();
+      const appointments = source.appointmentRepository.findAll();
+
+      stylists.forEach(stylist => target.stylistRepository.create(stylist));
+      users.forEach(user => target.userRepository.create(user));
+      admins.forEach(admin => target.adminRepository.create(admin));
+      appointments.forEach(appointment => target.appointmentRepository.create(appointment));
+
+      let credentials = 0;
+      ['stylist', 'user', 'admin'].forEach(accountType => {
+        source.credentialRepository.entries(accountType).forEach(([email, passwordHash]) => {
+          target.credentialRepository.set(accountType, email, passwordHash);
+          credentials += 1;
+        });
+        source.credentialRepository.twoFactorEntries(accountType).forEach(([email, settings]) => {
+          target.credentialRepository.setTwoFactor(accountType, email, settings);
+        });
+      });
+
+      const recentlyViewed = source.recentlyViewedRepository.entries();
+      recentlyViewed.forEach(([userId, stylistIds]) => target.recentlyViewedRepository.set(userId, stylistIds));
+
+      // Keep sessions and revocations so nobody is logged out (or let back in) by the switch
+      const refreshTokens = source.refreshTokenRepository.findAll();
+      refreshTokens.forEach(token => target.refreshTokenRepository.create(token));
+      const revokedTokens = source.revokedTokenRepository.entries();
+      revokedTokens.forEach(([jti, expiresAt]) => target.revokedTokenRepository.add(jti, expiresAt));
+      const passwordResetTokens = source.passwordResetTokenRepository.findAll();
+      passwordResetTokens.forEach(token => target.passwordResetTokenRepository.create(token));
+      const loginAttempts = source.loginAttemptRepository.entries();
+      loginAttempts.forEach(([accountType, email, record]) => target.loginAttemptRepository.set(accountType, email, record));
+      const auditLog = source.auditLogRepository.findAll();
+      auditLog.forEach(entry => target.auditLogRepository.append(entry));
+      const webhooks = source.webhookRepository.findAll();
+      webhooks.forEach(webhook => target.webhookRepository.create(webhook));
+      const webhookDeliveries = source.webhookDeliveryRepository.findAll();
+      webhookDeliveries.forEach(delivery => target.webhookDeliveryRepository.create(delivery));
+
+      ['stylistRepository', 'userRepository', 'adminRepository', 'appointmentRepository', 'refreshTokenRepository',
+        'passwordResetTokenRepository', 'webhookRepository', 'webhookDeliveryRepository'].forEach(name => {
+        target[name].advanceLastId(source[name].lastId());
+      });
+
+      return {
+        stylists: stylists.length,
+        users: users.length,
+        admins: admins.length,
+        appointments: appointments.length,
+        credentials,
+        recentlyViewed: recentlyViewed.length,
+        refreshTokens: refreshTokens.length,
+        revokedTokens: revokedTokens.length,
+        passwordResetTokens: passwordResetTokens.length,
+        loginAttempts: loginAttempts.length,
+        auditLog: auditLog.length,
+        webhooks: webhooks.length,
+        webhookDeliveries: webhookDeliveries.length
+      };
+    });
+
+    console.log('Imported JSON data into SQLite:', counts);
+    console.log('Set STORAGE_DRIVER=sqlite to use the database.');
+  }
+} catch (error) {
+  console.error('Import failed, nothing was written:', error.message);
+  process.exitCode = 1;
+} finally {
+  target.close();
+}
@@ -0,0 +1,91 @@
+import { createRepositories } from '../repositories/factory.js';
+import { hashPassword, isPasswordHashed } from '../utils/passwordUtils.js';
+
+/**
+ * Hash or invalidate stored passwords that are not bcrypt hashes
+ *
+ * Usage: npm run migrate:passwords [-- --invalidate] [-- --dry-run]
+ * By default plain text passwords are hashed (with BCRYPT_ROUNDS), so their owners keep logging in
+ * with them. With --invalidate they are removed instead: the accounts are logged out and emailed a
+ * link to set a new password at their next login. Passwords that were handed out as defaults are
+ * always invalidated. Uses the store selected by STORAGE_DRIVER; stop the server before running it
+ */
+
+// Passwords older versions gave seeded accounts
+const DEFAULT_PASSWORDS = new Set(['default123']);
+
+const invalidateAll = process.argv.includes('--invalidate');
+const dryRun = process.argv.includes('--dry-run');
+
+const repositories = createRepositories();
+const {
+  stylistRepository,
+  userRepository,
+  credentialRepository,
+  refreshTokenRepository,
+  revokedTokenRepository
+} = repositories;
+
+const ACCOUNT_REPOSITORIES = {
+  stylist: stylistRepository,
+  user: userRepository
+};
+
+/**
+ * Remove an account's password, require a new one and end its sessions
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {string} email - Email the password is stored under
+ */
+const invalidatePassword = (accountType, email) => {
+  credentialRepository.delete(accountType, email);
+
+  const account = ACCOUNT_REPOSITORIES[accountType].findByEmail(email);
+  if (!account) {
+    return;
+  }
+  ACCOUNT_REPOSITORIES[accountType].update({ ...account, passwordSetupRequired: true });
+
+  const now = new Date();
+  refreshTokenRepository.findByAccount(accountType, account.id)
+    .filter(record => !record.revokedAt)
+    .forEach(record => {
+      refreshTokenRepository.update({ ...record, revokedAt: now.toISOString() });
+      if (new Date(record.accessTokenExpiresAt) > now) {
+        revokedTokenRepository.add(record.accessTokenId, record.accessTokenExpiresAt);
+      }
+    });
+};
+
+try {
+  const plainText = ['stylist', 'user'].flatMap(accountType => (
+    credentialRepository.entries(accountType)
+      .filter(([, password]) => !isPasswordHashed(password))
+      .map(([email, password]) => ({ accountType, email, password }))
+  ));
+
+  const toInvalidate = plainText.filter(({ password }) => invalidateAll || DEFAULT_PASSWORDS.has(password));
+  const toHash = plainText.filter(entry => !toInvalidate.includes(entry));
+
+  // Hash first: transactions are synchronous
+  const hashes = await Promise.all(toHash.map(({ password }) => hashPassword(password)));
+
+  if (!dryRun) {
+    repositories.transaction(() => {
+      toHash.forEach(({ accountType, email }, index) => credentialRepository.set(accountType, email, hashes[index]));
+      toInvalidate.forEach(({ accountType, email }) => invalidatePassword(accountType, email));
+    });
+  }
+
+  console.log(dryRun ? 'Dry run, nothing was changed:' : 'Migrated stored passwords:', {
+    hashed: toHash.length,
+    invalidated: toInvalidate.length
+  });
+  toInvalidate.forEach(({ accountType, email }) => {
+    console.log(`  ${accountType} ${email}: ${dryRun ? 'would need' : 'needs'} a new password`);
+  });
+} catch (error) {
+  console.error('Password migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  repositories.close();
+}
@@ -0,0 +1,76 @@
+import { createServer } from 'http';
+import { verifyWebhookSignature } from '../utils/webhookSignature.js';
+
+/**
+ * Local endpoint for trying out webhooks
+ *
+ * Usage: npm run webhooks:receive -- [--port 4000] [--secret whsec_...] [--fail 2] [--status 500]
+ * Prints every event it receives and checks its signature when --secret (or WEBHOOK_SECRET)
+ * is given, answering 401 to bad signatures. --fail N answers the first N requests with
+ * --status (500 by default) to exercise retries. Register http://localhost:<port>/ as the
+ * webhook URL (private addresses are allowed outside production, see WEBHOOK_ALLOW_PRIVATE_URLS)
+ */
+
+/**
+ * Read the value following a command line flag
+ * @param {string} name - Flag name without the dashes
+ * @returns {string|null} - Value, or null if the flag is missing
+ */
+const argument = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : (process.argv[index + 1] ?? null);
+};
+
+const port = parseInt(argument('port') || '4000', 10);
+const secret = argument('secret') || process.env.WEBHOOK_SECRET || null;
+const failures = parseInt(argument('fail') || '0', 10);
+const failureStatus = parseInt(argument('status') || '500', 10);
+
+if (!Number.isInteger(port) || !Number.isInteger(failures) || !Number.isInteger(failureStatus)) {
+  console.error('Usage: npm run webhooks:receive -- [--port <port>] [--secret <secret>] [--fail <count>] [--status <code>]');
+  process.exit(1);
+}
+
+let received = 0;
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    received += 1;
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+
+    if (secret && !verifyWebhookSignature(secret, body, req.headers['x-webhook-signature'])) {
+      console.error(`#${received} ${event} (delivery ${delivery}): invalid signature, answered 401`);
+      res.writeHead(401).end('Invalid signature');
+      return;
+    }
+
+    if (received <= failures) {
+      console.log(`#${received} ${event} (delivery ${delivery}): answered ${failureStatus} (${received}/${failures} failures)`);
+      res.writeHead(failureStatus).end('Failing on purpose');
+      return;
+    }
+
+    let appointment = null;
+    try {
+      appointment = JSON.parse(body).data?.appointment ?? null;
+    } catch {
+      // Printed as received below
+    }
+    console.log(`#${received} ${event} (delivery ${delivery}, event ${req.headers['x-webhook-id']})${secret ? ', signature valid' : ''}`);
+    console.log(appointment
+      ? `  appointment ${appointment.id}: ${appointment.status} on ${appointment.date} at ${appointment.time}`
+      : `  ${body}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"received":true}');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Listening for webhooks on http://localhost:${port}/${secret ? ' (checking signatures)' : ''}`);
+});
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -3,13 +3,20 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { paths } from './config/paths.js';
 import { env } from './config/env.js';
-import stylistsRoutes from './routes/stylists.js';
-import usersRoutes from './routes/users.js';
-import appointmentsRoutes from './routes/appointments.js';
+import { healthMount, createApiRouter, documentedMounts } from './routes/index.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { generalRateLimiter } from './middleware/rateLimiter.js';
 import { requestLogger } from './middleware/requestLogger.js';
-import logger, { logInfo } from './utils/logger.js';
+import { requestContext } from './middleware/requestContext.js';
+import { requireMetricsToken } from './middleware/auth.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { getOpenApiSpec } from './controllers/docsController.js';
+import logger, { logInfo, logWarn } from './utils/logger.js';
+import { listEndpoints, checkOpenApiCoverage } from './utils/openapi.js';
+import { registerGracefulShutdown, closeConnectionsOnShutdown } from './utils/shutdown.js';
+import { closeRepositories } from './repositories/index.js';
+import { startWebhookDispatcher, stopWebhookDispatcher } from './utils/webhooks.js';
+import { API_VERSIONS, UNVERSIONED_ALIAS } from './utils/apiVersions.js';
 
 const app = express();
 
@@ -46,10 +53,15 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'traceparent'],
+  exposedHeaders: ['X-Request-Id', 'API-Version', 'Deprecation', 'Sunset', 'Link'],
 };
 
 // Middleware
+// Request ID (and trace span) for every request, including ones rejected below
+app.use(requestContext);
+app.use(closeConnectionsOnShutdown);
+
 // Security headers with Helmet.js
 app.use(helmet({
   contentSecurityPolicy: {
@@ -88,6 +100,12 @@ app.use(helmet({
 }));
 
 app.use(cors(corsOptions));
+
+// Prometheus metrics and health probes (before rate limiting and request logging,
+// so scrapes and probes are neither limited nor logged)
+app.get('/metrics', requireMetricsToken, getMetrics);
+app.use(healthMount.path, healthMount.router);
+
 // Apply general rate limiting to all routes (baseline protection)
 app.use(generalRateLimiter);
 app.use(express.json({ limit: `${env.MAX_REQUEST_BODY_SIZE / 1024 / 1024}mb` }));
@@ -99,25 +117,20 @@ app.use(requestLogger);
 // Serve uploaded files statically
 app.use('/uploads', express.static(paths.uploadsDir));
 
-// Routes
-app.use('/api/stylists', stylistsRoutes);
-app.use('/api/users', usersRoutes);
-app.use('/api/appointments', appointmentsRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'Server is running',
-    timestamp: new Date().toISOString()
-  });
-});
+// API description (OpenAPI 3.1) and the docs page that renders it
+app.get('/api/openapi.json', getOpenApiSpec);
+app.use('/api/docs', express.static(paths.docsDir));
+
+// Routes: one router per API version (/api/v1/...), then the unversioned /api/...
+// paths as deprecated aliases of v1 (kept for app builds released before versioning)
+Object.keys(API_VERSIONS).forEach(version => app.use(`/api/${version}`, createApiRouter(version)));
+app.use('/api', createApiRouter(UNVERSIONED_ALIAS.version, { unversioned: true }));
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
 // Start server - listen on all network interfaces (0.0.0.0) to allow mobile access
-app.listen(env.PORT, '0.0.0.0', () => {
+const server = app.listen(env.PORT, '0.0.0.0', () => {
   logInfo('Server started', {
     port: env.PORT,
     apiBaseUrl: env.API_BASE_URL,
@@ -128,22 +141,27 @@ app.listen(env.PORT, '0.0.0.0', () => {
   
   logger.info('API Endpoints:', {
     endpoints: [
-      'GET /api/stylists - Get all stylists',
-      'GET /api/stylists/:id - Get a single stylist by ID',
-      'POST /api/stylists - Register a new stylist',
-      'POST /api/stylists/login - Login for stylists',
-      'PUT /api/stylists/:id - Update a stylist profile',
-      'POST /api/users - Register a new user/customer',
-      'POST /api/users/login - Login for users/customers',
-      'PUT /api/users/:id - Update a user profile',
-      'POST /api/appointments - Create a new appointment',
-      'GET /api/appointments - Get appointments',
-      'PUT /api/appointments/:id/accept - Accept an appointment',
-      'PUT /api/appointments/:id/reject - Reject an appointment',
-      'PUT /api/appointments/:id/suggest - Suggest new date/time',
-      'PUT /api/appointments/:id/accept-suggestion - Accept suggestion',
-      'PUT /api/appointments/:id/reject-suggestion - Reject suggestion',
-      'GET /health - Health check',
+      ...listEndpoints(documentedMounts),
+      `/api/* - Deprecated aliases of /api/${UNVERSIONED_ALIAS.version}/*`,
+      'GET /api/openapi.json - OpenAPI 3.1 description of the API',
+      'GET /api/docs - API documentation',
+      'GET /metrics - Prometheus metrics (Bearer METRICS_TOKEN when set)',
     ],
   });
+
+  // Routes without an entry in utils/openapiDocs.js are left out of the API description
+  const { undocumented } = checkOpenApiCoverage(documentedMounts);
+  if (undocumented.length > 0) {
+    logWarn('Routes missing from the OpenAPI description (see npm run openapi:check)', { routes: undocumented });
+  }
+
+  // Send webhook deliveries queued before this start, then new ones as events happen
+  startWebhookDispatcher();
+});
+
+// Drain in-flight requests, let webhook attempts in progress finish, and flush data and logs on SIGTERM/SIGINT
+registerGracefulShutdown(server, {
+  timeoutMs: env.SHUTDOWN_TIMEOUT_MS,
+  stopWorkers: stopWebhookDispatcher,
+  closeStorage: closeRepositories
 });
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepositories } from '../repositories/factory.js';
+import { stylists as initialStylists } from '../data/stylists.js';
+import { startTestServer } from './helpers/testServer.js';
+
+/**
+ * Admin reassignment of appointments booked before durations were stored
+ */
+
+// A Wednesday both stylists work (stylist 1 from 9:00, stylist 2 from 10:00)
+const DATE = '2030-01-16';
+
+test.describe('reassigning a legacy appointment', () => {
+  let server;
+  let legacyAppointmentId;
+  let bookedAppointmentId;
+
+  const seedAppointments = (sqliteFile) => {
+    const repositories = createRepositories('sqlite', { sqliteFile });
+    initialStylists.slice(0, 2).forEach(stylist => repositories.stylistRepository.create(stylist));
+    const appointment = {
+      userId: null,
+      purpose: 'Haircut',
+      date: DATE,
+      customerName: 'Test Customer',
+      customerEmail: 'customer@example.com',
+      customerPhone: '555-123-4567',
+      status: 'confirmed',
+      createdAt: '2029-12-01T12:00:00.000Z',
+      updatedAt: '2029-12-01T12:00:00.000Z'
+    };
+    // No durationMinutes or endTime, as stored by older versions
+    legacyAppointmentId = repositories.appointmentRepository.create({ ...appointment, stylistId: 1, time: '10:00' }).id;
+    bookedAppointmentId = repositories.appointmentRepository.create({
+      ...appointment,
+      stylistId: 2,
+      time: '10:30',
+      endTime: '11:30',
+      durationMinutes: 60
+    }).id;
+    repositories.close();
+  };
+
+  before(async () => {
+    server = await startTestServer({ beforeStart: seedAppointments });
+  });
+
+  after(() => server.stop());
+
+  test('is refused when it overlaps a booking of the new stylist', async () => {
+    const response = await server.request('PUT', `/api/v1/admin/appointments/${legacyAppointmentId}/reassign`, {
+      headers: { 'X-Admin-Key': server.adminKey },
+      body: { stylistId: 2, reason: 'Stylist unavailable' }
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.reason, 'overlap');
+    assert.deepEqual(response.body.conflictingAppointmentIds, [bookedAppointmentId]);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepositories } from '../repositories/factory.js';
+import { startTestServer, registerUser, readZipEntry } from './helpers/testServer.js';
+
+/**
+ * Personal data export: only the current account's records are included
+ */
+
+/**
+ * Download a user's export and return its data.json
+ * @param {Function} request - request() from startTestServer
+ * @param {Object} user - { id, token }
+ * @returns {Promise<Object>}
+ */
+const exportData = async (request, user) => {
+  const response = await request('GET', `/api/v1/users/${user.id}/export`, { token: user.token });
+  assert.equal(response.status, 200);
+  return JSON.parse(readZipEntry(response.body, 'data.json').toString('utf8'));
+};
+
+/**
+ * Account IDs an audit entry refers to
+ * @param {Object} entry - Exported audit entry
+ * @returns {number[]}
+ */
+const referencedUserIds = (entry) => [entry.actor, entry.target]
+  .filter(ref => ref?.type === 'user')
+  .map(ref => ref.id);
+
+test.describe('data export after an account is deleted and registered again', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.stop());
+
+  test('contains nothing from the deleted account', async () => {
+    const { request } = server;
+    const first = await registerUser(request, 'returning@example.com');
+    // A second session and a failed deletion leave more records behind
+    await request('POST', '/api/v1/users/login', { body: { email: 'returning@example.com', password: 'secret123' } });
+    await request('DELETE', `/api/v1/users/${first.id}`, { token: first.token, body: { password: 'wrong-password' } });
+    const deletion = await request('DELETE', `/api/v1/users/${first.id}`, { token: first.token, body: { password: 'secret123' } });
+    assert.equal(deletion.status, 200);
+
+    const second = await registerUser(request, 'returning@example.com');
+    assert.notEqual(second.id, first.id);
+
+    const data = await exportData(request, second);
+    assert.equal(data.profile.id, second.id);
+    assert.equal(data.security.sessions.length, 1);
+    assert.deepEqual(data.security.auditLog.map(entry => entry.action), ['user.register', 'user.login']);
+    data.security.auditLog.forEach(entry => {
+      assert.deepEqual(referencedUserIds(entry), [second.id, second.id]);
+      assert.ok(entry.timestamp >= data.profile.createdAt);
+    });
+  });
+});
+
+test.describe('data export when an earlier account left records under the same ID', () => {
+  let server;
+
+  // Records of a deleted user 1 from before IDs stopped being reused (the users table is empty)
+  const seedEarlierAccount = (sqliteFile) => {
+    const repositories = createRepositories('sqlite', { sqliteFile });
+    repositories.refreshTokenRepository.create({
+      accountType: 'user',
+      accountId: 1,
+      familyId: 'earlier-session',
+      tokenHash: 'earlier-token-hash',
+      createdAt: '2020-01-01T00:00:00.000Z',
+      expiresAt: '2020-01-31T00:00:00.000Z',
+      usedAt: null,
+      revokedAt: null
+    });
+    repositories.auditLogRepository.append({
+      timestamp: '2020-01-01T00:00:00.000Z',
+      action: 'user.update',
+      outcome: 'success',
+      actor: { type: 'user', id: 1 },
+      target: { type: 'user', id: 1 },
+      changes: { phone: { from: '555-000-0000', to: '555-111-1111' } },
+      metadata: null,
+      ip: '203.0.113.7',
+      requestId: null,
+      previousHash: '0'.repeat(64),
+      hash: 'seeded'
+    });
+    repositories.close();
+  };
+
+  before(async () => {
+    server = await startTestServer({ beforeStart: seedEarlierAccount });
+  });
+
+  after(() => server.stop());
+
+  test('leaves out records older than the account', async () => {
+    const user = await registerUser(server.request, 'new-owner@example.com');
+    assert.equal(user.id, 1);
+
+    const data = await exportData(server.request, user);
+    assert.ok(data.security.sessions.every(session => session.sessionId !== 'earlier-session'));
+    assert.ok(data.security.auditLog.every(entry => entry.action !== 'user.update'));
+    assert.deepEqual(data.security.auditLog.map(entry => entry.action), ['user.register', 'user.login']);
+  });
+});
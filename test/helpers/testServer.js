@@ -0,0 +1,160 @@
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Test helpers
+ * The API runs in a child process (NODE_ENV=test, so rate limits are off) with its
+ * own temporary SQLite database and mail outbox, and is called over HTTP
+ */
+
+const ROOT_DIR = fileURLToPath(new URL('../..', import.meta.url));
+const ADMIN_API_KEY = 'test-admin-key-0123456789abcdef0123456789';
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>}
+ */
+const findFreePort = () => new Promise((resolve, reject) => {
+  const server = createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start the API
+ * @param {Object} options
+ * @param {Object} options.env - Extra environment variables
+ * @param {Function} options.beforeStart - Called with the SQLite file before the server opens it
+ *   (e.g. to store records the API cannot create any more)
+ * @returns {Promise<Object>} - { request, adminKey, sqliteFile, stop }
+ */
+export const startTestServer = async ({ env = {}, beforeStart = null } = {}) => {
+  const dir = mkdtempSync(join(tmpdir(), 'stylists-api-test-'));
+  const sqliteFile = join(dir, 'test.db');
+  if (beforeStart) {
+    await beforeStart(sqliteFile);
+  }
+
+  const port = await findFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      STORAGE_DRIVER: 'sqlite',
+      SQLITE_FILE: sqliteFile,
+      MAIL_TRANSPORT: 'outbox',
+      MAIL_OUTBOX_DIR: join(dir, 'outbox'),
+      ADMIN_API_KEY,
+      BCRYPT_ROUNDS: '4',
+      LOG_LEVEL: 'error',
+      LOG_TO_FILE: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path starting with /api/v1
+   * @param {Object} options - { token, body, headers }
+   * @returns {Promise<Object>} - { status, headers, body } (body: parsed JSON, or a Buffer otherwise)
+   */
+  const request = async (method, path, { token = null, body = undefined, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const contents = Buffer.from(await response.arrayBuffer());
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(contents.toString('utf8')) : contents };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) {
+        break;
+      }
+    } catch {
+      // Not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      await stop();
+      throw new Error(`The API did not start:\n${stderr}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return { request, adminKey: ADMIN_API_KEY, sqliteFile, stop };
+};
+
+/**
+ * Register a user and log in
+ * @param {Function} request - request() from startTestServer
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - { id, token }
+ */
+export const registerUser = async (request, email, password = 'secret123') => {
+  const registration = await request('POST', '/api/v1/users', {
+    body: { name: 'Test Customer', email, password, phone: '555-123-4567' }
+  });
+  if (registration.status !== 201) {
+    throw new Error(`Registration failed (${registration.status}): ${JSON.stringify(registration.body)}`);
+  }
+  const login = await request('POST', '/api/v1/users/login', { body: { email, password } });
+  return { id: registration.body.data.id, token: login.body.token };
+};
+
+/**
+ * Read one file from a ZIP archive (as written by utils/zipArchive.js)
+ * @param {Buffer} archive - ZIP file contents
+ * @param {string} name - File name inside the archive
+ * @returns {Buffer|null} - File contents, or null if it is not in the archive
+ */
+export const readZipEntry = (archive, name) => {
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const method = archive.readUInt16LE(offset + 8);
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const extraLength = archive.readUInt16LE(offset + 28);
+    const start = offset + 30 + nameLength + extraLength;
+    const contents = archive.subarray(start, start + compressedSize);
+    if (archive.toString('utf8', offset + 30, offset + 30 + nameLength) === name) {
+      return method === 8 ? inflateRawSync(contents) : contents;
+    }
+    offset = start + compressedSize;
+  }
+  return null;
+};
@@ -0,0 +1,242 @@
+import { comparePassword } from './passwordUtils.js';
+import { revokeAllSessions } from './authTokens.js';
+import { clearFailedLogins } from './loginLockout.js';
+import { eraseAccountAuditEntries } from './auditLog.js';
+import { deleteUploadedFile } from './fileUpload.js';
+import { TERMINAL_STATUSES, canTransition, recordTransition } from './appointmentStateMachine.js';
+import { logError } from './logger.js';
+import {
+  userRepository,
+  stylistRepository,
+  appointmentRepository,
+  credentialRepository,
+  recentlyViewedRepository,
+  refreshTokenRepository,
+  passwordResetTokenRepository,
+  loginAttemptRepository,
+  webhookRepository,
+  webhookDeliveryRepository,
+  withTransaction
+} from '../repositories/index.js';
+
+/**
+ * Account management shared by users and stylists: password changes, deletion
+ * and suspension
+ * Deleting an account removes everything that identifies the person, including its
+ * sessions and the personal details of its audit log entries. Appointments
+ * are kept for the other party's records, with open ones cancelled and the
+ * deleted person's details and ID removed. A suspended account (`suspension` set by
+ * an admin) keeps its data but cannot log in or use the API, and suspended
+ * stylists are hidden from customers
+ */
+
+const ACCOUNT_REPOSITORIES = {
+  user: userRepository,
+  stylist: stylistRepository
+};
+
+// Response for requests made with (or logins to) a suspended account
+export const suspendedAccountResponse = {
+  success: false,
+  suspended: true,
+  message: 'This account has been suspended. Please contact support.'
+};
+
+/**
+ * Check whether an account is suspended
+ * @param {Object|null} account - User or stylist
+ * @returns {boolean}
+ */
+export const isSuspended = (account) => Boolean(account?.suspension);
+
+/**
+ * Suspend an account and log it out everywhere
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @param {Object} options
+ * @param {string} options.reason - Why the account is suspended (shown to admins only)
+ * @param {number|null} options.suspendedBy - ID of the admin (null for the admin API key)
+ * @returns {Object} - Updated account
+ */
+export const suspendAccount = (accountType, account, { reason = '', suspendedBy = null } = {}) => {
+  return withTransaction(() => {
+    const suspended = ACCOUNT_REPOSITORIES[accountType].update({
+      ...account,
+      suspension: { suspendedAt: new Date().toISOString(), reason, suspendedBy }
+    });
+    revokeAllSessions(accountType, account.id);
+    return suspended;
+  });
+};
+
+/**
+ * Lift an account's suspension
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Object} - Updated account
+ */
+export const unsuspendAccount = (accountType, account) => {
+  return ACCOUNT_REPOSITORIES[accountType].update({ ...account, suspension: null });
+};
+
+/**
+ * Check an account's current password (required before sensitive changes)
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @param {string} password - Password from the request
+ * @returns {Promise<boolean>}
+ */
+export const isCurrentPassword = async (accountType, account, password) => {
+  const storedPassword = credentialRepository.get(accountType, account.email);
+  if (!storedPassword) {
+    return false;
+  }
+  return comparePassword(String(password).trim(), storedPassword);
+};
+
+/**
+ * Replace an account's password
+ * Other sessions are logged out; the session that made the change stays logged in
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @param {string} passwordHash - New password, already hashed
+ * @param {string|null} currentSessionId - Session to keep
+ * @returns {number} - Number of other sessions revoked
+ */
+export const changePassword = (accountType, account, passwordHash, currentSessionId = null) => {
+  return withTransaction(() => {
+    credentialRepository.set(accountType, account.email, passwordHash);
+    passwordResetTokenRepository.findByAccount(accountType, account.id)
+      .forEach(record => passwordResetTokenRepository.delete(record.id));
+    clearFailedLogins(accountType, account.email);
+    return revokeAllSessions(accountType, account.id, currentSessionId);
+  });
+};
+
+/**
+ * Close an appointment that is still open because one side deleted their account
+ * @param {Object} appointment - Appointment (mutated)
+ * @param {string} accountType - Type of the deleted account
+ * @param {Object} actor - { id, type } of the deleted account
+ * @returns {boolean} - True if the appointment was open (and is now closed)
+ */
+const closeOpenAppointment = (appointment, accountType, actor) => {
+  if (TERMINAL_STATUSES.includes(appointment.status)) {
+    return false;
+  }
+  if (accountType === 'user') {
+    recordTransition(appointment, 'cancelled-by-customer', { actor, reason: 'Customer account deleted' });
+    return true;
+  }
+  const to = canTransition(appointment.status, 'cancelled-by-stylist', 'stylist') ? 'cancelled-by-stylist' : 'declined';
+  recordTransition(appointment, to, { actor, reason: 'Stylist account deleted' });
+  return true;
+};
+
+/**
+ * Remove a deleted account's details from one of its appointments
+ * @param {Object} appointment - Appointment
+ * @param {string} accountType - Type of the deleted account
+ * @param {number} accountId - ID of the deleted account
+ * @param {string} deletedAt - ISO timestamp
+ * @returns {Object} - Anonymized appointment
+ */
+const anonymizeAppointment = (appointment, accountType, accountId, deletedAt) => {
+  const history = (appointment.history || []).map(entry => (
+    entry.actor && entry.actor.type === accountType && entry.actor.id === accountId
+      ? { ...entry, actor: { id: null, type: accountType } }
+      : entry
+  ));
+
+  if (accountType === 'user') {
+    return {
+      ...appointment,
+      userId: null,
+      customerName: '',
+      customerEmail: '',
+      customerPhone: '',
+      customerDeletedAt: deletedAt,
+      history
+    };
+  }
+  return { ...appointment, stylistId: null, stylistDeletedAt: deletedAt, history };
+};
+
+/**
+ * Uploaded images of a stylist that no other stylist links to
+ * @param {Object} stylist - Stylist being deleted
+ * @returns {string[]} - Image URLs
+ */
+const findOwnUploads = (stylist) => {
+  const urls = [stylist.profilePicture, ...(stylist.portfolio || [])].filter(Boolean);
+  const usedElsewhere = new Set(stylistRepository.findWhere(other => other.id !== stylist.id)
+    .flatMap(other => [other.profilePicture, ...(other.portfolio || [])]));
+  return urls.filter(url => !usedElsewhere.has(url));
+};
+
+/**
+ * Delete an account and the personal data attached to it
+ * Removes the credentials (and two-factor settings), revokes and deletes all sessions,
+ * erases the personal fields of its audit log entries, cancels open appointments and anonymizes the account's appointments, cleans up recently
+ * viewed lists and deletes a stylist's webhooks and uploaded images
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Promise<Object>} - { appointmentsAnonymized, filesDeleted, closedAppointments }
+ *   (closedAppointments: the open appointments that were cancelled, as saved)
+ */
+export const deleteAccount = async (accountType, account) => {
+  const actor = { id: account.id, type: accountType };
+  const deletedAt = new Date().toISOString();
+  const uploads = accountType === 'stylist' ? findOwnUploads(account) : [];
+
+  const appointments = accountType === 'user'
+    ? appointmentRepository.findByUserId(account.id)
+    : appointmentRepository.findByStylistId(account.id);
+
+  const closedAppointments = [];
+  withTransaction(() => {
+    appointments.forEach(appointment => {
+      const closed = closeOpenAppointment(appointment, accountType, actor);
+      const saved = appointmentRepository.update(anonymizeAppointment(appointment, accountType, account.id, deletedAt));
+      if (closed) {
+        closedAppointments.push(saved);
+      }
+    });
+
+    if (accountType === 'user') {
+      recentlyViewedRepository.delete(account.id);
+    } else {
+      recentlyViewedRepository.entries()
+        .filter(([, stylistIds]) => stylistIds.includes(account.id))
+        .forEach(([userId, stylistIds]) => recentlyViewedRepository.set(userId, stylistIds.filter(id => id !== account.id)));
+      webhookRepository.findByStylistId(account.id).forEach(webhook => {
+        webhookDeliveryRepository.deleteByWebhookId(webhook.id);
+        webhookRepository.delete(webhook.id);
+      });
+    }
+
+    // Revoking first also blocks the access tokens still out there
+    revokeAllSessions(accountType, account.id);
+    refreshTokenRepository.findByAccount(accountType, account.id)
+      .forEach(record => refreshTokenRepository.delete(record.id));
+    eraseAccountAuditEntries(accountType, account.id, deletedAt);
+    passwordResetTokenRepository.findByAccount(accountType, account.id)
+      .forEach(record => passwordResetTokenRepository.delete(record.id));
+    credentialRepository.delete(accountType, account.email);
+    credentialRepository.deleteTwoFactor(accountType, account.email);
+    loginAttemptRepository.delete(accountType, account.email);
+    ACCOUNT_REPOSITORIES[accountType].delete(account.id);
+  });
+
+  // The account is gone either way; a file that cannot be removed is only logged
+  const results = await Promise.allSettled(uploads.map(deleteUploadedFile));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logError(result.reason, 'deleteAccount (uploaded file)'));
+
+  return {
+    appointmentsAnonymized: appointments.length,
+    filesDeleted: results.filter(result => result.status === 'fulfilled' && result.value).length,
+    closedAppointments
+  };
+};
@@ -0,0 +1,137 @@
+import { env } from '../config/env.js';
+
+/**
+ * API versions
+ * Every version serves the same routers under /api/<version>; what differs between
+ * versions is declared here, per route, so controllers stay version-agnostic:
+ *   - deprecations: { [routeKey]: { deprecatedAt, sunset, successor, link } } sent as
+ *     Deprecation (RFC 9745), Sunset (RFC 8594) and Link response headers
+ *   - transformers: { [routeKey]: (body, req) => body } applied to JSON responses, to
+ *     turn the controllers' (current) representation into the version's own
+ * Route keys are the method and the unversioned path, as in utils/openapiDocs.js
+ * ('GET /api/stylists/{id}'). A new version that changes a representation lists the
+ * affected routes in its transformers (see transformData)
+ */
+
+/**
+ * Apply a function to the `data` of successful responses (each item for lists)
+ * @param {Function} transform - (item, req) => item in the version's representation
+ * @returns {Function} - Response transformer (body, req) => body
+ */
+export const transformData = (transform) => (body, req) => {
+  if (!body?.success || body.data === undefined || body.data === null) {
+    return body;
+  }
+  const data = Array.isArray(body.data)
+    ? body.data.map(item => transform(item, req))
+    : transform(body.data, req);
+  return { ...body, data };
+};
+
+export const API_VERSIONS = {
+  v1: {
+    deprecations: {},
+    transformers: {}
+  }
+};
+
+// Version described by /api/openapi.json and served by the unversioned paths
+export const LATEST_API_VERSION = 'v1';
+
+// The unversioned /api/* paths, kept for app builds released before versioning, are
+// deprecated aliases of v1 (Sunset is sent once UNVERSIONED_API_SUNSET is set)
+export const UNVERSIONED_ALIAS = {
+  version: 'v1',
+  deprecation: {
+    deprecatedAt: '2026-10-19',
+    sunset: env.UNVERSIONED_API_SUNSET
+  }
+};
+
+/**
+ * Route key path of a served path ('/api/v1/stylists/{id}' -> '/api/stylists/{id}')
+ * @param {string} path - Path with or without a version segment
+ * @returns {string}
+ */
+export const unversionedPath = (path) => path.replace(/^\/api\/v\d+(?=\/|$)/, '/api');
+
+/**
+ * Compile a route key into a matcher
+ * @param {string} key - e.g. 'GET /api/stylists/{id}'
+ * @returns {Object} - { key, method, pattern, params }
+ */
+const compileRouteKey = (key) => {
+  const [method, path] = key.split(' ');
+  const source = path
+    .split(/\{[^}]+\}/)
+    .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return {
+    key,
+    method,
+    pattern: new RegExp(`^${source}/?$`),
+    params: (path.match(/\{/g) || []).length
+  };
+};
+
+// Compiled route keys per version (deprecations and transformers)
+const versionRoutes = Object.fromEntries(Object.entries(API_VERSIONS).map(([version, { deprecations, transformers }]) => [
+  version,
+  [...new Set([...Object.keys(deprecations), ...Object.keys(transformers)])]
+    .map(compileRouteKey)
+    // Literal segments win over parameters ('/api/stylists/me' before '/api/stylists/{id}')
+    .sort((a, b) => a.params - b.params)
+]));
+
+/**
+ * Find what a version declares for a request
+ * @param {string} version - API version
+ * @param {string} method - Request method (HEAD is treated as GET)
+ * @param {string} path - Request path relative to the version root (e.g. '/stylists/5')
+ * @returns {Object} - { key, deprecation, transform } (nulls when nothing is declared)
+ */
+export const resolveVersionRoute = (version, method, path) => {
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+  const match = (versionRoutes[version] || [])
+    .find(route => route.method === requestMethod && route.pattern.test(`/api${path}`));
+  if (!match) {
+    return { key: null, deprecation: null, transform: null };
+  }
+  const { deprecations, transformers } = API_VERSIONS[version];
+  return {
+    key: match.key,
+    deprecation: deprecations[match.key] || null,
+    transform: transformers[match.key] || null
+  };
+};
+
+/**
+ * Deprecation of a route in a version, for the OpenAPI document
+ * @param {string} version - API version
+ * @param {string} key - Route key
+ * @returns {Object|null}
+ */
+export const getRouteDeprecation = (version, key) => API_VERSIONS[version]?.deprecations[key] || null;
+
+/**
+ * Response headers for a deprecation
+ * @param {Object} deprecation - { deprecatedAt, sunset, successor, link }
+ * @returns {Object} - { Deprecation, Sunset?, Link? } (Link as a list of values)
+ */
+export const deprecationHeaders = ({ deprecatedAt, sunset, successor, link }) => {
+  const headers = {
+    // Structured-field date: '@' followed by seconds since the epoch
+    Deprecation: `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`
+  };
+  if (sunset) {
+    headers.Sunset = new Date(sunset).toUTCString();
+  }
+  const links = [
+    successor && `<${successor}>; rel="successor-version"`,
+    link && `<${link}>; rel="deprecation"; type="text/html"`
+  ].filter(Boolean);
+  if (links.length > 0) {
+    headers.Link = links;
+  }
+  return headers;
+};
@@ -0,0 +1,213 @@
+/**
+ * Appointment state machine
+ * Every status change goes through recordTransition so illegal changes are
+ * rejected consistently and each change is kept in the appointment's history
+ */
+
+export const APPOINTMENT_STATUSES = [
+  'pending',               // Booked by the customer, waiting for the stylist
+  'awaiting-customer',     // Stylist suggested a new date/time, waiting for the customer
+  'confirmed',             // Accepted by the stylist (or suggestion accepted by the customer)
+  'declined',              // Stylist turned down the request
+  'cancelled-by-customer',
+  'cancelled-by-stylist',
+  'cancelled-by-admin',    // Force-cancelled through the admin API
+  'completed',
+  'no-show'
+];
+
+// Allowed transitions: current status -> next status -> roles that may make the change
+// ('stylist' is the appointment's stylist, 'customer' the customer who booked it,
+// 'admin' an administrator)
+const TRANSITIONS = {
+  'pending': {
+    'confirmed': ['stylist'],
+    'declined': ['stylist'],
+    'awaiting-customer': ['stylist'],
+    'cancelled-by-customer': ['customer'],
+    'cancelled-by-admin': ['admin']
+  },
+  'awaiting-customer': {
+    'confirmed': ['customer'],
+    'pending': ['customer'],
+    'awaiting-customer': ['stylist'],
+    'declined': ['stylist'],
+    'cancelled-by-customer': ['customer'],
+    'cancelled-by-admin': ['admin']
+  },
+  'confirmed': {
+    'awaiting-customer': ['stylist'],
+    'cancelled-by-customer': ['customer'],
+    'cancelled-by-stylist': ['stylist'],
+    'cancelled-by-admin': ['admin'],
+    'completed': ['stylist'],
+    'no-show': ['stylist']
+  },
+  'declined': {},
+  'cancelled-by-customer': {},
+  'cancelled-by-stylist': {},
+  'cancelled-by-admin': {},
+  'completed': {},
+  'no-show': {}
+};
+
+// Statuses from which no further transitions are possible
+export const TERMINAL_STATUSES = APPOINTMENT_STATUSES.filter(status => Object.keys(TRANSITIONS[status]).length === 0);
+
+/**
+ * Map an authenticated principal (req.user) to its role in the state machine
+ * @param {Object} actor - { id, type }
+ * @returns {string|null} - 'stylist', 'customer', 'admin' or null
+ */
+export const getActorRole = (actor) => {
+  if (!actor) return null;
+  if (actor.type === 'stylist') return 'stylist';
+  if (actor.type === 'user') return 'customer';
+  if (actor.type === 'admin') return 'admin';
+  return null;
+};
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role making the change ('stylist', 'customer' or 'admin'); omit to ignore roles
+ * @returns {boolean} - True if the transition is allowed
+ */
+export const canTransition = (from, to, role = null) => {
+  const roles = (TRANSITIONS[from] || {})[to];
+  if (!roles) {
+    return false;
+  }
+  return role === null || roles.includes(role);
+};
+
+/**
+ * Get the statuses an appointment can move to next
+ * @param {string} status - Current status
+ * @param {string} role - Only include changes this role may make; omit for all
+ * @returns {string[]} - Allowed next statuses
+ */
+export const getAllowedTransitions = (status, role = null) => {
+  return Object.keys(TRANSITIONS[status] || {}).filter(to => canTransition(status, to, role));
+};
+
+/**
+ * Build the 409 response body for an illegal transition
+ * @param {Object} appointment - Appointment
+ * @param {string} to - Requested status
+ * @param {string} role - Role that attempted the change
+ * @returns {Object} - Response body
+ */
+export const illegalTransitionResponse = (appointment, to, role = null) => ({
+  success: false,
+  message: `Cannot change an appointment from '${appointment.status}' to '${to}'`,
+  currentStatus: appointment.status,
+  allowedTransitions: getAllowedTransitions(appointment.status, role)
+});
+
+/**
+ * Create a history entry
+ * @param {string|null} from - Previous status (null on creation)
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {Object} options.actor - { id, type } of whoever made the change (req.user)
+ * @param {string} options.reason - Optional reason
+ * @returns {Object} - History entry
+ */
+const createHistoryEntry = (from, to, { actor = null, reason = null } = {}) => ({
+  from,
+  to,
+  actor: actor ? { id: actor.id, type: actor.type } : null,
+  reason: reason || null,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Set the initial status of a new appointment and start its history
+ * @param {Object} appointment - New appointment (mutated)
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} - The appointment
+ */
+export const initializeStatus = (appointment, options = {}) => {
+  appointment.status = 'pending';
+  appointment.history = [createHistoryEntry(null, 'pending', options)];
+  return appointment;
+};
+
+/**
+ * Move an appointment to a new status and record the transition
+ * Callers must check canTransition first
+ * @param {Object} appointment - Appointment (mutated)
+ * @param {string} to - New status
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} - The appointment
+ */
+export const recordTransition = (appointment, to, options = {}) => {
+  if (!canTransition(appointment.status, to, getActorRole(options.actor))) {
+    throw new Error(`Illegal appointment transition from '${appointment.status}' to '${to}'`);
+  }
+
+  const entry = createHistoryEntry(appointment.status, to, options);
+  appointment.status = to;
+  appointment.history = [...(appointment.history || []), entry];
+  appointment.updatedAt = entry.timestamp;
+  return appointment;
+};
+
+/**
+ * Move an open appointment to another stylist and record it in the history
+ * The status does not change (the history entry has the same `from` and `to`)
+ * @param {Object} appointment - Appointment (mutated)
+ * @param {number} stylistId - New stylist
+ * @param {Object} options - { actor, reason }
+ * @returns {Object} - The appointment
+ */
+export const recordReassignment = (appointment, stylistId, options = {}) => {
+  if (TERMINAL_STATUSES.includes(appointment.status)) {
+    throw new Error(`Cannot reassign an appointment with status '${appointment.status}'`);
+  }
+
+  const entry = {
+    ...createHistoryEntry(appointment.status, appointment.status, options),
+    reassignedFrom: appointment.stylistId,
+    reassignedTo: stylistId
+  };
+  appointment.stylistId = stylistId;
+  appointment.history = [...(appointment.history || []), entry];
+  appointment.updatedAt = entry.timestamp;
+  return appointment;
+};
+
+/**
+ * Migrate an appointment saved before the state machine existed
+ * ('cancelled' came from stylists rejecting; a pending appointment with a
+ * suggestion is waiting for the customer)
+ * @param {Object} appointment - Appointment
+ * @returns {{ appointment: Object, changed: boolean }} - Migrated appointment and whether anything changed
+ */
+export const migrateAppointmentStatus = (appointment) => {
+  let status = appointment.status;
+  if (status === 'cancelled') {
+    status = 'cancelled-by-stylist';
+  } else if (status === 'pending' && appointment.suggestedDate && appointment.suggestedTime) {
+    status = 'awaiting-customer';
+  } else if (!APPOINTMENT_STATUSES.includes(status)) {
+    status = 'pending';
+  }
+
+  if (status === appointment.status && Array.isArray(appointment.history)) {
+    return { appointment, changed: false };
+  }
+
+  return {
+    appointment: {
+      ...appointment,
+      status,
+      history: Array.isArray(appointment.history)
+        ? appointment.history
+        : [{ from: null, to: status, actor: null, reason: 'Migrated from legacy status', timestamp: appointment.updatedAt || appointment.createdAt || new Date().toISOString() }]
+    },
+    changed: true
+  };
+};
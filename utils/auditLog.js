@@ -0,0 +1,283 @@
+import { createHash } from 'crypto';
+import { sanitizeForLogging, logError } from './logger.js';
+import { getRequestId } from './requestContext.js';
+import { loginAttemptsTotal } from './metrics.js';
+import {
+  auditLogRepository,
+  userRepository,
+  stylistRepository,
+  adminRepository
+} from '../repositories/index.js';
+
+/**
+ * Audit log
+ * Append-only record of security-relevant and data-changing actions: who (actor) did
+ * what (action) to which resource (target), which fields changed (sensitive ones
+ * redacted), the client IP and the request ID. Each entry stores a SHA-256 hash of its
+ * contents and of the previous entry's hash, so editing, removing or reordering
+ * entries breaks the chain (see verifyAuditChain)
+ * The personal fields (changes, metadata, ip) are hashed through a digest of their own,
+ * so they can be erased when the account is deleted without breaking the chain: the
+ * erased entry keeps the digest (personalDigest) and gets erasedAt
+ * Entries: { id, timestamp, action, outcome, actor, target, changes, metadata, ip,
+ *   requestId, hashVersion, previousHash, hash, [personalDigest, erasedAt] }
+ */
+
+const ACCOUNT_REPOSITORIES = {
+  user: userRepository,
+  stylist: stylistRepository,
+  admin: adminRepository
+};
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries written before personal fields could be erased have no hashVersion
+const HASH_VERSION = 2;
+
+// Fields that can identify a person (see eraseAccountAuditEntries)
+const PERSONAL_FIELDS = ['changes', 'metadata', 'ip'];
+
+// Fields left out of change diffs (bookkeeping that changes with every update)
+const IGNORED_FIELDS = ['updatedAt', 'history'];
+
+/**
+ * Serialize a value with object keys sorted, so the hash does not depend on key order
+ * @param {any} value - Value
+ * @returns {string} - JSON
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * SHA-256 of a value's canonical JSON
+ * @param {any} value - Value
+ * @returns {string} - Hex SHA-256
+ */
+const sha256 = (value) => createHash('sha256').update(canonicalJSON(value)).digest('hex');
+
+/**
+ * Digest of an entry's personal fields
+ * @param {Object} entry - Entry
+ * @returns {string} - Hex SHA-256
+ */
+const digestPersonalFields = (entry) => sha256(PERSONAL_FIELDS.map(field => entry[field] ?? null));
+
+/**
+ * Hash an entry (everything except its own hash) chained to the previous hash
+ * The personal fields count through their digest, which an erased entry stores instead
+ * @param {Object} entry - Entry with previousHash
+ * @returns {string} - Hex SHA-256
+ */
+const hashEntry = ({ hash, ...entry }) => {
+  if (entry.hashVersion !== HASH_VERSION) {
+    return sha256(entry);
+  }
+  const { changes, metadata, ip, personalDigest, erasedAt, ...rest } = entry;
+  return sha256({ ...rest, personalDigest: personalDigest ?? digestPersonalFields(entry) });
+};
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @returns {Object|null} - { field: { from, to } }, or null if nothing changed
+ */
+export const diffRecords = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    const from = before?.[field];
+    const to = after?.[field];
+    if (canonicalJSON(from) !== canonicalJSON(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged rather than thrown: the action being audited has already happened
+ * @param {Object} req - Request (for the actor and IP); may be null
+ * @param {Object} details
+ * @param {string} details.action - e.g. 'user.login', 'stylist.update', 'appointment.transition'
+ * @param {string} details.outcome - 'success' or 'failure'
+ * @param {Object|null} details.actor - { type, id } (defaults to req.user)
+ * @param {Object|null} details.target - { type, id } of the resource acted on
+ * @param {Object|null} details.before - Resource before the change (for the diff)
+ * @param {Object|null} details.after - Resource after the change (for the diff)
+ * @param {Object|null} details.metadata - Anything else worth keeping (e.g. failure reason)
+ * @returns {Object|null} - Stored entry
+ */
+export const recordAudit = (req, {
+  action,
+  outcome = 'success',
+  actor = req?.user || null,
+  target = null,
+  before = null,
+  after = null,
+  metadata = null
+}) => {
+  try {
+    const previous = auditLogRepository.last();
+    const changes = before || after ? diffRecords(before, after) : null;
+    const entry = {
+      id: (previous?.id || 0) + 1,
+      timestamp: new Date().toISOString(),
+      action,
+      outcome,
+      actor: actor ? { type: actor.type, id: actor.id ?? null } : null,
+      target: target ? { type: target.type, id: target.id ?? null } : null,
+      changes: changes && sanitizeForLogging(changes),
+      metadata: metadata && sanitizeForLogging(metadata),
+      ip: req?.ip || null,
+      requestId: req?.id || getRequestId(),
+      hashVersion: HASH_VERSION,
+      previousHash: previous?.hash || GENESIS_HASH
+    };
+    return auditLogRepository.append({ ...entry, hash: hashEntry(entry) });
+  } catch (error) {
+    logError(error, `recordAudit:${action}`);
+    return null;
+  }
+};
+
+/**
+ * Record a login attempt (`<accountType>.login`) in the audit log and the login metrics
+ * The actor is only set for successful logins; failures name the account tried, if it exists
+ * @param {Object} req - Request
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Email the login was attempted with
+ * @param {string} outcome - 'success' or 'failure'
+ * @param {string|null} reason - Why it failed ('invalid-credentials', 'locked', 'suspended', ...)
+ * @param {string} action - Action name (defaults to `<accountType>.login`)
+ * @returns {Object|null} - Stored entry
+ */
+export const recordLoginAttempt = (req, accountType, email, outcome, reason = null, action = `${accountType}.login`) => {
+  const account = ACCOUNT_REPOSITORIES[accountType].findByEmail(email);
+  const accountRef = account ? { type: accountType, id: account.id } : null;
+  loginAttemptsTotal.inc({ action, outcome, reason: reason || '' });
+  return recordAudit(req, {
+    action,
+    outcome,
+    actor: outcome === 'success' ? accountRef : null,
+    target: accountRef,
+    metadata: { email, ...(reason && { reason }) }
+  });
+};
+
+/**
+ * Record the latest status change of an appointment
+ * @param {Object} req - Request
+ * @param {Object} appointment - Appointment after recordTransition
+ * @returns {Object|null} - Stored entry
+ */
+export const recordAppointmentTransition = (req, appointment) => {
+  const { from, to, reason, actor } = appointment.history?.at(-1) || {};
+  return recordAudit(req, {
+    action: 'appointment.transition',
+    actor: req?.user || actor,
+    target: { type: 'appointment', id: appointment.id },
+    metadata: { from, to, reason }
+  });
+};
+
+/**
+ * Entries about one account (as actor or as target), oldest first
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {number} accountId - Account ID
+ * @returns {Object[]} - Entries
+ */
+export const findAccountAuditEntries = (accountType, accountId) => auditLogRepository.findWhere(entry => (
+  (entry.actor?.type === accountType && entry.actor?.id === accountId) ||
+  (entry.target?.type === accountType && entry.target?.id === accountId)
+));
+
+/**
+ * Erase the personal fields of the entries about a deleted account
+ * The entries stay in the chain (action, time, actor and target IDs are kept); entries
+ * written before erasure was possible lose their content check (see verifyAuditChain)
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {number} accountId - Account ID
+ * @param {string} erasedAt - ISO timestamp
+ * @returns {number} - Number of entries erased
+ */
+export const eraseAccountAuditEntries = (accountType, accountId, erasedAt = new Date().toISOString()) => {
+  const entries = findAccountAuditEntries(accountType, accountId).filter(entry => !entry.erasedAt);
+  entries.forEach(entry => auditLogRepository.erase({
+    ...entry,
+    ...(entry.hashVersion === HASH_VERSION && { personalDigest: digestPersonalFields(entry) }),
+    ...Object.fromEntries(PERSONAL_FIELDS.map(field => [field, null])),
+    erasedAt
+  }));
+  return entries.length;
+};
+
+/**
+ * Search the audit log, newest first
+ * `action` matches exactly, or by prefix when it ends in '*' (e.g. 'appointment.*')
+ * @param {Object} filters - { action, outcome, actorType, actorId, targetType, targetId, requestId, from, to }
+ * @returns {Object[]} - Matching entries
+ */
+export const searchAuditLog = (filters = {}) => {
+  const { action, outcome, actorType, actorId, targetType, targetId, requestId, from, to } = filters;
+  const matchesAction = (entryAction) => {
+    if (!action) return true;
+    return action.endsWith('*') ? entryAction.startsWith(action.slice(0, -1)) : entryAction === action;
+  };
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  return auditLogRepository.findWhere(entry => (
+    matchesAction(entry.action) &&
+    (!outcome || entry.outcome === outcome) &&
+    (!actorType || entry.actor?.type === actorType) &&
+    (!actorId || entry.actor?.id === parseInt(actorId)) &&
+    (!targetType || entry.target?.type === targetType) &&
+    (!targetId || entry.target?.id === parseInt(targetId)) &&
+    (!requestId || entry.requestId === requestId) &&
+    (fromTime === null || new Date(entry.timestamp).getTime() >= fromTime) &&
+    (toTime === null || new Date(entry.timestamp).getTime() <= toTime)
+  )).reverse();
+};
+
+/**
+ * Check the hash chain of the whole audit log
+ * Erased entries written before erasure was possible are checked for their links only
+ * @returns {Object} - { valid, entries, brokenAt, reason } (brokenAt is the ID of the first bad entry)
+ */
+export const verifyAuditChain = () => {
+  const entries = auditLogRepository.findAll();
+  let previousHash = GENESIS_HASH;
+  let expectedId = 1;
+
+  for (const entry of entries) {
+    let reason = null;
+    if (entry.id !== expectedId) {
+      reason = `expected entry ${expectedId} (entries missing or reordered)`;
+    } else if (entry.previousHash !== previousHash) {
+      reason = 'previousHash does not match the previous entry';
+    } else if (entry.hash !== hashEntry(entry) && !(entry.erasedAt && entry.hashVersion !== HASH_VERSION)) {
+      reason = 'contents do not match the stored hash';
+    }
+    if (reason) {
+      return { valid: false, entries: entries.length, brokenAt: entry.id, reason };
+    }
+    previousHash = entry.hash;
+    expectedId += 1;
+  }
+
+  return { valid: true, entries: entries.length, brokenAt: null, reason: null };
+};
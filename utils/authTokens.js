@@ -0,0 +1,145 @@
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { env } from '../config/env.js';
+import { generateToken } from './jwtUtils.js';
+import { logWarn } from './logger.js';
+import { refreshTokenRepository, revokedTokenRepository, withTransaction } from '../repositories/index.js';
+
+/**
+ * Login sessions: short-lived access tokens plus rotating refresh tokens
+ * Each login starts a refresh token "family" (the session). Refreshing swaps the
+ * refresh token for a new one in the same family; presenting a refresh token that
+ * was already swapped means it was copied, so the whole family is revoked.
+ * Refresh tokens are opaque random strings stored only as SHA-256 hashes.
+ */
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Revoke an access token by its ID until it would have expired anyway
+ * @param {string} jti - Token ID
+ * @param {number|string} expiresAt - Expiry as a JWT `exp` (seconds) or an ISO date
+ */
+export const revokeAccessToken = (jti, expiresAt) => {
+  if (!jti) {
+    return;
+  }
+  const expiry = typeof expiresAt === 'number' ? new Date(expiresAt * 1000) : new Date(expiresAt);
+  revokedTokenRepository.add(jti, expiry.toISOString());
+};
+
+/**
+ * Issue an access token and a new refresh token for an account
+ * @param {Object} account - { id, email, type }
+ * @param {string} familyId - Session to continue (omit to start a new one)
+ * @returns {Object} - { token, expiresIn, refreshToken, refreshTokenExpiresAt }
+ */
+export const issueTokens = (account, familyId = randomUUID()) => {
+  const token = generateToken({ ...account, sessionId: familyId });
+  const { jti, exp, iat } = jwt.decode(token);
+
+  const refreshToken = randomBytes(32).toString('base64url');
+  const now = new Date();
+  const refreshTokenExpiresAt = new Date(now.getTime() + env.REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+  refreshTokenRepository.create({
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    accountType: account.type,
+    accountId: account.id,
+    email: account.email,
+    accessTokenId: jti,
+    accessTokenExpiresAt: new Date(exp * 1000).toISOString(),
+    createdAt: now.toISOString(),
+    expiresAt: refreshTokenExpiresAt.toISOString(),
+    usedAt: null,
+    revokedAt: null
+  });
+
+  return {
+    token,
+    expiresIn: exp - iat,
+    refreshToken,
+    refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString()
+  };
+};
+
+/**
+ * Revoke every refresh token of a session and the access tokens issued with them
+ * @param {string} familyId - Session ID
+ * @returns {number} - Number of refresh tokens revoked
+ */
+export const revokeSession = (familyId) => {
+  const now = new Date().toISOString();
+  return withTransaction(() => {
+    let revoked = 0;
+    refreshTokenRepository.findByFamilyId(familyId).forEach(record => {
+      if (!record.revokedAt) {
+        refreshTokenRepository.update({ ...record, revokedAt: now });
+        revoked += 1;
+      }
+      if (new Date(record.accessTokenExpiresAt) > new Date(now)) {
+        revokeAccessToken(record.accessTokenId, record.accessTokenExpiresAt);
+      }
+    });
+    return revoked;
+  });
+};
+
+/**
+ * Revoke all sessions of an account ("log out all devices")
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {number} accountId - Account ID
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the one changing the password)
+ * @returns {number} - Number of sessions revoked
+ */
+export const revokeAllSessions = (accountType, accountId, exceptSessionId = null) => {
+  const familyIds = new Set(refreshTokenRepository.findByAccount(accountType, accountId)
+    .filter(record => !record.revokedAt && record.familyId !== exceptSessionId)
+    .map(record => record.familyId));
+  withTransaction(() => familyIds.forEach(revokeSession));
+  return familyIds.size;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {{ tokens: Object|null, error: string|null }} - New tokens, or an error:
+ *   'invalid' (unknown or expired) or 'reused' (already used; the session has been revoked)
+ */
+export const rotateRefreshToken = (refreshToken) => {
+  const record = refreshTokenRepository.findByTokenHash(hashToken(refreshToken));
+  if (!record || record.revokedAt || new Date(record.expiresAt) <= new Date()) {
+    return { tokens: null, error: 'invalid' };
+  }
+
+  if (record.usedAt) {
+    logWarn('Refresh token reuse detected; revoking session', {
+      accountType: record.accountType,
+      accountId: record.accountId,
+      familyId: record.familyId
+    });
+    revokeSession(record.familyId);
+    return { tokens: null, error: 'reused' };
+  }
+
+  const tokens = withTransaction(() => {
+    refreshTokenRepository.update({ ...record, usedAt: new Date().toISOString() });
+    return issueTokens({ id: record.accountId, email: record.email, type: record.accountType }, record.familyId);
+  });
+  return { tokens, error: null };
+};
+
+/**
+ * Find the session a refresh token belongs to (only if it belongs to the given account)
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} account - { id, type }
+ * @returns {string|null} - Session ID
+ */
+export const findSessionId = (refreshToken, account) => {
+  const record = refreshTokenRepository.findByTokenHash(hashToken(refreshToken));
+  if (!record || record.accountType !== account.type || record.accountId !== account.id) {
+    return null;
+  }
+  return record.familyId;
+};
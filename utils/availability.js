@@ -0,0 +1,184 @@
+import { env } from '../config/env.js';
+import {
+  addDays,
+  getOpenIntervals,
+  getZonedNow,
+  minutesToTime,
+  subtractIntervals,
+  timeToMinutes
+} from './schedule.js';
+
+/**
+ * Bookable-slot computation
+ * Free time = schedule open intervals - breaks - blocking appointments
+ */
+
+// Appointment statuses that occupy the stylist's time
+export const BLOCKING_STATUSES = ['pending', 'awaiting-customer', 'confirmed'];
+
+// Maximum number of days that can be requested at once
+export const MAX_AVAILABILITY_DAYS = 31;
+
+// How far (in days) around a rejected time to look for alternatives, and how many to return
+const ALTERNATIVE_SEARCH_DAYS = 7;
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Get the time interval an appointment occupies on its date
+ * @param {Object} appointment - Appointment
+ * @returns {{ date: string, start: number, end: number }} - Interval in minutes since midnight
+ */
+export const getAppointmentInterval = (appointment) => {
+  const start = timeToMinutes(appointment.time);
+  const duration = appointment.durationMinutes || env.DEFAULT_APPOINTMENT_DURATION_MINUTES;
+  return { date: appointment.date, start, end: start + duration };
+};
+
+/**
+ * Get a stylist's appointments on a date that occupy their time
+ * @param {Object[]} appointments - All appointments
+ * @param {number} stylistId - Stylist ID
+ * @param {string} date - "YYYY-MM-DD" date
+ * @param {number|null} excludeAppointmentId - Appointment to ignore (e.g. the one being rescheduled)
+ * @returns {Object[]} - Blocking appointments
+ */
+export const getBlockingAppointments = (appointments, stylistId, date, excludeAppointmentId = null) => {
+  return appointments.filter(a => a.stylistId === stylistId &&
+    a.date === date &&
+    a.id !== excludeAppointmentId &&
+    BLOCKING_STATUSES.includes(a.status));
+};
+
+/**
+ * Get the intervals on a date already taken by a stylist's appointments
+ * @param {Object[]} appointments - All appointments
+ * @param {number} stylistId - Stylist ID
+ * @param {string} date - "YYYY-MM-DD" date
+ * @param {number|null} excludeAppointmentId - Appointment to ignore (e.g. the one being rescheduled)
+ * @returns {{ start: number, end: number }[]} - Busy intervals
+ */
+export const getBusyIntervals = (appointments, stylistId, date, excludeAppointmentId = null) => {
+  return getBlockingAppointments(appointments, stylistId, date, excludeAppointmentId)
+    .map(getAppointmentInterval);
+};
+
+/**
+ * Check whether a stylist can take a booking at a given date/time
+ * @param {Object} options
+ * @param {Object} options.stylist - Stylist
+ * @param {Object[]} options.appointments - All appointments
+ * @param {string} options.date - "YYYY-MM-DD" date
+ * @param {string} options.time - "HH:MM" start time
+ * @param {number} options.durationMinutes - Length of the booking
+ * @param {number|null} options.excludeAppointmentId - Appointment to ignore (e.g. the one being rescheduled)
+ * @returns {{ available: boolean, reason: string|null, conflicts: Object[] }} - Result;
+ *   reason is 'outside-hours' or 'overlap' when not available
+ */
+export const checkSlotAvailability = ({ stylist, appointments, date, time, durationMinutes, excludeAppointmentId = null }) => {
+  const start = timeToMinutes(time);
+  const end = start + durationMinutes;
+
+  if (stylist.schedule) {
+    const open = getOpenIntervals(stylist.schedule, date);
+    if (!open.some(interval => interval.start <= start && end <= interval.end)) {
+      return { available: false, reason: 'outside-hours', conflicts: [] };
+    }
+  }
+
+  const conflicts = getBlockingAppointments(appointments, stylist.id, date, excludeAppointmentId)
+    .filter(appointment => {
+      const interval = getAppointmentInterval(appointment);
+      return interval.start < end && start < interval.end;
+    });
+
+  if (conflicts.length > 0) {
+    return { available: false, reason: 'overlap', conflicts };
+  }
+  return { available: true, reason: null, conflicts: [] };
+};
+
+/**
+ * Compute bookable slots for a stylist
+ * @param {Object} options
+ * @param {Object} options.stylist - Stylist (must have a schedule)
+ * @param {Object[]} options.appointments - All appointments
+ * @param {string} options.from - First date ("YYYY-MM-DD")
+ * @param {string} options.to - Last date ("YYYY-MM-DD", inclusive)
+ * @param {number} options.durationMinutes - Length of the requested booking
+ * @param {number} options.stepMinutes - Distance between candidate start times
+ * @param {number|null} options.excludeAppointmentId - Appointment to ignore when computing busy time
+ * @param {Date} options.now - Reference instant (slots before it are skipped)
+ * @returns {{ date: string, start: string, end: string }[]} - Free slots in chronological order
+ */
+export const computeAvailableSlots = ({
+  stylist,
+  appointments,
+  from,
+  to,
+  durationMinutes,
+  stepMinutes = env.SLOT_INTERVAL_MINUTES,
+  excludeAppointmentId = null,
+  now = new Date()
+}) => {
+  if (!stylist.schedule) {
+    return [];
+  }
+
+  const localNow = getZonedNow(stylist.schedule.timeZone, now);
+  const slots = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (date < localNow.date) {
+      continue;
+    }
+
+    const busy = getBusyIntervals(appointments, stylist.id, date, excludeAppointmentId);
+    const free = subtractIntervals(getOpenIntervals(stylist.schedule, date), busy);
+
+    free.forEach(interval => {
+      for (let start = interval.start; start + durationMinutes <= interval.end; start += stepMinutes) {
+        if (date === localNow.date && start < localNow.minutes) {
+          continue;
+        }
+        slots.push({ date, start: minutesToTime(start), end: minutesToTime(start + durationMinutes) });
+      }
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Find the free slots closest to a requested date/time
+ * @param {Object} options
+ * @param {Object} options.stylist - Stylist
+ * @param {Object[]} options.appointments - All appointments
+ * @param {string} options.date - Requested "YYYY-MM-DD" date
+ * @param {string} options.time - Requested "HH:MM" start time
+ * @param {number} options.durationMinutes - Length of the booking
+ * @param {number|null} options.excludeAppointmentId - Appointment to ignore (e.g. the one being rescheduled)
+ * @returns {{ date: string, start: string, end: string }[]} - Nearest free slots in chronological order
+ */
+export const findAlternativeSlots = ({ stylist, appointments, date, time, durationMinutes, excludeAppointmentId = null }) => {
+  const slots = computeAvailableSlots({
+    stylist,
+    appointments,
+    from: addDays(date, -ALTERNATIVE_SEARCH_DAYS),
+    to: addDays(date, ALTERNATIVE_SEARCH_DAYS),
+    durationMinutes,
+    excludeAppointmentId
+  });
+
+  const toAbsoluteMinutes = (slotDate, slotTime) => {
+    const [year, month, day] = slotDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / 60000 + timeToMinutes(slotTime);
+  };
+  const requested = toAbsoluteMinutes(date, time);
+
+  return slots
+    .map(slot => ({ slot, distance: Math.abs(toAbsoluteMinutes(slot.date, slot.start) - requested) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_ALTERNATIVES)
+    .map(({ slot }) => slot)
+    .sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start));
+};
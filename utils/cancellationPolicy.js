@@ -0,0 +1,215 @@
+import { isStructuredPrice } from './pricing.js';
+import { getZonedNow, timeToMinutes } from './schedule.js';
+import { env } from '../config/env.js';
+
+/**
+ * Structured cancellation policies
+ * Stylists keep their free-text `cancellationPolicy` for display; the API
+ * enforces `cancellationTerms`:
+ *   { noticeHours, lateCancellationFeePercent, noShowFeePercent }
+ * Appointments keep a snapshot of the terms in force when they were booked
+ */
+
+// Upper bound for the notice window (30 days)
+export const MAX_NOTICE_HOURS = 720;
+
+// Words used for fee amounts in free-text policies
+const FEE_WORDS = {
+  full: 100,
+  half: 50
+};
+
+/**
+ * Find the fee percentage mentioned in a sentence ("50% charge", "Full charge")
+ * @param {string} sentence - Sentence of a policy text
+ * @returns {number|null} - Percentage or null if none is mentioned
+ */
+const findFeePercent = (sentence) => {
+  const percentMatch = sentence.match(/(\d{1,3})\s*%/);
+  if (percentMatch) {
+    return Math.min(parseInt(percentMatch[1], 10), 100);
+  }
+  const wordMatch = sentence.match(/\b(full|half)\s+(?:service\s+)?(?:charge|fee|payment|price)/i);
+  return wordMatch ? FEE_WORDS[wordMatch[1].toLowerCase()] : null;
+};
+
+/**
+ * Parse a free-text policy such as "48-hour cancellation notice required.
+ * 50% charge for cancellations within 48 hours. Full charge for no-shows."
+ * @param {string} text - Policy text
+ * @returns {Object|null} - { noticeHours, lateCancellationFeePercent, noShowFeePercent } or null if no notice window is found
+ */
+export const parseCancellationPolicy = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const noticeMatch = text.match(/(\d+)[\s-]*(hours?|hrs?|days?)\b/i);
+  if (!noticeMatch) {
+    return null;
+  }
+  const noticeValue = parseInt(noticeMatch[1], 10);
+  const noticeHours = noticeMatch[2].toLowerCase().startsWith('d') ? noticeValue * 24 : noticeValue;
+
+  let lateCancellationFeePercent = 0;
+  let noShowFeePercent = 0;
+  text.split(/[.;]\s*/).forEach(sentence => {
+    const percent = findFeePercent(sentence);
+    if (percent === null) {
+      return;
+    }
+    if (/no[\s-]?shows?/i.test(sentence)) {
+      noShowFeePercent = percent;
+    }
+    if (/cancel/i.test(sentence)) {
+      lateCancellationFeePercent = percent;
+    }
+  });
+
+  return {
+    noticeHours: Math.min(noticeHours, MAX_NOTICE_HOURS),
+    lateCancellationFeePercent,
+    noShowFeePercent
+  };
+};
+
+/**
+ * Normalize cancellation terms from a request body
+ * @param {Object} input - { noticeHours, lateCancellationFeePercent, noShowFeePercent }
+ * @returns {Object|null} - Normalized terms or null if invalid
+ */
+export const normalizeCancellationTerms = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return null;
+  }
+
+  const noticeHours = Number(input.noticeHours);
+  const lateCancellationFeePercent = Number(input.lateCancellationFeePercent ?? 0);
+  const noShowFeePercent = Number(input.noShowFeePercent ?? 0);
+
+  const isPercent = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+  if (!Number.isInteger(noticeHours) || noticeHours < 0 || noticeHours > MAX_NOTICE_HOURS ||
+      !isPercent(lateCancellationFeePercent) || !isPercent(noShowFeePercent)) {
+    return null;
+  }
+
+  return { noticeHours, lateCancellationFeePercent, noShowFeePercent };
+};
+
+/**
+ * Migrate a stylist's free-text cancellation policy to structured terms
+ * @param {Object} stylist - Stylist object
+ * @returns {{ stylist: Object, changed: boolean }} - Migrated stylist and whether anything changed
+ */
+export const migrateStylistCancellationPolicy = (stylist) => {
+  if (stylist.cancellationTerms !== undefined) {
+    return { stylist, changed: false };
+  }
+  const cancellationTerms = parseCancellationPolicy(stylist.cancellationPolicy);
+  if (!cancellationTerms) {
+    return { stylist, changed: false };
+  }
+  return { stylist: { ...stylist, cancellationTerms }, changed: true };
+};
+
+/**
+ * Snapshot a stylist's policy for a new appointment
+ * @param {Object} stylist - Stylist object
+ * @returns {Object|null} - { ...cancellationTerms, text } or null if the stylist has no structured terms
+ */
+export const snapshotCancellationPolicy = (stylist) => {
+  if (!stylist.cancellationTerms) {
+    return null;
+  }
+  return { ...stylist.cancellationTerms, text: stylist.cancellationPolicy || '' };
+};
+
+/**
+ * Get the price of an appointment's booked services
+ * Hourly prices are charged for the service's duration; prices in a currency
+ * other than the first priced service are ignored
+ * @param {Object} appointment - Appointment
+ * @returns {Object|null} - { amount, currency } or null if no service has a price
+ */
+export const getAppointmentPrice = (appointment) => {
+  const priced = (appointment.services || []).filter(service => isStructuredPrice(service.price));
+  if (priced.length === 0) {
+    return null;
+  }
+
+  const currency = priced[0].price.currency;
+  const amount = priced
+    .filter(service => service.price.currency === currency)
+    .reduce((total, service) => {
+      const { amount: price, unit } = service.price;
+      const minutes = service.durationMinutes || env.DEFAULT_APPOINTMENT_DURATION_MINUTES;
+      return total + (unit === 'hour' ? Math.round(price * minutes / 60) : price);
+    }, 0);
+
+  return { amount, currency };
+};
+
+/**
+ * Hours between now and an appointment's start, in the stylist's time zone
+ * @param {Object} appointment - Appointment
+ * @param {string} timeZone - Stylist's IANA time zone
+ * @param {Date} now - Reference instant
+ * @returns {number} - Hours until the start (negative once it has started)
+ */
+export const getHoursUntilStart = (appointment, timeZone = env.DEFAULT_TIMEZONE, now = new Date()) => {
+  const localNow = getZonedNow(timeZone, now);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = (Date.parse(`${appointment.date}T00:00:00Z`) - Date.parse(`${localNow.date}T00:00:00Z`)) / dayMs;
+  const minutes = days * 24 * 60 + timeToMinutes(appointment.time) - localNow.minutes;
+  return Math.round((minutes / 60) * 100) / 100;
+};
+
+/**
+ * Work out the fee a charge percentage represents for an appointment
+ * @param {Object} appointment - Appointment
+ * @param {number} percent - Fee percentage
+ * @returns {Object|null} - { amount, currency } or null if the appointment has no price
+ */
+const getFeeAmount = (appointment, percent) => {
+  const price = getAppointmentPrice(appointment);
+  return price && { amount: Math.round(price.amount * percent / 100), currency: price.currency };
+};
+
+/**
+ * Calculate the late-cancellation fee for cancelling an appointment now
+ * Uses the policy snapshot stored on the appointment at booking time
+ * @param {Object} appointment - Appointment
+ * @param {Object} options
+ * @param {string} options.timeZone - Stylist's IANA time zone
+ * @param {Date} options.now - Reference instant
+ * @returns {Object} - { applies, hoursBeforeStart, noticeHours, percent, amount }
+ */
+export const calculateLateCancellationFee = (appointment, { timeZone = env.DEFAULT_TIMEZONE, now = new Date() } = {}) => {
+  const policy = appointment.cancellationPolicy;
+  const hoursBeforeStart = getHoursUntilStart(appointment, timeZone, now);
+
+  if (!policy || policy.lateCancellationFeePercent === 0 || hoursBeforeStart >= policy.noticeHours) {
+    return { applies: false, hoursBeforeStart, noticeHours: policy?.noticeHours ?? null, percent: 0, amount: null };
+  }
+
+  return {
+    applies: true,
+    hoursBeforeStart,
+    noticeHours: policy.noticeHours,
+    percent: policy.lateCancellationFeePercent,
+    amount: getFeeAmount(appointment, policy.lateCancellationFeePercent)
+  };
+};
+
+/**
+ * Calculate the no-show fee for an appointment
+ * @param {Object} appointment - Appointment
+ * @returns {Object} - { applies, percent, amount }
+ */
+export const calculateNoShowFee = (appointment) => {
+  const percent = appointment.cancellationPolicy?.noShowFeePercent || 0;
+  if (percent === 0) {
+    return { applies: false, percent: 0, amount: null };
+  }
+  return { applies: true, percent, amount: getFeeAmount(appointment, percent) };
+};
@@ -0,0 +1,134 @@
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import { createZipArchive } from './zipArchive.js';
+import { getUploadedFilePath } from './fileUpload.js';
+import { getTwoFactorStatus } from './twoFactor.js';
+import { findAccountAuditEntries } from './auditLog.js';
+import { toPublicWebhook } from './webhooks.js';
+import {
+  stylistRepository,
+  appointmentRepository,
+  credentialRepository,
+  recentlyViewedRepository,
+  refreshTokenRepository,
+  passwordResetTokenRepository,
+  loginAttemptRepository,
+  webhookRepository
+} from '../repositories/index.js';
+
+/**
+ * Personal data export ("all the data you hold about me")
+ * Collects what the repositories hold about one account into a ZIP archive:
+ * data.json plus the account's uploaded images under images/. Secrets (password
+ * hashes, two-factor secrets, token hashes, webhook signing secrets) are described but never included
+ * Records are matched by account ID and, as a second safeguard against a record of an
+ * earlier account with the same ID, must not be older than the account (createdAt)
+ */
+
+/**
+ * Whether a record could belong to the account, judging by when it was created
+ * Accounts from before createdAt was recorded are not filtered
+ * @param {Object} account - User or stylist
+ * @param {string|null} timestamp - ISO timestamp of the record
+ * @returns {boolean}
+ */
+const isFromAccountLifetime = (account, timestamp) => (
+  !account.createdAt || (Boolean(timestamp) && new Date(timestamp) >= new Date(account.createdAt))
+);
+
+/**
+ * Login sessions of an account, without the token hashes
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Object[]} - Sessions
+ */
+const exportSessions = (accountType, account) => {
+  return refreshTokenRepository.findByAccount(accountType, account.id)
+    .filter(record => isFromAccountLifetime(account, record.createdAt))
+    .map(({ familyId, createdAt, expiresAt, usedAt, revokedAt }) => ({
+      sessionId: familyId,
+      createdAt,
+      expiresAt,
+      usedAt,
+      revokedAt
+    }));
+};
+
+/**
+ * Read an account's uploaded images
+ * @param {string[]} urls - Public image URLs
+ * @returns {Promise<Object[]>} - { url, name, data } for each image still on disk
+ */
+const readUploadedImages = async (urls) => {
+  const images = await Promise.all(urls.map(async (url) => {
+    const filePath = getUploadedFilePath(url);
+    if (!filePath) {
+      return null;
+    }
+    try {
+      return { url, name: `images/${basename(filePath)}`, data: await readFile(filePath) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }));
+  return images.filter(Boolean);
+};
+
+/**
+ * Build the personal data export of an account
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Promise<Object>} - { filename, archive } (archive is a ZIP file Buffer)
+ */
+export const buildPersonalDataExport = async (accountType, account) => {
+  const exportedAt = new Date();
+  const isStylist = accountType === 'stylist';
+
+  const images = isStylist
+    ? await readUploadedImages([account.profilePicture, ...(account.portfolio || [])].filter(Boolean))
+    : [];
+
+  const data = {
+    exportedAt: exportedAt.toISOString(),
+    accountType,
+    profile: account,
+    appointments: isStylist
+      ? appointmentRepository.findByStylistId(account.id)
+      : appointmentRepository.findByUserId(account.id),
+    ...(!isStylist && {
+      recentlyViewed: recentlyViewedRepository.get(account.id).map(stylistId => ({
+        stylistId,
+        name: stylistRepository.findById(stylistId)?.name ?? null
+      }))
+    }),
+    ...(isStylist && { webhooks: webhookRepository.findByStylistId(account.id).map(toPublicWebhook) }),
+    security: {
+      passwordSet: credentialRepository.has(accountType, account.email),
+      ...(isStylist && { twoFactor: getTwoFactorStatus(account.email) }),
+      sessions: exportSessions(accountType, account),
+      passwordResetRequests: passwordResetTokenRepository.findByAccount(accountType, account.id)
+        .filter(record => isFromAccountLifetime(account, record.createdAt))
+        .map(({ createdAt, expiresAt, usedAt }) => ({ createdAt, expiresAt, usedAt })),
+      failedLogins: loginAttemptRepository.get(accountType, account.email),
+      auditLog: findAccountAuditEntries(accountType, account.id)
+        .filter(entry => isFromAccountLifetime(account, entry.timestamp))
+        .map(({ timestamp, action, outcome, actor, target, changes, metadata, ip }) => ({
+          timestamp, action, outcome, actor, target, changes, metadata, ip
+        }))
+    },
+    images: images.map(({ url, name }) => ({ url, file: name }))
+  };
+
+  const archive = createZipArchive([
+    { name: 'data.json', data: JSON.stringify(data, null, 2) },
+    ...images.map(({ name, data: contents }) => ({ name, data: contents }))
+  ], exportedAt);
+
+  return {
+    filename: `${accountType}-${account.id}-data-export-${data.exportedAt.slice(0, 10)}.zip`,
+    archive
+  };
+};
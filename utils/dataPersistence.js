@@ -1,35 +1,307 @@
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import {
+  readFileSync,
+  existsSync,
+  openSync,
+  writeSync,
+  fsyncSync,
+  closeSync,
+  renameSync,
+  unlinkSync,
+  truncateSync
+} from 'fs';
+import { createHash } from 'crypto';
+import { dirname, basename, join, relative, resolve } from 'path';
+import { dataFileWriteDurationSeconds } from './metrics.js';
+
+/**
+ * Crash-safe JSON file persistence
+ * - Files are written to a temp file, fsynced and renamed over the target,
+ *   so a crash leaves either the old or the new contents, never half a file
+ * - Each data file has a "<file>.sha256" checksum that is verified on load
+ * - Writes go through an append-only journal first; writes that were journaled
+ *   but not finished (crash between files of one transaction) are replayed on startup
+ * - Append-only logs are newline-delimited JSON files that records are appended to
+ *   (see createAppendOnlyFile), so a new record does not rewrite the whole file
+ */
+
+/**
+ * SHA-256 checksum of file contents
+ * @param {string} contents - Serialized data
+ * @returns {string} - Hex digest
+ */
+export const checksum = (contents) => createHash('sha256').update(contents, 'utf8').digest('hex');
+
+const checksumPath = (filePath) => `${filePath}.sha256`;
+
+const serialize = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Flush a directory entry so a rename inside it survives a crash
+ * (not supported on every platform, so failures are ignored)
+ * @param {string} dirPath - Directory
+ */
+const fsyncDirectory = (dirPath) => {
+  let fd;
+  try {
+    fd = openSync(dirPath, 'r');
+    fsyncSync(fd);
+  } catch (error) {
+    // Directories cannot be opened for fsync on some platforms (e.g. Windows)
+  } finally {
+    if (fd !== undefined) {
+      closeSync(fd);
+    }
+  }
+};
+
+/**
+ * Atomically replace a file's contents (temp file + fsync + rename)
+ * @param {string} filePath - Target file
+ * @param {string} contents - New contents
+ */
+export const writeFileAtomic = (filePath, contents) => {
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.tmp`);
+  const fd = openSync(tempPath, 'w');
+  try {
+    writeSync(fd, contents, null, 'utf8');
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+
+  try {
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // Temp file already gone
+    }
+    throw error;
+  }
+  fsyncDirectory(dirname(filePath));
+};
 
 /**
  * Read JSON file and return parsed data
+ * A missing file returns the default value; a file that exists but cannot be
+ * parsed or does not match its checksum throws instead of silently falling back
  * @param {string} filePath - Path to the JSON file
  * @param {any} defaultValue - Default value if file doesn't exist
  * @returns {any} Parsed JSON data or default value
  */
 export const readJSONFile = (filePath, defaultValue = []) => {
+  if (!existsSync(filePath)) {
+    return defaultValue;
+  }
+
+  let contents;
   try {
-    if (existsSync(filePath)) {
-      const data = readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
+    contents = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Data file ${filePath} exists but cannot be read: ${error.message}`);
+  }
+
+  const checksumFile = checksumPath(filePath);
+  if (existsSync(checksumFile)) {
+    const expected = readFileSync(checksumFile, 'utf8').trim();
+    if (expected !== checksum(contents)) {
+      throw new Error(`Data file ${filePath} does not match its checksum (${checksumFile}); it may be corrupted. Restore it from a backup before starting the server.`);
     }
+  }
+
+  try {
+    return JSON.parse(contents);
   } catch (error) {
-    console.error(`Error reading ${filePath}:`, error);
+    throw new Error(`Data file ${filePath} is not valid JSON: ${error.message}. Restore it from a backup before starting the server.`);
   }
-  return defaultValue;
 };
 
 /**
- * Write data to JSON file
+ * Write data to a JSON file atomically and update its checksum
+ * Errors are thrown so callers never report success for a failed write
  * @param {string} filePath - Path to the JSON file
  * @param {any} data - Data to write
  * @returns {boolean} Success status
  */
 export const writeJSONFile = (filePath, data) => {
-  try {
-    writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    return true;
-  } catch (error) {
-    console.error(`Error writing ${filePath}:`, error);
+  const startTime = process.hrtime.bigint();
+  const contents = serialize(data);
+  writeFileAtomic(filePath, contents);
+  writeFileAtomic(checksumPath(filePath), `${checksum(contents)}\n`);
+  dataFileWriteDurationSeconds.observe({ file: basename(filePath) }, Number(process.hrtime.bigint() - startTime) / 1e9);
+  return true;
+};
+
+/**
+ * Open an append-only newline-delimited JSON file (one record per line)
+ * Appends are fsynced. A torn last line (crash while appending) is dropped when the
+ * file is read; any other line that cannot be parsed throws, as with readJSONFile
+ * @param {string} filePath - File path
+ * @returns {Object} - { read(), append(record), rewrite(records) }
+ */
+export const createAppendOnlyFile = (filePath) => {
+  const timeWrite = (write) => {
+    const startTime = process.hrtime.bigint();
+    write();
+    dataFileWriteDurationSeconds.observe({ file: basename(filePath) }, Number(process.hrtime.bigint() - startTime) / 1e9);
+  };
+
+  return {
+    /**
+     * Read every record
+     * @returns {Object[]} - Records, oldest first
+     */
+    read: () => {
+      if (!existsSync(filePath)) {
+        return [];
+      }
+      const contents = readFileSync(filePath, 'utf8');
+      const complete = contents.slice(0, contents.lastIndexOf('\n') + 1);
+      if (complete.length !== contents.length) {
+        truncateSync(filePath, Buffer.byteLength(complete, 'utf8'));
+      }
+      return complete.split('\n').filter(Boolean).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Line ${index + 1} of ${filePath} is not valid JSON: ${error.message}. Restore the file from a backup before starting the server.`);
+        }
+      });
+    },
+
+    /**
+     * Append a record
+     * @param {Object} record - Record
+     */
+    append: (record) => timeWrite(() => {
+      const fd = openSync(filePath, 'a');
+      try {
+        writeSync(fd, `${JSON.stringify(record)}\n`, null, 'utf8');
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+    }),
+
+    /**
+     * Atomically replace every record (for the rare changes other than appends)
+     * @param {Object[]} records - Records
+     */
+    rewrite: (records) => timeWrite(() => {
+      writeFileAtomic(filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    })
+  };
+};
+
+/**
+ * Convert a JSON array file into an append-only file, once: nothing happens if the
+ * append-only file already exists. The JSON file and its checksum are removed afterwards
+ * @param {string} jsonPath - JSON file written by writeJSONFile
+ * @param {string} linesPath - Append-only file to create
+ * @returns {boolean} - True if a file was converted
+ */
+export const convertJSONFileToLines = (jsonPath, linesPath) => {
+  if (existsSync(linesPath) || !existsSync(jsonPath)) {
     return false;
   }
+  createAppendOnlyFile(linesPath).rewrite(readJSONFile(jsonPath, []));
+  [jsonPath, checksumPath(jsonPath)].filter(file => existsSync(file)).forEach(file => unlinkSync(file));
+  fsyncDirectory(dirname(jsonPath));
+  return true;
+};
+
+/**
+ * Create a write-ahead journal for a set of JSON files
+ * @param {string} journalPath - Journal file (newline-delimited JSON)
+ * @returns {Object} - { write(files), replay() }
+ */
+export const createJournal = (journalPath) => {
+  let sequence = 0;
+  let hasPending = false;
+
+  const append = (entry) => {
+    const line = JSON.stringify(entry);
+    const fd = openSync(journalPath, 'a');
+    try {
+      writeSync(fd, `${JSON.stringify({ ...entry, checksum: checksum(line) })}\n`, null, 'utf8');
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+  };
+
+  /**
+   * Parse the journal, skipping a torn last line (crash while appending)
+   * @returns {Object[]} - Valid entries
+   */
+  const readEntries = () => {
+    if (!existsSync(journalPath)) {
+      return [];
+    }
+    return readFileSync(journalPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          const { checksum: entryChecksum, ...entry } = JSON.parse(line);
+          return entryChecksum === checksum(JSON.stringify(entry)) ? entry : null;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  };
+
+  // Files are journaled relative to the journal's directory so the data directory can be moved
+  const journalDir = dirname(journalPath);
+  const applyWrites = (writes) => {
+    writes.forEach(({ file, data }) => writeJSONFile(resolve(journalDir, file), data));
+  };
+
+  const replay = () => {
+    const entries = readEntries();
+    const committed = new Set(entries.filter(e => e.type === 'commit').map(e => e.seq));
+    const pending = entries.filter(e => e.type === 'write' && !committed.has(e.seq));
+    pending.forEach(entry => applyWrites(entry.writes));
+    if (existsSync(journalPath)) {
+      truncateSync(journalPath, 0);
+    }
+    hasPending = false;
+    return pending.length;
+  };
+
+  return {
+    /**
+     * Journal a set of file writes, apply them, then mark them committed
+     * @param {{ file: string, data: any }[]} writes - Files to write together
+     */
+    write: (writes) => {
+      if (writes.length === 0) {
+        return;
+      }
+      // Finish an earlier write that failed half-way before starting a new one
+      if (hasPending) {
+        replay();
+      }
+      sequence += 1;
+      const journaled = writes.map(({ file, data }) => ({ file: relative(journalDir, file), data }));
+      append({ seq: sequence, type: 'write', writes: journaled });
+      try {
+        applyWrites(journaled);
+      } catch (error) {
+        hasPending = true;
+        throw error;
+      }
+      append({ seq: sequence, type: 'commit' });
+      // Everything journaled so far is applied: start the next write from an empty journal
+      truncateSync(journalPath, 0);
+    },
+
+    /**
+     * Re-apply journaled writes that were not committed (run before loading files)
+     * @returns {number} - Number of replayed entries
+     */
+    replay
+  };
 };
@@ -0,0 +1,156 @@
+import { env } from '../config/env.js';
+
+/**
+ * Email contents
+ * Each template returns { subject, text } for sendMail(); links point at the frontend
+ */
+
+/**
+ * Build a link to a frontend page
+ * @param {string} path - Page path
+ * @param {Object} query - Query parameters
+ * @returns {string} - Absolute URL
+ */
+const frontendLink = (path, query = {}) => {
+  const url = new URL(path, env.FRONTEND_URL);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Email address verification link
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @param {string} options.token - Verification token
+ * @param {number} options.expiresInHours - How long the link works
+ * @returns {Object} - { subject, text }
+ */
+export const emailVerificationEmail = ({ name, token, expiresInHours }) => {
+  const link = frontendLink('/verify-email', { token });
+  return {
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'Please confirm that this is your email address by opening the link below:',
+      '',
+      link,
+      '',
+      `The link expires in ${expiresInHours} hours. If it expires, you can request a new one after logging in.`,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Password reset link
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @param {string} options.token - Reset token
+ * @param {number} options.expiresInMinutes - How long the link works
+ * @returns {Object} - { subject, text }
+ */
+export const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = frontendLink('/reset-password', { token });
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes.`,
+      'If you did not ask for a password reset, you can ignore this email; your password has not been changed.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Link to set the first password of an account that has none yet
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @param {string} options.token - Reset token
+ * @param {number} options.expiresInMinutes - How long the link works
+ * @returns {Object} - { subject, text }
+ */
+export const passwordSetupEmail = ({ name, token, expiresInMinutes }) => {
+  const link = frontendLink('/reset-password', { token });
+  return {
+    subject: 'Set your password',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'Someone tried to log in to your account, which does not have a password yet. Use the link below to choose one:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes.`,
+      'If this was not you, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Link to choose a new password after an admin reset the old one
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @param {string} options.token - Reset token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} - { subject, text }
+ */
+export const adminPasswordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const link = frontendLink('/reset-password', { token });
+  return {
+    subject: 'Your password has been reset',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'An administrator has reset the password of your account and logged it out on all devices. Use the link below to choose a new password:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes.`,
+      'You can request a new link from the "Forgot password" page if it expires.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Confirmation that a password was changed
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @returns {Object} - { subject, text }
+ */
+export const passwordChangedEmail = ({ name }) => ({
+  subject: 'Your password was changed',
+  text: [
+    `Hi ${name || 'there'},`,
+    '',
+    'The password for your account was just changed and your other sessions have been logged out.',
+    'If this was not you, reset your password right away and contact support.'
+  ].join('\n')
+});
+
+/**
+ * Notice that an account was locked after repeated failed logins
+ * @param {Object} options
+ * @param {string} options.name - Account holder's name
+ * @param {number} options.failedAttempts - Consecutive failed attempts
+ * @param {string} options.lockedUntil - ISO date the lock ends
+ * @returns {Object} - { subject, text }
+ */
+export const accountLockedEmail = ({ name, failedAttempts, lockedUntil }) => ({
+  subject: 'Your account was temporarily locked',
+  text: [
+    `Hi ${name || 'there'},`,
+    '',
+    `There were ${failedAttempts} failed attempts to log in to your account, so logins are paused until ${new Date(lockedUntil).toUTCString()}.`,
+    'If this was you, wait until then and try again, or reset your password:',
+    '',
+    frontendLink('/forgot-password'),
+    '',
+    'If this was not you, someone may be trying to guess your password. Resetting it is a good idea.'
+  ].join('\n')
+});
@@ -0,0 +1,145 @@
+import jwt from 'jsonwebtoken';
+import { env } from '../config/env.js';
+import { sendMail } from './mailer.js';
+import { emailVerificationEmail } from './emailTemplates.js';
+import { logWarn } from './logger.js';
+import { userRepository, stylistRepository, adminRepository } from '../repositories/index.js';
+
+/**
+ * Email verification
+ * New accounts start with `emailVerified: false` and are sent a signed link
+ * (a JWT bound to the account and its current email, so changing the email
+ * invalidates older links). Until they verify, accounts are limited by the
+ * restrictions configured for their type:
+ *   'listing'              - stylist is hidden from GET /api/stylists
+ *   'accept-appointments'  - stylist cannot accept appointments or suggest new times
+ *   'book-appointments'    - account cannot book appointments
+ */
+
+export const VERIFICATION_RESTRICTIONS = ['listing', 'accept-appointments', 'book-appointments'];
+
+const TOKEN_AUDIENCE = 'email-verification';
+
+// Looked up on use: the repositories module imports this one for its startup migration
+const accountRepository = (accountType) => ({
+  user: userRepository,
+  stylist: stylistRepository,
+  admin: adminRepository
+})[accountType];
+
+/**
+ * Parse a comma-separated restriction list from the environment
+ * @param {string} value - e.g. "listing,accept-appointments"
+ * @param {string} variable - Variable name (for warnings)
+ * @returns {string[]} - Known restrictions
+ */
+const parseRestrictions = (value, variable) => {
+  const restrictions = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  restrictions
+    .filter(restriction => !VERIFICATION_RESTRICTIONS.includes(restriction))
+    .forEach(restriction => logWarn(`Ignoring unknown restriction "${restriction}" in ${variable}`, {
+      known: VERIFICATION_RESTRICTIONS
+    }));
+  return restrictions.filter(restriction => VERIFICATION_RESTRICTIONS.includes(restriction));
+};
+
+const RESTRICTIONS = {
+  user: parseRestrictions(env.UNVERIFIED_USER_RESTRICTIONS, 'UNVERIFIED_USER_RESTRICTIONS'),
+  stylist: parseRestrictions(env.UNVERIFIED_STYLIST_RESTRICTIONS, 'UNVERIFIED_STYLIST_RESTRICTIONS')
+};
+
+/**
+ * Check whether an account may not do something until it verifies its email
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @param {string} restriction - One of VERIFICATION_RESTRICTIONS
+ * @returns {boolean} - True if the action is blocked
+ */
+export const isRestrictedUntilVerified = (accountType, account, restriction) => {
+  return account.emailVerified === false && (RESTRICTIONS[accountType] || []).includes(restriction);
+};
+
+/**
+ * Fields for a new, unverified account
+ * @returns {Object} - { emailVerified, emailVerifiedAt }
+ */
+export const unverifiedEmailFields = () => ({ emailVerified: false, emailVerifiedAt: null });
+
+/**
+ * Migrate an account created before email verification existed
+ * Existing accounts are treated as verified so nobody loses access
+ * @param {Object} account - User or stylist
+ * @returns {{ account: Object, changed: boolean }} - Migrated account and whether anything changed
+ */
+export const migrateEmailVerification = (account) => {
+  if (account.emailVerified !== undefined) {
+    return { account, changed: false };
+  }
+  return { account: { ...account, emailVerified: true, emailVerifiedAt: null }, changed: true };
+};
+
+/**
+ * Create a signed verification token for an account's current email
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {string} - Token
+ */
+export const createVerificationToken = (accountType, account) => jwt.sign(
+  { type: accountType, id: account.id, email: account.email.toLowerCase() },
+  env.JWT_SECRET,
+  {
+    expiresIn: `${env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN_HOURS}h`,
+    issuer: 'stylists-api',
+    audience: TOKEN_AUDIENCE
+  }
+);
+
+/**
+ * Email a verification link to an account
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Promise<Object>} - sendMail() result
+ */
+export const sendVerificationEmail = (accountType, account) => sendMail({
+  to: account.email,
+  ...emailVerificationEmail({
+    name: account.name,
+    token: createVerificationToken(accountType, account),
+    expiresInHours: env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN_HOURS
+  })
+});
+
+/**
+ * Mark an account verified from a verification token
+ * @param {string} token - Token from the verification link
+ * @returns {Object|null} - { accountType, account, alreadyVerified } or null if the token is
+ *   invalid, expired, or was issued for an email the account no longer uses
+ */
+export const verifyEmailWithToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, env.JWT_SECRET, { issuer: 'stylists-api', audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  const repository = accountRepository(decoded.type);
+  const account = repository?.findById(decoded.id);
+  if (!account || account.email.toLowerCase() !== decoded.email) {
+    return null;
+  }
+
+  if (account.emailVerified !== false) {
+    return { accountType: decoded.type, account, alreadyVerified: true };
+  }
+
+  const verified = repository.update({ ...account, emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+  return { accountType: decoded.type, account: verified, alreadyVerified: false };
+};
+
+/**
+ * Load the account behind an authenticated request
+ * @param {Object} user - req.user ({ id, type })
+ * @returns {Object|null} - User, stylist or admin
+ */
+export const findAuthenticatedAccount = (user) => accountRepository(user.type)?.findById(user.id) || null;
@@ -1,4 +1,6 @@
 import multer from 'multer';
+import { unlink } from 'fs/promises';
+import { join } from 'path';
 import { paths } from '../config/paths.js';
 import { env } from '../config/env.js';
 
@@ -91,6 +93,41 @@ export const scanUploadedFile = async (file) => {
   return true;
 };
 
+/**
+ * Find the file behind an uploaded image's public URL
+ * @param {string} url - Public URL (e.g. http://host/uploads/profiles/<file>)
+ * @returns {string|null} - Path in uploads/profiles or uploads/portfolio, or null for other URLs
+ */
+export const getUploadedFilePath = (url) => {
+  const match = typeof url === 'string' && url.match(/\/uploads\/(profiles|portfolio)\/([\w-]+\.[a-z]+)$/);
+  if (!match) {
+    return null;
+  }
+  return join(match[1] === 'profiles' ? paths.profilesDir : paths.portfolioDir, match[2]);
+};
+
+/**
+ * Delete an uploaded image by its public URL
+ * URLs that do not point at an uploaded file are ignored
+ * @param {string} url - Public URL
+ * @returns {Promise<boolean>} - True if a file was deleted
+ */
+export const deleteUploadedFile = async (url) => {
+  const filePath = getUploadedFilePath(url);
+  if (!filePath) {
+    return false;
+  }
+  try {
+    await unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
 export const upload = multer({
   storage,
   fileFilter,
@@ -0,0 +1,104 @@
+import { accessSync, writeFileSync, unlinkSync, existsSync, constants } from 'fs';
+import { join, dirname, relative } from 'path';
+import { randomBytes } from 'crypto';
+import { env } from '../config/env.js';
+import { paths } from '../config/paths.js';
+import { stylistRepository } from '../repositories/index.js';
+import { checkLogTransports } from './logger.js';
+import { isShuttingDown } from './shutdown.js';
+
+/**
+ * Readiness checks for GET /health/ready
+ * Each check returns { ok, ... } and never throws; the server is ready when every
+ * check passes and it is not shutting down
+ */
+
+// Paths in check results are relative to the project, so the probe does not reveal the server layout
+const projectDir = dirname(paths.dataDir);
+const displayPath = (path) => relative(projectDir, path) || '.';
+
+/**
+ * Check that a directory accepts new files by writing and removing a small one
+ * (file permissions alone do not catch read-only mounts or a full disk)
+ * @param {string} dir - Directory
+ * @returns {string|null} - Error message, or null if writable
+ */
+const probeWritable = (dir) => {
+  const probeFile = join(dir, `.health-${randomBytes(6).toString('hex')}.tmp`);
+  try {
+    writeFileSync(probeFile, 'ok');
+    unlinkSync(probeFile);
+    return null;
+  } catch (error) {
+    return `${displayPath(dir)} is not writable (${error.code || error.message})`;
+  }
+};
+
+/**
+ * Check the data store: data files can be read and written, the data directory
+ * accepts new files and the repositories answer
+ * @returns {Object} - { ok, driver, errors }
+ */
+const checkDataStore = () => {
+  const errors = [];
+  const dataFiles = env.STORAGE_DRIVER === 'sqlite'
+    ? [env.SQLITE_FILE || join(paths.dataDir, 'stylists-api.db')]
+    : Object.entries(paths).filter(([key]) => key.endsWith('File')).map(([, file]) => file);
+
+  dataFiles.filter(file => existsSync(file)).forEach(file => {
+    try {
+      accessSync(file, constants.R_OK | constants.W_OK);
+    } catch (error) {
+      errors.push(`${displayPath(file)} is not readable and writable (${error.code})`);
+    }
+  });
+
+  const dirError = probeWritable(paths.dataDir);
+  if (dirError) {
+    errors.push(dirError);
+  }
+
+  try {
+    stylistRepository.count();
+  } catch (error) {
+    errors.push(`Data store query failed (${error.message})`);
+  }
+
+  return { ok: errors.length === 0, driver: env.STORAGE_DRIVER, errors };
+};
+
+/**
+ * Check that uploaded images can be stored
+ * @returns {Object} - { ok, errors }
+ */
+const checkUploads = () => {
+  const errors = [paths.profilesDir, paths.portfolioDir].map(probeWritable).filter(Boolean);
+  return { ok: errors.length === 0, errors };
+};
+
+/**
+ * Check the log transports
+ * @returns {Object} - { ok, transports }
+ */
+const checkLogging = () => {
+  const transports = checkLogTransports();
+  return { ok: transports.every(transport => transport.ok), transports };
+};
+
+/**
+ * Run all readiness checks
+ * @returns {Object} - { ready, shuttingDown, checks: { dataStore, uploads, logging } }
+ */
+export const checkReadiness = () => {
+  const checks = {
+    dataStore: checkDataStore(),
+    uploads: checkUploads(),
+    logging: checkLogging()
+  };
+  const shuttingDown = isShuttingDown();
+  return {
+    ready: !shuttingDown && Object.values(checks).every(check => check.ok),
+    shuttingDown,
+    checks
+  };
+};
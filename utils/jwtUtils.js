@@ -1,13 +1,17 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 import { env } from '../config/env.js';
-import { logError } from './logger.js';
+import { logError, logDebug } from './logger.js';
+import { revokedTokenRepository } from '../repositories/index.js';
 
 /**
- * Generate a JWT token for a user or stylist
+ * Generate a short-lived JWT access token for a user or stylist
+ * Every token gets a unique ID (jti) so it can be revoked before it expires
  * @param {Object} payload - The data to encode in the token (id, email, type)
  * @param {string} payload.id - User/Stylist ID
  * @param {string} payload.email - User/Stylist email
  * @param {string} payload.type - 'user' or 'stylist'
+ * @param {string} payload.sessionId - Login session (refresh token family) the token belongs to
  * @returns {string} JWT token
  */
 export const generateToken = (payload) => {
@@ -16,13 +20,15 @@ export const generateToken = (payload) => {
       {
         id: payload.id,
         email: payload.email,
-        type: payload.type // 'user' or 'stylist'
+        type: payload.type, // 'user' or 'stylist'
+        ...(payload.sessionId && { sid: payload.sessionId })
       },
       env.JWT_SECRET,
       {
-        expiresIn: env.JWT_EXPIRES_IN || '7d', // Default 7 days
+        expiresIn: env.JWT_EXPIRES_IN || '15m',
         issuer: 'stylists-api',
-        audience: 'stylists-app'
+        audience: 'stylists-app',
+        jwtid: randomUUID()
       }
     );
     return token;
@@ -34,6 +40,7 @@ export const generateToken = (payload) => {
 
 /**
  * Verify and decode a JWT token
+ * Tokens without an ID (issued before revocation support) and revoked tokens are rejected
  * @param {string} token - The JWT token to verify
  * @returns {Object|null} Decoded token payload or null if invalid
  */
@@ -43,10 +50,16 @@ export const verifyToken = (token) => {
       issuer: 'stylists-api',
       audience: 'stylists-app'
     });
+    if (!decoded.jti || revokedTokenRepository.has(decoded.jti)) {
+      // A client still using a token after logging out is expected, not a server error
+      logDebug('Rejected revoked token', { tokenId: decoded.jti ?? null, accountType: decoded.type });
+      return null;
+    }
     return decoded;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      logError(new Error('Token expired'), 'verifyToken');
+      // Access tokens are short-lived: clients refresh after this, it is not a server error
+      logDebug('Rejected expired token', { expiredAt: error.expiredAt?.toISOString() ?? null });
       return null;
     } else if (error.name === 'JsonWebTokenError') {
       logError(new Error('Invalid token'), 'verifyToken');
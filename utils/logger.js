@@ -1,8 +1,10 @@
 import winston from 'winston';
 import DailyRotateFile from 'winston-daily-rotate-file';
 import { env } from '../config/env.js';
+import { getRequestContext } from './requestContext.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { accessSync, constants } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +12,19 @@ const __dirname = path.dirname(__filename);
 // Define log directory
 const logDir = path.join(__dirname, '..', 'logs');
 
+// Tag log lines written while handling a request with its request ID (and trace IDs)
+const requestContextFormat = winston.format((info) => {
+  const context = getRequestContext();
+  if (context) {
+    info.requestId ??= context.requestId;
+    if (context.span) {
+      info.traceId ??= context.span.traceId;
+      info.spanId ??= context.span.spanId;
+    }
+  }
+  return info;
+});
+
 // Custom format for console output
 const consoleFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -87,7 +102,7 @@ if (env.isProduction() || process.env.LOG_TO_FILE === 'true') {
 // Create logger instance
 const logger = winston.createLogger({
   level: logLevel,
-  format: fileFormat,
+  format: winston.format.combine(requestContextFormat(), fileFormat),
   defaultMeta: {
     service: 'stylists-api',
     environment: env.NODE_ENV,
@@ -97,6 +112,47 @@ const logger = winston.createLogger({
   exitOnError: false,
 });
 
+// Last error reported by each transport (e.g. a log file that cannot be written)
+const transportErrors = new Map();
+transports.forEach(transport => {
+  transport.on('error', (error) => transportErrors.set(transport, error));
+});
+
+/**
+ * Check that every log transport can still write (used by the readiness probe)
+ * @returns {Object[]} - { name, ok, error } per transport
+ */
+export const checkLogTransports = () => transports.map(transport => {
+  const name = transport.filename ? path.basename(transport.filename) : transport.name;
+  const transportError = transportErrors.get(transport);
+  if (transportError) {
+    return { name, ok: false, error: transportError.message };
+  }
+  if (transport instanceof DailyRotateFile) {
+    try {
+      accessSync(logDir, constants.W_OK);
+    } catch (error) {
+      return { name, ok: false, error: `Log directory is not writable (${error.code})` };
+    }
+  }
+  return { name, ok: true, error: null };
+});
+
+/**
+ * Flush and close all log transports (on shutdown)
+ * @param {number} timeoutMs - Give up waiting after this long
+ * @returns {Promise<void>}
+ */
+export const closeLogger = (timeoutMs = 5000) => new Promise(resolve => {
+  const timer = setTimeout(resolve, timeoutMs);
+  logger.on('finish', () => {
+    clearTimeout(timer);
+    // File transports finish writing shortly after the logger itself
+    setImmediate(resolve);
+  });
+  logger.end();
+});
+
 // Create stream for morgan (HTTP request logging)
 logger.stream = {
   write: (message) => {
@@ -135,6 +191,7 @@ export const sanitizeForLogging = (data) => {
  */
 export const logRequest = (req, res, responseTime) => {
   const logData = {
+    requestId: req.id,
     method: req.method,
     url: req.originalUrl || req.url,
     statusCode: res.statusCode,
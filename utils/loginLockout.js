@@ -0,0 +1,196 @@
+import { env } from '../config/env.js';
+import { sendMail } from './mailer.js';
+import { accountLockedEmail } from './emailTemplates.js';
+import { logWarn, logError } from './logger.js';
+import { loginAttemptRepository, userRepository, stylistRepository, adminRepository } from '../repositories/index.js';
+
+/**
+ * Per-account login lockout
+ * Complements the per-IP rate limiters: consecutive failed logins are counted per
+ * account, and from LOGIN_LOCKOUT_THRESHOLD failures on the account is locked for
+ * LOGIN_LOCKOUT_BASE_MINUTES, doubling with each further failure up to
+ * LOGIN_LOCKOUT_MAX_MINUTES. A successful login (or password reset) clears the count.
+ * Records: { failedCount, firstFailedAt, lastFailedAt, lockedUntil }
+ * Failures for emails without an account are only kept in memory, for at most
+ * LOGIN_UNKNOWN_EMAIL_MAX_TRACKED emails (the least recently failed are dropped first),
+ * so logins with made-up emails cannot fill the data store
+ */
+
+const ACCOUNT_REPOSITORIES = {
+  user: userRepository,
+  stylist: stylistRepository,
+  admin: adminRepository
+};
+
+// Failure records of emails without an account, oldest first ("<accountType>:<email>" -> record)
+const unknownEmailAttempts = new Map();
+
+/**
+ * In-memory counterpart of loginAttemptRepository for emails without an account
+ */
+const unknownEmailAttemptStore = {
+  get: (accountType, email) => unknownEmailAttempts.get(`${accountType}:${email.toLowerCase()}`) || null,
+  set: (accountType, email, record) => {
+    const key = `${accountType}:${email.toLowerCase()}`;
+    unknownEmailAttempts.delete(key);
+    unknownEmailAttempts.set(key, record);
+    if (unknownEmailAttempts.size > env.LOGIN_UNKNOWN_EMAIL_MAX_TRACKED) {
+      unknownEmailAttempts.delete(unknownEmailAttempts.keys().next().value);
+    }
+  },
+  delete: (accountType, email) => unknownEmailAttempts.delete(`${accountType}:${email.toLowerCase()}`)
+};
+
+/**
+ * Where an email's failures are kept
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ * @returns {Object} - loginAttemptRepository, or the in-memory store for emails without an account
+ */
+const attemptStoreFor = (accountType, email) => (
+  ACCOUNT_REPOSITORIES[accountType].findByEmail(email) ? loginAttemptRepository : unknownEmailAttemptStore
+);
+
+/**
+ * Lockout length after a number of consecutive failures
+ * @param {number} failedCount - Consecutive failures
+ * @returns {number} - Minutes (0 if below the threshold)
+ */
+export const getLockoutMinutes = (failedCount) => {
+  if (failedCount < env.LOGIN_LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  const minutes = env.LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (failedCount - env.LOGIN_LOCKOUT_THRESHOLD);
+  return Math.min(minutes, env.LOGIN_LOCKOUT_MAX_MINUTES);
+};
+
+/**
+ * Get an account's failure record, dropping it once it is old enough to forget
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ * @param {Date} now - Reference instant
+ * @returns {Object|null} - Record or null
+ */
+const getActiveRecord = (accountType, email, now) => {
+  const store = attemptStoreFor(accountType, email);
+  const record = store.get(accountType, email);
+  if (!record) {
+    return null;
+  }
+  const resetAfterMs = env.LOGIN_FAILURE_RESET_HOURS * 60 * 60 * 1000;
+  const stillLocked = record.lockedUntil && new Date(record.lockedUntil) > now;
+  if (!stillLocked && now - new Date(record.lastFailedAt) > resetAfterMs) {
+    store.delete(accountType, email);
+    return null;
+  }
+  return record;
+};
+
+/**
+ * Check whether an account is locked
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ * @param {Date} now - Reference instant
+ * @returns {Object} - { locked, lockedUntil, retryAfterSeconds }
+ */
+export const getLockout = (accountType, email, now = new Date()) => {
+  const record = getActiveRecord(accountType, email, now);
+  if (!record?.lockedUntil || new Date(record.lockedUntil) <= now) {
+    return { locked: false, lockedUntil: null, retryAfterSeconds: 0 };
+  }
+  return {
+    locked: true,
+    lockedUntil: record.lockedUntil,
+    retryAfterSeconds: Math.ceil((new Date(record.lockedUntil) - now) / 1000)
+  };
+};
+
+/**
+ * Record a failed login (wrong password or wrong two-factor code)
+ * Emails for which no account exists are counted and locked the same way, so a
+ * lockout does not reveal whether an email is registered. Sends a notification
+ * email when the failure locks an existing account
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ * @param {Date} now - Reference instant
+ * @returns {Object} - { locked, lockedUntil, retryAfterSeconds, failedCount }
+ */
+export const recordFailedLogin = (accountType, email, now = new Date()) => {
+  const previous = getActiveRecord(accountType, email, now);
+  const failedCount = (previous?.failedCount || 0) + 1;
+  const lockoutMinutes = getLockoutMinutes(failedCount);
+  const lockedUntil = lockoutMinutes > 0 ? new Date(now.getTime() + lockoutMinutes * 60 * 1000).toISOString() : null;
+
+  const account = ACCOUNT_REPOSITORIES[accountType].findByEmail(email);
+  (account ? loginAttemptRepository : unknownEmailAttemptStore).set(accountType, email, {
+    failedCount,
+    firstFailedAt: previous?.firstFailedAt || now.toISOString(),
+    lastFailedAt: now.toISOString(),
+    lockedUntil
+  });
+
+  if (!lockedUntil) {
+    return { locked: false, lockedUntil: null, retryAfterSeconds: 0, failedCount };
+  }
+
+  logWarn('Account locked after failed logins', { accountType, failedCount, lockedUntil });
+  if (account) {
+    // Not awaited: the failed login response should not wait for (or reveal) the email
+    sendMail({ to: account.email, ...accountLockedEmail({ name: account.name, failedAttempts: failedCount, lockedUntil }) })
+      .catch(error => logError(error, 'recordFailedLogin (lockout email)'));
+  }
+
+  return { locked: true, lockedUntil, retryAfterSeconds: lockoutMinutes * 60, failedCount };
+};
+
+/**
+ * Forget an account's failed logins (after a successful login or password reset)
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ */
+export const clearFailedLogins = (accountType, email) => {
+  loginAttemptRepository.delete(accountType, email);
+  unknownEmailAttemptStore.delete(accountType, email);
+};
+
+/**
+ * Lift a lockout (admin)
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Account email
+ * @returns {boolean} - True if the account had failed logins on record
+ */
+export const unlockAccount = (accountType, email) => {
+  const unlockedUnknownEmail = unknownEmailAttemptStore.delete(accountType, email);
+  return loginAttemptRepository.delete(accountType, email) || unlockedUnknownEmail;
+};
+
+/**
+ * List accounts that are currently locked
+ * @param {Date} now - Reference instant
+ * @returns {Object[]} - [{ accountType, email, failedCount, lockedUntil }]
+ */
+export const listLockedAccounts = (now = new Date()) => loginAttemptRepository.entries()
+  .filter(([, , record]) => record.lockedUntil && new Date(record.lockedUntil) > now)
+  .map(([accountType, email, record]) => ({
+    accountType,
+    email,
+    failedCount: record.failedCount,
+    lockedUntil: record.lockedUntil
+  }));
+
+/**
+ * Response body for a login attempt on a locked account (sent with status 429
+ * and a Retry-After header of lockout.retryAfterSeconds)
+ * @param {Object} lockout - getLockout()/recordFailedLogin() result
+ * @returns {Object} - Response body
+ */
+export const lockedAccountResponse = (lockout) => {
+  const minutes = Math.ceil(lockout.retryAfterSeconds / 60);
+  const wait = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return {
+    success: false,
+    message: `Too many failed login attempts. This account is temporarily locked; try again in ${wait} or reset your password.`,
+    retryAfter: wait,
+    lockedUntil: lockout.lockedUntil
+  };
+};
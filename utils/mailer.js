@@ -0,0 +1,92 @@
+import { existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import nodemailer from 'nodemailer';
+import { env } from '../config/env.js';
+import { paths } from '../config/paths.js';
+import { writeFileAtomic } from './dataPersistence.js';
+import { logInfo } from './logger.js';
+
+/**
+ * Outbound email
+ * Controllers call sendMail(); the transport is chosen with MAIL_TRANSPORT:
+ *   'outbox' - each message is written as a JSON file to MAIL_OUTBOX_DIR (data/outbox),
+ *              so flows that send email can be tried without a mail server
+ *   'smtp'   - messages are delivered through SMTP_HOST
+ */
+
+export const MAIL_TRANSPORTS = ['outbox', 'smtp'];
+
+/**
+ * Transport that writes messages to a local directory
+ * @param {string} dir - Outbox directory
+ * @returns {Object} - { name, send(message) }
+ */
+const createOutboxTransport = (dir) => ({
+  name: 'outbox',
+  send: async (message) => {
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    const messageId = randomUUID();
+    const sentAt = new Date().toISOString();
+    // Timestamp first so the files sort in the order they were sent
+    const file = join(dir, `${sentAt.replace(/[:.]/g, '-')}-${messageId}.json`);
+    writeFileAtomic(file, JSON.stringify({ messageId, sentAt, ...message }, null, 2));
+    return { messageId, file };
+  }
+});
+
+/**
+ * Transport that delivers messages through an SMTP server
+ * @returns {Object} - { name, send(message) }
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Create a mail transport
+ * @param {string} name - 'outbox' or 'smtp'
+ * @returns {Object} - { name, send(message) }
+ */
+export const createMailTransport = (name = env.MAIL_TRANSPORT) => {
+  if (name === 'outbox') {
+    return createOutboxTransport(env.MAIL_OUTBOX_DIR || paths.outboxDir);
+  }
+  if (name === 'smtp') {
+    return createSmtpTransport();
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+};
+
+let transport;
+
+/**
+ * Send an email
+ * Errors are thrown so callers can decide whether a failed send matters
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise<Object>} - { messageId } (plus `file` for the outbox transport)
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  transport = transport || createMailTransport();
+  const result = await transport.send({ from: env.MAIL_FROM, to, subject, text, ...(html && { html }) });
+  logInfo('Email sent', { transport: transport.name, subject, messageId: result.messageId });
+  return result;
+};
@@ -0,0 +1,321 @@
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+/**
+ * Prometheus metrics (no external dependency)
+ * Counters, gauges and histograms kept in memory and rendered in the Prometheus
+ * text exposition format for GET /metrics. Values start from zero at every restart,
+ * which Prometheus handles for counters (rate() treats a drop as a reset)
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric, in registration order: { name, help, type, render() }
+const registry = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {any} value - Label value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+/**
+ * Format a label set
+ * @param {Object} labels - { name: value }
+ * @returns {string} - e.g. '{method="GET",route="/api/stylists"}', or '' without labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * Key a label set by the metric's label names (so the order labels are passed in does not matter)
+ * @param {string[]} labelNames - Metric's label names
+ * @param {Object} labels - Label values
+ * @returns {string}
+ */
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+/**
+ * Restore a label set from its key
+ * @param {string[]} labelNames - Metric's label names
+ * @param {string} key - Key from labelKey
+ * @returns {Object}
+ */
+const labelsFromKey = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+};
+
+/**
+ * Add a metric to the registry
+ * @param {Object} metric - { name, help, type, render }
+ * @returns {Object} - The metric
+ */
+const register = (metric) => {
+  if (registry.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+};
+
+/**
+ * Create a counter (a value that only goes up)
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {Function|null} collect - Called before rendering with set(labels, value), for
+ *   totals kept elsewhere (e.g. the process's CPU time)
+ * @returns {Object} - { inc(labels, amount) }
+ */
+export const createCounter = (name, help, labelNames = [], collect = null) => {
+  const values = new Map();
+  const set = (labels, value) => values.set(labelKey(labelNames, labels), value);
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render: () => {
+      if (collect) {
+        collect(set);
+      }
+      return [...values].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+    }
+  });
+};
+
+/**
+ * Create a gauge (a value that can go up and down)
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {Function|null} collect - Called before rendering, to set current values
+ * @returns {Object} - { set(labels, value), reset() }
+ */
+export const createGauge = (name, help, labelNames = [], collect = null) => {
+  const values = new Map();
+  const gauge = register({
+    name,
+    help,
+    type: 'gauge',
+    set: (labels, value) => {
+      values.set(labelKey(labelNames, labels), value);
+    },
+    reset: () => values.clear(),
+    render: () => {
+      if (collect) {
+        collect(gauge);
+      }
+      return [...values].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+    }
+  });
+  return gauge;
+};
+
+/**
+ * Create a histogram (counts of observed values per bucket, plus their sum and count)
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+ * @returns {Object} - { observe(labels, value) }
+ */
+export const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe: (labels, value) => {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+      const labels = labelsFromKey(labelNames, key);
+      return [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ];
+    })
+  });
+};
+
+/**
+ * Render every registered metric in the Prometheus text format (version 0.0.4)
+ * @returns {string}
+ */
+export const renderMetrics = () => registry
+  .map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render()
+  ].join('\n'))
+  .join('\n') + '\n';
+
+// Content-Type of renderMetrics() output
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Application metrics
+
+export const httpRequestsTotal = createCounter(
+  'http_requests_total',
+  'HTTP requests by method, route and status code',
+  ['method', 'route', 'status_code']
+);
+
+export const httpRequestDurationSeconds = createHistogram(
+  'http_request_duration_seconds',
+  'HTTP request duration in seconds by method and route',
+  ['method', 'route']
+);
+
+export const rateLimitRejectionsTotal = createCounter(
+  'rate_limit_rejections_total',
+  'Requests rejected by a rate limiter',
+  ['limiter']
+);
+
+export const loginAttemptsTotal = createCounter(
+  'login_attempts_total',
+  'Login attempts by action (e.g. user.login, stylist.login.2fa), outcome and failure reason',
+  ['action', 'outcome', 'reason']
+);
+
+export const appointmentsCreatedTotal = createCounter(
+  'appointments_created_total',
+  'Appointments booked, by initial status',
+  ['status']
+);
+
+// Set from the repository on each scrape (see the metrics controller)
+export const appointmentsByStatus = createGauge(
+  'appointments',
+  'Stored appointments by current status',
+  ['status']
+);
+
+export const dataFileWriteDurationSeconds = createHistogram(
+  'data_file_write_duration_seconds',
+  'Time to write a JSON data file (with its checksum) in seconds',
+  ['file'],
+  [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+);
+
+export const webhookDeliveryAttemptsTotal = createCounter(
+  'webhook_delivery_attempts_total',
+  'Webhook delivery attempts by event and outcome (delivered, retry or failed)',
+  ['event', 'outcome']
+);
+
+export const deprecatedRequestsTotal = createCounter(
+  'deprecated_requests_total',
+  'Requests to deprecated routes, by API version (or "unversioned") and route',
+  ['api_version', 'route']
+);
+
+/**
+ * Route label of a request: the matched route pattern (e.g. '/api/stylists/:id'), so
+ * IDs do not create a series each; requests that matched no route share one label
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+const routeLabel = (req) => {
+  if (req.route) {
+    return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+  }
+  return req.baseUrl || 'unmatched';
+};
+
+/**
+ * Count a finished HTTP request and record its duration
+ * @param {Object} req - Request
+ * @param {Object} res - Response (after the status code is set)
+ * @param {number} durationSeconds - Time taken
+ */
+export const recordHttpRequest = (req, res, durationSeconds) => {
+  const route = routeLabel(req);
+  httpRequestsTotal.inc({ method: req.method, route, status_code: res.statusCode });
+  httpRequestDurationSeconds.observe({ method: req.method, route }, durationSeconds);
+};
+
+/**
+ * Count a finished request to a deprecated route (to see who still calls it before its sunset)
+ * @param {Object} req - Request
+ * @param {string} apiVersion - Version the request was served as, or 'unversioned'
+ */
+export const recordDeprecatedRequest = (req, apiVersion) => {
+  deprecatedRequestsTotal.inc({ api_version: apiVersion, route: `${req.method} ${routeLabel(req)}` });
+};
+
+// Process metrics (names follow the Prometheus client library conventions)
+
+let eventLoopDelay = null;
+
+createCounter('process_cpu_user_seconds_total', 'User CPU time spent in seconds', [], (set) => {
+  set({}, process.cpuUsage().user / 1e6);
+});
+
+createCounter('process_cpu_system_seconds_total', 'System CPU time spent in seconds', [], (set) => {
+  set({}, process.cpuUsage().system / 1e6);
+});
+
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage.rss());
+});
+
+createGauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', [], (gauge) => {
+  gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+});
+
+createGauge('nodejs_heap_size_used_bytes', 'Process heap size used in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage().heapUsed);
+});
+
+createGauge('nodejs_heap_size_total_bytes', 'Process heap size in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage().heapTotal);
+});
+
+createGauge('nodejs_active_resources', 'Active libuv resources (handles and requests) keeping the event loop alive', [], (gauge) => {
+  gauge.set({}, process.getActiveResourcesInfo().length);
+});
+
+createGauge('nodejs_eventloop_lag_seconds', 'Event loop delay since the previous scrape, in seconds', ['quantile'], (gauge) => {
+  // Started on the first scrape so scripts that import this module are not affected
+  if (!eventLoopDelay) {
+    eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    eventLoopDelay.enable();
+    return;
+  }
+  [0.5, 0.9, 0.99].forEach(quantile => {
+    gauge.set({ quantile }, eventLoopDelay.percentile(quantile * 100) / 1e9);
+  });
+  eventLoopDelay.reset();
+});
+
+createGauge('nodejs_version_info', 'Node.js version', ['version'], (gauge) => {
+  gauge.set({ version: process.version }, 1);
+});
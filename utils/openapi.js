@@ -0,0 +1,400 @@
+import { env } from '../config/env.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import {
+  loginRateLimiter,
+  registrationRateLimiter,
+  passwordResetRateLimiter,
+  verificationEmailRateLimiter
+} from '../middleware/rateLimiter.js';
+import { schemas, operations } from './openapiDocs.js';
+import { API_VERSIONS, LATEST_API_VERSION, UNVERSIONED_ALIAS, unversionedPath, getRouteDeprecation } from './apiVersions.js';
+
+/**
+ * OpenAPI 3.1 document generated from the routers
+ * Paths, methods, parameters and request bodies come from the route definitions and
+ * their express-validator chains; summaries and response schemas come from
+ * utils/openapiDocs.js, keyed by method and unversioned path ('GET /api/stylists/{id}')
+ */
+
+const BODY_METHODS = ['post', 'put', 'patch', 'delete'];
+const RATE_LIMITERS = [loginRateLimiter, registrationRateLimiter, passwordResetRateLimiter, verificationEmailRateLimiter];
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Bad request',
+  401: 'Not authenticated',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflict',
+  429: 'Too many requests',
+  500: 'Server error',
+  503: 'Service unavailable'
+};
+
+/**
+ * Convert an Express path to an OpenAPI path ('/:id/2fa' -> '/{id}/2fa')
+ * @param {string} path - Express path
+ * @returns {string}
+ */
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+/**
+ * List the routes of mounted routers with every handler that runs for them
+ * (router-level middleware such as router.use(requireAdmin) included)
+ * @param {Object[]} mounts - [{ path, router, tag }] (see routes/index.js)
+ * @returns {Object[]} - [{ method, path, key, tag, handlers }] (key without the API version)
+ */
+export const listRoutes = (mounts) => mounts.flatMap(({ path: mountPath, router, tag }) => {
+  const routerMiddleware = [];
+  const routes = [];
+  router.stack.forEach(layer => {
+    if (!layer.route) {
+      routerMiddleware.push(layer.handle);
+      return;
+    }
+    const routePath = layer.route.path === '/' ? '' : layer.route.path;
+    const path = toOpenApiPath(`${mountPath}${routePath}`);
+    Object.keys(layer.route.methods).filter(method => layer.route.methods[method]).forEach(method => {
+      routes.push({
+        method,
+        path,
+        key: `${method.toUpperCase()} ${unversionedPath(path)}`,
+        tag,
+        handlers: [...routerMiddleware, ...layer.route.stack.map(routeLayer => routeLayer.handle)]
+      });
+    });
+  });
+  return routes;
+});
+
+/**
+ * Describe one express-validator chain as a JSON schema
+ * @param {Object} context - Built chain (chain.builder.build())
+ * @returns {Object} - { schema, required }
+ */
+const describeChain = (context) => {
+  const schema = {};
+  const descriptions = [];
+  let hasStandardValidator = false;
+
+  context.stack.forEach(item => {
+    if (item.sanitizer) {
+      if (item.sanitizer.name === 'trim') {
+        schema.type ??= 'string';
+      } else if (item.sanitizer.name === 'toInt') {
+        schema.type = 'integer';
+      }
+      return;
+    }
+    if (typeof item.validator !== 'function') {
+      return;
+    }
+    // Custom validators cannot be described; their message tells the client what is expected
+    if (!Array.isArray(item.options)) {
+      if (item.message && typeof item.message === 'string') {
+        descriptions.push(item.message);
+      }
+      return;
+    }
+
+    hasStandardValidator = true;
+    const [options] = item.options;
+    if (item.negated) {
+      return; // notEmpty() (a negated isEmpty) only makes the field required
+    }
+    switch (item.validator.name) {
+      case 'isInt':
+      case 'isFloat':
+        schema.type = item.validator.name === 'isInt' ? 'integer' : 'number';
+        if (options?.min !== undefined) schema.minimum = options.min;
+        if (options?.max !== undefined) schema.maximum = options.max;
+        break;
+      case 'isBoolean':
+        schema.type = 'boolean';
+        break;
+      case 'isLength':
+        schema.type ??= 'string';
+        if (options?.min !== undefined) schema.minLength = options.min;
+        if (options?.max !== undefined) schema.maxLength = options.max;
+        break;
+      case 'isEmail':
+        schema.type = 'string';
+        schema.format = 'email';
+        break;
+      case 'isIn':
+        schema.type ??= 'string';
+        schema.enum = [...options];
+        break;
+      case 'matches':
+        schema.type ??= 'string';
+        // JSON schema patterns have no flags, so case-insensitive patterns are left out
+        if (!item.options[1]) {
+          schema.pattern = String(options);
+        }
+        break;
+      case 'isISO8601':
+        schema.type = 'string';
+        descriptions.push('ISO 8601 date or timestamp');
+        break;
+      default:
+        schema.type ??= 'string';
+    }
+  });
+
+  if (descriptions.length > 0) {
+    schema.description = descriptions.join('. ');
+  }
+  // Fields without .optional() are required unless only custom validators check them
+  // (those decide for themselves, e.g. "code or recoveryCode")
+  return { schema, required: context.optional === false && hasStandardValidator };
+};
+
+/**
+ * Collect the fields checked by a route's validation chains, per location
+ * @param {Function[]} handlers - Route handlers
+ * @returns {Object} - { params, query, body }: each { [field]: { schema, required } }
+ */
+const collectFields = (handlers) => {
+  const fields = { params: {}, query: {}, body: {} };
+  handlers.filter(handler => handler.builder).forEach(chain => {
+    const context = chain.builder.build();
+    const { schema, required } = describeChain(context);
+    context.locations.filter(location => fields[location]).forEach(location => {
+      context.fields.forEach(field => {
+        // 'serviceIds.*' describes the items of the serviceIds array
+        const [name, wildcard] = field.split('.*');
+        const existing = fields[location][name] || { schema: {}, required: false };
+        if (wildcard !== undefined) {
+          existing.schema = { ...existing.schema, type: 'array', items: { ...existing.schema.items, ...schema } };
+        } else {
+          const description = [existing.schema.description, schema.description].filter(Boolean).join('. ');
+          existing.schema = { ...existing.schema, ...schema, ...(description && { description }) };
+          existing.required ||= required;
+        }
+        fields[location][name] = existing;
+      });
+    });
+  });
+  return fields;
+};
+
+/**
+ * Build the parameters and request body of an operation
+ * @param {Object} route - Route from listRoutes
+ * @param {Object} doc - Operation entry from utils/openapiDocs.js
+ * @returns {Object} - { parameters, requestBody, validated }
+ */
+const describeRequest = (route, doc) => {
+  const fields = collectFields(route.handlers);
+
+  const pathNames = [...route.path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+  const parameters = [
+    ...pathNames.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: fields.params[name]?.schema || { type: 'string' }
+    })),
+    ...Object.entries(fields.query).map(([name, { schema, required }]) => ({
+      name,
+      in: 'query',
+      required,
+      schema: { type: 'string', ...schema }
+    }))
+  ];
+
+  let requestBody;
+  const bodyNames = Object.keys(fields.body);
+  if (BODY_METHODS.includes(route.method) && bodyNames.length > 0) {
+    const properties = Object.fromEntries(bodyNames.map(name => [
+      name,
+      doc.fields?.[name]
+        ? { ...doc.fields[name], ...(fields.body[name].schema.description && { description: fields.body[name].schema.description }) }
+        : fields.body[name].schema
+    ]));
+    const required = bodyNames.filter(name => fields.body[name].required);
+    const schema = { type: 'object', properties, ...(required.length > 0 && { required }) };
+    const content = { 'application/json': { schema } };
+
+    // Routes with file uploads also take multipart forms (nested fields as JSON strings)
+    if (doc.files) {
+      const fileProperties = Object.fromEntries(Object.entries(doc.files).map(([name, { maxCount }]) => [
+        name,
+        maxCount > 1
+          ? { type: 'array', maxItems: maxCount, items: { type: 'string', contentMediaType: 'image/*' } }
+          : { type: 'string', contentMediaType: 'image/*' }
+      ]));
+      content['multipart/form-data'] = {
+        schema: { ...schema, properties: { ...properties, ...fileProperties } }
+      };
+    }
+    requestBody = { required: required.length > 0, content };
+  }
+
+  const validated = Object.values(fields).some(location => Object.keys(location).length > 0);
+  return { parameters, requestBody, validated };
+};
+
+/**
+ * Error response object
+ * @param {number} status - Status code
+ * @param {string} description - Description
+ * @param {string} schema - Component schema name
+ * @returns {Object}
+ */
+const errorResponse = (status, description, schema = 'Error') => ({
+  description: description || STATUS_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+/**
+ * Build one operation object
+ * @param {Object} route - Route from listRoutes
+ * @param {Object} doc - Operation entry from utils/openapiDocs.js
+ * @param {string} version - API version described
+ * @returns {Object}
+ */
+const buildOperation = (route, doc, version) => {
+  const { parameters, requestBody, validated } = describeRequest(route, doc);
+  const authenticated = route.handlers.includes(authenticate);
+  const admin = route.handlers.includes(requireAdmin);
+  const rateLimited = route.handlers.some(handler => RATE_LIMITERS.includes(handler));
+  const status = doc.status || 200;
+  const deprecation = getRouteDeprecation(version, route.key);
+  const description = [
+    doc.description,
+    deprecation?.sunset && `Deprecated; removed after ${new Date(deprecation.sunset).toISOString().slice(0, 10)}.`,
+    deprecation?.successor && `Use ${deprecation.successor} instead.`
+  ].filter(Boolean).join(' ');
+
+  const responses = {
+    [status]: {
+      description: doc.responseDescription || STATUS_DESCRIPTIONS[status],
+      content: { [doc.contentType || 'application/json']: { schema: doc.response } }
+    }
+  };
+  if (validated) {
+    responses[400] = errorResponse(400, 'Invalid input', 'ValidationError');
+  }
+  if (authenticated || admin) {
+    responses[401] = errorResponse(401);
+  }
+  if (admin) {
+    responses[403] = errorResponse(403, 'Not an admin');
+  }
+  if (rateLimited) {
+    responses[429] = errorResponse(429, 'Rate limit exceeded (see the Retry-After header)');
+  }
+  Object.entries(doc.errors || {}).forEach(([code, description]) => {
+    // A 400 documented by the route can also be a validation failure
+    responses[code] = code === '400' && validated
+      ? {
+          description: `${description}; or invalid input`,
+          content: { 'application/json': { schema: { anyOf: [{ $ref: '#/components/schemas/Error' }, { $ref: '#/components/schemas/ValidationError' }] } } }
+        }
+      : errorResponse(code, description);
+  });
+  responses[500] = errorResponse(500);
+
+  return {
+    operationId: doc.operationId,
+    summary: doc.summary,
+    ...(description && { description }),
+    tags: [route.tag],
+    ...(deprecation && { deprecated: true }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses,
+    ...(admin && { security: [{ bearerAuth: [] }, { adminKey: [] }] }),
+    ...(authenticated && !admin && { security: [{ bearerAuth: [] }] })
+  };
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object[]} mounts - [{ path, router, tag }] with the version's paths (see routes/index.js)
+ * @param {string} version - API version described
+ * @returns {Object}
+ */
+export const buildOpenApiSpec = (mounts, version = LATEST_API_VERSION) => {
+  const paths = {};
+  listRoutes(mounts).filter(route => operations[route.key]).forEach(route => {
+    paths[route.path] ??= {};
+    paths[route.path][route.method] = buildOperation(route, operations[route.key], version);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Stylists API',
+      version: '1.0.0',
+      description: `Backend API for the stylists application, version ${version} (paths under /api/${version}). `
+        + `The unversioned /api paths are deprecated aliases of /api/${UNVERSIONED_ALIAS.version}. `
+        + 'All /api routes share a general rate limit; errors have the shape { success: false, message }.'
+    },
+    servers: [{ url: env.API_BASE_URL }],
+    tags: [...new Set(mounts.map(mount => mount.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: `Access token from a login or POST /api/${version}/auth/refresh`
+        },
+        adminKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Admin-Key',
+          description: 'ADMIN_API_KEY, for scripts calling the admin API'
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Compare the routers with utils/openapiDocs.js (and the per-route settings of the API
+ * versions in utils/apiVersions.js)
+ * @param {Object[]} mounts - [{ path, router, tag }]
+ * @returns {Object} - { undocumented, incomplete, stale, duplicateIds, unknownVersionRoutes }
+ *   (lists of "METHOD /path")
+ */
+export const checkOpenApiCoverage = (mounts) => {
+  const routes = listRoutes(mounts);
+  const keys = new Set(routes.map(route => route.key));
+  const documented = routes.filter(route => operations[route.key]);
+  const idCounts = {};
+  documented.forEach(route => {
+    const { operationId } = operations[route.key];
+    idCounts[operationId] = (idCounts[operationId] || 0) + 1;
+  });
+
+  return {
+    undocumented: routes.filter(route => !operations[route.key]).map(route => route.key),
+    incomplete: documented
+      .filter(route => !operations[route.key].operationId || !operations[route.key].summary || !operations[route.key].response)
+      .map(route => route.key),
+    stale: Object.keys(operations).filter(key => !keys.has(key)),
+    duplicateIds: documented
+      .filter(route => idCounts[operations[route.key].operationId] > 1)
+      .map(route => route.key),
+    unknownVersionRoutes: Object.entries(API_VERSIONS).flatMap(([version, { deprecations, transformers }]) => (
+      [...new Set([...Object.keys(deprecations), ...Object.keys(transformers)])]
+        .filter(key => !keys.has(key))
+        .map(key => `${key} (${version})`)
+    ))
+  };
+};
+
+/**
+ * One line per documented route for the startup log ("GET /api/v1/stylists - Get all stylists")
+ * @param {Object[]} mounts - [{ path, router, tag }]
+ * @returns {string[]}
+ */
+export const listEndpoints = (mounts) => listRoutes(mounts)
+  .map(route => `${route.method.toUpperCase()} ${route.path.replace(/\{([^}]+)\}/g, ':$1')}${operations[route.key] ? ` - ${operations[route.key].summary}` : ''}`);
@@ -0,0 +1,1032 @@
+import { APPOINTMENT_STATUSES } from './appointmentStateMachine.js';
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUSES } from './webhooks.js';
+
+/**
+ * Hand-written parts of the OpenAPI document
+ * Parameters and request bodies are generated from the express-validator chains of
+ * each route (see utils/openapi.js); what validators cannot tell - what a route
+ * returns, its summary and its error cases - is described here, keyed by
+ * "METHOD /path/{param}" without the API version ("GET /api/stylists/{id}" describes
+ * GET /api/v1/stylists/{id}). Every route needs an entry (`npm run openapi:check`)
+ */
+
+/**
+ * Reference a component schema
+ * @param {string} name - Schema name
+ * @returns {Object}
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Allow null as well as the given schema
+ * @param {Object} schema - Schema
+ * @returns {Object}
+ */
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+/**
+ * Success response body: { success: true, message?, data?, ...extra }
+ * @param {Object|null} data - Schema of `data`, or null when there is none
+ * @param {Object} extra - Further top-level properties
+ * @returns {Object}
+ */
+const success = (data = null, extra = {}) => ({
+  type: 'object',
+  required: ['success', ...(data ? ['data'] : [])],
+  properties: {
+    success: { const: true },
+    message: { type: 'string' },
+    ...(data && { data }),
+    ...extra
+  }
+});
+
+/**
+ * Success response body for a paginated list (see paginate in utils/stylistQuery.js)
+ * @param {Object} item - Schema of one item
+ * @returns {Object}
+ */
+const page = (item) => success({ type: 'array', items: item }, {
+  count: { type: 'integer', description: 'Items in this page' },
+  total: { type: 'integer', description: 'Items matching the filters' },
+  pagination: ref('Pagination')
+});
+
+const ZIP_EXPORT = {
+  contentType: 'application/zip',
+  response: { type: 'string', contentMediaType: 'application/zip' },
+  responseDescription: 'ZIP archive with data.json (and uploaded images for stylists)'
+};
+
+const timestamp = { type: 'string', format: 'date-time' };
+const date = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', examples: ['2024-12-25'] };
+const time = { type: 'string', pattern: '^\\d{2}:\\d{2}$', examples: ['14:30'] };
+const accountType = { type: 'string', enum: ['user', 'stylist', 'admin'] };
+
+// ==================== Component Schemas ====================
+
+export const schemas = {
+  Price: {
+    type: 'object',
+    description: 'Structured price; amounts are in minor units (e.g. cents)',
+    properties: {
+      amount: { type: 'integer', examples: [8500] },
+      currency: { type: 'string', examples: ['USD'] },
+      unit: nullable({ type: 'string', examples: ['hour'] }),
+      display: { type: 'string', examples: ['$85/hour'] }
+    }
+  },
+  PriceInput: {
+    description: 'Free-text price ("$85/hour") or a structured price',
+    anyOf: [
+      { type: 'string', maxLength: 50, examples: ['$85/hour'] },
+      {
+        type: 'object',
+        required: ['amount'],
+        properties: {
+          amount: { type: 'number' },
+          currency: { type: 'string' },
+          unit: { type: 'string' }
+        }
+      }
+    ]
+  },
+  Service: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      duration: { type: 'string', examples: ['45 minutes'] },
+      durationMinutes: { type: 'integer' },
+      price: nullable(ref('Price'))
+    }
+  },
+  ServiceInput: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', maxLength: 100 },
+      duration: { type: 'string', maxLength: 50 },
+      price: ref('PriceInput')
+    }
+  },
+  Schedule: {
+    type: 'object',
+    description: 'Weekly working hours and breaks in the stylist\'s time zone',
+    properties: {
+      timeZone: { type: 'string', examples: ['America/New_York'] },
+      weekly: ref('WeeklyIntervals'),
+      breaks: ref('WeeklyIntervals')
+    }
+  },
+  WeeklyIntervals: {
+    type: 'object',
+    propertyNames: { enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] },
+    additionalProperties: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { start: time, end: time }
+      }
+    }
+  },
+  CancellationTerms: {
+    type: 'object',
+    properties: {
+      noticeHours: { type: 'integer', minimum: 0, maximum: 720 },
+      lateCancellationFeePercent: { type: 'integer', minimum: 0, maximum: 100 },
+      noShowFeePercent: { type: 'integer', minimum: 0, maximum: 100 }
+    }
+  },
+  Suspension: {
+    type: 'object',
+    description: 'Set by an admin; shown in admin responses',
+    properties: {
+      suspendedAt: timestamp,
+      reason: nullable({ type: 'string' }),
+      suspendedBy: nullable({ type: 'integer' })
+    }
+  },
+  Stylist: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      emailVerified: { type: 'boolean' },
+      emailVerifiedAt: nullable(timestamp),
+      phone: { type: 'string' },
+      address: { type: 'string' },
+      profilePicture: { type: 'string', description: 'URL of the profile picture' },
+      portfolio: { type: 'array', items: { type: 'string' }, description: 'URLs of portfolio pictures' },
+      specialty: { type: 'string' },
+      hairTextureTypes: { type: 'string' },
+      yearsOfExperience: { type: 'string' },
+      rate: nullable(ref('Price')),
+      hours: { type: 'string', examples: ['Mon-Fri: 9:00 AM - 6:00 PM'] },
+      schedule: ref('Schedule'),
+      currentAvailability: { type: 'string' },
+      availableNow: { type: 'boolean', description: 'Inside working hours right now' },
+      willingToTravel: { type: 'string' },
+      about: { type: 'string' },
+      accommodations: { type: 'string' },
+      lastMinuteBookingsAllowed: { type: 'string', enum: ['Yes', 'No', ''] },
+      streetParkingAvailable: { type: 'string' },
+      cancellationPolicy: { type: 'string' },
+      cancellationTerms: nullable(ref('CancellationTerms')),
+      acceptedPaymentTypes: { type: 'string' },
+      services: { type: 'array', items: ref('Service') },
+      products: { type: 'array', items: {} },
+      suspension: nullable(ref('Suspension')),
+      createdAt: { ...timestamp, description: 'Missing for seeded stylists and accounts created before it was recorded' }
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      emailVerified: { type: 'boolean' },
+      emailVerifiedAt: nullable(timestamp),
+      phone: { type: 'string' },
+      address: { type: 'string' },
+      preferences: { type: 'string' },
+      preferencesArray: { type: 'array', items: { type: 'string' } },
+      suspension: nullable(ref('Suspension')),
+      createdAt: { ...timestamp, description: 'Missing for accounts created before it was recorded' }
+    }
+  },
+  Admin: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      createdAt: timestamp
+    }
+  },
+  AppointmentStatus: {
+    type: 'string',
+    enum: APPOINTMENT_STATUSES
+  },
+  AppointmentHistoryEntry: {
+    type: 'object',
+    properties: {
+      from: nullable(ref('AppointmentStatus')),
+      to: ref('AppointmentStatus'),
+      actor: nullable({
+        type: 'object',
+        properties: {
+          id: nullable({ type: 'integer' }),
+          type: { type: 'string', enum: ['user', 'stylist', 'admin'] }
+        }
+      }),
+      reason: nullable({ type: 'string' }),
+      timestamp,
+      reassignedFrom: { type: 'integer', description: 'Only on reassignment entries' },
+      reassignedTo: { type: 'integer', description: 'Only on reassignment entries' }
+    }
+  },
+  Fee: {
+    type: 'object',
+    properties: {
+      applies: { type: 'boolean' },
+      percent: { type: 'integer' },
+      amount: nullable({
+        type: 'object',
+        properties: {
+          amount: { type: 'integer', description: 'Minor units' },
+          currency: { type: 'string' }
+        }
+      })
+    }
+  },
+  Appointment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      stylistId: { type: 'integer' },
+      userId: { type: 'integer' },
+      status: ref('AppointmentStatus'),
+      purpose: { type: 'string' },
+      date,
+      time,
+      endTime: time,
+      durationMinutes: { type: 'integer' },
+      customerName: { type: 'string' },
+      customerEmail: { type: 'string' },
+      customerPhone: { type: 'string' },
+      services: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            durationMinutes: { type: 'integer' },
+            price: ref('Price')
+          }
+        }
+      },
+      conversationPreference: { type: 'string', enum: ['quiet', 'chat', 'no-preference'] },
+      cancellationPolicy: nullable({
+        allOf: [ref('CancellationTerms')],
+        properties: { text: { type: 'string' } },
+        description: 'The stylist\'s policy when the appointment was booked'
+      }),
+      suggestedDate: nullable(date),
+      suggestedTime: nullable(time),
+      cancellation: {
+        type: 'object',
+        description: 'Set when the customer cancels',
+        properties: {
+          cancelledAt: timestamp,
+          hoursBeforeStart: nullable({ type: 'number' }),
+          lateFee: {
+            allOf: [ref('Fee')],
+            properties: { noticeHours: nullable({ type: 'integer' }) }
+          }
+        }
+      },
+      noShowFee: { allOf: [ref('Fee')], description: 'Set when the appointment is marked as a no-show' },
+      history: { type: 'array', items: ref('AppointmentHistoryEntry') },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Session: {
+    type: 'object',
+    description: 'Tokens returned by logins and POST /api/v1/auth/refresh',
+    properties: {
+      token: { type: 'string', description: 'Access token (JWT) for the Authorization header' },
+      expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+      refreshToken: { type: 'string' },
+      refreshTokenExpiresAt: timestamp
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      nextCursor: nullable({ type: 'string', description: 'Pass as `cursor` for the next page' })
+    }
+  },
+  Lockout: {
+    type: 'object',
+    properties: {
+      locked: { type: 'boolean' },
+      lockedUntil: nullable(timestamp),
+      retryAfterSeconds: { type: 'integer' }
+    }
+  },
+  AuditLogEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      timestamp,
+      action: { type: 'string', examples: ['stylist.login'] },
+      outcome: { type: 'string', enum: ['success', 'failure'] },
+      actor: nullable({ type: 'object', properties: { type: { type: 'string' }, id: nullable({ type: 'integer' }) } }),
+      target: nullable({ type: 'object', properties: { type: { type: 'string' }, id: nullable({ type: 'integer' }) } }),
+      changes: nullable({ type: 'object', additionalProperties: { type: 'object', properties: { from: {}, to: {} } } }),
+      metadata: nullable({ type: 'object' }),
+      ip: nullable({ type: 'string' }),
+      requestId: nullable({ type: 'string' }),
+      hashVersion: { type: 'integer', description: 'Missing on entries written before entries could be erased' },
+      previousHash: { type: 'string' },
+      hash: { type: 'string' },
+      personalDigest: { type: 'string', description: 'Digest of the erased changes, metadata and ip (erased entries only)' },
+      erasedAt: { ...timestamp, description: 'Set when the account the entry is about was deleted' }
+    }
+  },
+  WebhookEvent: {
+    type: 'string',
+    enum: WEBHOOK_EVENTS
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      stylistId: { type: 'integer' },
+      url: { type: 'string', format: 'uri' },
+      description: nullable({ type: 'string' }),
+      events: { type: 'array', items: ref('WebhookEvent') },
+      active: { type: 'boolean', description: 'Events are only sent to active webhooks' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  WebhookWithSecret: {
+    allOf: [ref('Webhook'), {
+      type: 'object',
+      properties: {
+        secret: { type: 'string', description: 'Signing secret (shown only when created or rotated)' }
+      }
+    }]
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      webhookId: { type: 'integer' },
+      stylistId: { type: 'integer' },
+      eventId: { type: 'string', description: 'Event ID (X-Webhook-Id), the same for redeliveries' },
+      event: ref('WebhookEvent'),
+      payload: {
+        type: 'object',
+        description: 'Request body sent to the endpoint',
+        properties: {
+          id: { type: 'string' },
+          type: ref('WebhookEvent'),
+          createdAt: timestamp,
+          apiVersion: { type: 'string' },
+          data: {
+            type: 'object',
+            properties: {
+              appointment: ref('Appointment'),
+              previousStylistId: { type: 'integer', description: 'appointment.reassigned only: the stylist it was moved away from' }
+            }
+          }
+        }
+      },
+      status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+      attemptCount: { type: 'integer' },
+      nextAttemptAt: nullable(timestamp),
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attemptedAt: timestamp,
+            durationMs: { type: 'integer' },
+            statusCode: nullable({ type: 'integer' }),
+            responseBody: nullable({ type: 'string', description: 'First 1024 characters' }),
+            error: nullable({ type: 'string' })
+          }
+        }
+      },
+      lastError: nullable({ type: 'string' }),
+      redeliveryOf: nullable({ type: 'integer', description: 'Delivery sent again by this one' }),
+      deliveredAt: nullable(timestamp),
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { const: false },
+      message: { type: 'string' },
+      requestId: { type: 'string', description: 'Sent with unexpected errors, for support' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'message', 'errors'],
+    properties: {
+      success: { const: false },
+      message: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            value: {}
+          }
+        }
+      },
+      fieldErrors: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  }
+};
+
+// ==================== Operations ====================
+
+const accountDetails = (account) => success(ref(account), {
+  security: {
+    type: 'object',
+    properties: {
+      passwordSet: { type: 'boolean' },
+      twoFactorEnabled: { type: 'boolean', description: 'Stylists only' },
+      activeSessions: { type: 'integer' },
+      lockout: ref('Lockout')
+    }
+  },
+  appointmentCount: { type: 'integer' }
+});
+
+const appointmentTransition = (operationId, summary, errors = {}) => ({
+  operationId,
+  summary,
+  response: success(ref('Appointment')),
+  errors: { 404: 'Appointment not found', 409: 'The appointment\'s status does not allow this', ...errors }
+});
+
+const twoFactorCodes = success({
+  type: 'object',
+  properties: { recoveryCodes: { type: 'array', items: { type: 'string' } } }
+});
+
+export const operations = {
+  // Health
+  'GET /health': {
+    operationId: 'getHealth',
+    summary: 'Health check',
+    response: {
+      type: 'object',
+      properties: { status: { const: 'OK' }, message: { type: 'string' }, timestamp }
+    }
+  },
+  'GET /health/live': {
+    operationId: 'getLiveness',
+    summary: 'Liveness probe',
+    response: {
+      type: 'object',
+      properties: { status: { const: 'OK' }, uptimeSeconds: { type: 'integer' }, timestamp }
+    }
+  },
+  'GET /health/ready': {
+    operationId: 'getReadiness',
+    summary: 'Readiness probe (data store, uploads, logging)',
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['READY', 'NOT_READY'] },
+        shuttingDown: { type: 'boolean' },
+        checks: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { ok: { type: 'boolean' }, errors: { type: 'array', items: { type: 'string' } } }
+          }
+        },
+        timestamp
+      }
+    },
+    errors: { 503: 'Not ready (a check failed or the server is shutting down); same body as 200' }
+  },
+
+  // Stylists
+  'GET /api/stylists': {
+    operationId: 'listStylists',
+    summary: 'Get all stylists',
+    description: 'Filter, sort and paginate with `page`/`limit` or `cursor`/`limit`; without them the whole list is returned',
+    response: page(ref('Stylist'))
+  },
+  'GET /api/stylists/{id}': {
+    operationId: 'getStylist',
+    summary: 'Get a single stylist by ID',
+    response: success(ref('Stylist')),
+    errors: { 404: 'Stylist not found' }
+  },
+  'GET /api/stylists/{id}/availability': {
+    operationId: 'getStylistAvailability',
+    summary: 'Get bookable slots for a stylist',
+    response: success({
+      type: 'object',
+      properties: {
+        stylistId: { type: 'integer' },
+        timeZone: { type: 'string' },
+        from: date,
+        to: date,
+        serviceIds: { type: 'array', items: { type: 'integer' } },
+        durationMinutes: { type: 'integer' },
+        slots: {
+          type: 'array',
+          items: { type: 'object', properties: { date, start: time, end: time } }
+        }
+      }
+    }, { count: { type: 'integer' } }),
+    errors: { 404: 'Stylist not found', 409: 'The stylist has not set up working hours' }
+  },
+  'POST /api/stylists': {
+    operationId: 'registerStylist',
+    summary: 'Register a new stylist',
+    status: 201,
+    response: success(ref('Stylist')),
+    files: {
+      profilePicture: { maxCount: 1 },
+      portfolioPictures: { maxCount: 10 }
+    },
+    fields: {
+      rate: ref('PriceInput'),
+      schedule: ref('Schedule'),
+      cancellationTerms: nullable(ref('CancellationTerms')),
+      services: { type: 'array', maxItems: 50, items: ref('ServiceInput') },
+      products: { type: 'array', maxItems: 20, items: {} }
+    },
+    errors: { 400: 'Invalid fields or uploads, or the email is already registered' }
+  },
+  'POST /api/stylists/login': {
+    operationId: 'loginStylist',
+    summary: 'Login for stylists',
+    description: 'With two-factor authentication on, the response has `twoFactorRequired` and a `challengeToken` for POST /api/v1/stylists/login/2fa instead of a session',
+    response: {
+      oneOf: [
+        { allOf: [success(ref('Stylist')), ref('Session')] },
+        success(null, {
+          twoFactorRequired: { const: true },
+          challengeToken: { type: 'string' },
+          challengeExpiresIn: { type: 'integer', description: 'Seconds' }
+        })
+      ]
+    },
+    errors: { 401: 'Invalid email or password', 403: 'Account suspended, or a password has to be set first' }
+  },
+  'POST /api/stylists/login/2fa': {
+    operationId: 'loginStylistTwoFactor',
+    summary: 'Finish a stylist login with a two-factor code',
+    response: {
+      allOf: [
+        success(ref('Stylist'), { recoveryCodesRemaining: { type: 'integer', description: 'When a recovery code was used' } }),
+        ref('Session')
+      ]
+    },
+    errors: { 401: 'Invalid or expired challenge, or a wrong code' }
+  },
+  'PUT /api/stylists/{id}': {
+    operationId: 'updateStylist',
+    summary: 'Update a stylist profile',
+    response: success(ref('Stylist')),
+    fields: {
+      rate: ref('PriceInput'),
+      schedule: ref('Schedule'),
+      cancellationTerms: nullable(ref('CancellationTerms')),
+      services: { type: 'array', maxItems: 50, items: ref('ServiceInput') }
+    },
+    errors: { 404: 'Stylist not found', 409: 'The new email belongs to another account' }
+  },
+  'PUT /api/stylists/{id}/password': {
+    operationId: 'changeStylistPassword',
+    summary: 'Change a stylist password',
+    response: success(),
+    errors: { 401: 'Current password is incorrect' }
+  },
+  'DELETE /api/stylists/{id}': {
+    operationId: 'deleteStylist',
+    summary: 'Delete a stylist account',
+    description: 'Removes the profile, credentials and uploaded images; open appointments are cancelled',
+    response: success(),
+    errors: { 401: 'Password is incorrect' }
+  },
+  'GET /api/stylists/{id}/export': {
+    operationId: 'exportStylistData',
+    summary: 'Download a stylist personal data export',
+    ...ZIP_EXPORT
+  },
+  'GET /api/stylists/{id}/2fa': {
+    operationId: 'getStylistTwoFactor',
+    summary: 'Two-factor authentication status',
+    response: success({
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        enabledAt: nullable(timestamp),
+        recoveryCodesRemaining: { type: 'integer' }
+      }
+    })
+  },
+  'POST /api/stylists/{id}/2fa/setup': {
+    operationId: 'setupStylistTwoFactor',
+    summary: 'Start two-factor enrollment',
+    response: success({
+      type: 'object',
+      properties: {
+        secret: { type: 'string', description: 'Base32 secret for manual entry' },
+        otpauthUri: { type: 'string', description: 'otpauth:// URI to show as a QR code' }
+      }
+    }),
+    errors: { 401: 'Password is incorrect', 409: 'Two-factor authentication is already enabled' }
+  },
+  'POST /api/stylists/{id}/2fa/enable': {
+    operationId: 'enableStylistTwoFactor',
+    summary: 'Confirm two-factor enrollment',
+    response: twoFactorCodes,
+    errors: { 409: 'Enrollment was not started' }
+  },
+  'POST /api/stylists/{id}/2fa/disable': {
+    operationId: 'disableStylistTwoFactor',
+    summary: 'Turn two-factor authentication off',
+    response: success(),
+    errors: { 401: 'Password or code is incorrect' }
+  },
+  'POST /api/stylists/{id}/2fa/recovery-codes': {
+    operationId: 'regenerateStylistRecoveryCodes',
+    summary: 'Regenerate recovery codes',
+    response: twoFactorCodes,
+    errors: { 401: 'Invalid authentication code', 409: 'Two-factor authentication is not enabled' }
+  },
+  'GET /api/stylists/{id}/webhooks': {
+    operationId: 'listWebhooks',
+    summary: 'List a stylist\'s webhooks',
+    response: success({ type: 'array', items: ref('Webhook') }, { count: { type: 'integer' } })
+  },
+  'POST /api/stylists/{id}/webhooks': {
+    operationId: 'createWebhook',
+    summary: 'Register a webhook',
+    description: 'Subscribes to every event unless `events` is given. The signing secret is only returned here',
+    status: 201,
+    response: success(ref('WebhookWithSecret')),
+    errors: { 400: 'Invalid fields, or the stylist already has 10 webhooks', 404: 'Stylist not found' }
+  },
+  'GET /api/stylists/{id}/webhooks/{webhookId}': {
+    operationId: 'getWebhook',
+    summary: 'Get a webhook',
+    response: success(ref('Webhook')),
+    errors: { 404: 'Webhook not found' }
+  },
+  'PUT /api/stylists/{id}/webhooks/{webhookId}': {
+    operationId: 'updateWebhook',
+    summary: 'Update a webhook',
+    description: 'Deliveries still queued for a webhook that is turned off are not sent',
+    response: success(ref('Webhook')),
+    errors: { 404: 'Webhook not found' }
+  },
+  'DELETE /api/stylists/{id}/webhooks/{webhookId}': {
+    operationId: 'deleteWebhook',
+    summary: 'Delete a webhook and its delivery log',
+    response: success(),
+    errors: { 404: 'Webhook not found' }
+  },
+  'POST /api/stylists/{id}/webhooks/{webhookId}/rotate-secret': {
+    operationId: 'rotateWebhookSecret',
+    summary: 'Replace a webhook\'s signing secret',
+    response: success(ref('WebhookWithSecret')),
+    errors: { 404: 'Webhook not found' }
+  },
+  'GET /api/stylists/{id}/webhooks/{webhookId}/deliveries': {
+    operationId: 'listWebhookDeliveries',
+    summary: 'Webhook delivery log',
+    description: 'Newest deliveries first; 20 per page unless `limit` is given',
+    response: page(ref('WebhookDelivery')),
+    errors: { 404: 'Webhook not found' }
+  },
+  'GET /api/stylists/{id}/webhooks/{webhookId}/deliveries/{deliveryId}': {
+    operationId: 'getWebhookDelivery',
+    summary: 'Get a webhook delivery with its attempts',
+    response: success(ref('WebhookDelivery')),
+    errors: { 404: 'Webhook or delivery not found' }
+  },
+  'POST /api/stylists/{id}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver': {
+    operationId: 'redeliverWebhookDelivery',
+    summary: 'Send a delivery\'s event again',
+    description: 'Queues a new delivery with the same payload and event ID',
+    status: 202,
+    response: success(ref('WebhookDelivery')),
+    errors: { 404: 'Webhook or delivery not found', 409: 'The webhook is turned off' }
+  },
+
+  // Users
+  'POST /api/users': {
+    operationId: 'registerUser',
+    summary: 'Register a new user/customer',
+    status: 201,
+    response: success(ref('User')),
+    errors: { 400: 'Invalid fields, or the email is already registered' }
+  },
+  'POST /api/users/login': {
+    operationId: 'loginUser',
+    summary: 'Login for users/customers',
+    response: { allOf: [success(ref('User')), ref('Session')] },
+    errors: { 401: 'Invalid email or password', 403: 'Account suspended, or a password has to be set first' }
+  },
+  'PUT /api/users/{id}': {
+    operationId: 'updateUser',
+    summary: 'Update a user profile',
+    response: success(ref('User')),
+    errors: { 404: 'User not found', 409: 'The new email belongs to another account' }
+  },
+  'PUT /api/users/{id}/password': {
+    operationId: 'changeUserPassword',
+    summary: 'Change a user password',
+    response: success(),
+    errors: { 401: 'Current password is incorrect' }
+  },
+  'DELETE /api/users/{id}': {
+    operationId: 'deleteUser',
+    summary: 'Delete a user account',
+    description: 'Removes the profile and credentials; open appointments are cancelled',
+    response: success(),
+    errors: { 401: 'Password is incorrect' }
+  },
+  'GET /api/users/{id}/export': {
+    operationId: 'exportUserData',
+    summary: 'Download a user personal data export',
+    ...ZIP_EXPORT
+  },
+  'POST /api/users/{id}/recently-viewed': {
+    operationId: 'addRecentlyViewed',
+    summary: 'Add a stylist to the recently viewed list',
+    response: success({ type: 'array', items: { type: 'integer' }, description: 'Stylist IDs, most recent first' }),
+    errors: { 404: 'Stylist not found' }
+  },
+  'GET /api/users/{id}/recently-viewed': {
+    operationId: 'getRecentlyViewed',
+    summary: 'Get recently viewed stylists',
+    response: success({ type: 'array', items: ref('Stylist') }, { count: { type: 'integer' } })
+  },
+
+  // Appointments
+  'POST /api/appointments': {
+    operationId: 'createAppointment',
+    summary: 'Create a new appointment',
+    description: 'Customers book for themselves; `serviceIds` are IDs from the stylist\'s service menu',
+    status: 201,
+    response: success(ref('Appointment')),
+    errors: {
+      403: 'Email address not verified',
+      404: 'Stylist not found',
+      409: 'The time overlaps another appointment or is outside the stylist\'s working hours'
+    }
+  },
+  'GET /api/appointments': {
+    operationId: 'listAppointments',
+    summary: 'Get appointments',
+    description: 'Customers get the appointments they booked, stylists the ones booked with them',
+    response: success({ type: 'array', items: ref('Appointment') })
+  },
+  'PUT /api/appointments/{id}/accept': appointmentTransition('acceptAppointment', 'Accept an appointment', {
+    403: 'Email address not verified'
+  }),
+  'PUT /api/appointments/{id}/reject': appointmentTransition('rejectAppointment', 'Reject an appointment'),
+  'PUT /api/appointments/{id}/suggest': appointmentTransition('suggestAppointmentTime', 'Suggest new date/time'),
+  'PUT /api/appointments/{id}/accept-suggestion': appointmentTransition('acceptSuggestion', 'Accept suggestion'),
+  'PUT /api/appointments/{id}/reject-suggestion': appointmentTransition('rejectSuggestion', 'Reject suggestion'),
+  'PUT /api/appointments/{id}/cancel': appointmentTransition('cancelAppointment', 'Cancel an appointment (customer)'),
+  'PUT /api/appointments/{id}/complete': appointmentTransition('completeAppointment', 'Mark appointment completed'),
+  'PUT /api/appointments/{id}/no-show': appointmentTransition('markAppointmentNoShow', 'Mark appointment as no-show'),
+  'GET /api/appointments/{id}/history': {
+    operationId: 'getAppointmentHistory',
+    summary: 'Get appointment status history',
+    response: success({
+      type: 'object',
+      properties: {
+        appointmentId: { type: 'integer' },
+        status: ref('AppointmentStatus'),
+        allowedTransitions: { type: 'array', items: ref('AppointmentStatus'), description: 'Statuses the caller can move the appointment to' },
+        history: { type: 'array', items: ref('AppointmentHistoryEntry') }
+      }
+    }),
+    errors: { 404: 'Appointment not found' }
+  },
+
+  // Auth
+  'POST /api/auth/refresh': {
+    operationId: 'refreshTokens',
+    summary: 'Exchange a refresh token for new tokens',
+    description: 'Refresh tokens are single-use; reusing one logs out every session of the account',
+    response: { allOf: [success(), ref('Session')] },
+    errors: { 401: 'Invalid, expired or already used refresh token' }
+  },
+  'POST /api/auth/logout': {
+    operationId: 'logout',
+    summary: 'Log out the current session',
+    response: success()
+  },
+  'POST /api/auth/logout-all': {
+    operationId: 'logoutAll',
+    summary: 'Log out all devices',
+    response: success({ type: 'object', properties: { sessionsRevoked: { type: 'integer' } } })
+  },
+  'POST /api/auth/forgot-password': {
+    operationId: 'forgotPassword',
+    summary: 'Email a password reset link',
+    description: 'Answers the same whether or not the account exists',
+    response: success()
+  },
+  'POST /api/auth/reset-password': {
+    operationId: 'resetPassword',
+    summary: 'Set a new password with a reset token',
+    response: success(),
+    errors: { 400: 'Invalid or expired reset token' }
+  },
+  'POST /api/auth/verify-email': {
+    operationId: 'verifyEmail',
+    summary: 'Verify an email address',
+    response: success({
+      type: 'object',
+      properties: {
+        accountType,
+        id: { type: 'integer' },
+        email: { type: 'string', format: 'email' },
+        emailVerified: { const: true }
+      }
+    }),
+    errors: { 400: 'Invalid or expired verification token' }
+  },
+  'POST /api/auth/resend-verification': {
+    operationId: 'resendVerificationEmail',
+    summary: 'Send a new email verification link',
+    response: success(),
+    errors: { 400: 'Email address already verified', 404: 'Account not found' }
+  },
+
+  // Admin
+  'POST /api/admin/login': {
+    operationId: 'loginAdmin',
+    summary: 'Login for admins',
+    response: { allOf: [success(ref('Admin')), ref('Session')] },
+    errors: { 401: 'Invalid email or password' }
+  },
+  'GET /api/admin/stats': {
+    operationId: 'getAdminStats',
+    summary: 'System statistics',
+    response: success({
+      type: 'object',
+      properties: {
+        users: { type: 'object', properties: { total: { type: 'integer' }, unverified: { type: 'integer' }, suspended: { type: 'integer' } } },
+        stylists: { type: 'object', properties: { total: { type: 'integer' }, unverified: { type: 'integer' }, suspended: { type: 'integer' } } },
+        admins: { type: 'object', properties: { total: { type: 'integer' } } },
+        appointments: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            byStatus: { type: 'object', additionalProperties: { type: 'integer' } }
+          }
+        },
+        activeSessions: { type: 'object', additionalProperties: { type: 'integer' } },
+        lockedAccounts: { type: 'integer' },
+        storageDriver: { type: 'string', enum: ['json', 'sqlite'] },
+        uptimeSeconds: { type: 'integer' },
+        generatedAt: timestamp
+      }
+    })
+  },
+  'GET /api/admin/users': {
+    operationId: 'adminListUsers',
+    summary: 'List/search users',
+    response: page(ref('User'))
+  },
+  'GET /api/admin/users/{id}': {
+    operationId: 'adminGetUser',
+    summary: 'Get a user',
+    response: accountDetails('User'),
+    errors: { 404: 'User not found' }
+  },
+  'POST /api/admin/users/{id}/suspend': {
+    operationId: 'adminSuspendUser',
+    summary: 'Suspend a user',
+    description: 'Logs the user out everywhere; their data is kept',
+    response: success(ref('User')),
+    errors: { 404: 'User not found', 409: 'Already suspended' }
+  },
+  'POST /api/admin/users/{id}/unsuspend': {
+    operationId: 'adminUnsuspendUser',
+    summary: 'Lift a user suspension',
+    response: success(ref('User')),
+    errors: { 404: 'User not found', 409: 'Not suspended' }
+  },
+  'POST /api/admin/users/{id}/reset-password': {
+    operationId: 'adminResetUserPassword',
+    summary: 'Reset a user password',
+    description: 'Removes the password, logs the user out and emails them a link to choose a new one',
+    response: success(null, { emailSent: { type: 'boolean' } }),
+    errors: { 404: 'User not found' }
+  },
+  'GET /api/admin/stylists': {
+    operationId: 'adminListStylists',
+    summary: 'List/search stylists',
+    response: page(ref('Stylist'))
+  },
+  'GET /api/admin/stylists/{id}': {
+    operationId: 'adminGetStylist',
+    summary: 'Get a stylist',
+    response: accountDetails('Stylist'),
+    errors: { 404: 'Stylist not found' }
+  },
+  'POST /api/admin/stylists/{id}/suspend': {
+    operationId: 'adminSuspendStylist',
+    summary: 'Suspend a stylist',
+    description: 'Logs the stylist out everywhere and hides them from listings; their data is kept',
+    response: success(ref('Stylist')),
+    errors: { 404: 'Stylist not found', 409: 'Already suspended' }
+  },
+  'POST /api/admin/stylists/{id}/unsuspend': {
+    operationId: 'adminUnsuspendStylist',
+    summary: 'Lift a stylist suspension',
+    response: success(ref('Stylist')),
+    errors: { 404: 'Stylist not found', 409: 'Not suspended' }
+  },
+  'POST /api/admin/stylists/{id}/reset-password': {
+    operationId: 'adminResetStylistPassword',
+    summary: 'Reset a stylist password',
+    description: 'Removes the password, logs the stylist out and emails them a link to choose a new one',
+    response: success(null, { emailSent: { type: 'boolean' } }),
+    errors: { 404: 'Stylist not found' }
+  },
+  'GET /api/admin/appointments': {
+    operationId: 'adminListAppointments',
+    summary: 'List/filter all appointments',
+    response: page(ref('Appointment'))
+  },
+  'GET /api/admin/appointments/{id}': {
+    operationId: 'adminGetAppointment',
+    summary: 'Get an appointment',
+    response: success(ref('Appointment')),
+    errors: { 404: 'Appointment not found' }
+  },
+  'PUT /api/admin/appointments/{id}/cancel': {
+    operationId: 'adminCancelAppointment',
+    summary: 'Force-cancel an appointment',
+    response: success(ref('Appointment')),
+    errors: { 404: 'Appointment not found', 409: 'The appointment is already closed' }
+  },
+  'PUT /api/admin/appointments/{id}/reassign': {
+    operationId: 'adminReassignAppointment',
+    summary: 'Reassign an appointment to another stylist',
+    response: success(ref('Appointment')),
+    errors: {
+      404: 'Appointment or stylist not found',
+      409: 'The appointment is closed, or the new stylist is unavailable at that time'
+    }
+  },
+  'GET /api/admin/lockouts': {
+    operationId: 'adminListLockouts',
+    summary: 'List locked accounts',
+    response: success({
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          accountType,
+          email: { type: 'string', format: 'email' },
+          failedCount: { type: 'integer' },
+          lockedUntil: timestamp
+        }
+      }
+    }, { count: { type: 'integer' } })
+  },
+  'POST /api/admin/lockouts/unlock': {
+    operationId: 'adminUnlockAccount',
+    summary: 'Unlock an account',
+    response: success(),
+    errors: { 404: 'The account is not locked' }
+  },
+  'GET /api/admin/audit-log': {
+    operationId: 'adminSearchAuditLog',
+    summary: 'Search the audit log',
+    description: 'Newest entries first; 50 per page unless `limit` is given',
+    response: page(ref('AuditLogEntry'))
+  },
+  'GET /api/admin/audit-log/verify': {
+    operationId: 'adminVerifyAuditLog',
+    summary: 'Verify the audit log hash chain',
+    response: success({
+      type: 'object',
+      properties: {
+        valid: { type: 'boolean' },
+        entries: { type: 'integer' },
+        brokenAt: nullable({ type: 'integer', description: 'ID of the first entry that does not match' }),
+        reason: nullable({ type: 'string' })
+      }
+    })
+  }
+};
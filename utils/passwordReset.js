@@ -0,0 +1,179 @@
+import { randomBytes, createHash } from 'crypto';
+import { env } from '../config/env.js';
+import { revokeAllSessions } from './authTokens.js';
+import { clearFailedLogins } from './loginLockout.js';
+import { sendMail } from './mailer.js';
+import { passwordSetupEmail, adminPasswordResetEmail } from './emailTemplates.js';
+import { logError, logInfo } from './logger.js';
+import {
+  userRepository,
+  stylistRepository,
+  adminRepository,
+  credentialRepository,
+  passwordResetTokenRepository,
+  withTransaction
+} from '../repositories/index.js';
+
+/**
+ * Password reset tokens
+ * Tokens are opaque random strings sent by email and stored only as SHA-256
+ * hashes. Each works once, expires after PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES,
+ * and requesting a new one invalidates the account's earlier tokens
+ * The same tokens set the first password of accounts flagged with
+ * `passwordSetupRequired` (seeded stylists, accounts whose plain text
+ * password was invalidated by `npm run migrate:passwords`, and accounts whose
+ * password an admin reset)
+ */
+
+const ACCOUNT_REPOSITORIES = {
+  user: userRepository,
+  stylist: stylistRepository,
+  admin: adminRepository
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Find an account that can log in with an email address
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Email address
+ * @returns {Object|null} - User or stylist, or null if there is no such account with a password
+ *   (or waiting for its first one)
+ */
+export const findAccountByEmail = (accountType, email) => {
+  const account = ACCOUNT_REPOSITORIES[accountType].findByEmail(email);
+  if (!account || (!credentialRepository.has(accountType, email) && !account.passwordSetupRequired)) {
+    return null;
+  }
+  return account;
+};
+
+/**
+ * Create a reset token for an account, replacing any earlier unused tokens
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {Object} account - User or stylist
+ * @returns {Object} - { token, expiresAt }
+ */
+export const createPasswordResetToken = (accountType, account) => {
+  const token = randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES * 60 * 1000);
+
+  withTransaction(() => {
+    passwordResetTokenRepository.findByAccount(accountType, account.id)
+      .forEach(record => passwordResetTokenRepository.delete(record.id));
+    passwordResetTokenRepository.create({
+      tokenHash: hashToken(token),
+      accountType,
+      accountId: account.id,
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      usedAt: null
+    });
+  });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+/**
+ * Use a reset token to set a new password
+ * The token is marked used, the password replaced, all of the account's
+ * sessions revoked and any login lockout lifted together (a pending password
+ * setup is completed the same way)
+ * @param {string} token - Reset token from the email
+ * @param {string} passwordHash - New password, already hashed
+ * @returns {Object|null} - { accountType, account } or null if the token is unknown, used or expired
+ */
+export const resetPasswordWithToken = (token, passwordHash) => {
+  const record = passwordResetTokenRepository.findByTokenHash(hashToken(token));
+  if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const { accountType, accountId } = record;
+  const account = ACCOUNT_REPOSITORIES[accountType]?.findById(accountId);
+  if (!account) {
+    return null;
+  }
+
+  withTransaction(() => {
+    passwordResetTokenRepository.update({ ...record, usedAt: new Date().toISOString() });
+    credentialRepository.set(accountType, account.email, passwordHash);
+    if (account.passwordSetupRequired) {
+      ACCOUNT_REPOSITORIES[accountType].update({ ...account, passwordSetupRequired: false });
+    }
+    revokeAllSessions(accountType, accountId);
+    clearFailedLogins(accountType, account.email);
+  });
+
+  return { accountType, account };
+};
+
+// Login response for accounts that have to set a password first
+export const passwordSetupRequiredResponse = {
+  success: false,
+  passwordSetupRequired: true,
+  message: 'A password has not been set for this account yet. We have emailed you a link to set one.'
+};
+
+/**
+ * Email a link to set the first password if an account has none yet
+ * Used at login: the account cannot log in until the link is used
+ * @param {string} accountType - 'user', 'stylist' or 'admin'
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} - True if the account is waiting for a password (and the link was sent)
+ */
+export const startPasswordSetup = async (accountType, email) => {
+  const account = ACCOUNT_REPOSITORIES[accountType].findByEmail(email);
+  if (!account?.passwordSetupRequired || credentialRepository.has(accountType, email)) {
+    return false;
+  }
+
+  const { token } = createPasswordResetToken(accountType, account);
+  try {
+    await sendMail({
+      to: account.email,
+      ...passwordSetupEmail({
+        name: account.name,
+        token,
+        expiresInMinutes: env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES
+      })
+    });
+    logInfo('Password setup link sent', { accountType, accountId: account.id });
+  } catch (error) {
+    logError(error, 'startPasswordSetup');
+  }
+  return true;
+};
+
+/**
+ * Reset an account's password on an admin's behalf
+ * The password is removed and all sessions are revoked, so the account cannot log in
+ * until its owner follows the emailed link (or requests a new one at login)
+ * @param {string} accountType - 'user' or 'stylist'
+ * @param {Object} account - User or stylist
+ * @returns {Promise<boolean>} - True if the email with the link was sent
+ */
+export const resetPasswordByAdmin = async (accountType, account) => {
+  const { token } = withTransaction(() => {
+    credentialRepository.delete(accountType, account.email);
+    ACCOUNT_REPOSITORIES[accountType].update({ ...account, passwordSetupRequired: true });
+    revokeAllSessions(accountType, account.id);
+    return createPasswordResetToken(accountType, account);
+  });
+
+  try {
+    await sendMail({
+      to: account.email,
+      ...adminPasswordResetEmail({
+        name: account.name,
+        token,
+        expiresInMinutes: env.PASSWORD_RESET_TOKEN_EXPIRES_IN_MINUTES
+      })
+    });
+    return true;
+  } catch (error) {
+    logError(error, 'resetPasswordByAdmin');
+    return false;
+  }
+};
@@ -1,4 +1,6 @@
 import bcrypt from 'bcryptjs';
+import { env } from '../config/env.js';
+import { logWarn } from './logger.js';
 
 /**
  * Hash a password using bcrypt
@@ -6,34 +8,67 @@ import bcrypt from 'bcryptjs';
  * @returns {Promise<string>} - Hashed password
  */
 export const hashPassword = async (password) => {
-  const saltRounds = 10;
-  return await bcrypt.hash(password, saltRounds);
+  return await bcrypt.hash(password, env.BCRYPT_ROUNDS);
+};
+
+/**
+ * Check if a password is already hashed
+ * @param {string} password - Password to check
+ * @returns {boolean} - True if password is hashed
+ */
+export const isPasswordHashed = (password) => {
+  return /^\$2[aby]\$\d{2}\$/.test(password);
+};
+
+/**
+ * Check whether a stored password should be hashed again after a successful login
+ * (it is plain text, or was hashed with a lower cost than BCRYPT_ROUNDS)
+ * @param {string} storedPassword - Stored password
+ * @returns {boolean} - True if it should be replaced with a fresh hash
+ */
+export const needsRehash = (storedPassword) => {
+  return !isPasswordHashed(storedPassword) || bcrypt.getRounds(storedPassword) < env.BCRYPT_ROUNDS;
 };
 
 /**
  * Compare a plain text password with a hashed password
- * Also handles backward compatibility with plain text passwords
+ * Legacy plain text stored passwords only match when ALLOW_PLAINTEXT_PASSWORDS is on;
+ * otherwise they never match and the account has to reset its password
+ * (or an operator runs `npm run migrate:passwords`)
  * @param {string} plainPassword - Plain text password to check
- * @param {string} hashedPassword - Stored password (hashed or plain text for backward compatibility)
+ * @param {string} hashedPassword - Stored password
  * @returns {Promise<boolean>} - True if passwords match
  */
 export const comparePassword = async (plainPassword, hashedPassword) => {
-  // Check if the stored password is already hashed (bcrypt hashes start with $2a$ or $2b$)
-  if (hashedPassword.startsWith('$2a$') || hashedPassword.startsWith('$2b$')) {
-    // Compare with bcrypt
+  if (isPasswordHashed(hashedPassword)) {
     return await bcrypt.compare(plainPassword, hashedPassword);
-  } else {
-    // Backward compatibility: compare plain text passwords
-    // This allows existing users to log in, but their password will be hashed on next login
-    return plainPassword === hashedPassword;
   }
+
+  if (!env.ALLOW_PLAINTEXT_PASSWORDS) {
+    logWarn('Rejected a login against a plain text stored password; run npm run migrate:passwords');
+    return false;
+  }
+  return plainPassword === hashedPassword;
 };
 
+// Hash compared against when an account does not exist, so unknown emails take
+// as long to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', env.BCRYPT_ROUNDS);
+
 /**
- * Check if a password is already hashed
- * @param {string} password - Password to check
- * @returns {boolean} - True if password is hashed
+ * Compare a password with an account's stored password in roughly constant time
+ * When there is no stored password (unknown email) a dummy hash is compared
+ * instead and the result is always false
+ * @param {string} plainPassword - Plain text password to check
+ * @param {string|null} storedPassword - Stored password, or null if the account does not exist
+ * @returns {Promise<boolean>} - True if the account exists and the password matches
  */
-export const isPasswordHashed = (password) => {
-  return password.startsWith('$2a$') || password.startsWith('$2b$');
+export const verifyPassword = async (plainPassword, storedPassword) => {
+  if (!storedPassword || !isPasswordHashed(storedPassword)) {
+    await bcrypt.compare(plainPassword, DUMMY_PASSWORD_HASH);
+  }
+  if (!storedPassword) {
+    return false;
+  }
+  return comparePassword(plainPassword, storedPassword);
 };
@@ -0,0 +1,223 @@
+import { env } from '../config/env.js';
+
+/**
+ * Structured prices
+ * Prices are stored as { amount, currency, unit } where `amount` is an integer
+ * in minor units (e.g. cents), `currency` is an ISO 4217 code and `unit` is an
+ * optional billing unit such as 'hour' (null for flat prices)
+ */
+
+// Currency symbols recognised when parsing free-text prices
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP'
+};
+
+// Billing units recognised after a "/" or "per" (e.g. "$85/hour", "$85 per hr")
+const UNIT_ALIASES = {
+  hour: 'hour',
+  hr: 'hour',
+  h: 'hour',
+  session: 'session',
+  visit: 'visit'
+};
+
+/**
+ * Get the number of minor-unit digits for a currency (2 for USD, 0 for JPY)
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Number of fraction digits
+ */
+export const getMinorUnitDigits = (currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+};
+
+/**
+ * Check whether a currency code is a valid ISO 4217 code
+ * @param {string} currency - Currency code
+ * @returns {boolean} - True if valid
+ */
+export const isValidCurrency = (currency) => {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    return false;
+  }
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value is already a structured price
+ * @param {any} value - Value to check
+ * @returns {boolean} - True if value has an integer amount and a currency
+ */
+export const isStructuredPrice = (value) => {
+  return Boolean(value) && typeof value === 'object' &&
+    Number.isInteger(value.amount) && typeof value.currency === 'string';
+};
+
+/**
+ * Parse a free-text price such as "$85/hour", "30", "€45.50" or "120 USD"
+ * @param {string|number} text - Price text
+ * @param {string} defaultCurrency - Currency used when none is given
+ * @returns {Object|null} - { amount, currency, unit } or null if unparseable
+ */
+export const parsePrice = (text, defaultCurrency = env.DEFAULT_CURRENCY) => {
+  if (typeof text === 'number') {
+    text = String(text);
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const normalized = text.trim();
+  const match = normalized.match(/^([$€£])?\s*([A-Za-z]{3})?\s*(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\s*([A-Za-z]{3})?\s*(?:(?:\/|per)\s*([A-Za-z]+))?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, symbol, prefixCode, whole, fraction = '', suffixCode, unitText] = match;
+  const code = (prefixCode || suffixCode || '').toUpperCase();
+  const currency = code || (symbol ? CURRENCY_SYMBOLS[symbol] : defaultCurrency);
+  if (!isValidCurrency(currency)) {
+    return null;
+  }
+
+  let unit = null;
+  if (unitText) {
+    unit = UNIT_ALIASES[unitText.toLowerCase()] || null;
+    if (!unit) {
+      return null;
+    }
+  }
+
+  const digits = getMinorUnitDigits(currency);
+  if (fraction.length > digits) {
+    return null;
+  }
+
+  const amount = parseInt(whole.replace(/,/g, ''), 10) * (10 ** digits) +
+    (digits > 0 ? parseInt(fraction.padEnd(digits, '0'), 10) : 0);
+
+  return { amount, currency, unit };
+};
+
+/**
+ * Normalize price input from a request body
+ * Accepts either a free-text string or a { amount, currency, unit } object
+ * @param {string|number|Object} value - Raw input
+ * @returns {Object|null} - Structured price or null if invalid
+ */
+export const normalizePriceInput = (value) => {
+  if (value && typeof value === 'object') {
+    const amount = Number(value.amount);
+    const currency = (value.currency || env.DEFAULT_CURRENCY).toUpperCase();
+    if (!Number.isInteger(amount) || amount < 0 || !isValidCurrency(currency)) {
+      return null;
+    }
+    const unit = value.unit ? UNIT_ALIASES[String(value.unit).toLowerCase()] : null;
+    if (value.unit && !unit) {
+      return null;
+    }
+    return { amount, currency, unit };
+  }
+  return parsePrice(value);
+};
+
+/**
+ * Format a structured price for display (e.g. "$85/hour", "$45.50")
+ * @param {Object} price - Structured price
+ * @returns {string} - Display string
+ */
+export const formatPrice = (price) => {
+  if (!isStructuredPrice(price)) {
+    return '';
+  }
+
+  const digits = getMinorUnitDigits(price.currency);
+  const factor = 10 ** digits;
+  const isWhole = price.amount % factor === 0;
+  const formatted = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: price.currency,
+    minimumFractionDigits: isWhole ? 0 : digits,
+    maximumFractionDigits: digits
+  }).format(price.amount / factor);
+
+  return price.unit ? `${formatted}/${price.unit}` : formatted;
+};
+
+/**
+ * Add the display string to a structured price for API responses
+ * @param {Object} price - Structured price
+ * @returns {Object|null} - { amount, currency, unit, display } or null
+ */
+export const toPriceResponse = (price) => {
+  if (!isStructuredPrice(price)) {
+    return null;
+  }
+  return { ...price, display: formatPrice(price) };
+};
+
+/**
+ * Migrate a stylist's free-text rate and service prices to structured prices
+ * Values that are already structured are left untouched; unparseable strings
+ * are kept as-is so no data is lost
+ * @param {Object} stylist - Stylist object
+ * @returns {{ stylist: Object, changed: boolean }} - Migrated stylist and whether anything changed
+ */
+export const migrateStylistPricing = (stylist) => {
+  let changed = false;
+  const migrated = { ...stylist };
+
+  if (typeof stylist.rate === 'string') {
+    const rate = parsePrice(stylist.rate);
+    if (rate) {
+      migrated.rate = rate;
+      changed = true;
+    }
+  }
+
+  if (Array.isArray(stylist.services)) {
+    migrated.services = stylist.services.map(service => {
+      if (typeof service.price !== 'string') {
+        return service;
+      }
+      const price = parsePrice(service.price);
+      if (!price) {
+        return service;
+      }
+      changed = true;
+      return { ...service, price };
+    });
+  }
+
+  return { stylist: changed ? migrated : stylist, changed };
+};
+
+/**
+ * Prepare a stylist for API responses by adding display strings to prices
+ * @param {Object} stylist - Stored stylist object
+ * @returns {Object} - Stylist with formatted rate and service prices
+ */
+export const withFormattedPrices = (stylist) => {
+  if (!stylist) {
+    return stylist;
+  }
+  return {
+    ...stylist,
+    ...(isStructuredPrice(stylist.rate) && { rate: toPriceResponse(stylist.rate) }),
+    ...(Array.isArray(stylist.services) && {
+      services: stylist.services.map(service => (
+        isStructuredPrice(service.price) ? { ...service, price: toPriceResponse(service.price) } : service
+      ))
+    })
+  };
+};
@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-request context (request ID and current trace span)
+ * Set by the requestContext middleware and available to everything the request
+ * runs, including callbacks and promises, without passing req around. The logger
+ * reads it to tag every line with the request ID
+ * Context: { requestId, span } (span is null unless tracing is enabled)
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - { requestId, span }
+ * @param {Function} fn - Function to run
+ * @returns {any} - fn's return value
+ */
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Context of the request being handled
+ * @returns {Object|null} - { requestId, span }, or null outside a request
+ */
+export const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * ID of the request being handled
+ * @returns {string|null}
+ */
+export const getRequestId = () => storage.getStore()?.requestId ?? null;
+
+/**
+ * Run a function outside any request context, for background work started while
+ * handling a request that should not be logged as part of it
+ * @param {Function} fn - Function to run
+ * @returns {any} - fn's return value
+ */
+export const runWithoutRequestContext = (fn) => storage.exit(fn);
@@ -0,0 +1,411 @@
+import { env } from '../config/env.js';
+
+/**
+ * Structured weekly working hours
+ * A schedule looks like:
+ * {
+ *   timeZone: 'America/New_York',
+ *   weekly: { mon: [{ start: '09:00', end: '18:00' }], ..., sun: [] },
+ *   breaks: { mon: [{ start: '12:00', end: '12:30' }] }
+ * }
+ * Times are 24-hour "HH:MM" wall-clock times in the schedule's time zone.
+ */
+
+export const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Order used when formatting a schedule for display (week starts on Monday)
+const DISPLAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const DAY_LABELS = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} - Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time string
+ */
+export const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} - True if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the day key ('mon', 'tue', ...) for a "YYYY-MM-DD" date
+ * @param {string} date - Date string
+ * @returns {string} - Day key
+ */
+export const getDayKey = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return DAY_KEYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ * @param {string} date - Date string
+ * @param {number} days - Number of days to add
+ * @returns {string} - Resulting date string
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the current date and time of day in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Reference instant (defaults to the current time)
+ * @returns {{ date: string, minutes: number }} - Local date and minutes since midnight
+ */
+export const getZonedNow = (timeZone, now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * Parse a 12-hour ("9:00 AM") or 24-hour ("09:00") time
+ * @param {string} text - Time text
+ * @returns {number|null} - Minutes since midnight or null if invalid
+ */
+const parseClockTime = (text) => {
+  const match = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+  if (minutes > 59) {
+    return null;
+  }
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+  } else if (hours > 24 || !match[2]) {
+    return null;
+  }
+
+  const total = hours * 60 + minutes;
+  return total <= 24 * 60 ? total : null;
+};
+
+/**
+ * Expand a day expression ("Mon-Fri", "Sat", "Fri-Mon") to day keys
+ * @param {string} text - Day expression
+ * @returns {string[]|null} - Day keys or null if invalid
+ */
+const parseDayRange = (text) => {
+  const lookup = (name) => DAY_KEYS.find(key => name.trim().toLowerCase().startsWith(key)) || null;
+  const [startText, endText] = text.split('-');
+  const start = lookup(startText);
+  if (!start) {
+    return null;
+  }
+  if (endText === undefined) {
+    return [start];
+  }
+
+  const end = lookup(endText);
+  if (!end) {
+    return null;
+  }
+  const days = [];
+  let index = DAY_KEYS.indexOf(start);
+  while (true) {
+    days.push(DAY_KEYS[index]);
+    if (DAY_KEYS[index] === end) break;
+    index = (index + 1) % 7;
+  }
+  return days;
+};
+
+/**
+ * Create an empty weekly schedule (every day closed)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - Schedule
+ */
+const emptySchedule = (timeZone) => ({
+  timeZone,
+  weekly: Object.fromEntries(DAY_KEYS.map(key => [key, []])),
+  breaks: {}
+});
+
+/**
+ * Parse a free-text hours string such as
+ * "Mon-Fri: 9:00 AM - 6:00 PM, Sat: 10:00 AM - 4:00 PM" into a schedule
+ * Days that are not mentioned (or marked "Closed") are closed
+ * @param {string} text - Hours text
+ * @param {string} timeZone - IANA time zone for the schedule
+ * @returns {Object|null} - Schedule or null if the text cannot be parsed
+ */
+export const parseHoursString = (text, timeZone = env.DEFAULT_TIMEZONE) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const schedule = emptySchedule(timeZone);
+  // Split on commas/semicolons that start a new "<day>:" segment
+  const segments = text.split(/[,;]\s*(?=[A-Za-z]{3}[A-Za-z]*\s*(?:-\s*[A-Za-z]{3}[A-Za-z]*\s*)?:)/);
+
+  for (const segment of segments) {
+    const separatorIndex = segment.indexOf(':');
+    if (separatorIndex === -1) {
+      return null;
+    }
+
+    const days = parseDayRange(segment.slice(0, separatorIndex).replace(/\s+/g, ''));
+    if (!days) {
+      return null;
+    }
+
+    const rangesText = segment.slice(separatorIndex + 1).trim();
+    if (/^closed$/i.test(rangesText)) {
+      continue;
+    }
+
+    const intervals = [];
+    for (const rangeText of rangesText.split(/\s*(?:&|,|\band\b)\s*/i)) {
+      const [startText, endText] = rangeText.split(/\s*(?:-|–|to)\s*/);
+      if (!startText || !endText) {
+        return null;
+      }
+      const start = parseClockTime(startText);
+      const end = parseClockTime(endText);
+      if (start === null || end === null || end <= start) {
+        return null;
+      }
+      intervals.push({ start: minutesToTime(start), end: minutesToTime(Math.min(end, 24 * 60 - 1)) });
+    }
+
+    days.forEach(day => {
+      schedule.weekly[day] = [...schedule.weekly[day], ...intervals];
+    });
+  }
+
+  return schedule;
+};
+
+/**
+ * Validate and normalize an interval list ([{ start, end }])
+ * @param {any} intervals - Raw intervals
+ * @returns {Object[]|null} - Sorted intervals or null if invalid/overlapping
+ */
+const normalizeIntervals = (intervals) => {
+  if (!Array.isArray(intervals)) {
+    return null;
+  }
+
+  const normalized = [];
+  for (const interval of intervals) {
+    if (!interval || !TIME_PATTERN.test(interval.start) || !TIME_PATTERN.test(interval.end)) {
+      return null;
+    }
+    if (timeToMinutes(interval.end) <= timeToMinutes(interval.start)) {
+      return null;
+    }
+    normalized.push({ start: interval.start, end: interval.end });
+  }
+
+  normalized.sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+  for (let i = 1; i < normalized.length; i++) {
+    if (timeToMinutes(normalized[i].start) < timeToMinutes(normalized[i - 1].end)) {
+      return null;
+    }
+  }
+  return normalized;
+};
+
+/**
+ * Validate and normalize a schedule from a request body
+ * @param {Object|string} input - Schedule object (or JSON string from form data)
+ * @returns {Object|null} - Normalized schedule or null if invalid
+ */
+export const normalizeSchedule = (input) => {
+  let schedule = input;
+  if (typeof schedule === 'string') {
+    try {
+      schedule = JSON.parse(schedule);
+    } catch {
+      return null;
+    }
+  }
+  if (!schedule || typeof schedule !== 'object' || !schedule.weekly || typeof schedule.weekly !== 'object') {
+    return null;
+  }
+
+  const timeZone = schedule.timeZone || env.DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return null;
+  }
+
+  const unknownDays = [...Object.keys(schedule.weekly), ...Object.keys(schedule.breaks || {})]
+    .filter(key => !DAY_KEYS.includes(key));
+  if (unknownDays.length > 0) {
+    return null;
+  }
+
+  const normalized = emptySchedule(timeZone);
+  for (const day of DAY_KEYS) {
+    const weekly = normalizeIntervals(schedule.weekly[day] || []);
+    const breaks = normalizeIntervals((schedule.breaks || {})[day] || []);
+    if (!weekly || !breaks) {
+      return null;
+    }
+    normalized.weekly[day] = weekly;
+    if (breaks.length > 0) {
+      normalized.breaks[day] = breaks;
+    }
+  }
+  return normalized;
+};
+
+/**
+ * Format a "HH:MM" time as "9:00 AM"
+ * @param {string} time - Time string
+ * @returns {string} - 12-hour time
+ */
+const formatClockTime = (time) => {
+  const minutes = timeToMinutes(time);
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Format a schedule as a human-readable hours string
+ * (e.g. "Mon-Fri: 9:00 AM - 6:00 PM, Sat: 10:00 AM - 4:00 PM")
+ * @param {Object} schedule - Schedule
+ * @returns {string} - Hours text
+ */
+export const formatSchedule = (schedule) => {
+  const describe = (day) => (schedule.weekly[day] || [])
+    .map(interval => `${formatClockTime(interval.start)} - ${formatClockTime(interval.end)}`)
+    .join(' & ');
+
+  const groups = [];
+  DISPLAY_ORDER.forEach(day => {
+    const description = describe(day);
+    if (!description) {
+      return;
+    }
+    const last = groups[groups.length - 1];
+    const previousDay = DISPLAY_ORDER[DISPLAY_ORDER.indexOf(day) - 1];
+    if (last && last.description === description && last.end === previousDay) {
+      last.end = day;
+    } else {
+      groups.push({ start: day, end: day, description });
+    }
+  });
+
+  return groups.map(group => {
+    const days = group.start === group.end
+      ? DAY_LABELS[group.start]
+      : `${DAY_LABELS[group.start]}-${DAY_LABELS[group.end]}`;
+    return `${days}: ${group.description}`;
+  }).join(', ');
+};
+
+/**
+ * Get the open intervals for a date (weekly hours minus breaks), in minutes
+ * @param {Object} schedule - Schedule
+ * @param {string} date - "YYYY-MM-DD" date
+ * @returns {{ start: number, end: number }[]} - Open intervals
+ */
+export const getOpenIntervals = (schedule, date) => {
+  const day = getDayKey(date);
+  const open = (schedule.weekly[day] || []).map(interval => ({
+    start: timeToMinutes(interval.start),
+    end: timeToMinutes(interval.end)
+  }));
+  const breaks = ((schedule.breaks || {})[day] || []).map(interval => ({
+    start: timeToMinutes(interval.start),
+    end: timeToMinutes(interval.end)
+  }));
+  return subtractIntervals(open, breaks);
+};
+
+/**
+ * Remove blocked intervals from a list of free intervals (all in minutes)
+ * @param {{ start: number, end: number }[]} free - Free intervals
+ * @param {{ start: number, end: number }[]} blocked - Blocked intervals
+ * @returns {{ start: number, end: number }[]} - Remaining free intervals
+ */
+export const subtractIntervals = (free, blocked) => {
+  return blocked.reduce((remaining, block) => remaining.flatMap(interval => {
+    if (block.end <= interval.start || block.start >= interval.end) {
+      return [interval];
+    }
+    const pieces = [];
+    if (block.start > interval.start) {
+      pieces.push({ start: interval.start, end: block.start });
+    }
+    if (block.end < interval.end) {
+      pieces.push({ start: block.end, end: interval.end });
+    }
+    return pieces;
+  }), free);
+};
+
+/**
+ * Migrate a stylist's free-text hours to a structured schedule
+ * Stylists that already have a schedule, or whose hours cannot be parsed, are left untouched
+ * @param {Object} stylist - Stylist object
+ * @returns {{ stylist: Object, changed: boolean }} - Migrated stylist and whether anything changed
+ */
+export const migrateStylistSchedule = (stylist) => {
+  if (stylist.schedule) {
+    return { stylist, changed: false };
+  }
+  const schedule = parseHoursString(stylist.hours);
+  if (!schedule) {
+    return { stylist, changed: false };
+  }
+  return { stylist: { ...stylist, schedule }, changed: true };
+};
@@ -0,0 +1,149 @@
+import { env } from '../config/env.js';
+
+/**
+ * Helpers for a stylist's service menu
+ * Each service has a numeric `id` (unique per stylist), a free-text `duration`
+ * ("1.5 hours") and a parsed `durationMinutes` used for scheduling
+ */
+
+/**
+ * Parse a free-text duration such as "45 minutes", "1.5 hours" or "1 hour 30 minutes"
+ * @param {string|number} text - Duration text (numbers are treated as minutes)
+ * @returns {number|null} - Duration in minutes or null if unparseable
+ */
+export const parseDurationMinutes = (text) => {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) && text > 0 ? Math.round(text) : null;
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    matched = true;
+    const value = parseFloat(match[1]);
+    total += match[2].toLowerCase().startsWith('h') ? value * 60 : value;
+  }
+
+  if (!matched) {
+    return null;
+  }
+  return total > 0 ? Math.round(total) : null;
+};
+
+/**
+ * Give every service an ID and a parsed duration
+ * IDs already present are kept so existing appointments keep pointing at the
+ * same service; services without an ID get the next free one
+ * @param {Object[]} services - Services to normalize
+ * @returns {Object[]} - Services with `id` and `durationMinutes`
+ */
+export const assignServiceIds = (services) => {
+  if (!Array.isArray(services)) {
+    return [];
+  }
+
+  const usedIds = new Set();
+  const withIds = services.map(service => {
+    const id = parseInt(service.id, 10);
+    if (Number.isInteger(id) && id > 0 && !usedIds.has(id)) {
+      usedIds.add(id);
+      return { ...service, id };
+    }
+    return { ...service, id: null };
+  });
+
+  let nextId = usedIds.size > 0 ? Math.max(...usedIds) + 1 : 1;
+  return withIds.map(service => ({
+    ...service,
+    id: service.id ?? nextId++,
+    durationMinutes: parseDurationMinutes(service.durationMinutes ?? service.duration)
+  }));
+};
+
+/**
+ * Migrate a stylist's services to have IDs and parsed durations
+ * @param {Object} stylist - Stylist object
+ * @returns {{ stylist: Object, changed: boolean }} - Migrated stylist and whether anything changed
+ */
+export const migrateStylistServices = (stylist) => {
+  if (!Array.isArray(stylist.services)) {
+    return { stylist, changed: false };
+  }
+
+  const needsMigration = stylist.services.some(service =>
+    !Number.isInteger(service.id) || service.durationMinutes === undefined
+  );
+  if (!needsMigration) {
+    return { stylist, changed: false };
+  }
+
+  return { stylist: { ...stylist, services: assignServiceIds(stylist.services) }, changed: true };
+};
+
+/**
+ * Look up a stylist's services by ID
+ * @param {Object} stylist - Stylist object
+ * @param {number[]} serviceIds - Service IDs
+ * @returns {{ services: Object[], missingIds: number[] }} - Found services and unknown IDs
+ */
+export const findServicesByIds = (stylist, serviceIds = []) => {
+  const services = [];
+  const missingIds = [];
+  serviceIds.forEach(id => {
+    const service = (stylist.services || []).find(s => s.id === id);
+    if (service) {
+      services.push(service);
+    } else {
+      missingIds.push(id);
+    }
+  });
+  return { services, missingIds };
+};
+
+/**
+ * Total duration of a list of services
+ * Services without a parseable duration count as the default appointment length
+ * @param {Object[]} services - Services
+ * @returns {number} - Duration in minutes (default length if the list is empty)
+ */
+export const getServicesDuration = (services = []) => {
+  if (services.length === 0) {
+    return env.DEFAULT_APPOINTMENT_DURATION_MINUTES;
+  }
+  return services.reduce((total, service) =>
+    total + (service.durationMinutes || env.DEFAULT_APPOINTMENT_DURATION_MINUTES), 0);
+};
+
+/**
+ * Resolve the services requested for an appointment against a stylist's menu
+ * Items may be service IDs, or objects with an `id` or a `name`
+ * @param {Object} stylist - Stylist object
+ * @param {Array} requested - Requested services
+ * @returns {{ services: Object[], unknown: Array }} - Matched services and items that did not match
+ */
+export const resolveRequestedServices = (stylist, requested = []) => {
+  const services = [];
+  const unknown = [];
+  const menu = stylist.services || [];
+
+  requested.forEach(item => {
+    const id = typeof item === 'object' && item !== null ? parseInt(item.id, 10) : parseInt(item, 10);
+    const name = typeof item === 'object' && item !== null ? item.name : (Number.isNaN(id) ? item : null);
+    const service = Number.isInteger(id)
+      ? menu.find(s => s.id === id)
+      : menu.find(s => typeof name === 'string' && s.name.toLowerCase() === name.trim().toLowerCase());
+
+    if (service) {
+      services.push(service);
+    } else {
+      unknown.push(item);
+    }
+  });
+
+  return { services, unknown };
+};
@@ -0,0 +1,93 @@
+import { logInfo, logWarn, logError, closeLogger } from './logger.js';
+
+/**
+ * Graceful shutdown
+ * On SIGTERM or SIGINT the server stops accepting connections and reports not ready,
+ * requests already in progress are allowed to finish (up to a timeout), background
+ * workers are stopped, then the data store and the log transports are flushed and
+ * closed before the process exits.
+ * A second signal exits immediately
+ */
+
+let shuttingDown = false;
+
+/**
+ * Whether a shutdown has started
+ * @returns {boolean}
+ */
+export const isShuttingDown = () => shuttingDown;
+
+/**
+ * Middleware to close keep-alive connections once shutdown has started, so clients
+ * reconnect to another instance instead of sending more requests here
+ */
+export const closeConnectionsOnShutdown = (req, res, next) => {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  next();
+};
+
+/**
+ * Stop the HTTP server, waiting for in-flight requests
+ * @param {http.Server} server - Server
+ * @param {number} timeoutMs - Longest wait before open connections are cut
+ * @returns {Promise<boolean>} - True if every request finished in time
+ */
+const drainServer = (server, timeoutMs) => new Promise(resolve => {
+  const timer = setTimeout(() => {
+    server.closeAllConnections();
+    resolve(false);
+  }, timeoutMs);
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+  // Idle keep-alive connections would otherwise hold close() open until they time out
+  server.closeIdleConnections();
+});
+
+/**
+ * Handle SIGTERM and SIGINT with a graceful shutdown
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Longest wait for in-flight requests
+ * @param {Function} options.stopWorkers - Stops background work that uses the data store (may return a Promise)
+ * @param {Function} options.closeStorage - Flushes and closes the data store
+ */
+export const registerGracefulShutdown = (server, { timeoutMs, stopWorkers = () => {}, closeStorage }) => {
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logWarn('Second shutdown signal received, exiting immediately', { signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logInfo('Shutting down', { signal, timeoutMs });
+
+    let exitCode = 0;
+    const drained = await drainServer(server, timeoutMs);
+    if (!drained) {
+      logWarn('Requests were still running when the shutdown timeout passed; their connections were closed');
+    }
+
+    try {
+      await stopWorkers();
+    } catch (error) {
+      logError(error, 'shutdown (stopping background workers)');
+      exitCode = 1;
+    }
+
+    try {
+      closeStorage();
+    } catch (error) {
+      logError(error, 'shutdown (closing the data store)');
+      exitCode = 1;
+    }
+
+    logInfo('Shutdown complete', { signal });
+    await closeLogger();
+    process.exit(exitCode);
+  };
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+};
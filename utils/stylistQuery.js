@@ -0,0 +1,237 @@
+import { isStructuredPrice, parsePrice } from './pricing.js';
+
+/**
+ * Helpers for filtering, sorting and paginating the stylists list
+ * (used by GET /api/stylists)
+ */
+
+// Fields that can be used with the `sortBy` query parameter
+export const STYLIST_SORT_FIELDS = ['id', 'name', 'rate', 'yearsOfExperience'];
+
+// Hard upper bound for the `limit` query parameter
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Split a comma separated string (or array) into trimmed, lowercased values
+ * @param {string|string[]} value - Raw value
+ * @returns {string[]} - Normalized values
+ */
+const toList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Interpret free-text "Yes"/"No" style fields (e.g. "Yes, within 15 miles")
+ * @param {any} value - Stored field value
+ * @returns {boolean} - True if the value starts with "yes" or is boolean true
+ */
+const isAffirmative = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim().toLowerCase().startsWith('yes');
+};
+
+/**
+ * Parse a boolean query parameter ('true'/'false')
+ * @param {any} value - Raw query value
+ * @returns {boolean|undefined} - Parsed boolean or undefined if not provided
+ */
+const parseBooleanParam = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return value === true || value === 'true' || value === '1';
+};
+
+/**
+ * Extract the first number from a string such as "$85/hour" or "12 years"
+ * @param {any} value - Stored field value
+ * @returns {number} - Parsed number or 0 if none found
+ */
+const leadingNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = typeof value === 'string' ? value.match(/\d+(\.\d+)?/) : null;
+  return match ? parseFloat(match[0]) : 0;
+};
+
+/**
+ * Get a stylist's rate in minor units (falls back to parsing legacy strings)
+ * @param {Object} stylist - Stylist object
+ * @returns {number} - Rate amount in minor units
+ */
+const rateAmount = (stylist) => {
+  if (isStructuredPrice(stylist.rate)) {
+    return stylist.rate.amount;
+  }
+  return parsePrice(stylist.rate)?.amount ?? 0;
+};
+
+/**
+ * Get the value used when sorting by a given field
+ * @param {Object} stylist - Stylist object
+ * @param {string} field - Sort field
+ * @returns {string|number} - Comparable value
+ */
+const sortValue = (stylist, field) => {
+  switch (field) {
+    case 'name':
+      return (stylist.name || '').toLowerCase();
+    case 'rate':
+      return rateAmount(stylist);
+    case 'yearsOfExperience':
+      return leadingNumber(stylist.yearsOfExperience);
+    default:
+      return stylist.id;
+  }
+};
+
+/**
+ * Filter stylists by the supported query parameters
+ * (`minRate`/`maxRate` are in minor units, e.g. cents)
+ * @param {Object[]} stylists - All stylists
+ * @param {Object} query - Request query parameters
+ * @returns {Object[]} - Matching stylists
+ */
+export const filterStylists = (stylists, query = {}) => {
+  const specialty = query.specialty ? String(query.specialty).trim().toLowerCase() : '';
+  const hairTextureTypes = toList(query.hairTextureType);
+  const paymentTypes = toList(query.paymentType);
+  const availableNow = parseBooleanParam(query.availableNow);
+  const willingToTravel = parseBooleanParam(query.willingToTravel);
+  const lastMinuteBookings = parseBooleanParam(query.lastMinuteBookings);
+  const minRate = query.minRate !== undefined && query.minRate !== '' ? parseInt(query.minRate, 10) : undefined;
+  const maxRate = query.maxRate !== undefined && query.maxRate !== '' ? parseInt(query.maxRate, 10) : undefined;
+
+  return stylists.filter(stylist => {
+    if (specialty && !(stylist.specialty || '').toLowerCase().includes(specialty)) {
+      return false;
+    }
+
+    if (hairTextureTypes.length > 0) {
+      const stylistTextures = toList(stylist.hairTextureTypes);
+      if (!hairTextureTypes.every(type => stylistTextures.includes(type))) {
+        return false;
+      }
+    }
+
+    if (paymentTypes.length > 0) {
+      const stylistPaymentTypes = toList(stylist.acceptedPaymentTypes);
+      if (!paymentTypes.every(type => stylistPaymentTypes.includes(type))) {
+        return false;
+      }
+    }
+
+    if (availableNow !== undefined && Boolean(stylist.availableNow) !== availableNow) {
+      return false;
+    }
+
+    if (willingToTravel !== undefined && isAffirmative(stylist.willingToTravel) !== willingToTravel) {
+      return false;
+    }
+
+    if (lastMinuteBookings !== undefined && isAffirmative(stylist.lastMinuteBookingsAllowed) !== lastMinuteBookings) {
+      return false;
+    }
+
+    if (minRate !== undefined && rateAmount(stylist) < minRate) {
+      return false;
+    }
+
+    if (maxRate !== undefined && rateAmount(stylist) > maxRate) {
+      return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Sort stylists (returns a new array, ties are broken by ID)
+ * @param {Object[]} stylists - Stylists to sort
+ * @param {string} sortBy - One of STYLIST_SORT_FIELDS (default: 'id')
+ * @param {string} order - 'asc' or 'desc' (default: 'asc')
+ * @returns {Object[]} - Sorted stylists
+ */
+export const sortStylists = (stylists, sortBy = 'id', order = 'asc') => {
+  const field = STYLIST_SORT_FIELDS.includes(sortBy) ? sortBy : 'id';
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...stylists].sort((a, b) => {
+    const valueA = sortValue(a, field);
+    const valueB = sortValue(b, field);
+    if (valueA < valueB) return -1 * direction;
+    if (valueA > valueB) return 1 * direction;
+    return a.id - b.id;
+  });
+};
+
+/**
+ * Encode a list offset as an opaque cursor
+ * @param {number} offset - Offset of the next item
+ * @returns {string} - Cursor string
+ */
+export const encodeCursor = (offset) => {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {number|null} - Offset or null if the cursor is invalid
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Paginate a list using either `cursor` or `page` (both use `limit`)
+ * If neither `limit`, `page` nor `cursor` is given the full list is returned
+ * @param {Object[]} items - Items to paginate
+ * @param {Object} query - Request query parameters
+ * @returns {{ items: Object[], pagination: Object }} - Page of items and pagination metadata
+ */
+export const paginate = (items, query = {}) => {
+  const total = items.length;
+  const paginated = query.limit !== undefined || query.page !== undefined || query.cursor !== undefined;
+  const limit = paginated
+    ? Math.min(parseInt(query.limit || '20', 10), MAX_PAGE_SIZE)
+    : Math.max(total, 1);
+
+  let offset = 0;
+  let page = 1;
+  if (query.cursor) {
+    offset = decodeCursor(query.cursor) ?? 0;
+    page = Math.floor(offset / limit) + 1;
+  } else if (query.page) {
+    page = parseInt(query.page, 10);
+    offset = (page - 1) * limit;
+  }
+
+  const pageItems = items.slice(offset, offset + limit);
+  const nextOffset = offset + pageItems.length;
+  const hasMore = nextOffset < total;
+
+  return {
+    items: pageItems,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.max(Math.ceil(total / limit), 1),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(nextOffset) : null
+    }
+  };
+};
@@ -0,0 +1,136 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1 per RFC 4226)
+ * Settings match what authenticator apps assume by default: 6 digits, 30-second steps
+ */
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648), the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive; spaces and padding are ignored)
+ * @param {string} text - Base32 string
+ * @returns {Buffer} - Bytes
+ */
+export const base32Decode = (text) => {
+  const cleaned = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} - Base32 secret
+ */
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Time step for an instant
+ * @param {number} timeMs - Milliseconds since the epoch
+ * @returns {number} - Step counter
+ */
+export const getTimeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Compute the one-time password for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.window - Steps accepted on either side of the current one
+ * @param {number} options.afterStep - Reject steps up to and including this one (already used)
+ * @param {number} options.timeMs - Reference time
+ * @returns {number|null} - Matching time step, or null if the code is wrong
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1, timeMs = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timeMs);
+  for (let step = currentStep - window; step <= currentStep + window; step += 1) {
+    if (step <= afterStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, step);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label (e.g. the email address)
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} - Provisioning URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,143 @@
+import { randomBytes } from 'crypto';
+import { getRequestContext, runWithRequestContext } from './requestContext.js';
+import { logInfo } from './logger.js';
+
+/**
+ * Lightweight tracing compatible with W3C Trace Context
+ * With TRACING_ENABLED, each request gets a span (continuing the trace of an
+ * incoming `traceparent` header) and each repository call made while handling it
+ * gets a child span. Finished spans are written to the log as 'Span' lines with
+ * traceId, spanId, parentSpanId, name, start time and duration, so any log
+ * pipeline can stitch them into traces
+ * Span: { traceId, spanId, parentSpanId, name, sampled, startTime, attributes }
+ */
+
+// version-traceId-parentId-flags, lowercase hex (https://www.w3.org/TR/trace-context/)
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const SAMPLED_FLAG = 0x01;
+
+/**
+ * Parse a traceparent header
+ * @param {string|undefined} header - Header value
+ * @returns {Object|null} - { traceId, parentSpanId, sampled }, or null if missing or invalid
+ */
+export const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+  return {
+    traceId: match[1],
+    parentSpanId: match[2],
+    sampled: (parseInt(match[3], 16) & SAMPLED_FLAG) === SAMPLED_FLAG
+  };
+};
+
+/**
+ * Format a span as a traceparent header (to pass the trace on to other services)
+ * @param {Object} span - Span
+ * @returns {string}
+ */
+export const formatTraceparent = (span) => `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+
+/**
+ * Start a span
+ * @param {string} name - Span name (e.g. 'GET /api/stylists', 'stylistRepository.findById')
+ * @param {Object} options
+ * @param {Object|null} options.parent - Parent span, or { traceId, parentSpanId, sampled } from a traceparent header
+ * @param {Object} options.attributes - Extra details to log with the span
+ * @returns {Object} - Span
+ */
+export const startSpan = (name, { parent = null, attributes = {} } = {}) => ({
+  traceId: parent?.traceId || randomBytes(16).toString('hex'),
+  spanId: randomBytes(8).toString('hex'),
+  parentSpanId: parent?.spanId || parent?.parentSpanId || null,
+  name,
+  sampled: parent ? parent.sampled : true,
+  startTime: Date.now(),
+  attributes
+});
+
+/**
+ * Finish a span and write it to the log (unless the trace is not sampled)
+ * @param {Object} span - Span
+ * @param {Object} details
+ * @param {string} details.status - 'ok' or 'error'
+ * @param {Object} details.attributes - Details known only at the end (e.g. statusCode)
+ */
+export const endSpan = (span, { status = 'ok', attributes = {} } = {}) => {
+  if (!span.sampled) {
+    return;
+  }
+  logInfo('Span', {
+    type: 'span',
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    startTime: new Date(span.startTime).toISOString(),
+    durationMs: Date.now() - span.startTime,
+    status,
+    ...span.attributes,
+    ...attributes
+  });
+};
+
+/**
+ * Run a function in a child span of the current request's span
+ * Outside a traced request the function simply runs
+ * @param {string} name - Span name
+ * @param {Function} fn - Function to run (sync or returning a promise)
+ * @returns {any} - fn's return value
+ */
+export const withSpan = (name, fn) => {
+  const context = getRequestContext();
+  if (!context?.span) {
+    return fn();
+  }
+
+  const span = startSpan(name, { parent: context.span });
+  let result;
+  try {
+    result = runWithRequestContext({ ...context, span }, fn);
+  } catch (error) {
+    endSpan(span, { status: 'error', attributes: { error: error.message } });
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      (value) => {
+        endSpan(span);
+        return value;
+      },
+      (error) => {
+        endSpan(span, { status: 'error', attributes: { error: error.message } });
+        throw error;
+      }
+    );
+  }
+  endSpan(span);
+  return result;
+};
+
+/**
+ * Wrap every repository method (and transaction()) in a span
+ * @param {Object} repositories - Repositories from createRepositories()
+ * @returns {Object} - Same repositories with traced methods
+ */
+export const traceRepositories = (repositories) => Object.fromEntries(
+  Object.entries(repositories).map(([name, value]) => {
+    if (name === 'transaction') {
+      return [name, (fn) => withSpan('transaction', () => value(fn))];
+    }
+    if (typeof value !== 'object') {
+      return [name, value];
+    }
+    return [name, Object.fromEntries(Object.entries(value).map(([method, fn]) => [
+      method,
+      typeof fn === 'function' ? (...args) => withSpan(`${name}.${method}`, () => fn.apply(value, args)) : fn
+    ]))];
+  })
+);
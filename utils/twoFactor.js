@@ -0,0 +1,218 @@
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { env } from '../config/env.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri, base32Encode } from './totp.js';
+import { revokeAccessToken } from './authTokens.js';
+import { credentialRepository, revokedTokenRepository } from '../repositories/index.js';
+
+/**
+ * Two-factor authentication for stylist accounts
+ * Settings are stored with the stylist's credentials:
+ *   { enabled, secret, pendingSecret, enabledAt, lastUsedStep, recoveryCodes: [{ hash, usedAt }] }
+ * Enrollment stores a pending secret until the first code from the app confirms it.
+ * Recovery codes are shown once and stored as SHA-256 hashes. With 2FA on, a correct
+ * password only earns a short-lived challenge token that POST /api/stylists/login/2fa
+ * exchanges (once) for a session
+ */
+
+const ACCOUNT_TYPE = 'stylist';
+const CHALLENGE_AUDIENCE = 'stylist-2fa-challenge';
+export const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate recovery codes such as "k3vq7-xm2pa"
+ * @returns {{ codes: string[], records: Object[] }} - Codes to show and records to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const text = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${text.slice(0, 5)}-${text.slice(5)}`;
+  });
+  return { codes, records: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })) };
+};
+
+/**
+ * Get a stylist's two-factor settings
+ * @param {string} email - Stylist email
+ * @returns {Object|null} - Settings or null if never set up
+ */
+const getSettings = (email) => credentialRepository.getTwoFactor(ACCOUNT_TYPE, email);
+
+/**
+ * Check whether a stylist has two-factor authentication turned on
+ * @param {string} email - Stylist email
+ * @returns {boolean}
+ */
+export const isTwoFactorEnabled = (email) => Boolean(getSettings(email)?.enabled);
+
+/**
+ * Summarize a stylist's two-factor status (no secrets)
+ * @param {string} email - Stylist email
+ * @returns {Object} - { enabled, enabledAt, recoveryCodesRemaining }
+ */
+export const getTwoFactorStatus = (email) => {
+  const settings = getSettings(email);
+  return {
+    enabled: Boolean(settings?.enabled),
+    enabledAt: settings?.enabledAt || null,
+    recoveryCodesRemaining: settings?.enabled ? settings.recoveryCodes.filter(code => !code.usedAt).length : 0
+  };
+};
+
+/**
+ * Start enrollment: create a pending secret for the stylist's authenticator app
+ * @param {Object} stylist - Stylist
+ * @returns {Object|null} - { secret, otpauthUri } or null if 2FA is already on
+ */
+export const startTwoFactorEnrollment = (stylist) => {
+  const settings = getSettings(stylist.email);
+  if (settings?.enabled) {
+    return null;
+  }
+
+  const secret = generateTotpSecret();
+  credentialRepository.setTwoFactor(ACCOUNT_TYPE, stylist.email, {
+    enabled: false,
+    secret: null,
+    pendingSecret: secret,
+    enabledAt: null,
+    lastUsedStep: -1,
+    recoveryCodes: []
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: stylist.email, issuer: env.TWO_FACTOR_ISSUER })
+  };
+};
+
+/**
+ * Finish enrollment with a code from the app
+ * @param {Object} stylist - Stylist
+ * @param {string} code - Current code
+ * @returns {Object} - { recoveryCodes } on success, or { error: 'not-started' | 'invalid-code' }
+ */
+export const confirmTwoFactorEnrollment = (stylist, code) => {
+  const settings = getSettings(stylist.email);
+  if (!settings?.pendingSecret) {
+    return { error: 'not-started' };
+  }
+
+  const step = verifyTotp(settings.pendingSecret, code);
+  if (step === null) {
+    return { error: 'invalid-code' };
+  }
+
+  const { codes, records } = generateRecoveryCodes();
+  credentialRepository.setTwoFactor(ACCOUNT_TYPE, stylist.email, {
+    enabled: true,
+    secret: settings.pendingSecret,
+    pendingSecret: null,
+    enabledAt: new Date().toISOString(),
+    lastUsedStep: step,
+    recoveryCodes: records
+  });
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Check a second factor: an authenticator code or an unused recovery code
+ * A code's time step and a recovery code can each be used only once
+ * @param {string} email - Stylist email
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object|null} - { method: 'totp' | 'recovery-code', recoveryCodesRemaining } or null if wrong
+ */
+export const verifySecondFactor = (email, { code, recoveryCode }) => {
+  const settings = getSettings(email);
+  if (!settings?.enabled) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyTotp(settings.secret, code, { afterStep: settings.lastUsedStep });
+    if (step === null) {
+      return null;
+    }
+    credentialRepository.setTwoFactor(ACCOUNT_TYPE, email, { ...settings, lastUsedStep: step });
+    return { method: 'totp', recoveryCodesRemaining: settings.recoveryCodes.filter(c => !c.usedAt).length };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const match = settings.recoveryCodes.find(c => c.hash === hash && !c.usedAt);
+    if (!match) {
+      return null;
+    }
+    const recoveryCodes = settings.recoveryCodes.map(c => (c === match ? { ...c, usedAt: new Date().toISOString() } : c));
+    credentialRepository.setTwoFactor(ACCOUNT_TYPE, email, { ...settings, recoveryCodes });
+    return { method: 'recovery-code', recoveryCodesRemaining: recoveryCodes.filter(c => !c.usedAt).length };
+  }
+
+  return null;
+};
+
+/**
+ * Replace a stylist's recovery codes (the old ones stop working)
+ * @param {string} email - Stylist email
+ * @returns {string[]|null} - New codes, or null if 2FA is off
+ */
+export const regenerateRecoveryCodes = (email) => {
+  const settings = getSettings(email);
+  if (!settings?.enabled) {
+    return null;
+  }
+  const { codes, records } = generateRecoveryCodes();
+  credentialRepository.setTwoFactor(ACCOUNT_TYPE, email, { ...settings, recoveryCodes: records });
+  return codes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {string} email - Stylist email
+ * @returns {boolean} - True if settings were removed
+ */
+export const disableTwoFactor = (email) => credentialRepository.deleteTwoFactor(ACCOUNT_TYPE, email);
+
+/**
+ * Create the challenge token returned by a password login when 2FA is on
+ * @param {Object} stylist - Stylist
+ * @returns {Object} - { challengeToken, challengeExpiresIn } (seconds)
+ */
+export const createLoginChallenge = (stylist) => {
+  const challengeToken = jwt.sign(
+    { id: stylist.id, email: stylist.email.toLowerCase() },
+    env.JWT_SECRET,
+    {
+      expiresIn: env.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+      issuer: 'stylists-api',
+      audience: CHALLENGE_AUDIENCE,
+      jwtid: randomUUID()
+    }
+  );
+  const { exp, iat } = jwt.decode(challengeToken);
+  return { challengeToken, challengeExpiresIn: exp - iat };
+};
+
+/**
+ * Check a login challenge token
+ * @param {string} challengeToken - Token from the password step
+ * @returns {Object|null} - { id, email, jti, exp } or null if invalid, expired or already used
+ */
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, env.JWT_SECRET, { issuer: 'stylists-api', audience: CHALLENGE_AUDIENCE });
+    return revokedTokenRepository.has(decoded.jti) ? null : decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mark a login challenge as used so it cannot complete a second login
+ * @param {Object} challenge - Decoded challenge ({ jti, exp })
+ */
+export const consumeLoginChallenge = (challenge) => revokeAccessToken(challenge.jti, challenge.exp);
@@ -0,0 +1,46 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Webhook signatures
+ * Each webhook request carries X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256
+ * of "<t>.<raw body>" keyed with the webhook's secret>. Receivers recompute it and reject
+ * old timestamps so a captured request cannot be replayed later
+ * (no data store imports: receivers such as scripts/webhookReceiver.js use this module)
+ */
+
+// Signatures older than this are rejected by verifyWebhookSignature
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - "t=<timestamp>,v1=<hex HMAC-SHA256 of '<timestamp>.<body>'>"
+ */
+export const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a received X-Webhook-Signature header
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature value
+ * @param {Object} options - { toleranceSeconds, now (ms) }
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (secret, body, header, {
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
@@ -0,0 +1,453 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { lookup } from 'dns';
+import { BlockList, isIP } from 'net';
+import { Agent, fetch } from 'undici';
+import { env } from '../config/env.js';
+import { webhookRepository, webhookDeliveryRepository, withTransaction } from '../repositories/index.js';
+import { LATEST_API_VERSION } from './apiVersions.js';
+import { logError, logWarn } from './logger.js';
+import { webhookDeliveryAttemptsTotal } from './metrics.js';
+import { runWithoutRequestContext } from './requestContext.js';
+import { signWebhookPayload } from './webhookSignature.js';
+
+/**
+ * Outbound webhooks
+ * Stylists register endpoints for appointment events. Publishing an event stores one
+ * delivery per subscribed endpoint, so the queue survives restarts; the dispatcher then
+ * POSTs each one as signed JSON. A failed attempt (no 2xx answer within
+ * WEBHOOK_TIMEOUT_MS) is retried after WEBHOOK_RETRY_BASE_SECONDS, doubling with each
+ * further attempt (at most 6 hours), until WEBHOOK_MAX_ATTEMPTS is reached
+ * Deliveries: { id, webhookId, stylistId, eventId, event, payload, status, attemptCount,
+ *   nextAttemptAt, attempts, lastError, redeliveryOf, deliveredAt, createdAt, updatedAt }
+ * Requests are signed with the webhook's secret (see utils/webhookSignature.js)
+ */
+
+export const WEBHOOK_EVENTS = [
+  'appointment.created',              // Booked by a customer
+  'appointment.accepted',             // Confirmed by the stylist
+  'appointment.rejected',             // Declined, or a confirmed appointment cancelled, by the stylist
+  'appointment.reschedule-suggested', // Stylist suggested a new date/time
+  'appointment.rescheduled',          // Customer accepted the suggested date/time
+  'appointment.suggestion-rejected',  // Customer turned the suggested date/time down (original time stays)
+  'appointment.reassigned',           // Moved to another stylist by an admin (sent to both stylists)
+  'appointment.cancelled'             // Cancelled by the customer (or their account deletion) or an admin
+];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+export const MAX_WEBHOOKS_PER_STYLIST = 10;
+
+const USER_AGENT = 'Stylists-Webhooks/1.0';
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const MAX_RESPONSE_BODY_LENGTH = 1024;
+// Deliveries sent at the same time, so one slow endpoint does not hold up the others
+const CONCURRENCY = 4;
+// Longest the dispatcher sleeps before looking at the queue again
+const MAX_IDLE_MS = 60 * 1000;
+
+// Loopback, private, link-local and other non-public ranges (IPv4-mapped IPv6 addresses included)
+const privateAddresses = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on a loopback or private network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => privateAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+/**
+ * Host name of a URL without the brackets of IPv6 literals
+ * @param {URL} url - URL
+ * @returns {string}
+ */
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Check an endpoint URL when it is registered (addresses are checked again before each attempt)
+ * @param {string} value - URL
+ * @returns {string|null} - What is wrong with it, or null if it can be used
+ */
+export const checkWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'URL must be a valid absolute URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'URL must use http or https';
+  }
+  if (env.isProduction() && url.protocol !== 'https:') {
+    return 'URL must use https';
+  }
+  if (url.username || url.password) {
+    return 'URL must not contain credentials';
+  }
+  const host = hostOf(url);
+  if (!env.WEBHOOK_ALLOW_PRIVATE_URLS
+      && (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isPrivateAddress(host)))) {
+    return 'URL must not point to a loopback or private network address';
+  }
+  return null;
+};
+
+/**
+ * DNS lookup for deliveries that refuses loopback and private addresses
+ * The connection is made to the address checked here, so a host that answers a second
+ * lookup differently (DNS rebinding) cannot be used to reach an internal address
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options (from net.connect)
+ * @param {Function} callback - (error, address, family), or (error, addresses) with options.all
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error('The endpoint resolves to a loopback or private network address'));
+    }
+    return callback(null, address, family);
+  });
+};
+
+// Connections for deliveries when private addresses are not allowed
+const publicOnlyAgent = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+/**
+ * Make sure an endpoint given as an IP address is not a private one (unless allowed);
+ * host names are checked when the connection is made (see publicOnlyLookup)
+ * @param {string} value - Endpoint URL
+ * @returns {Agent|undefined} - Dispatcher to send the request with
+ */
+const checkDestination = (value) => {
+  if (env.WEBHOOK_ALLOW_PRIVATE_URLS) {
+    return undefined;
+  }
+  const host = hostOf(new URL(value));
+  if (isIP(host) && isPrivateAddress(host)) {
+    throw new Error('The endpoint resolves to a loopback or private network address');
+  }
+  return publicOnlyAgent;
+};
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string}
+ */
+export const generateWebhookSecret = () => `whsec_${randomBytes(24).toString('base64url')}`;
+
+/**
+ * Webhook as returned by the API (without its secret)
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object}
+ */
+export const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attemptCount - Attempts made so far
+ * @returns {number} - Seconds
+ */
+export const getRetryDelaySeconds = (attemptCount) => Math.min(
+  env.WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attemptCount - 1),
+  MAX_RETRY_DELAY_SECONDS
+);
+
+/**
+ * New queued delivery of an event to a webhook
+ * @param {Object} webhook - Webhook
+ * @param {Object} payload - Event payload
+ * @param {number|null} redeliveryOf - ID of the delivery being sent again
+ * @returns {Object}
+ */
+const newDelivery = (webhook, payload, redeliveryOf = null) => {
+  const now = new Date().toISOString();
+  return {
+    webhookId: webhook.id,
+    stylistId: webhook.stylistId,
+    eventId: payload.id,
+    event: payload.type,
+    payload,
+    status: 'pending',
+    attemptCount: 0,
+    nextAttemptAt: now,
+    attempts: [],
+    lastError: null,
+    redeliveryOf,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Dispatcher state
+let started = false;
+let timer = null;
+let running = null;
+let runAgain = false;
+
+/**
+ * Run the dispatcher after a delay (replacing any earlier timer)
+ * @param {number} delayMs - Delay
+ */
+const schedule = (delayMs) => {
+  if (!started) {
+    return;
+  }
+  clearTimeout(timer);
+  // Deliveries are not part of the request that published them (nor logged with its ID)
+  timer = runWithoutRequestContext(() => setTimeout(runDueDeliveries, Math.max(0, Math.min(delayMs, MAX_IDLE_MS))));
+  timer.unref();
+};
+
+/**
+ * Sleep until the next pending delivery is due
+ */
+const scheduleNext = () => {
+  const [next] = webhookDeliveryRepository.findPending();
+  schedule(next ? new Date(next.nextAttemptAt).getTime() - Date.now() : MAX_IDLE_MS);
+};
+
+/**
+ * Read the start of a response body
+ * @param {Response} response - fetch response
+ * @returns {Promise<string>}
+ */
+const readResponseStart = async (response) => {
+  if (!response.body) {
+    return '';
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (text.length < MAX_RESPONSE_BODY_LENGTH) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  await reader.cancel().catch(() => {});
+  return text.slice(0, MAX_RESPONSE_BODY_LENGTH);
+};
+
+/**
+ * POST a delivery to its endpoint
+ * @param {Object} webhook - Webhook
+ * @param {Object} delivery - Delivery
+ * @returns {Promise<Object>} - Attempt: { attemptedAt, durationMs, statusCode, responseBody, error }
+ */
+const sendDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const attemptedAt = new Date().toISOString();
+  const startTime = process.hrtime.bigint();
+  const elapsedMs = () => Math.round(Number(process.hrtime.bigint() - startTime) / 1e6);
+
+  try {
+    const dispatcher = checkDestination(webhook.url);
+    const response = await fetch(webhook.url, {
+      dispatcher,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, body)
+      },
+      body,
+      // A redirect is answered as a failure rather than followed (it could lead anywhere)
+      redirect: 'manual',
+      signal: AbortSignal.timeout(env.WEBHOOK_TIMEOUT_MS)
+    });
+    const responseBody = await readResponseStart(response);
+    return {
+      attemptedAt,
+      durationMs: elapsedMs(),
+      statusCode: response.status,
+      responseBody,
+      error: response.ok ? null : `The endpoint answered with status ${response.status}`
+    };
+  } catch (error) {
+    return {
+      attemptedAt,
+      durationMs: elapsedMs(),
+      statusCode: null,
+      responseBody: null,
+      error: error.name === 'TimeoutError'
+        ? `No response within ${env.WEBHOOK_TIMEOUT_MS} ms`
+        : error.cause?.message || error.message
+    };
+  }
+};
+
+/**
+ * Make one attempt at a pending delivery and record the outcome
+ * @param {number} deliveryId - Delivery ID
+ */
+const attemptDelivery = async (deliveryId) => {
+  const delivery = webhookDeliveryRepository.findById(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+  const webhook = webhookRepository.findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    webhookDeliveryRepository.update({
+      ...delivery,
+      status: 'failed',
+      nextAttemptAt: null,
+      lastError: 'The webhook was disabled before the event could be delivered',
+      updatedAt: new Date().toISOString()
+    });
+    return;
+  }
+
+  const attempt = await sendDelivery(webhook, delivery);
+
+  // The webhook (and its deliveries) may have been deleted while the request was running
+  const current = webhookDeliveryRepository.findById(deliveryId);
+  if (!current) {
+    return;
+  }
+  const attemptCount = current.attemptCount + 1;
+  const delivered = attempt.error === null;
+  const exhausted = !delivered && attemptCount >= env.WEBHOOK_MAX_ATTEMPTS;
+  const now = new Date();
+  webhookDeliveryRepository.update({
+    ...current,
+    status: delivered ? 'delivered' : (exhausted ? 'failed' : 'pending'),
+    attemptCount,
+    attempts: [...current.attempts, attempt],
+    lastError: attempt.error,
+    nextAttemptAt: delivered || exhausted
+      ? null
+      : new Date(now.getTime() + getRetryDelaySeconds(attemptCount) * 1000).toISOString(),
+    deliveredAt: delivered ? now.toISOString() : null,
+    updatedAt: now.toISOString()
+  });
+
+  const outcome = delivered ? 'delivered' : (exhausted ? 'failed' : 'retry');
+  webhookDeliveryAttemptsTotal.inc({ event: current.event, outcome });
+  if (!delivered) {
+    logWarn(exhausted ? 'Webhook delivery failed; no attempts left' : 'Webhook delivery attempt failed; will retry', {
+      webhookId: webhook.id,
+      deliveryId,
+      event: current.event,
+      attempt: attemptCount,
+      statusCode: attempt.statusCode,
+      error: attempt.error
+    });
+  }
+};
+
+/**
+ * Attempt every delivery that is due (a call while a run is in progress triggers another run after it)
+ * @returns {Promise<void>}
+ */
+const runDueDeliveries = async () => {
+  if (running) {
+    runAgain = true;
+    return running;
+  }
+  running = (async () => {
+    do {
+      runAgain = false;
+      const now = Date.now();
+      const due = webhookDeliveryRepository.findPending()
+        .filter(delivery => new Date(delivery.nextAttemptAt).getTime() <= now);
+      for (let index = 0; index < due.length && started; index += CONCURRENCY) {
+        await Promise.all(due.slice(index, index + CONCURRENCY).map(delivery => (
+          attemptDelivery(delivery.id).catch(error => logError(error, 'attemptDelivery'))
+        )));
+      }
+    } while (runAgain && started);
+  })();
+
+  try {
+    await running;
+  } catch (error) {
+    logError(error, 'runDueDeliveries');
+  } finally {
+    running = null;
+    if (started) {
+      scheduleNext();
+    }
+  }
+};
+
+/**
+ * Start sending queued deliveries (including ones left from before a restart)
+ */
+export const startWebhookDispatcher = () => {
+  started = true;
+  schedule(0);
+};
+
+/**
+ * Stop the dispatcher, waiting for deliveries already being sent (used on shutdown)
+ * Deliveries still pending are sent after the next start
+ * @returns {Promise<void>}
+ */
+export const stopWebhookDispatcher = async () => {
+  started = false;
+  clearTimeout(timer);
+  await running?.catch(() => {});
+};
+
+/**
+ * Queue an appointment event for every active webhook of the appointment's stylist
+ * that subscribes to it. Failures are logged rather than thrown: the change the
+ * event describes has already happened
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} appointment - Appointment after the change
+ * @param {Object} options
+ * @param {number|null} options.previousStylistId - Stylist the appointment was moved away from
+ *   (also notified, and named in the payload)
+ * @returns {number} - Deliveries queued
+ */
+export const publishAppointmentEvent = (event, appointment, { previousStylistId = null } = {}) => {
+  try {
+    const stylistIds = [...new Set([appointment.stylistId, previousStylistId].filter(Boolean))];
+    const webhooks = stylistIds.flatMap(stylistId => webhookRepository.findByStylistId(stylistId))
+      .filter(webhook => webhook.active && webhook.events.includes(event));
+    if (webhooks.length === 0) {
+      return 0;
+    }
+    const payload = {
+      id: randomUUID(),
+      type: event,
+      createdAt: new Date().toISOString(),
+      apiVersion: LATEST_API_VERSION,
+      data: { appointment, ...(previousStylistId && { previousStylistId }) }
+    };
+    withTransaction(() => {
+      webhooks.forEach(webhook => webhookDeliveryRepository.create(newDelivery(webhook, payload)));
+    });
+    schedule(0);
+    return webhooks.length;
+  } catch (error) {
+    logError(error, `publishAppointmentEvent:${event}`);
+    return 0;
+  }
+};
+
+/**
+ * Queue a delivery's event again (same payload and event ID, so receivers can tell it is a repeat)
+ * @param {Object} webhook - Webhook
+ * @param {Object} delivery - Earlier delivery
+ * @returns {Object} - New delivery
+ */
+export const redeliverWebhookDelivery = (webhook, delivery) => {
+  const created = webhookDeliveryRepository.create(newDelivery(webhook, delivery.payload, delivery.id));
+  schedule(0);
+  return created;
+};
@@ -0,0 +1,87 @@
+import { deflateRawSync, crc32 } from 'zlib';
+
+/**
+ * Minimal ZIP archive writer (no external dependency)
+ * Builds the whole archive in memory, which is fine for the small archives the API
+ * produces (data exports). Entries are deflated unless that does not make them
+ * smaller (e.g. JPEG/PNG images), in which case they are stored as-is
+ */
+
+const VERSION = 20; // 2.0: deflate
+const UTF8_NAMES = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date
+ * @returns {{ time: number, date: number }}
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP archive
+ * @param {{ name: string, data: Buffer|string }[]} entries - Files (names use "/" for folders)
+ * @param {Date} modifiedAt - Modification time recorded for every entry
+ * @returns {Buffer} - ZIP file contents
+ */
+export const createZipArchive = (entries, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const contents = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const deflated = deflateRawSync(contents);
+    const method = deflated.length < contents.length ? METHOD_DEFLATE : METHOD_STORE;
+    const body = method === METHOD_DEFLATE ? deflated : contents;
+    const fileName = Buffer.from(name, 'utf8');
+    const checksum = crc32(contents);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(contents.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(contents.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    // Extra field, comment, disk number, attributes: all zero
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, body);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};